@@ -10,6 +10,7 @@ import logger from './lib/logger.js';
 import appConfig from './lib/appConfig.mjs';
 import lookup from './lib/business/lookup.mjs';
 import { sqlErrorMapper } from './lib/business/error-mapper.mjs';
+import { BusinessError, ConcurrencyError, ValidationError, PermissionError } from './lib/business/errors.mjs';
 import { classMap, RelationshipTypes, BusinessBase } from './lib/business/business-base.mjs';
 import Auth from './lib/business/auth.mjs';
 import BusinessBaseRouter from './lib/business/business-objects.mjs';
@@ -23,4 +24,4 @@ import { reports, render, toExcel } from './lib/reports.mjs';
 import generateReport from './lib/business/query-base.mjs';
 import enums from './lib/enums.mjs';
 
-export { Framework, mssql, mysql, Azure, util, httpAuth, Elastic, adapters, logger, appConfig, lookup, sqlErrorMapper, BusinessBase, responseTransformer, ElasticBusinessBase, BusinessBaseRouter, Auth, Sql, MySql, SqlHelper, ListParameters, reports, render, toExcel, generateReport, enums, classMap, RelationshipTypes };
\ No newline at end of file
+export { Framework, mssql, mysql, Azure, util, httpAuth, Elastic, adapters, logger, appConfig, lookup, sqlErrorMapper, BusinessBase, responseTransformer, ElasticBusinessBase, BusinessBaseRouter, Auth, Sql, MySql, SqlHelper, ListParameters, reports, render, toExcel, generateReport, enums, classMap, RelationshipTypes, BusinessError, ConcurrencyError, ValidationError, PermissionError };
\ No newline at end of file
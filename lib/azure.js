@@ -91,6 +91,28 @@ class Azure {
         }
         return items;
     }
+
+    async uploadStream({ container, blobName, stream, contentType, bufferSize = 4 * 1024 * 1024, maxConcurrency = 5 }) {
+        container = this.getContainer(container);
+        await container.createIfNotExists();
+        const blockBlobClient = container.getBlockBlobClient(blobName);
+        await blockBlobClient.uploadStream(stream, bufferSize, maxConcurrency, {
+            blobHTTPHeaders: contentType ? { blobContentType: contentType } : undefined
+        });
+        return blockBlobClient;
+    }
+
+    async downloadStream({ container, blobName }) {
+        container = this.getContainer(container);
+        const response = await container.getBlobClient(blobName).download();
+        return response.readableStreamBody;
+    }
+
+    async deleteBlob({ container, blobName }) {
+        container = this.getContainer(container);
+        const response = await container.getBlobClient(blobName).deleteIfExists();
+        return response.succeeded;
+    }
 }
 
 export default Azure;
\ No newline at end of file
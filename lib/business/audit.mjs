@@ -0,0 +1,77 @@
+const auditActions = {
+    insert: 'insert',
+    update: 'update',
+    delete: 'delete',
+    restore: 'restore'
+};
+
+/**
+ * Converts a column value to the string stored in the audit table. Empty values are stored as null,
+ * list values (OneToMany relation ids and multiSelectColumns) are sorted so that order changes are not reported.
+ */
+function toAuditValue(value, { isList = false } = {}) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    if (isList || Array.isArray(value)) {
+        const entries = Array.isArray(value) ? value : String(value).split(',');
+        const normalized = [...new Set(entries.map(entry => String(entry).trim()).filter(entry => entry.length))].sort();
+        return normalized.length ? normalized.join(',') : null;
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (typeof value === 'boolean') {
+        return value ? '1' : '0';
+    }
+    if (typeof value === 'object') {
+        return JSON.stringify(value);
+    }
+    return String(value);
+}
+
+function isSameValue(oldValue, newValue, { isList }) {
+    if (!isList && (oldValue instanceof Date || newValue instanceof Date)) {
+        const oldTime = oldValue ? new Date(oldValue).getTime() : null;
+        const newTime = newValue ? new Date(newValue).getTime() : null;
+        return oldTime === newTime;
+    }
+    let from = toAuditValue(oldValue, { isList });
+    let to = toAuditValue(newValue, { isList });
+    // bit columns are returned as booleans but usually sent back as 1/0 or "true"/"false"
+    if (typeof oldValue === 'boolean' || typeof newValue === 'boolean') {
+        from = { true: '1', false: '0' }[from] || from;
+        to = { true: '1', false: '0' }[to] || to;
+    }
+    return from === to;
+}
+
+/**
+ * Compares the previous and the new values of a record.
+ * @param {Object} options
+ * @param {Object} [options.before] - Previous values, empty for inserts
+ * @param {Object} options.after - New values, only the fields present are compared
+ * @param {Array<string>} [options.listFields] - Fields holding comma separated or array values
+ * @param {Array<string>} [options.exclude] - Fields that are never reported
+ * @returns {Array<{field: string, oldValue: string|null, newValue: string|null}>} Changed fields
+ */
+function diffRecords({ before = {}, after = {}, listFields = [], exclude = [] }) {
+    const changes = [];
+    for (const field in after) {
+        if (exclude.includes(field)) {
+            continue;
+        }
+        const isList = listFields.includes(field);
+        if (isSameValue(before[field], after[field], { isList })) {
+            continue;
+        }
+        changes.push({
+            field,
+            oldValue: toAuditValue(before[field], { isList }),
+            newValue: toAuditValue(after[field], { isList })
+        });
+    }
+    return changes;
+}
+
+export { auditActions, diffRecords, toAuditValue };
@@ -3,6 +3,7 @@ import EntraIdAuth from './auth/entraAuth.mjs';
 import LdapAuth from './auth/ldapAuth.mjs';
 import crypto from 'crypto';
 import BusinessBase from './business-base.mjs';
+import { resolveTenantSql } from './tenants.mjs';
 import config from "../appConfig.mjs";
 
 const consts = {
@@ -29,9 +30,22 @@ class Auth {
      * Creates an instance of Auth.
      * Initializes SQL queries and authentication methods.
      * @constructor
+     * @param {Object} [options]
+     * @param {Object} [options.sql] - Sql instance to read users and permissions from, defaults to the framework sql
      */
-    constructor() {
-        this.sql = BusinessBase.businessObject.sql;
+    constructor({ sql } = {}) {
+        this.sql = sql || BusinessBase.businessObject.sql;
+    }
+
+    /**
+     * Creates an Auth that reads users and permissions from the database of the tenant of the request or user (see tenants.mjs).
+     * @param {Object} options
+     * @param {Object} [options.req] - Express request
+     * @param {Object} [options.user] - User, when already known
+     * @returns {Promise<Auth>}
+     */
+    static async forTenant({ req, user } = {}) {
+        return new this({ sql: await resolveTenantSql({ framework: BusinessBase.businessObject, user, req }) });
     }
     authMethods = {
         basicAuth: () => new BasicAuth(this),
@@ -1,12 +1,31 @@
 import mssql from 'mssql';
+import { Transform, pipeline } from 'stream';
 import SqlHelper from './sql-helper.mjs';
-import { sqlErrorMapper } from './error-mapper.mjs';
+import { toErrorMessage } from './error-mapper.mjs';
+import { BusinessError, ConcurrencyError, ValidationError, PermissionError } from './errors.mjs';
+import { validators, validateValues } from './validation.mjs';
+import { auditActions, diffRecords } from './audit.mjs';
+import { countModes, pagingModes, cursorDirections, getKeysetKeys, decodeCursor, buildKeysetCondition, getKeysetPage } from './keyset.mjs';
+import { getFacetConfigs, removeFieldFilter, applyFacetLabels } from './facets.mjs';
+import { getRowPolicyFilter, matchesRowFilter } from './row-policies.mjs';
+import { permissionOperations, getEffectivePermissions } from './permissions.mjs';
+import { getFieldAccess, applyFieldAccess } from './field-permissions.mjs';
+import { resolveTenantSql } from './tenants.mjs';
+import frameworkEnums from '../enums.mjs';
+
+const { searchModes } = frameworkEnums;
 
 const enums = {
     startDateTime: '00:00:00',
     endDateTime: '23:59:59.997',
     UniqueKeyErrorCode: 2627,
-    UniqueIndexErrorCode: 2601
+    UniqueIndexErrorCode: 2601,
+    MySqlDuplicateEntryErrorCode: 1062
+}
+
+function isUniqueViolation(err) {
+    const code = err?.number ?? err?.errno ?? err?.originalError?.info?.number;
+    return [enums.UniqueKeyErrorCode, enums.UniqueIndexErrorCode, enums.MySqlDuplicateEntryErrorCode].includes(code);
 }
 
 function appendTime({ date, start = true }) {
@@ -21,7 +40,9 @@ function appendTime({ date, start = true }) {
 
 const RelationshipTypes = {
     OneToMany: "OneToMany",
-    OneToOne: "OneToOne"
+    OneToOne: "OneToOne",
+    ManyToOne: "ManyToOne",
+    ManyToMany: "ManyToMany"
 }
 
 const filterFields = {
@@ -29,16 +50,94 @@ const filterFields = {
     ModifiedByUser: "Modified_"
 }
 
+const filterGroupKeys = ['and', 'or', 'not'];
+
+// compares a posted value with a stored one, e.g. '2' and 2
+const isSameValue = (value, storedValue) => {
+    if (value === undefined || value === null || storedValue === undefined || storedValue === null) {
+        return (value ?? null) === (storedValue ?? null);
+    }
+    return String(value) === String(storedValue);
+};
+
+/**
+ * Returns the column a list filter applies to: Main.<field> unless the list reads from a view,
+ * Created_/Modified_ for the user name columns joined by list().
+ */
+function getFilterFieldName({ field, isDataFromView }) {
+    if (filterFields[field]) {
+        return `${filterFields[field]}.${field}`;
+    }
+    return isDataFromView ? field : `Main.${field}`;
+}
+
+const aggregateFunctions = {
+    sum: (field) => `SUM(${field})`,
+    // * 1.0 avoids integer division for integer columns on SQL Server
+    avg: (field) => `AVG(${field} * 1.0)`,
+    min: (field) => `MIN(${field})`,
+    max: (field) => `MAX(${field})`,
+    count: (field) => `COUNT(${field})`
+};
+
 const OperationMode = {
     load: 'load',
     list: 'list',
     lookupList: 'lookupList',
+    save: 'save',
+    delete: 'delete'
 };
 
 const dateTypeFields = ["date", "dateTime"];
 
+/**
+ * Converts the concurrency value sent back by the client to a value that can be compared with the column.
+ * rowversion/timestamp columns are serialized to JSON as { type: 'Buffer', data: [...] } or sent as a 0x hex string.
+ * Strings are converted to a Date only for date columns, other tokens are compared as sent.
+ */
+function toConcurrencyValue(value, { isDate = false } = {}) {
+    if (value && typeof value === 'object' && value.type === 'Buffer' && Array.isArray(value.data)) {
+        return Buffer.from(value.data);
+    }
+    if (typeof value === 'string') {
+        if (/^0x[0-9a-f]+$/i.test(value)) {
+            return Buffer.from(value.substring(2), 'hex');
+        }
+        if (isDate && !isNaN(Date.parse(value))) {
+            return new Date(value);
+        }
+    }
+    return value;
+}
+
+// columns maintained by save() and the client checks, a version restore never writes them
+const systemColumns = ["IsDeleted", "CreatedByUserId", "CreatedByUser", "CreatedOn", "ModifiedByUserId", "ModifiedByUser", "ModifiedOn", "ClientId"];
+
+/**
+ * Converts a value of a version snapshot back to the type of its column. Snapshots are stored as JSON, which turns
+ * Buffers into { type: 'Buffer', data: [...] } and dates into strings; `current` is the value stored in the column now.
+ */
+function toSnapshotValue(value, current) {
+    if (value && typeof value === 'object' && value.type === 'Buffer' && Array.isArray(value.data)) {
+        return Buffer.from(value.data);
+    }
+    if (typeof value === 'string' && current instanceof Date && !isNaN(Date.parse(value))) {
+        return new Date(value);
+    }
+    return value;
+}
+
+/**
+ * Throws the error of a failed insertUpdate/query result. A result can report success: false without an err.
+ */
+function throwResultError(result) {
+    result.err = result.err || new Error('The statement failed without an error');
+    throw result.err;
+}
+
 const IsDeletedColumn = "IsDeleted";
 
+
 const compareLookups = {
     "contains": function ({ v, type }) {
         return { operator: 'LIKE', value: `%${v}%`, type: type };
@@ -223,6 +322,8 @@ class BusinessBase {
 
     static relationshipTypes = RelationshipTypes;
 
+    static validators = validators;
+
     logger = null;
 
     // tableName - automatically derived from class name
@@ -235,6 +336,59 @@ class BusinessBase {
 
     softDelete = true;
 
+    maxFilterDepth = 10;
+
+    // type of concurrencyField: 'date'/'dateTime' values are compared as dates, others as sent; ModifiedOn defaults to 'dateTime'
+    concurrencyFieldType = null;
+
+    paging = pagingModes.offset;
+
+    countMode = countModes.exact;
+
+    facetLimit = 50;
+
+    // columns searched by the search option of list
+    searchFields = [];
+
+    // full-text index on searchFields: 'contains', 'freetext' or true (contains); LIKE is used when not set
+    fullTextSearch = null;
+
+    maxSearchTerms = 10;
+
+    // derived columns: { FullName: "Main.FirstName + ' ' + Main.LastName", Badge: (record) => ... } (see getComputedFields)
+    computedFields = {};
+
+    // row-level security per operation: [{ name, operations, when, filter, restrictive }] (see row-policies.mjs)
+    rowPolicies = [];
+
+    // module of Auth.getPermissions checked by the router, defaults to the business object name
+    permissionModule = null;
+
+    // operation => PermissionN flag(s), merged over defaultPermissionMap (see permissions.mjs)
+    permissionMap = {};
+
+    // effective permissions { list, export, load, create, update, delete, lookups, module }, set by the router when it enforces permissions
+    permissions = null;
+
+    // permissions of the user returned by Auth.getPermissions, set by the router with `permissions`; the permissions of
+    // related business objects, e.g. included relations, are resolved from them
+    userPermissions = null;
+
+    // field-level security: { Salary: { read: { roles: ['HR'] }, write, mask } } (see field-permissions.mjs)
+    fieldPermissions = {};
+
+    // Sql of the tenant database, set by resolveSql; the shared framework sql is used when not set (see tenants.mjs)
+    sql = null;
+
+    // releases the tenant pool held by resolveSql (see releaseSql)
+    sqlRelease = null;
+
+    // list and lookupList may run on the read replicas of the Sql instance; load and writes use the primary
+    readReplica = true;
+
+    // set when this instance writes a record, its later reads then use the primary to see their own writes
+    hasWritten = false;
+
     parseJson(json, defaultValue = null) {
         if (json === undefined || json === null) {
             return defaultValue;
@@ -254,8 +408,76 @@ class BusinessBase {
         return this.selectStatement || `SELECT ${alias}.* FROM ${tableName} ${alias}`;
     }
 
-    createRequest() {
-        return BusinessBase.businessObject.sql.createRequest(this.logger);
+    /**
+     * Returns the Sql instance of the business object: the tenant database set by resolveSql, otherwise the shared framework sql.
+     * When tenants are configured and resolveSql was not called, the tenant of the user is looked up instead, so that the
+     * queries of a tenant never run on the shared database.
+     * @throws {Error} when the database of the tenant is not connected yet
+     */
+    getSql() {
+        if (this.sql) {
+            return this.sql;
+        }
+        const framework = BusinessBase.businessObject;
+        return framework?.tenants?.getConnectedSql({ user: this.user }) || framework?.sql;
+    }
+
+    /**
+     * Selects the database of the tenant of the user or request (see tenants.mjs) and holds its pool open until releaseSql().
+     * Called by the router before any query runs.
+     * @param {Object} [options]
+     * @param {Object} [options.req] - Express request
+     * @returns {Promise<Object>} The Sql instance
+     */
+    async resolveSql({ req } = {}) {
+        const framework = BusinessBase.businessObject;
+        if (!framework?.tenants) {
+            this.sql = await resolveTenantSql({ framework, user: this.user, req });
+            return this.sql;
+        }
+        const { sql, release } = await framework.tenants.acquire({ user: this.user, req });
+        this.releaseSql();
+        this.sqlRelease = release;
+        this.sql = sql || framework.sql;
+        return this.sql;
+    }
+
+    /**
+     * Releases the tenant pool held by resolveSql, so that maxPools and idleMinutes can close it again.
+     * Called by the router when the response is finished.
+     */
+    releaseSql() {
+        this.sqlRelease?.();
+        this.sqlRelease = null;
+    }
+
+    /**
+     * Holds the tenant pool of the business object open for work that continues after the response, e.g. an export job.
+     * @returns {Function} release
+     */
+    retainSql() {
+        const tenants = BusinessBase.businessObject?.tenants;
+        return tenants && this.sql ? tenants.retain(this.sql) : () => { };
+    }
+
+    /**
+     * Creates a request on the primary, or on a read replica when `replica` is set.
+     */
+    createRequest({ replica = false } = {}) {
+        return this.getSql().createRequest(this.logger, { replica });
+    }
+
+    /**
+     * Whether the queries of a read can run on a read replica. The `replica` option of the call wins; otherwise reads use
+     * replicas unless readReplica is off or this instance wrote a record.
+     * @param {Boolean|String} [replica] - Per-call override
+     * @returns {Boolean}
+     */
+    useReadReplica(replica) {
+        if (replica !== undefined && replica !== null) {
+            return replica === true || replica === 'true';
+        }
+        return this.readReplica && !this.hasWritten;
     }
 
     /**
@@ -263,6 +485,8 @@ class BusinessBase {
      * @param {Object} [options]
      * @param {string} [options.alias="Main"] - The alias to use for table references in the WHERE clause.
      * @param {boolean} [options.isStandard] - When true, apply soft-delete filtering (IsDeleted = 0) if enabled.
+     * @param {boolean} [options.showDeleted] - When true, return only soft deleted records (IsDeleted = 1).
+     * @param {string} [options.operationMode] - Operation whose rowPolicies are applied; sql and request are then required.
      * @returns {Promise<Object>} A WHERE clause object that can be passed to sql.addParameters({ forWhere: true }).
      */
     async createWhere({ alias = "Main", ...options } = {}) {
@@ -270,8 +494,15 @@ class BusinessBase {
         if (this.clientBased && this.user.scopeId) {
             where[`${alias}.ClientId`] = this.user.scopeId;
         }
-        if (options.isStandard && this.softDelete !== false) {
-            where[`${alias}.IsDeleted`] = 0;
+        if (this.softDelete !== false && (options.isStandard || options.showDeleted)) {
+            // showDeleted lists the soft deleted records only (recycle bin)
+            where[`${alias}.IsDeleted`] = options.showDeleted ? 1 : 0;
+        }
+        if (options.operationMode) {
+            const rowPolicy = this.getRowPolicyCondition({ ...options, operation: options.operationMode });
+            if (rowPolicy) {
+                where._rowPolicy = rowPolicy;
+            }
         }
         if (typeof this.customizeWhere === 'function') {
             await this.customizeWhere({ where, alias, ...options });
@@ -285,24 +516,221 @@ class BusinessBase {
      * @returns {Promise<void>} A promise that resolves when the customization is complete.
      */
 
+    /**
+     * Resolves the operations the current user may perform (see getEffectivePermissions in permissions.mjs).
+     * Override to compute the permissions of a business object differently.
+     * @param {Object} options
+     * @param {Array|Object} options.permissions - Permissions of the user returned by Auth.getPermissions
+     * @param {String} options.module - Module used when permissionModule is not set
+     * @returns {Object} { list, export, load, create, update, delete, lookups } booleans and the module permissions as `module`
+     */
+    getEffectivePermissions({ permissions, module }) {
+        return getEffectivePermissions({ permissions, module: this.permissionModule || module, permissionMap: this.permissionMap, user: this.user });
+    }
+
+    /**
+     * Whether the current user may perform an operation. Always true when the router does not enforce permissions.
+     * @param {String} operation - One of permissionOperations
+     * @returns {Boolean}
+     */
+    hasPermission(operation) {
+        return !this.permissions || this.permissions[operation] === true;
+    }
+
+    /**
+     * Returns the fields of fieldPermissions the current user cannot read or write (see getFieldAccess in field-permissions.mjs).
+     * @returns {{hidden: Array<string>, masked: Object, readOnly: Array<string>}}
+     */
+    getFieldAccess() {
+        return getFieldAccess({ fieldPermissions: this.fieldPermissions, user: this.user, permissions: this.permissions });
+    }
+
+    /**
+     * Removes or masks the fields the current user cannot read, in place.
+     * @param {Array<Object>} records
+     * @param {Object} [access] - Result of getFieldAccess
+     * @returns {Array<Object>} records
+     */
+    applyFieldPermissions(records, access = this.getFieldAccess()) {
+        return applyFieldAccess(records, access);
+    }
+
+    /**
+     * Throws a PermissionError (403) when a list filters, sorts, groups, aggregates, searches or facets on a field that the
+     * current user cannot read, as the results would reveal its values. Computed fields whose expression uses such a field
+     * cannot be used either.
+     * @param {Object} options - filter, sort, groupBy, group, aggregates, measures, search and facets options of list()
+     */
+    assertReadableFields({ filter, sort, groupBy, group, aggregates, measures, search, facets }) {
+        const { hidden, masked } = this.getFieldAccess();
+        const restricted = [...hidden, ...Object.keys(masked)];
+        if (!restricted.length) {
+            return;
+        }
+        for (const [name, { expression }] of Object.entries(this.getComputedFields())) {
+            if (expression && restricted.some(field => new RegExp(`\\b${field}\\b`, 'i').test(expression))) {
+                restricted.push(name);
+            }
+        }
+        const fields = [];
+        const collect = (node) => {
+            if (Array.isArray(node)) {
+                node.forEach(collect);
+            } else if (node && typeof node === 'object') {
+                filterGroupKeys.forEach(key => node[key] !== undefined && collect(node[key]));
+                if (node.field) {
+                    fields.push(node.field);
+                }
+            }
+        };
+        collect(filter);
+        for (const list of [sort, groupBy]) {
+            if (list) {
+                fields.push(...(Array.isArray(list) ? list : String(list).split(',')).map(entry => String(entry).trim().split(/\s+/)[0]));
+            }
+        }
+        const drillDown = this.parseJson(group, null);
+        if (drillDown && typeof drillDown === 'object') {
+            fields.push(...Object.keys(drillDown));
+        }
+        fields.push(...this.parseAggregates(aggregates).map(({ field }) => field), ...this.parseAggregates(measures, 'measures').map(({ field }) => field));
+        if (typeof search === 'string' && search.trim()) {
+            fields.push(...(this.searchFields || []));
+        }
+        if (facets) {
+            fields.push(...getFacetConfigs({ facets, defaultLimit: this.facetLimit }).map(({ field }) => field));
+        }
+        const denied = [...new Set(fields.map(field => String(field).replace(/^Main\./i, '')).filter(field => restricted.includes(field)))];
+        if (denied.length) {
+            throw new PermissionError(`You do not have permission to read ${denied.join(', ')}`);
+        }
+    }
+
+    /**
+     * Removes the export columns of fields the current user cannot read. Masked fields are exported masked.
+     * @param {Object|Array} exportColumns - { [key]: { headerName, field, ... } }
+     * @returns {Object|Array} exportColumns
+     */
+    getReadableExportColumns(exportColumns) {
+        const { hidden } = this.getFieldAccess();
+        if (!hidden.length || !exportColumns || typeof exportColumns !== 'object' || Array.isArray(exportColumns)) {
+            return exportColumns;
+        }
+        return Object.fromEntries(Object.entries(exportColumns).filter(([key, column]) => !hidden.includes(column?.field || key)));
+    }
+
+    /**
+     * Returns the rowPolicies filter of an operation for the current user (see getRowPolicyFilter in row-policies.mjs).
+     * @param {String} operation - One of OperationMode
+     * @returns {Object|null|false} Filter tree, null when the rows are not restricted or false when no row is accessible
+     */
+    getRowPolicyFilter(operation) {
+        return getRowPolicyFilter({ policies: this.rowPolicies, operation, user: this.user });
+    }
+
+    /**
+     * Converts the rowPolicies filter of an operation to a where descriptor bound to request.
+     * @param {Object} options
+     * @param {String} options.operation - One of OperationMode
+     * @param {Object} options.sql - Sql instance
+     * @param {Object} options.request - Request the parameters are bound to
+     * @param {Boolean} [options.isDataFromView] - Whether the query reads from a view (fields are not prefixed with Main.)
+     * @returns {Object|null} { statement } or null when the rows are not restricted
+     */
+    getRowPolicyCondition({ operation, sql, request, isDataFromView }) {
+        const filter = this.getRowPolicyFilter(operation);
+        if (filter === null) {
+            return null;
+        }
+        if (filter === false) {
+            return { statement: '1 = 0' };
+        }
+        if (!request) {
+            throw new Error(`${this.getTableName()} has row policies for ${operation}, so createWhere requires the request`);
+        }
+        sql = sql || this.getSql();
+        const statement = sql.buildFilterTree({ request, filter: this.toSqlFilter({ filter, isDataFromView, sql, request, relatedPrefix: '_policyRelated' }), paramPrefix: '_policy' });
+        return statement ? { statement } : null;
+    }
+
+    /**
+     * Throws a PermissionError (403) when the rowPolicies of an operation do not allow access to a record.
+     * The stored record (when id is given) must belong to the client of the user and match the policies,
+     * and so must the record with the new values applied.
+     * @param {Object} options
+     * @param {String} options.operation - OperationMode.load, OperationMode.save or OperationMode.delete
+     * @param {Number|String} [options.id] - Id of an existing record
+     * @param {Object} [options.values] - Values that are written
+     * @param {String} [options.keyField] - Column the id is matched on, e.g. the updateKeyField of a save
+     * @param {Object} [options.sql] - sql instance to use, e.g. a transaction scope
+     */
+    async assertRowPolicy({ operation, id, values, keyField = this.keyField, sql = this.getSql() }) {
+        const filter = this.getRowPolicyFilter(operation);
+        const { clientBased, user = {} } = this;
+        const scopeId = clientBased ? user.scopeId : undefined;
+        if (filter === null && !(id && scopeId)) {
+            return;
+        }
+        const tableName = this.getTableName();
+        const message = id ? `You do not have permission to ${operation} ${tableName} ${id}` : `You do not have permission to ${operation} ${tableName}`;
+        if (filter === false) {
+            throw new PermissionError(message);
+        }
+        let record = {};
+        if (id) {
+            const request = sql.createRequest(this.logger);
+            const where = { [`Main.${keyField}`]: id };
+            if (scopeId) {
+                where['Main.ClientId'] = scopeId;
+            }
+            if (filter !== null) {
+                where._rowPolicy = this.getRowPolicyCondition({ operation, sql, request });
+            }
+            const query = sql.addParameters({ query: `SELECT Main.* FROM ${tableName} Main`, request, parameters: where, forWhere: true });
+            const result = await request.query(query);
+            if (!result.recordset?.length) {
+                throw new PermissionError(message);
+            }
+            record = result.recordset[0];
+        }
+        if (values && filter !== null && !matchesRowFilter({ ...record, ...values }, filter)) {
+            throw new PermissionError(message);
+        }
+    }
+
     pluralize(str) {
         return str + 's';
     }
 
-    async load({ id, relations }) {
+    /**
+     * Loads a record. OneToMany relations are returned as comma-joined id strings unless they are included:
+     * include = ['Orders', 'Orders.Lines'] loads the related records as nested objects (see loadIncludes).
+     * Runs on the primary, so that a record is read right after it is saved; replica = true reads from a read replica.
+     * With raw = true the stored row is read from the table itself (no view, display fields, computed fields or masking),
+     * as audit and versioning compare it with the saved values; pass the transaction as sql to read it inside the save.
+     */
+    async load({ id, relations, include, replica = false }, { sql: scopeSql, raw = false } = {}) {
         //added this to override clientBased in case of reports where client filtering is not required
-        if (this.beforeLoad) {
+        if (this.beforeLoad && !raw) {
             await this.beforeLoad({ id });
         }
         const { relations: definedRelations = [], keyField, multiSelectColumns = {} } = this;
 
-        let query = this.getSelectStatement();
+        const manyToOne = raw ? { joins: '', columns: [] } : this.getManyToOneJoins();
+        let query = raw ? `SELECT Main.* FROM ${this.getTableName()} Main` : this.getSelectStatement() + manyToOne.joins;
+        const computedColumns = raw ? [] : Object.entries(this.getComputedFields()).filter(([, { expression }]) => expression).map(([name, { expression }]) => `(${expression}) AS ${name}`);
+        const additionalColumns = [...manyToOne.columns, ...computedColumns];
+        if (additionalColumns.length) {
+            query = query.replace(/ from /i, `, ${additionalColumns.join(', ')} FROM `);
+        }
 
-        const where = await this.createWhere({ isStandard: this.standardTable, operationMode: OperationMode.load });
-        where[keyField] = id;
-        const request = this.createRequest();
+        const useReplica = !scopeSql && this.useReadReplica(replica);
+        const request = scopeSql ? scopeSql.createRequest(this.logger) : this.createRequest({ replica: useReplica });
+        const sql = scopeSql || this.getSql();
 
-        const sql = BusinessBase.businessObject.sql;
+        const where = await this.createWhere({ isStandard: this.standardTable, operationMode: OperationMode.load, sql, request });
+        // the joined tables may have a column with the same name
+        where[manyToOne.joins || raw ? `Main.${keyField}` : keyField] = id;
 
         query = sql.addParameters({ query, request, parameters: where, forWhere: true });
 
@@ -330,6 +758,16 @@ class BusinessBase {
                     query += this.getRelationAdditionalQuery({ sql, request, relationWhere });
                     query += ';';
                 }
+                if (relationType === RelationshipTypes.ManyToMany) {
+                    const { junctionTable, field, payload } = this.getManyToManyConfig({ relation: relationName, type: relationType, foreignTable, ...others });
+                    childQueries.push({ relationName, manyToMany: true });
+                    query += `\r\nSELECT ${[field, ...payload].map(column => `[${column}]`).join(', ')} FROM [${junctionTable}] WHERE [${keyField}] = @${keyField}`;
+                    if (this.softDelete !== false) {
+                        query += ` AND IsDeleted = 0`;
+                    }
+                    query += this.getRelationAdditionalQuery({ sql, request, relationWhere });
+                    query += ';';
+                }
             }
         }
 
@@ -341,6 +779,10 @@ class BusinessBase {
             const childQuery = childQueries[i];
             const childResult = result.recordsets[i + 1];
             const propName = this.pluralize(childQuery.relationName);
+            if (childQuery.manyToMany) {
+                data[propName] = childResult || [];
+                continue;
+            }
             data[propName] = childResult ? childResult.map(entry => entry.ForeignId).join(",") : "";
         }
 
@@ -384,36 +826,248 @@ class BusinessBase {
             });
         }
 
+        if (result.recordset[0] && !raw) {
+            if (include) {
+                await this.loadIncludes({ records: [data], include, replica: useReplica });
+            }
+            this.applyComputedFields([data], { operationMode: OperationMode.load });
+            this.applyFieldPermissions([data]);
+        }
+
         return data;
     }
 
+    /**
+     * Normalizes the include option of load/list to a tree of relation names.
+     * Accepts "Orders, Orders.Lines", ['Orders', { relation: 'Orders.Lines', columns: ['LineId', 'Amount'] }]
+     * or { Orders: { columns: ['OrderId', 'Total'], include: ['Lines'] } }.
+     * @returns {Object} { [relationName]: { columns: Array<string>|undefined, include: Object } }
+     */
+    parseInclude(include) {
+        if (typeof include === 'string' && !/^\s*[[{]/.test(include)) {
+            include = include.split(',').map(entry => entry.trim()).filter(entry => entry.length);
+        }
+        include = this.parseJson(include, []);
+        if (!include || typeof include !== 'object') {
+            throw new BusinessError('Invalid include: expected a list of relations');
+        }
+        const entries = Array.isArray(include) ? include : Object.entries(include).map(([relation, config]) => ({ ...(typeof config === 'object' ? config : {}), relation }));
+        const tree = {};
+        for (const entry of entries) {
+            const { relation: path, columns, include: childInclude } = typeof entry === 'string' ? { relation: entry } : (entry || {});
+            if (typeof path !== 'string') {
+                throw new BusinessError('Invalid include: every entry requires a relation');
+            }
+            let node = { include: tree };
+            for (const name of path.split('.')) {
+                if (!SqlHelper.isValidFieldName(name)) {
+                    throw new BusinessError(`Invalid include relation ${path}`);
+                }
+                node = node.include[name] = node.include[name] || { include: {} };
+            }
+            if (columns) {
+                node.columns = typeof columns === 'string' ? columns.split(',').map(column => column.trim()) : columns;
+                if (!Array.isArray(node.columns) || !node.columns.every(column => typeof column === 'string' && SqlHelper.isValidFieldName(column))) {
+                    throw new BusinessError(`Invalid include columns for ${path}`);
+                }
+            }
+            if (childInclude) {
+                Object.assign(node.include, this.parseInclude(childInclude));
+            }
+        }
+        return tree;
+    }
+
+    /**
+     * Loads included relations of records: one list() of the child business object per relation, matched on the
+     * parent keys with an IN (TVP) filter, so the child's createWhere/customizeWhere scoping applies. Soft deleted
+     * children and the relation where are excluded. OneToMany relations are set as arrays on the pluralized name,
+     * OneToOne relations as an object or null on the relation name. Nested includes are loaded by the child.
+     * @param {Object} options
+     * @param {Array<Object>} options.records - Records of this business object
+     * @param {String|Array|Object} options.include - See parseInclude
+     * @param {Boolean} [options.replica] - Whether the child lists run on a read replica, like the read of the records
+     * @returns {Promise<Array<Object>>} records
+     * @throws {PermissionError} 403 when permissions are enforced and the user cannot list the business object of a relation
+     */
+    async loadIncludes({ records, include, replica }) {
+        const { keyField, relations = [] } = this;
+        for (const [name, { columns, include: childInclude }] of Object.entries(this.parseInclude(include))) {
+            const relation = relations.find(({ relation: relationName }) => relationName === name || this.pluralize(relationName) === name);
+            if (!relation) {
+                throw new BusinessError(`Unknown relation ${name}`);
+            }
+            if (![RelationshipTypes.OneToMany, RelationshipTypes.OneToOne].includes(relation.type)) {
+                throw new BusinessError(`${relation.type} relation ${name} cannot be included`);
+            }
+            const ChildType = classMap.get(relation.foreignTable);
+            if (!ChildType) {
+                throw new Error(`Business Object for relation ${relation.relation} not found`);
+            }
+            const child = new ChildType();
+            child.user = this.user;
+            child.logger = this.logger;
+            child.sql = this.sql;
+            if (this.permissions) {
+                // the child is read with the permissions of its own module, so its list permission and fieldPermissions apply
+                child.userPermissions = this.userPermissions;
+                child.permissions = child.getEffectivePermissions({ permissions: this.userPermissions, module: relation.foreignTable });
+                if (!child.hasPermission(permissionOperations.list)) {
+                    throw new PermissionError(`You do not have permission to list ${relation.foreignTable}`);
+                }
+            }
+            // the child rows hold the key of this business object
+            const foreignKey = relation.foreignKey || keyField;
+            const ids = [...new Set(records.map(record => record[keyField]).filter(id => id !== undefined && id !== null))];
+            const byParent = new Map();
+            if (ids.length) {
+                const filter = [{ field: foreignKey, operator: 'isAnyOf', value: ids }];
+                if (child.softDelete !== false) {
+                    filter.push({ field: 'IsDeleted', operator: '=', value: 0 });
+                }
+                for (const [field, condition] of Object.entries(relation.where || {})) {
+                    filter.push({ field, operator: condition.operator || '=', value: condition.value });
+                }
+                const { records: childRecords } = await child.list({ filter, limit: 0, returnCount: false, replica });
+                if (Object.keys(childInclude).length) {
+                    await child.loadIncludes({ records: childRecords, include: childInclude, replica });
+                }
+                for (const childRecord of childRecords) {
+                    const parentId = String(childRecord[foreignKey]);
+                    const selected = columns ? Object.fromEntries([...columns, ...Object.keys(childInclude)].map(column => [column, childRecord[column]])) : childRecord;
+                    byParent.set(parentId, [...(byParent.get(parentId) || []), selected]);
+                }
+            }
+            const isOneToMany = relation.type === RelationshipTypes.OneToMany;
+            const propName = isOneToMany ? this.pluralize(relation.relation) : relation.relation;
+            for (const record of records) {
+                const children = byParent.get(String(record[keyField])) || [];
+                record[propName] = isOneToMany ? children : (children[0] || null);
+            }
+        }
+        return records;
+    }
+
     async save(options) {
+        const context = await this.prepareSave(options);
+        const { multiSelectValues } = context;
+        const sql = this.getSql();
+
+        // The parent row, relation rows, multi-select rows and the afterSave hook are written as one unit.
+        // SQL errors from the parent row or multi-select rows are returned in result.err, anything else is re-thrown.
+        let result;
+        try {
+            await sql.transaction(async (tx) => {
+                result = await this.writeRecord({ sql: tx, context });
+                if (!result.success) {
+                    throwResultError(result);
+                }
+
+                try {
+                    if (Object.keys(multiSelectValues).length) {
+                        await this.saveMultiSelectValues({ sql: tx, context });
+                    }
+                } catch (err) {
+                    result = { ...result, success: false, err };
+                    throw err;
+                }
+
+                await this.completeSave({ sql: tx, context, result });
+            }, { logger: this.logger });
+        } catch (err) {
+            if (!result || result.err !== err) {
+                throw err;
+            }
+            // afterSave runs for failed saves too, after the rollback and with the failed result
+            if (this.afterSave) {
+                await this.afterSave({ ...context.methodParams, result, sql, request: sql.createRequest(this.logger) });
+            }
+        }
+
+        if (result.err) {
+            result.err = toErrorMessage(result.err);
+        }
+        return result;
+    }
+
+    /**
+     * Runs the part of save() that does not write to the database: the beforeSave hook, validation, read-only column
+     * removal, audit fields, client checks and row policies. Returns the context used by writeRecord() and completeSave().
+     * @param {Object} options - Options passed to save()
+     * @param {Object} [scope]
+     * @param {Object} [scope.sql] - sql instance the stored record and unique values are read with, e.g. a transaction scope
+     * @returns {Promise<Object>} Save context
+     * @throws {PermissionError} 403 when the record belongs to another client or the rowPolicies do not allow the save
+     * @throws {BusinessError} 428 when concurrencyField is set and an update does not send the loaded version
+     */
+    async prepareSave(options, { sql = this.getSql() } = {}) {
         let { id, relations, relationsObject, ...values } = options;
         const methodParams = { id, relationsObject, relations, values };
         if (this.beforeSave) {
             await this.beforeSave(methodParams);
         }
-        const { relations: definedRelations = [], isStandard = true, readOnlyColumns = [], user, clientBased, updateKeyField, multiSelectColumns = {} } = this;
+        const isUpdate = id ? parseInt(id) !== 0 : false;
+        if (this.validation) {
+            const errors = await this.validate({ id, values, isUpdate, sql });
+            if (errors.length) {
+                throw new ValidationError(errors);
+            }
+        }
+        const { relations: definedRelations = [], isStandard = true, readOnlyColumns = [], user, clientBased, updateKeyField, multiSelectColumns = {}, concurrencyField, concurrencyFieldType } = this;
+        const audit = this.getAuditConfig();
+        const versioning = this.getVersioningConfig();
         let { keyField } = this;
         if (updateKeyField) {
             keyField = updateKeyField;
         }
         const tableName = this.getTableName();
-        const isUpdate = id ? parseInt(id) !== 0 : false;
-        const sql = BusinessBase.businessObject.sql;
         const clientId = user.scopeId;
 
         // todo: Client check
 
+        // Optimistic concurrency - the version the client loaded must still match when updating
+        let concurrencyWhere;
+        if (concurrencyField) {
+            const isDate = dateTypeFields.includes(concurrencyFieldType || (concurrencyField === 'ModifiedOn' ? 'dateTime' : null));
+            const concurrencyValue = toConcurrencyValue(values[concurrencyField], { isDate });
+            if (isUpdate) {
+                // without the loaded version the update would silently overwrite changes made by others
+                if (concurrencyValue === undefined || concurrencyValue === null) {
+                    throw new BusinessError(`${concurrencyField} is required to update ${this.getTableName()} ${id}`, { statusCode: 428, details: { id } });
+                }
+                concurrencyWhere = { _concurrency: { fieldName: concurrencyField, value: concurrencyValue } };
+            }
+            delete values[concurrencyField];
+        }
+
+        // fields the user cannot read are rejected, unless they are sent back with their constant mask;
+        // fields the user can read but not write are ignored like readOnlyColumns
+        const fieldAccess = this.getFieldAccess();
+        const { masked } = fieldAccess;
+        const protectedFields = [...fieldAccess.hidden, ...Object.keys(masked)].filter(field => field in values && !(typeof masked[field] === 'string' && values[field] === masked[field]));
+        if (protectedFields.length) {
+            throw new PermissionError(`You do not have permission to change ${protectedFields.join(', ')}`);
+        }
+        fieldAccess.readOnly.forEach(field => delete values[field]);
+
+        // computed fields and ManyToOne display fields are derived when the record is read and have no column
+        const columnsToRemove = [...readOnlyColumns, ...Object.keys(this.getComputedFields()), ...this.getManyToOneJoins().fields];
         if (isStandard) {
-            readOnlyColumns.push("IsDeleted", "CreatedByUserId", "CreatedByUser", "ModifiedByUserId", "ModifiedByUser", "CreatedOn", "ModifiedOn");
+            columnsToRemove.push("IsDeleted", "CreatedByUserId", "CreatedByUser", "ModifiedByUserId", "ModifiedByUser", "CreatedOn", "ModifiedOn");
         }
 
         // todo: Delete with case-insensitivity
-        for (const colName of readOnlyColumns) {
+        for (const colName of columnsToRemove) {
             delete values[colName];
         }
 
+        // Audit and versioning - the values as sent (including relation ids and multi-select values) are compared with
+        // the stored record, which writeRecord reads inside the transaction, and merged into it for the version snapshot
+        let savedValues;
+        if (audit || versioning) {
+            savedValues = { ...values };
+        }
+
         const multiSelectValues = {};
         Object.keys(multiSelectColumns).forEach(colName => {
             if (![undefined, null].includes(values[colName])) {
@@ -443,7 +1097,7 @@ class BusinessBase {
         if (clientBased && clientId) {
             if (isUpdate) {
                 if (values.ClientId !== clientId) {
-                    throw new Error("Security violation");
+                    throw new PermissionError(`${tableName} ${id} belongs to another client`);
                 }
                 delete values.ClientId;
             } else {
@@ -451,136 +1105,383 @@ class BusinessBase {
             }
         }
 
+        // the stored record must belong to the client, and row policies apply to it and to the record as it is saved
+        await this.assertRowPolicy({ operation: OperationMode.save, id: isUpdate ? id : undefined, values, keyField, sql });
+
         const requestValues = { ...values };
 
         if (relations !== false) {
             for (const { relation: relationName, type: relationType } of definedRelations) {
-                if (relationType === RelationshipTypes.OneToMany) {
+                if (relationType === RelationshipTypes.OneToMany || relationType === RelationshipTypes.ManyToMany) {
                     const propertyName = this.pluralize(relationName);
                     delete requestValues[propertyName];
                 }
             }
         }
 
-        const result = await sql.insertUpdate({ tableName, keyField, id, json: requestValues, update: isUpdate, logger: this.logger });
+        return { id, isUpdate, tableName, keyField, relations, relationsObject, methodParams, values, requestValues, multiSelectValues, concurrencyWhere, savedValues };
+    }
 
-        if (this.afterSave) {
-            await this.afterSave(methodParams);
+    /**
+     * Inserts or updates the parent row of a prepared save and applies the optimistic concurrency check.
+     * For inserts the new id is set on the context.
+     * @returns {Promise<Object>} Result of sql.insertUpdate
+     */
+    async writeRecord({ sql, context }) {
+        const { tableName, keyField, id, isUpdate, relations, requestValues, concurrencyWhere, savedValues } = context;
+        this.hasWritten = true;
+        if (isUpdate && savedValues) {
+            context.previousValues = await this.load({ id, relations }, { sql, raw: true });
+        }
+        const result = await sql.insertUpdate({ tableName, keyField, id, json: requestValues, update: isUpdate, where: concurrencyWhere, logger: this.logger });
+        if (!result.success) {
+            return result;
+        }
+        if (concurrencyWhere && sql.getRowsAffected(result) === 0) {
+            throw new ConcurrencyError(undefined, { details: { id } });
         }
+        if (!isUpdate) {
+            this.setSavedId({ context, id: result.data[0].Id });
+        }
+        return result;
+    }
 
-        if (result.success) {
-            if (!isUpdate) {
-                id = result.data[0].Id;
-            }
+    setSavedId({ context, id }) {
+        context.id = id;
+        context.methodParams.id = id;
+    }
 
-            try {
-                if (Object.keys(multiSelectValues).length) {
-                    await BusinessBase.handleMultiSelectValues({
-                        multiSelectValues,
-                        multiSelectColumns,
-                        getTableName: this.getTableName.bind(this),
-                        keyField,
-                        id,
-                        user,
-                        sql,
-                        isUpdate,
-                        softDelete: this.softDelete
-                    });
-                }
-            }
-            catch (err) {
-                if (!isUpdate && [enums.UniqueKeyErrorCode, enums.UniqueIndexErrorCode].includes(err.number)) { // for Unique Key voilation
-                    // Deleting the referenced records
-                    const deleteQueries = Object.keys(multiSelectValues).map(colName => {
-                        const config = multiSelectColumns[colName] || {};
-                        const tableName = config.table || `${this.getTableName()}${colName}`;
-                        return `DELETE from ${tableName} WHERE ${keyField} = ${id}`;
-                    });
-                    if (deleteQueries.length) {
-                        await sql.query(deleteQueries.join(';'));
-                    }
-                    // Deleting the parent record
-                    await sql.query(`DELETE from  ${tableName} WHERE ${keyField} = ${id}`);
-                }
-                result.err = err;
-                result.success = false;
-            }
-
-            if (relations !== false) {
-                for (const { relation: relationName, type: relationType, foreignTable, where: relationWhere, ...others } of definedRelations) {
-                    if (relationType === RelationshipTypes.OneToMany) {
-                        const propertyName = this.pluralize(relationName);
-                        const value = (values[propertyName] || "").trim();
-                        const relatedValuesTemp = value.length ? value.split(",").map(v => parseInt(v)).filter(v => v !== 0 && v > 0 && !isNaN(v)) : [];
-                        const relatedValues = [...new Set(relatedValuesTemp)];
-                        delete values[propertyName];
-
-                        let { field } = others;
-                        const { table: relationTable = relationName } = others;
-                        if (!field) {
-                            const boType = classMap.get(foreignTable) || relationsObject[foreignTable];
-                            if (!boType) {
-                                throw new Error(`Business Object for relation ${relationName} not found`);
-                            }
-                            field = new boType().keyField;
-                        }
+    async saveMultiSelectValues({ sql, context }) {
+        const { multiSelectValues, keyField, id, isUpdate } = context;
+        await BusinessBase.handleMultiSelectValues({
+            multiSelectValues,
+            multiSelectColumns: this.multiSelectColumns,
+            getTableName: this.getTableName.bind(this),
+            keyField,
+            id,
+            user: this.user,
+            sql,
+            isUpdate,
+            softDelete: this.softDelete
+        });
+    }
 
-                        const request = sql.createRequest();
-                        let query = "";
-                        sql.addParameters({ request, parameters: { KeyField: id, selected: relatedValues.join(','), UserId: user.id } })
+    /**
+     * Writes everything that follows the parent row of a save: relations, audit, version and the afterSave hook.
+     */
+    async completeSave({ sql, context, result }) {
+        const { id, keyField, isUpdate, relations, relationsObject, methodParams, values, savedValues, previousValues } = context;
+        const { relations: definedRelations = [], user } = this;
+        const audit = this.getAuditConfig();
 
-                        const insertFields = [keyField, field];
-                        const insertValues = ["@keyField AS KeyField", "value"];
+        if (relations !== false) {
+            await this.saveRelations({ sql, id, keyField, values, user, definedRelations, relationsObject });
+        }
 
-                        const additionalQuery = this.getRelationAdditionalQuery({ sql, request, relationWhere, insertFields, insertValues });
+        if (audit) {
+            await this.writeAudit({
+                sql,
+                id,
+                action: isUpdate ? auditActions.update : auditActions.insert,
+                changes: diffRecords({ before: previousValues, after: savedValues, listFields: this.getAuditListFields({ relations }), exclude: [keyField, ...audit.exclude] })
+            });
+        }
 
-                        if (this.softDelete !== false) {
-                            query += `UPDATE [${relationTable}] SET [IsDeleted] = 1, ModifiedByUserId = @UserId, ModifiedOn = GETUTCDATE() WHERE IsDeleted = 0 AND [${keyField}] = @KeyField  ${additionalQuery}`
-                            if (relatedValues.length > 0) {
-                                query += ` AND ${field} NOT IN (SELECT [value] FROM string_split(@selected, ','));`;
-                            }
-                            if (relatedValues.length) {
-                                query += `\r\nINSERT INTO [${relationTable}] (${insertFields.join(",")}, CreatedByUserId, ModifiedByUserId) SELECT ${insertValues.join(",")}, @UserId CreatedByUserId, @UserId ModifiedByUserId FROM string_split(@selected, ',') SelectedValues WHERE NOT EXISTS(SELECT 1 FROM [${relationTable}] WHERE [IsDeleted] = 0 AND  [${keyField}] = @KeyField AND ${field}=SelectedValues.value ${additionalQuery})`;
-                            }
-                        } else {
-                            query += `UPDATE [${relationTable}] SET ModifiedByUserId = @UserId, ModifiedOn = GETUTCDATE() WHERE [${keyField}] = @KeyField  ${additionalQuery}`;
-                            if (relatedValues.length > 0) {
-                                query += ` AND ${field} NOT IN (SELECT [value] FROM string_split(@selected, ','));`;
-                            }
-                            if (relatedValues.length) {
-                                query += `\r\nINSERT INTO [${relationTable}] (${insertFields.join(",")}, CreatedByUserId, ModifiedByUserId) SELECT ${insertValues.join(",")}, @UserId CreatedByUserId, @UserId ModifiedByUserId FROM string_split(@selected, ',') SelectedValues WHERE NOT EXISTS(SELECT 1 FROM [${relationTable}] WHERE [${keyField}] = @KeyField AND ${field}=SelectedValues.value ${additionalQuery})`;
-                            }
-                        }
-                        // todo: handle if an error happens here
-                        await request.query(query);
-                    }
-                }
-            }
+        if (this.getVersioningConfig()) {
+            await this.writeVersion({ sql, id, snapshot: { ...previousValues, ...savedValues, [keyField]: id } });
         }
 
-        if (result.err) {
-            let message = result.err.message || result.err;
-            if (typeof message === 'string') {
-                message = sqlErrorMapper.map(message);
-            } else {
-                message = "Unknown error";
-            }
-            result.err = message;
+        if (this.afterSave) {
+            await this.afterSave({ ...methodParams, result, sql, request: sql.createRequest(this.logger) });
         }
-        return result;
     }
 
-    getRelationAdditionalQuery({ sql, request, relationWhere, insertFields = [], insertValues = [] }) {
-        let additionalQuery = '';
-        // todo: client Id query
-        if (relationWhere) {
-            const additionalParameters = {};
-            const additionalParams = [];
-            for (const key in relationWhere) {
-                const paramName = `_rel_${key}_` + Object.keys(request.parameters).length;
-                additionalParameters[paramName] = { fieldName: key, value: relationWhere[key] };
-                additionalParams.push(`${key} = @${paramName}`);
-                insertFields.push(key);
+    /**
+     * Validates values against the `validation` schema of the business object.
+     * @param {Object} options
+     * @param {Number|String} [options.id] - Id of the record being saved
+     * @param {Object} options.values - Values being saved
+     * @param {Boolean} [options.isUpdate] - When true, only the fields present in values are validated
+     * @param {Object} [options.sql] - sql instance the rules read with, passed on to the `unique` rule
+     * @returns {Promise<Array<{field: string, rule: string, message: string}>>} List of validation errors
+     */
+    async validate({ id, values, isUpdate = false, sql }) {
+        return validateValues({
+            schema: this.validation,
+            values,
+            isUpdate,
+            rules: BusinessBase.validators,
+            context: { id, user: this.user, businessObject: this, sql }
+        });
+    }
+
+    /**
+     * Checks that no other active record in the table (within the current client) has the same value for the field.
+     * Used by the `unique` validation rule.
+     */
+    async isUnique({ field, value, id }, { sql = this.getSql() } = {}) {
+        const { keyField } = this;
+        SqlHelper.validateAndSanitizeFieldName(field);
+        const where = await this.createWhere({ isStandard: this.standardTable });
+        where[`Main.${field}`] = value;
+        if (id && parseInt(id) !== 0) {
+            where[`Main.${keyField}`] = { operator: '!=', value: id };
+        }
+        const data = await sql.query(`SELECT COUNT(1) AS Total FROM ${this.getTableName()} Main`, { where, logger: this.logger });
+        return !data[0]?.Total;
+    }
+
+    /**
+     * Synchronizes OneToMany relation rows for a saved record. Runs on the transaction scoped sql instance passed by save().
+     */
+    async saveRelations({ sql, id, keyField, values, user, definedRelations, relationsObject = {} }) {
+        for (const { relation: relationName, type: relationType, foreignTable, where: relationWhere, ...others } of definedRelations) {
+            if (relationType === RelationshipTypes.ManyToMany) {
+                const propertyName = this.pluralize(relationName);
+                const rows = values[propertyName];
+                delete values[propertyName];
+                // relations that are not sent are left unchanged
+                if (rows !== undefined) {
+                    await this.saveManyToMany({ sql, id, keyField, user, rows, relation: { relation: relationName, type: relationType, foreignTable, where: relationWhere, ...others }, relationsObject });
+                }
+                continue;
+            }
+            if (relationType === RelationshipTypes.OneToMany) {
+                const propertyName = this.pluralize(relationName);
+                const value = (values[propertyName] || "").trim();
+                const relatedValuesTemp = value.length ? value.split(",").map(v => parseInt(v)).filter(v => v !== 0 && v > 0 && !isNaN(v)) : [];
+                const relatedValues = [...new Set(relatedValuesTemp)];
+                delete values[propertyName];
+
+                let { field } = others;
+                const { table: relationTable = relationName } = others;
+                if (!field) {
+                    const boType = classMap.get(foreignTable) || relationsObject[foreignTable];
+                    if (!boType) {
+                        throw new Error(`Business Object for relation ${relationName} not found`);
+                    }
+                    field = new boType().keyField;
+                }
+
+                const request = sql.createRequest(this.logger);
+                let query = "";
+                sql.addParameters({ request, parameters: { KeyField: id, selected: relatedValues.join(','), UserId: user.id } })
+
+                const insertFields = [keyField, field];
+                const insertValues = ["@keyField AS KeyField", "value"];
+
+                const additionalQuery = this.getRelationAdditionalQuery({ sql, request, relationWhere, insertFields, insertValues });
+
+                if (this.softDelete !== false) {
+                    query += `UPDATE [${relationTable}] SET [IsDeleted] = 1, ModifiedByUserId = @UserId, ModifiedOn = GETUTCDATE() WHERE IsDeleted = 0 AND [${keyField}] = @KeyField  ${additionalQuery}`
+                    if (relatedValues.length > 0) {
+                        query += ` AND ${field} NOT IN (SELECT [value] FROM string_split(@selected, ','));`;
+                    }
+                    if (relatedValues.length) {
+                        query += `\r\nINSERT INTO [${relationTable}] (${insertFields.join(",")}, CreatedByUserId, ModifiedByUserId) SELECT ${insertValues.join(",")}, @UserId CreatedByUserId, @UserId ModifiedByUserId FROM string_split(@selected, ',') SelectedValues WHERE NOT EXISTS(SELECT 1 FROM [${relationTable}] WHERE [IsDeleted] = 0 AND  [${keyField}] = @KeyField AND ${field}=SelectedValues.value ${additionalQuery})`;
+                    }
+                } else {
+                    query += `UPDATE [${relationTable}] SET ModifiedByUserId = @UserId, ModifiedOn = GETUTCDATE() WHERE [${keyField}] = @KeyField  ${additionalQuery}`;
+                    if (relatedValues.length > 0) {
+                        query += ` AND ${field} NOT IN (SELECT [value] FROM string_split(@selected, ','));`;
+                    }
+                    if (relatedValues.length) {
+                        query += `\r\nINSERT INTO [${relationTable}] (${insertFields.join(",")}, CreatedByUserId, ModifiedByUserId) SELECT ${insertValues.join(",")}, @UserId CreatedByUserId, @UserId ModifiedByUserId FROM string_split(@selected, ',') SelectedValues WHERE NOT EXISTS(SELECT 1 FROM [${relationTable}] WHERE [${keyField}] = @KeyField AND ${field}=SelectedValues.value ${additionalQuery})`;
+                    }
+                }
+                await request.query(query);
+            }
+        }
+    }
+
+    /**
+     * Returns the business object of the related records of a relation, or null when foreignTable is not registered.
+     */
+    getRelatedBusinessObject({ foreignTable }, relationsObject = {}) {
+        const RelatedType = foreignTable ? classMap.get(foreignTable) || relationsObject[foreignTable] : null;
+        return RelatedType ? new RelatedType() : null;
+    }
+
+    /**
+     * Normalizes a ManyToOne relation: this table holds foreignKey, which references field of the related table.
+     * displayFields (['CustomerName'] or { alias: column }) are joined into list and load.
+     * @returns {{table: string, field: string, foreignKey: string, displayFields: Object}}
+     */
+    getManyToOneConfig(relation) {
+        const related = relation.table && relation.field ? null : this.getRelatedBusinessObject(relation);
+        const table = relation.table || related?.getTableName() || relation.relation;
+        const field = relation.field || related?.keyField || `${relation.relation}Id`;
+        const foreignKey = relation.foreignKey || field;
+        const displayFields = Array.isArray(relation.displayFields) ? Object.fromEntries(relation.displayFields.map(column => [column, column])) : (relation.displayFields || {});
+        for (const name of [table, field, foreignKey, ...Object.entries(displayFields).flat()]) {
+            SqlHelper.validateAndSanitizeFieldName(name);
+        }
+        return { table, field, foreignKey, displayFields };
+    }
+
+    /**
+     * Builds the joins and columns of the ManyToOne relations. The related table is joined with the relation name as
+     * alias, so its columns can be filtered and sorted as Relation.Column.
+     * @returns {{joins: string, columns: Array<string>, fields: Array<string>}} fields are the projected column names
+     */
+    getManyToOneJoins() {
+        const result = { joins: '', columns: [], fields: [] };
+        for (const relation of this.relations || []) {
+            if (relation.type !== RelationshipTypes.ManyToOne) {
+                continue;
+            }
+            const { table, field, foreignKey, displayFields } = this.getManyToOneConfig(relation);
+            const alias = relation.relation;
+            result.joins += `\r\n LEFT OUTER JOIN [${table}] [${alias}] ON [${alias}].[${field}] = Main.[${foreignKey}]`;
+            for (const [name, column] of Object.entries(displayFields)) {
+                result.columns.push(`[${alias}].[${column}] AS ${name}`);
+                result.fields.push(name);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Normalizes a ManyToMany relation: junctionTable holds the key of this table, field (the key of the related table)
+     * and the payload columns; targetTable/targetKey identify the related table for filters.
+     * @returns {{junctionTable: string, field: string, payload: Array<string>, targetTable: string, targetKey: string}}
+     */
+    getManyToManyConfig(relation, relationsObject) {
+        const related = relation.table && relation.field && relation.targetTable ? null : this.getRelatedBusinessObject(relation, relationsObject);
+        const junctionTable = relation.table || `${this.getTableName()}${relation.relation}`;
+        const field = relation.field || related?.keyField || `${relation.relation}Id`;
+        const targetTable = relation.targetTable || related?.getTableName() || relation.relation;
+        const targetKey = relation.targetKey || field;
+        const payload = relation.payload || [];
+        for (const name of [junctionTable, field, targetTable, targetKey, ...payload]) {
+            SqlHelper.validateAndSanitizeFieldName(name);
+        }
+        return { junctionTable, field, payload, targetTable, targetKey };
+    }
+
+    /**
+     * Replaces the junction rows of a ManyToMany relation with rows: missing rows are inserted, rows that are no longer
+     * sent are removed (soft deleted unless softDelete is false) and rows whose payload changed are updated.
+     * @param {Object} options
+     * @param {Array<Object>|String} options.rows - [{ TagId: 1, SortOrder: 2 }], or comma-separated ids for relations without payload
+     */
+    async saveManyToMany({ sql, id, keyField, user, rows, relation, relationsObject }) {
+        const { junctionTable, field, payload } = this.getManyToManyConfig(relation, relationsObject);
+        if (typeof rows === 'string') {
+            rows = rows.split(',').map(value => value.trim()).filter(value => value.length).map(value => ({ [field]: value }));
+        }
+        if (!Array.isArray(rows)) {
+            throw new BusinessError(`${this.pluralize(relation.relation)} must be a list of ${field} rows`);
+        }
+        const softDelete = this.softDelete !== false;
+        const selected = new Map();
+        for (const row of rows) {
+            const value = row?.[field];
+            if (value === undefined || value === null || value === '') {
+                throw new BusinessError(`${this.pluralize(relation.relation)} rows require ${field}`);
+            }
+            selected.set(String(value), row);
+        }
+
+        const request = sql.createRequest(this.logger);
+        sql.addParameters({ request, parameters: { KeyField: id, UserId: user.id } });
+        // the relation where is also written to inserted rows
+        const whereFields = [];
+        const whereValues = [];
+        const additionalQuery = this.getRelationAdditionalQuery({ sql, request, relationWhere: relation.where, insertFields: whereFields, insertValues: whereValues });
+        const activeCondition = `[${keyField}] = @KeyField${softDelete ? ' AND IsDeleted = 0' : ''}${additionalQuery}`;
+        const existingResult = await request.query(`SELECT ${[field, ...payload].map(column => `[${column}]`).join(', ')} FROM [${junctionTable}] WHERE ${activeCondition};`);
+        const existing = new Map((existingResult.recordset || []).map(row => [String(row[field]), row]));
+
+        const statements = [];
+        const removed = [...existing.keys()].filter(value => !selected.has(value));
+        if (removed.length) {
+            const removedParams = removed.map((value, index) => {
+                sql.addParameters({ request, parameters: { [`_removed${index}`]: existing.get(value)[field] } });
+                return sql.buildParameterName(`_removed${index}`);
+            });
+            statements.push(softDelete
+                ? `UPDATE [${junctionTable}] SET IsDeleted = 1, ModifiedByUserId = @UserId, ModifiedOn = GETUTCDATE() WHERE ${activeCondition} AND [${field}] IN (${removedParams.join(', ')})`
+                : `DELETE FROM [${junctionTable}] WHERE ${activeCondition} AND [${field}] IN (${removedParams.join(', ')})`);
+        }
+        [...selected.entries()].forEach(([value, row], index) => {
+            const current = existing.get(value);
+            const changed = payload.filter(column => column in row && !(current && isSameValue(row[column], current[column])));
+            if (current && !changed.length) {
+                return;
+            }
+            const parameters = { [`_row${index}`]: row[field] };
+            changed.forEach(column => {
+                parameters[`_row${index}_${column}`] = { value: row[column], ignoreNull: false };
+            });
+            sql.addParameters({ request, parameters });
+            const param = (column) => sql.buildParameterName(column ? `_row${index}_${column}` : `_row${index}`);
+            if (current) {
+                statements.push(`UPDATE [${junctionTable}] SET ${changed.map(column => `[${column}] = ${param(column)}`).join(', ')}, ModifiedByUserId = @UserId, ModifiedOn = GETUTCDATE() WHERE ${activeCondition} AND [${field}] = ${param()}`);
+            } else {
+                const columns = [keyField, field, ...changed, ...whereFields];
+                const rowValues = ['@KeyField', param(), ...changed.map(column => param(column)), ...whereValues];
+                statements.push(`INSERT INTO [${junctionTable}] (${columns.map(column => `[${column}]`).join(', ')}, CreatedByUserId, ModifiedByUserId) VALUES (${rowValues.join(', ')}, @UserId, @UserId)`);
+            }
+        });
+        if (statements.length) {
+            await request.query(statements.join(';\r\n') + ';');
+        }
+    }
+
+    /**
+     * Resolves Relation.Column fields of ManyToOne and ManyToMany relations; the relation may be given by its
+     * relation name or its pluralized name (Tags.Name).
+     * @returns {{relation: Object, column: string}|null} null for other fields
+     */
+    getRelatedField(field) {
+        const separator = typeof field === 'string' ? field.indexOf('.') : -1;
+        if (separator === -1) {
+            return null;
+        }
+        const name = field.substring(0, separator);
+        const relation = (this.relations || []).find(({ relation: relationName, type }) => (type === RelationshipTypes.ManyToOne || type === RelationshipTypes.ManyToMany) && (relationName === name || this.pluralize(relationName) === name));
+        if (!relation) {
+            return null;
+        }
+        const column = field.substring(separator + 1);
+        if (!/^\w+$/.test(column)) {
+            throw new BusinessError(`Invalid field ${field}`);
+        }
+        return { relation, column };
+    }
+
+    /**
+     * Wraps a condition on the related table (or on a payload column) of a ManyToMany relation in an EXISTS
+     * over the junction table, so that the parent rows with at least one matching related record are kept.
+     * @param {Object} options
+     * @param {Object} options.relation - ManyToMany relation
+     * @param {String} options.column - Column of the related table or payload column of the junction table
+     * @returns {{fieldName: string, exists: function(string): string}} fieldName to build the condition on
+     */
+    getManyToManyFilter({ relation, column }) {
+        const { junctionTable, field, payload, targetTable, targetKey } = this.getManyToManyConfig(relation);
+        const { keyField } = this;
+        const alias = relation.relation;
+        const linkAlias = `${alias}Link`;
+        const deleteCondition = this.softDelete !== false ? ` AND [${linkAlias}].IsDeleted = 0` : '';
+        return {
+            fieldName: payload.includes(column) ? `[${linkAlias}].[${column}]` : `[${alias}].[${column}]`,
+            exists: (condition) => `EXISTS (SELECT 1 FROM [${junctionTable}] [${linkAlias}] INNER JOIN [${targetTable}] [${alias}] ON [${alias}].[${targetKey}] = [${linkAlias}].[${field}] WHERE [${linkAlias}].[${keyField}] = Main.[${keyField}]${deleteCondition} AND ${condition})`
+        };
+    }
+
+    getRelationAdditionalQuery({ sql, request, relationWhere, insertFields = [], insertValues = [] }) {
+        let additionalQuery = '';
+        // todo: client Id query
+        if (relationWhere) {
+            const additionalParameters = {};
+            const additionalParams = [];
+            for (const key in relationWhere) {
+                const paramName = `_rel_${key}_` + Object.keys(request.parameters).length;
+                additionalParameters[paramName] = { fieldName: key, value: relationWhere[key] };
+                additionalParams.push(`${key} = @${paramName}`);
+                insertFields.push(key);
                 insertValues.push('@' + paramName);
             }
             sql.addParameters({ request, parameters: additionalParameters });
@@ -590,10 +1491,9 @@ class BusinessBase {
         return additionalQuery;
     }
 
-    async hardDelete({ id }) {
+    async hardDelete({ id }, { sql = this.getSql() } = {}) {
         const { keyField, childTables = [], relatedFields = [] } = this;
         const tableName = this.getTableName();
-        const { sql } = BusinessBase.businessObject;
         for (const relatedField of relatedFields) {
             const result = await sql.query(`SELECT * FROM ${relatedField} WHERE ${keyField} = ${Number(id)} and IsDeleted=0;`);
             if (result.length) {
@@ -607,21 +1507,39 @@ class BusinessBase {
         return await sql.query(`DELETE from ${tableName} WHERE ${keyField} = ${id}`);
     }
 
-    async delete({ id, values = {} }) {
+    /**
+     * Soft deletes a record (or hard deletes when softDelete is false) and cascades to childTables.
+     * @param {Object} options
+     * @param {Number|String} options.id - Id of the record
+     * @param {Object} [options.values] - Additional column values to set on the deleted record
+     * @param {Object} [scope]
+     * @param {Object} [scope.sql] - sql instance to use, e.g. a transaction scope. Defaults to the framework sql instance.
+     */
+    async delete({ id, values = {} }, { sql = this.getSql() } = {}) {
         // Invoke optional beforeDelete hook for custom validation or pre-deletion logic.
         if (this.beforeDelete) {
             await this.beforeDelete({ id });
         }
+        await this.assertRowPolicy({ operation: OperationMode.delete, id, sql });
+        this.hasWritten = true;
         if (this.softDelete === false) {
-            return await this.hardDelete({ id });
+            return await this.hardDelete({ id }, { sql });
         }
-        const { keyField, relatedFields = [], childTables = [] } = this;
+        const { keyField, relatedFields = [], childTables = [], isStandard = true, user = {} } = this;
         const tableName = this.getTableName();
         if (!(keyField in values)) {
             values[keyField] = id;
         }
         values[IsDeletedColumn] = 1;
-        const { sql } = BusinessBase.businessObject;
+        // the record and its childTables rows get the same ModifiedOn, so that restore() brings back only the rows of
+        // this delete; whole seconds compare equal whatever the precision of the columns
+        const deletedOn = new Date(Math.floor(Date.now() / 1000) * 1000);
+        if (isStandard) {
+            if (user.id) {
+                values.ModifiedByUserId = user.id;
+            }
+            values.ModifiedOn = deletedOn;
+        }
         for (const relatedField of relatedFields) {
             const result = await sql.query(`SELECT * FROM ${relatedField} WHERE ${keyField} = ${Number(id)} and IsDeleted = 0`);
             if (result.length) {
@@ -631,13 +1549,525 @@ class BusinessBase {
         for (const childTable of childTables) {
             const foreignKey = childTable.foreignKey || keyField;
             const childTableKeyField = childTable.keyField || `${childTable.tableName}Id`;
-            let updateStatement = 'IsDeleted = 1 ';
+            let updateStatement = 'IsDeleted = 1';
+            if (isStandard) {
+                updateStatement += `, ModifiedOn = ${sql.buildParameterName('DeletedOn')}`;
+            }
             if (childTable.useDeleteKey) {
-                updateStatement += `, DeleteKey = ${childTable.tableName}.${childTableKeyField} `;
+                updateStatement += `, DeleteKey = ${childTable.tableName}.${childTableKeyField}`;
+            }
+            // rows deleted earlier keep their own ModifiedOn and are not restored with this record
+            await sql.query(`UPDATE ${childTable.tableName} SET ${updateStatement} WHERE ${foreignKey} = ${sql.buildParameterName('DeleteId')} AND IsDeleted = 0`, { parameters: isStandard ? { DeleteId: id, DeletedOn: deletedOn } : { DeleteId: id }, logger: this.logger });
+        }
+        const result = await sql.insertUpdate({ tableName: this.getTableName(), keyField, id, json: values, update: true, logger: this.logger });
+        if (result.success && this.getAuditConfig()) {
+            await this.writeAudit({ sql, id, action: auditActions.delete, changes: [{ field: IsDeletedColumn, oldValue: '0', newValue: '1' }] });
+        }
+        return result;
+    }
+
+    /**
+     * Restores a soft deleted record and the childTables rows that the delete of the record marked as deleted: on
+     * standard tables these are the deleted rows with the ModifiedOn that delete() stamped on the record.
+     * OneToMany relation rows and multi-select rows are left untouched by delete(), so they need no restore; their
+     * deleted rows were removed by a save and must stay deleted.
+     * @param {Object} options
+     * @param {Number|String} options.id - Id of the record to restore
+     * @returns {Promise<Object>} Result of the update of the record
+     * @throws {BusinessError} 404 when there is no deleted record with the id, 405 when softDelete is disabled,
+     * 409 when the restore would violate a unique index
+     */
+    async restore({ id }) {
+        const tableName = this.getTableName();
+        if (this.softDelete === false) {
+            throw new BusinessError(`${tableName} does not support restore as softDelete is disabled`, { statusCode: 405 });
+        }
+        if (this.beforeRestore) {
+            await this.beforeRestore({ id });
+        }
+        // restoring is undoing a delete, so the delete policies apply
+        await this.assertRowPolicy({ operation: OperationMode.delete, id });
+        const { keyField, childTables = [], isStandard = true, clientBased, user = {} } = this;
+        const json = { [keyField]: id, [IsDeletedColumn]: 0 };
+        if (isStandard) {
+            if (user.id) {
+                json.ModifiedByUserId = user.id;
+            }
+            json.ModifiedOn = new Date();
+        }
+        const where = { _isDeleted: { fieldName: IsDeletedColumn, value: 1 } };
+        if (clientBased && user.scopeId) {
+            where._clientId = { fieldName: 'ClientId', value: user.scopeId };
+        }
+        const sql = this.getSql();
+        this.hasWritten = true;
+        try {
+            return await sql.transaction(async (tx) => {
+                let deletedOn;
+                if (isStandard && childTables.length) {
+                    // read before the update below overwrites it
+                    [{ ModifiedOn: deletedOn = null } = {}] = await tx.query(`SELECT ModifiedOn FROM ${tableName} WHERE ${keyField} = ${tx.buildParameterName('RestoreId')}`, { parameters: { RestoreId: id }, logger: this.logger });
+                }
+                const result = await tx.insertUpdate({ tableName, keyField, id, json, update: true, where, logger: this.logger });
+                if (!result.success) {
+                    throwResultError(result);
+                }
+                if (tx.getRowsAffected(result) === 0) {
+                    throw new BusinessError(`Deleted ${tableName} ${id} not found`, { statusCode: 404 });
+                }
+                for (const childTable of childTables) {
+                    const foreignKey = childTable.foreignKey || keyField;
+                    let updateStatement = 'IsDeleted = 0';
+                    if (childTable.useDeleteKey) {
+                        updateStatement += ', DeleteKey = 0';
+                    }
+                    let statement = `UPDATE ${childTable.tableName} SET ${updateStatement} WHERE ${foreignKey} = ${tx.buildParameterName('RestoreId')} AND IsDeleted = 1`;
+                    const parameters = { RestoreId: id };
+                    if (isStandard) {
+                        statement += ` AND ModifiedOn = ${tx.buildParameterName('DeletedOn')}`;
+                        parameters.DeletedOn = deletedOn;
+                    }
+                    await tx.query(statement, { parameters, logger: this.logger });
+                }
+                if (this.getAuditConfig()) {
+                    await this.writeAudit({ sql: tx, id, action: auditActions.restore, changes: [{ field: IsDeletedColumn, oldValue: '1', newValue: '0' }] });
+                }
+                return result;
+            }, { logger: this.logger });
+        } catch (err) {
+            if (isUniqueViolation(err)) {
+                throw new BusinessError(`${tableName} ${id} cannot be restored because an active record with the same unique values already exists`, { statusCode: 409 });
+            }
+            throw err;
+        }
+    }
+
+    /**
+     * Creates, updates and deletes many records in one transaction.
+     * Every row goes through the same hooks and validation as save() and delete(), inside the transaction. New parent rows
+     * are inserted with sql.bulkInsert (a TVP of `bulkTableType` on SQL Server, multi-row INSERT on MySQL).
+     * With `atomic` (default) nothing is written when any row fails; otherwise failed rows are skipped and the rest is
+     * saved. When the bulk insert fails, new rows are inserted one by one so that the failing rows are reported.
+     * @param {Object} options
+     * @param {Array<Object>} [options.creates] - Values of new records
+     * @param {Array<Object>} [options.updates] - Values of existing records, the id is taken from `id` or the keyField
+     * @param {Array<Number|String>} [options.deletes] - Ids of records to delete
+     * @param {Boolean} [options.atomic=true] - Roll back everything when any row fails
+     * @returns {Promise<{success: boolean, creates: Array, updates: Array, deletes: Array}>} Per-row results
+     * as { index, success, id } or { index, success: false, message, errors }
+     * @throws {BusinessError} 422 with the per-row results when atomic and any row failed
+     */
+    async bulk({ creates = [], updates = [], deletes = [], atomic = true }) {
+        const { keyField, bulkTableType, bulkColumnTypes } = this;
+        const tableName = this.getTableName();
+        const sql = this.getSql();
+        const results = { creates: [], updates: [], deletes: [] };
+        const prepared = { creates: [], updates: [] };
+
+        const setError = (list, index, err) => {
+            const entry = { index, success: false, message: err instanceof BusinessError ? err.message : toErrorMessage(err) };
+            if (err instanceof ValidationError) {
+                entry.errors = err.errors;
+            }
+            results[list][index] = entry;
+        };
+
+        deletes.forEach((id, index) => {
+            if (!/^[\w-]+$/.test(String(id))) {
+                setError('deletes', index, new BusinessError(`Invalid id ${id}`));
+            }
+        });
+
+        const hasErrors = () => Object.values(results).some(list => list.some(entry => entry && !entry.success));
+        let failure;
+        if (!atomic || !hasErrors()) {
+            try {
+                await sql.transaction(async (tx) => {
+                    // Hooks and validation run first, on the transaction, so that the stored records and unique values
+                    // are checked as the rows are written
+                    for (const [list, rows] of [['creates', creates], ['updates', updates]]) {
+                        for (let index = 0; index < rows.length; index++) {
+                            const { id: rowId, ...values } = rows[index];
+                            const id = list === 'creates' ? 0 : (rowId ?? values[keyField]);
+                            try {
+                                if (list === 'updates' && !id) {
+                                    throw new BusinessError(`${keyField} is required for updates`);
+                                }
+                                prepared[list].push({ index, context: await this.prepareSave({ ...values, id }, { sql: tx }) });
+                            } catch (err) {
+                                setError(list, index, err);
+                            }
+                        }
+                    }
+                    if (atomic && hasErrors()) {
+                        // nothing is written yet, the failed rows are reported below
+                        failure = new BusinessError('Rows failed validation');
+                        throw failure;
+                    }
+
+                    // CreatedOn/ModifiedOn are stamped once for the batch so that they can be sent as a single TVP parameter
+                    const now = new Date();
+                    for (const { context } of prepared.creates) {
+                        for (const column of ['CreatedOn', 'ModifiedOn']) {
+                            if (column in context.requestValues) {
+                                context.requestValues[column] = now;
+                            }
+                        }
+                    }
+
+                    // Non atomic batches run each row in a savepoint so that a failing row is rolled back alone
+                    const run = async (list, index, callback) => {
+                        try {
+                            await (atomic ? callback(tx) : tx.transaction(callback));
+                            return true;
+                        } catch (err) {
+                            setError(list, index, err);
+                            if (atomic) {
+                                failure = err;
+                                throw err;
+                            }
+                            return false;
+                        }
+                    };
+
+                    if (prepared.creates.length) {
+                        const insert = async (scope) => {
+                            const ids = await scope.bulkInsert({ tableName, keyField, rows: prepared.creates.map(({ context }) => context.requestValues), tableType: bulkTableType, columnTypes: bulkColumnTypes, logger: this.logger });
+                            prepared.creates.forEach(({ context }, i) => this.setSavedId({ context, id: ids[i] }));
+                        };
+                        // when the statement fails, the rows are inserted one by one below, so that the error is reported
+                        // for the row that caused it rather than for the whole batch
+                        const inserted = await tx.transaction(insert).then(() => true, () => false);
+                        for (const { index, context } of prepared.creates) {
+                            const saved = await run('creates', index, async (scope) => {
+                                let result = { success: true, data: [{ Id: context.id }] };
+                                if (!inserted) {
+                                    result = await this.writeRecord({ sql: scope, context });
+                                    if (!result.success) {
+                                        throwResultError(result);
+                                    }
+                                }
+                                if (Object.keys(context.multiSelectValues).length) {
+                                    await this.saveMultiSelectValues({ sql: scope, context });
+                                }
+                                await this.completeSave({ sql: scope, context, result });
+                            });
+                            if (saved) {
+                                results.creates[index] = { index, success: true, id: context.id };
+                            }
+                        }
+                    }
+
+                    for (const { index, context } of prepared.updates) {
+                        const saved = await run('updates', index, async (scope) => {
+                            const result = await this.writeRecord({ sql: scope, context });
+                            if (!result.success) {
+                                throwResultError(result);
+                            }
+                            if (Object.keys(context.multiSelectValues).length) {
+                                await this.saveMultiSelectValues({ sql: scope, context });
+                            }
+                            await this.completeSave({ sql: scope, context, result });
+                        });
+                        if (saved) {
+                            results.updates[index] = { index, success: true, id: context.id };
+                        }
+                    }
+
+                    for (let index = 0; index < deletes.length; index++) {
+                        if (results.deletes[index]) {
+                            continue;
+                        }
+                        const id = deletes[index];
+                        const deleted = await run('deletes', index, async (scope) => {
+                            const result = await this.delete({ id }, { sql: scope });
+                            if (result?.success === false) {
+                                throwResultError(result);
+                            }
+                        });
+                        if (deleted) {
+                            results.deletes[index] = { index, success: true, id };
+                        }
+                    }
+                }, { logger: this.logger });
+            } catch (err) {
+                if (err !== failure) {
+                    throw err;
+                }
+            }
+        }
+
+        if (atomic && hasErrors()) {
+            // Rows that passed were not saved either
+            for (const [list, rows] of [['creates', creates], ['updates', updates], ['deletes', deletes]]) {
+                for (let index = 0; index < rows.length; index++) {
+                    if (!results[list][index] || results[list][index].success) {
+                        results[list][index] = { index, success: false, message: 'Not saved because other rows failed' };
+                    }
+                }
+            }
+            throw new BusinessError('One or more rows could not be saved. No changes were made.', { statusCode: 422, details: results });
+        }
+        return { success: !hasErrors(), ...results };
+    }
+
+    /**
+     * Returns the audit configuration with defaults applied, or null when auditing is not enabled.
+     * `audit` can be set to true or to { tableName, exclude, sink, history }.
+     */
+    getAuditConfig() {
+        const { audit } = this;
+        if (!audit) {
+            return null;
+        }
+        return { tableName: 'AuditLog', exclude: [], ...(audit === true ? {} : audit) };
+    }
+
+    getAuditListFields({ relations } = {}) {
+        const { relations: definedRelations = [], multiSelectColumns = {} } = this;
+        const listFields = Object.keys(multiSelectColumns);
+        if (relations !== false) {
+            for (const { relation: relationName, type: relationType } of definedRelations) {
+                if (relationType === RelationshipTypes.OneToMany) {
+                    listFields.push(this.pluralize(relationName));
+                }
+            }
+        }
+        return listFields;
+    }
+
+    /**
+     * Writes field changes to the audit table, or passes them to `audit.sink` when configured.
+     * @param {Object} options
+     * @param {Object} options.sql - sql instance to write with, the transaction scope when called from save()
+     * @param {Number|String} options.id - Id of the record
+     * @param {String} options.action - One of insert, update or delete
+     * @param {Array<{field: string, oldValue: string|null, newValue: string|null}>} options.changes - Changed fields
+     */
+    async writeAudit({ sql, id, action, changes }) {
+        if (!changes.length) {
+            return;
+        }
+        const { tableName: auditTableName, sink } = this.getAuditConfig();
+        const { user = {} } = this;
+        const changedOn = new Date();
+        const entries = changes.map(({ field, oldValue, newValue }) => ({
+            TableName: this.getTableName(),
+            RecordId: String(id),
+            FieldName: field,
+            OldValue: oldValue,
+            NewValue: newValue,
+            Action: action,
+            ChangedByUserId: user.id,
+            ChangedOn: changedOn,
+            ...(this.clientBased && user.scopeId ? { ClientId: user.scopeId } : {})
+        }));
+        if (typeof sink === 'function') {
+            await sink({ entries, sql, businessObject: this });
+            return;
+        }
+        for (const entry of entries) {
+            const result = await sql.insertUpdate({ tableName: auditTableName, json: entry, logger: this.logger });
+            if (!result.success) {
+                throwResultError(result);
+            }
+        }
+    }
+
+    /**
+     * Returns the change history of a record, newest first.
+     * @param {Object} options
+     * @param {Number|String} options.id - Id of the record
+     * @returns {Promise<Array<Object>>} Audit entries
+     * @throws {BusinessError} 404 when audit is not enabled
+     * @throws {PermissionError} 403 when the record belongs to another client or the load policies do not allow it
+     */
+    async history({ id }) {
+        const audit = this.getAuditConfig();
+        if (!audit) {
+            throw new BusinessError(`Audit is not enabled for ${this.getTableName()}`, { statusCode: 404 });
+        }
+        await this.assertRowPolicy({ operation: OperationMode.load, id });
+        if (typeof audit.history === 'function') {
+            return this.applyAuditFieldPermissions(await audit.history({ id, businessObject: this }));
+        }
+        const where = { TableName: this.getTableName(), RecordId: String(id) };
+        if (this.clientBased && this.user.scopeId) {
+            where.ClientId = this.user.scopeId;
+        }
+        const sql = this.getSql();
+        return this.applyAuditFieldPermissions(await sql.query(`SELECT * FROM ${audit.tableName}`, { where, orderBy: 'ChangedOn DESC', logger: this.logger }));
+    }
+
+    /**
+     * Removes the audit entries of fields the current user cannot read and masks the old and new values of masked fields.
+     * @param {Array<Object>} entries - Audit entries with FieldName, OldValue and NewValue
+     * @returns {Array<Object>} entries
+     */
+    applyAuditFieldPermissions(entries) {
+        const access = this.getFieldAccess();
+        if (!Array.isArray(entries)) {
+            return entries;
+        }
+        return entries.filter(entry => !access.hidden.includes(entry?.FieldName)).map(entry => {
+            const field = entry?.FieldName;
+            if (!(field in access.masked)) {
+                return entry;
+            }
+            const [before, after] = this.applyFieldPermissions([{ [field]: entry.OldValue }, { [field]: entry.NewValue }], access);
+            return { ...entry, OldValue: before[field], NewValue: after[field] };
+        });
+    }
+
+    /**
+     * Returns the versioning configuration with defaults applied, or null when versioning is not enabled.
+     * `versioning` can be set to true or to { tableName }.
+     */
+    getVersioningConfig() {
+        const { versioning } = this;
+        if (!versioning) {
+            return null;
+        }
+        return { tableName: 'RecordVersion', ...(versioning === true ? {} : versioning) };
+    }
+
+    getVersionWhere({ id, version }) {
+        const where = { TableName: this.getTableName(), RecordId: String(id) };
+        if (version !== undefined) {
+            where.VersionNo = Number(version);
+        }
+        if (this.clientBased && this.user?.scopeId) {
+            where.ClientId = this.user.scopeId;
+        }
+        return where;
+    }
+
+    /**
+     * Stores a snapshot of the record (including relation ids and multi-select values) as the next version.
+     * Called by save() on the transaction scoped sql instance.
+     */
+    async writeVersion({ sql, id, snapshot }) {
+        const { tableName: versionTableName } = this.getVersioningConfig();
+        const [{ VersionNo: lastVersion } = {}] = await sql.query(`SELECT MAX(VersionNo) AS VersionNo FROM ${versionTableName}`, { where: this.getVersionWhere({ id }), logger: this.logger });
+        const { user = {} } = this;
+        const result = await sql.insertUpdate({
+            tableName: versionTableName,
+            json: {
+                TableName: this.getTableName(),
+                RecordId: String(id),
+                VersionNo: (lastVersion || 0) + 1,
+                Data: JSON.stringify(snapshot),
+                CreatedByUserId: user.id,
+                CreatedOn: new Date(),
+                ...(this.clientBased && user.scopeId ? { ClientId: user.scopeId } : {})
+            },
+            logger: this.logger
+        });
+        if (!result.success) {
+            throwResultError(result);
+        }
+    }
+
+    assertVersioning() {
+        if (!this.getVersioningConfig()) {
+            throw new BusinessError(`Versioning is not enabled for ${this.getTableName()}`, { statusCode: 404 });
+        }
+    }
+
+    /**
+     * Lists the stored versions of a record, newest first. Snapshot data is not included.
+     * @param {Object} options
+     * @param {Number|String} options.id - Id of the record
+     * @returns {Promise<Array<{VersionNo: number, CreatedByUserId: number, CreatedOn: Date}>>}
+     */
+    async listVersions({ id }) {
+        this.assertVersioning();
+        await this.assertRowPolicy({ operation: OperationMode.load, id });
+        const { tableName: versionTableName } = this.getVersioningConfig();
+        const sql = this.getSql();
+        return await sql.query(`SELECT VersionNo, CreatedByUserId, CreatedOn FROM ${versionTableName}`, { where: this.getVersionWhere({ id }), orderBy: 'VersionNo DESC', logger: this.logger });
+    }
+
+    /**
+     * Returns the snapshot stored for a version of a record. Fields the current user cannot read are removed or masked.
+     * @param {Object} options
+     * @param {Number|String} options.id - Id of the record
+     * @param {Number|String} options.version - Version number
+     * @returns {Promise<{VersionNo: number, CreatedByUserId: number, CreatedOn: Date, data: Object}>}
+     * @throws {BusinessError} 404 when the version does not exist
+     * @throws {PermissionError} 403 when the record belongs to another client or the load policies do not allow it
+     */
+    async getVersion({ id, version }) {
+        const entry = await this.readVersion({ id, version });
+        this.applyFieldPermissions([entry.data]);
+        return entry;
+    }
+
+    /**
+     * Returns the snapshot stored for a version of a record as it was saved, without applying fieldPermissions.
+     * @throws {BusinessError} 404 when the version does not exist
+     * @throws {PermissionError} 403 when the record belongs to another client or the load policies do not allow it
+     */
+    async readVersion({ id, version }) {
+        this.assertVersioning();
+        await this.assertRowPolicy({ operation: OperationMode.load, id });
+        const { tableName: versionTableName } = this.getVersioningConfig();
+        const sql = this.getSql();
+        const [entry] = await sql.query(`SELECT VersionNo, CreatedByUserId, CreatedOn, Data FROM ${versionTableName}`, { where: this.getVersionWhere({ id, version }), logger: this.logger });
+        if (!entry) {
+            throw new BusinessError(`Version ${version} of ${this.getTableName()} ${id} not found`, { statusCode: 404 });
+        }
+        const { Data, ...others } = entry;
+        return { ...others, data: this.parseJson(Data, {}) };
+    }
+
+    /**
+     * Compares two versions of a record field by field.
+     * @param {Object} options
+     * @param {Number|String} options.id - Id of the record
+     * @param {Number|String} options.from - Older version number
+     * @param {Number|String} options.to - Newer version number
+     * @returns {Promise<Array<{field: string, oldValue: string|null, newValue: string|null}>>} Changed fields
+     */
+    async diffVersions({ id, from, to }) {
+        const { data: before } = await this.getVersion({ id, version: from });
+        const { data: after } = await this.getVersion({ id, version: to });
+        const removedFields = Object.fromEntries(Object.keys(before).filter(field => !(field in after)).map(field => [field, null]));
+        return diffRecords({ before, after: { ...removedFields, ...after }, listFields: this.getAuditListFields() });
+    }
+
+    /**
+     * Restores a record to a stored version. The snapshot goes through save(), so hooks, validation,
+     * audit and versioning run as for any other save and the restore becomes the newest version.
+     * Only the columns the table still has are restored, without the key, audit and system columns.
+     * @param {Object} options
+     * @param {Number|String} options.id - Id of the record
+     * @param {Number|String} options.version - Version number to restore
+     * @returns {Promise<Object>} Result of save()
+     * @throws {BusinessError} 404 when the version or the record does not exist
+     */
+    async restoreVersion({ id, version }) {
+        const { data } = await this.readVersion({ id, version });
+        const { keyField, concurrencyField, readOnlyColumns = [], relations = [], multiSelectColumns = {} } = this;
+        // the stored row has the columns of the table, with the types the snapshot values are converted back to
+        const current = await this.load({ id, relations: false }, { raw: true });
+        if (!(keyField in current)) {
+            throw new BusinessError(`${this.getTableName()} ${id} not found`, { statusCode: 404 });
+        }
+        const relationFields = relations.filter(({ type }) => type === RelationshipTypes.OneToMany || type === RelationshipTypes.ManyToMany).map(({ relation }) => this.pluralize(relation));
+        // fields the user cannot write keep their current values
+        const excluded = [keyField, concurrencyField, ...systemColumns, ...readOnlyColumns, ...this.getFieldAccess().readOnly];
+        const values = {};
+        for (const [field, value] of Object.entries(data)) {
+            if (!excluded.includes(field) && (field in current || field in multiSelectColumns || relationFields.includes(field))) {
+                values[field] = toSnapshotValue(value, current[field]);
             }
-            await sql.query(`UPDATE ${childTable.tableName} SET ${updateStatement} WHERE ${foreignKey} = ${id}`);
         }
-        return await sql.insertUpdate({ tableName: this.getTableName(), keyField, id, json: values, update: true, logger: this.logger });
+        if (concurrencyField) {
+            // the snapshot holds an old version value, the restore overwrites the current version
+            values[concurrencyField] = current[concurrencyField];
+        }
+        return await this.save({ ...values, id });
     }
 
     async getListStatement(listParameters) {
@@ -656,15 +2086,18 @@ class BusinessBase {
         return result;
     }
 
-    async lookupList({ scopeId }) {
-        const request = this.createRequest();
+    async lookupList({ scopeId, replica }) {
+        const request = this.createRequest({ replica: this.useReadReplica(replica) });
         const { keyField, lookupSortOrder, defaultSortOrder, displayField, clientBased, lookupListStatement = '', tableName } = this;
         const sort = lookupSortOrder || defaultSortOrder;
+        const sql = this.getSql();
         if (lookupListStatement) {
-            const result = await request.query(lookupListStatement);
+            // custom statements are wrapped, so that the row policies apply to their rows as well
+            const rowPolicy = this.getRowPolicyCondition({ operation: OperationMode.lookupList, sql, request, isDataFromView: true });
+            const query = rowPolicy ? `SELECT * FROM (${lookupListStatement.trim().replace(/;$/, '')}) Main WHERE ${rowPolicy.statement}` : lookupListStatement;
+            const result = await request.query(query);
             return result.recordset;
         }
-        const sql = BusinessBase.businessObject.sql;
 
         let { listStatement, isStandard } = this.normalizeListStatement(
             await this.getListStatement({
@@ -688,7 +2121,7 @@ class BusinessBase {
         listStatement = listStatement.replace(/^.+ FROM/i, `SELECT [${keyField}] value, [${labelField}] label FROM `);
 
         let query = listStatement;
-        const where = await this.createWhere({ isStandard, tableName, operationMode: OperationMode.lookupList });
+        const where = await this.createWhere({ isStandard, tableName, operationMode: OperationMode.lookupList, sql, request, isDataFromView: listStatement.indexOf("vw") > -1 });
         if (!clientBased && scopeId) {
             where.ScopeId = scopeId;
         }
@@ -716,17 +2149,392 @@ class BusinessBase {
      * @returns {Promise<void>} A promise that resolves when the customization is complete.
      */
 
+    /**
+     * Normalizes computedFields. A string or { expression } is a SQL expression that is projected by load/list and
+     * can be filtered, sorted, grouped and searched like a column. A function or { compute } is called with the
+     * record and { user, operationMode } after load/list and its result is set on the record.
+     * @returns {Object} { [name]: { expression } | { compute } }
+     */
+    getComputedFields() {
+        const computedFields = {};
+        for (const [name, config] of Object.entries(this.computedFields || {})) {
+            SqlHelper.validateAndSanitizeFieldName(name);
+            const field = typeof config === 'string' ? { expression: config } : (typeof config === 'function' ? { compute: config } : config);
+            if (!field || Boolean(field.expression) === (typeof field.compute === 'function')) {
+                throw new Error(`Computed field ${name} requires either an expression or a compute function`);
+            }
+            computedFields[name] = field;
+        }
+        return computedFields;
+    }
+
+    /**
+     * Returns the SQL expression of a list field: the expression of a computed field, otherwise the column.
+     * @throws {BusinessError} for computed fields with a compute function, which do not exist in the query
+     */
+    getFieldName({ field, isDataFromView }) {
+        const relatedField = this.getRelatedField(field);
+        if (relatedField) {
+            if (relatedField.relation.type === RelationshipTypes.ManyToMany) {
+                throw new BusinessError(`${field} is a ManyToMany field and can only be used in filters`);
+            }
+            return `[${relatedField.relation.relation}].[${relatedField.column}]`;
+        }
+        const computedField = this.getComputedFields()[field];
+        if (computedField?.compute) {
+            throw new BusinessError(`${field} is computed after the query and cannot be used in filters or sorting`);
+        }
+        return computedField ? `(${computedField.expression})` : getFilterFieldName({ field, isDataFromView });
+    }
+
+    /**
+     * Sets the compute function fields on records.
+     * @returns {Array<Object>} records
+     */
+    applyComputedFields(records, { operationMode } = {}) {
+        const computeFields = Object.entries(this.getComputedFields()).filter(([, { compute }]) => compute);
+        if (computeFields.length) {
+            for (const record of records) {
+                for (const [name, { compute }] of computeFields) {
+                    record[name] = compute(record, { user: this.user, operationMode });
+                }
+            }
+        }
+        return records;
+    }
+
+    /**
+     * Converts a nested list filter ({ and: [...], or: [...], not: ... } with { field, operator, value, type } conditions)
+     * into the tree format of sql.buildFilterTree.
+     * @param {Object} options
+     * @param {Object|Array} options.filter - Filter tree, arrays are kept as arrays (and groups)
+     * @param {Boolean} [options.isDataFromView] - Whether the list reads from a view (fields are not prefixed with Main.)
+     * @param {String} [options.relatedPrefix] - Parameter prefix of ManyToMany conditions
+     * @returns {Object|Array} Filter tree for sql.buildFilterTree
+     */
+    toSqlFilter({ filter, isDataFromView, sql, request, relatedPrefix = '_related' }) {
+        let relatedIndex = 0;
+        return this.mapFilterTree(filter, (condition) => this.toSqlCondition({ condition, isDataFromView, sql, request, paramPrefix: `${relatedPrefix}${relatedIndex++}_` }));
+    }
+
+    /**
+     * Converts a list filter condition to a where descriptor: { statement } or { fieldName, operator, value, sqlType }.
+     * Conditions on ManyToMany fields are bound to request and returned as an EXISTS statement.
+     * @param {Object} options
+     * @param {Object} options.condition - { field, operator, value, type }
+     * @param {Boolean} [options.isDataFromView] - Whether the list reads from a view (fields are not prefixed with Main.)
+     * @param {Object} [options.sql] - Sql instance, required for ManyToMany fields
+     * @param {Object} [options.request] - Request, required for ManyToMany fields
+     * @param {String} [options.paramPrefix] - Parameter prefix of ManyToMany conditions
+     * @returns {Object|null} null when the operator yields no condition
+     */
+    toSqlCondition({ condition: { operator, field, value, type }, isDataFromView, sql, request, paramPrefix = '_related' }) {
+        const relatedField = this.getRelatedField(field);
+        const manyToMany = relatedField?.relation.type === RelationshipTypes.ManyToMany ? this.getManyToManyFilter(relatedField) : null;
+        const fieldName = manyToMany ? manyToMany.fieldName : this.getFieldName({ field, isDataFromView });
+        const filterValue = compareLookups[operator]({ v: value, field, type });
+        let sqlCondition = null;
+        if (typeof filterValue === 'string') {
+            sqlCondition = { statement: filterValue.replaceAll('${field}', fieldName) };
+        } else if (filterValue) {
+            sqlCondition = { fieldName, operator: filterValue.operator, value: filterValue.value, sqlType: filterValue.sqlType };
+        }
+        if (manyToMany && sqlCondition) {
+            const statement = sqlCondition.statement || sql.buildFilterTree({ request, filter: [sqlCondition], paramPrefix });
+            return { statement: manyToMany.exists(statement) };
+        }
+        return sqlCondition;
+    }
+
+    /**
+     * Validates the aggregates/measures option of list().
+     * @param {Object|String} aggregates - { [field]: ['sum', 'avg', 'min', 'max', 'count'] }, a single function may be passed as string
+     * @param {String} [optionName] - Option name used in error messages
+     * @returns {Array<{field: string, fn: string}>}
+     */
+    parseAggregates(aggregates, optionName = 'aggregates') {
+        aggregates = this.parseJson(aggregates, null);
+        if (!aggregates) {
+            return [];
+        }
+        if (typeof aggregates !== 'object' || Array.isArray(aggregates)) {
+            throw new BusinessError(`Invalid ${optionName}: expected an object such as { Amount: ["sum"] }`);
+        }
+        const columns = [];
+        for (const field in aggregates) {
+            if (!SqlHelper.isValidFieldName(field)) {
+                throw new BusinessError(`Invalid ${optionName} field ${field}`);
+            }
+            for (const fn of [].concat(aggregates[field])) {
+                if (!aggregateFunctions[fn]) {
+                    throw new BusinessError(`Invalid aggregate ${fn} for ${field}. Use ${Object.keys(aggregateFunctions).join(', ')}.`);
+                }
+                columns.push({ field, fn });
+            }
+        }
+        return columns;
+    }
+
+    /**
+     * Builds the SELECT list of the list summary query.
+     * @param {Object} options
+     * @param {Object|String} options.aggregates - See parseAggregates
+     * @param {Boolean} [options.isDataFromView] - Whether the list reads from a view (fields are not prefixed with Main.)
+     * @returns {{select: string, columns: Array<{field: string, fn: string, alias: string}>}|null} null when no aggregates are requested
+     */
+    getAggregateSelect({ aggregates, isDataFromView }) {
+        const columns = this.parseAggregates(aggregates).map((column, index) => ({ ...column, alias: `_aggregate${index}` }));
+        if (!columns.length) {
+            return null;
+        }
+        const select = columns.map(({ field, fn, alias }) => `${aggregateFunctions[fn](this.getFieldName({ field, isDataFromView }))} AS ${alias}`);
+        return { select: `SELECT ${select.join(', ')}`, columns };
+    }
+
+    /**
+     * Builds the projection, GROUP BY and ORDER BY of a grouped list. Each row holds the group fields,
+     * one column per measure named {field}_{fn} (e.g. Amount_sum) and GroupCount, the number of rows in the group.
+     * Groups can only be sorted by these columns; without a sort they are ordered by the group fields.
+     * @param {Object} options
+     * @param {String|Array<string>} options.groupBy - Group fields, e.g. "Region, StatusId"
+     * @param {Object|String} [options.measures] - See parseAggregates
+     * @param {String} [options.sort] - e.g. "Amount_sum DESC, Region"
+     * @param {Object} options.sql - Sql instance, used for case-insensitive ordering
+     * @param {Boolean} [options.isDataFromView] - Whether the list reads from a view (fields are not prefixed with Main.)
+     * @returns {{fields: Array<string>, measures: Array<{field: string, fn: string, column: string}>, select: string, groupBy: string, orderBy: string}}
+     */
+    getGrouping({ groupBy, measures, sort, sql, isDataFromView }) {
+        const fields = (Array.isArray(groupBy) ? groupBy : String(groupBy).split(',')).map(field => String(field).trim()).filter(field => field.length);
+        if (!fields.length) {
+            throw new BusinessError('groupBy requires at least one field');
+        }
+        const expressions = {};
+        const select = [];
+        for (const field of fields) {
+            if (!SqlHelper.isValidFieldName(field)) {
+                throw new BusinessError(`Invalid groupBy field ${field}`);
+            }
+            const column = field.split('.').pop();
+            const expression = field.includes('.') ? field : this.getFieldName({ field, isDataFromView });
+            expressions[column] = sql.applyOrderByCaseInsensitive(expression);
+            select.push(`${expression} AS ${column}`);
+        }
+        const groupFields = fields.map(field => field.split('.').pop());
+        const measureColumns = this.parseAggregates(measures, 'measures').map(({ field, fn }) => {
+            const column = `${field.split('.').pop()}_${fn}`;
+            const expression = aggregateFunctions[fn](field.includes('.') ? field : this.getFieldName({ field, isDataFromView }));
+            expressions[column] = expression;
+            select.push(`${expression} AS ${column}`);
+            return { field, fn, column };
+        });
+        expressions.GroupCount = 'COUNT(1)';
+        select.push('COUNT(1) AS GroupCount');
+
+        const orderBy = [];
+        for (const entry of (sort || '').split(',')) {
+            const [name, direction = ''] = entry.trim().split(/\s+/);
+            if (!name) {
+                continue;
+            }
+            if (!expressions[name]) {
+                throw new BusinessError(`Grouped lists can only be sorted by ${Object.keys(expressions).join(', ')}`);
+            }
+            orderBy.push(['ASC', 'DESC'].includes(direction.toUpperCase()) ? `${expressions[name]} ${direction.toUpperCase()}` : expressions[name]);
+        }
+        if (!orderBy.length) {
+            orderBy.push(...groupFields.map(field => expressions[field]));
+        }
+
+        return {
+            fields: groupFields,
+            measures: measureColumns,
+            select: `SELECT ${select.join(', ')}`,
+            groupBy: ` GROUP BY ${fields.map(field => field.includes('.') ? field : this.getFieldName({ field, isDataFromView })).join(', ')}`,
+            orderBy: ` ORDER BY ${orderBy.join(', ')}`
+        };
+    }
+
+    /**
+     * Validates a nested filter tree sent by the client and maps each condition with mapCondition, keeping the groups.
+     * Throws a BusinessError (400) for unknown operators, invalid field names, malformed groups and trees nested deeper than maxFilterDepth.
+     * @param {Object|Array} filter - { and: [...], or: [...], not: node } groups and { field, operator, value, type } conditions
+     * @param {Function} mapCondition - Receives a validated condition and returns its mapped value
+     * @param {Object} [operators=compareLookups] - Supported operators
+     * @returns {Object|Array} Mapped tree
+     */
+    mapFilterTree(filter, mapCondition, operators = compareLookups, depth = 0) {
+        if (depth > this.maxFilterDepth) {
+            throw new BusinessError(`Filter is nested deeper than ${this.maxFilterDepth} levels.`);
+        }
+        if (Array.isArray(filter)) {
+            return filter.map(node => this.mapFilterTree(node, mapCondition, operators, depth + 1));
+        }
+        if (!filter || typeof filter !== 'object') {
+            throw new BusinessError('Invalid filter: every node must be an object.');
+        }
+        if (filterGroupKeys.some(key => key in filter)) {
+            const group = {};
+            for (const key of filterGroupKeys) {
+                if (filter[key] === undefined) {
+                    continue;
+                }
+                if (key !== 'not' && !Array.isArray(filter[key])) {
+                    throw new BusinessError(`Invalid filter: "${key}" must be an array.`);
+                }
+                group[key] = key === 'not' ? this.mapFilterTree(filter.not, mapCondition, operators, depth + 1) : filter[key].map(node => this.mapFilterTree(node, mapCondition, operators, depth + 1));
+            }
+            return group;
+        }
+        const { operator, field } = filter;
+        if (typeof operators[operator] !== 'function') {
+            throw new BusinessError(`Unknown filter operator ${operator}`);
+        }
+        if (typeof field !== 'string' || !SqlHelper.isValidFieldName(field)) {
+            throw new BusinessError(`Invalid filter field ${field}`);
+        }
+        return mapCondition(filter);
+    }
+
+    /**
+     * Adds the keyset (cursor) condition and ORDER BY of a cursor page to the list query.
+     * Pages are ordered by the sort keys plus keyField; the cursor holds the key values of the first/last row of the adjacent page.
+     * @returns {{query: string, keys: Array, direction: string}}
+     */
+    applyKeyset({ sql, request, query, sort, cursor, limit, groupBy, isDataFromView }) {
+        if (groupBy) {
+            throw new BusinessError('Cursor pagination cannot be combined with groupBy');
+        }
+        if (!(limit > 0)) {
+            throw new BusinessError('Cursor pagination requires a limit');
+        }
+        const keys = getKeysetKeys({ sort, keyField: this.keyField, sanitizeField: SqlHelper.sanitizeField }).map(key => ({
+            ...key,
+            column: key.field.split('.').pop(),
+            field: key.field.includes('.') ? key.field : this.getFieldName({ field: key.field, isDataFromView })
+        }));
+        const wrap = (expression) => sql.applyOrderByCaseInsensitive(expression);
+        let direction = cursorDirections.next;
+        if (cursor) {
+            const position = decodeCursor({ cursor, keys });
+            direction = position.direction;
+            const { statement, parameters } = buildKeysetCondition({ keys, values: position.values, direction, buildParameterName: sql.buildParameterName, wrap });
+            sql.addParameters({ request, parameters });
+            query = sql.addParameters({ query, request, parameters: { _cursor: { statement } }, forWhere: true, appendAnd: sql.findOutermostToken(query, /\bWHERE\b/i) > -1 });
+        }
+        // prev pages are read backwards from the cursor and reversed by getKeysetPage
+        const orderBy = keys.map(({ field, direction: keyDirection, isKey }) => {
+            const reverse = direction === cursorDirections.prev;
+            const order = reverse ? (keyDirection === 'ASC' ? 'DESC' : 'ASC') : keyDirection;
+            return `${isKey ? field : wrap(field)} ${order}`;
+        });
+        query += ' ORDER BY ' + orderBy.join(', ');
+        return { query, keys, direction };
+    }
+
+    /**
+     * Builds the search condition of list() over searchFields. Words are matched with the full-text
+     * index declared by fullTextSearch, or with LIKE on every search field otherwise.
+     * @param {Object} options
+     * @param {Object} options.sql - Sql instance
+     * @param {Object} options.request - Request the parameters are bound to
+     * @param {String} options.search - Words to search for
+     * @param {Boolean} [options.isDataFromView] - Whether the list reads from a view (fields are not prefixed with Main.)
+     * @returns {{statement: string, rank: string}|null} null when there is nothing to search for
+     */
+    getSearch({ sql, request, search, isDataFromView }) {
+        if (search === undefined || search === null) {
+            return null;
+        }
+        if (typeof search !== 'string') {
+            throw new BusinessError('Invalid search: expected a string');
+        }
+        const terms = search.split(/\s+/).filter(term => term.length);
+        if (!terms.length) {
+            return null;
+        }
+        if (terms.length > this.maxSearchTerms) {
+            throw new BusinessError(`Search is limited to ${this.maxSearchTerms} words`);
+        }
+        const { searchFields, fullTextSearch } = this;
+        if (!searchFields?.length) {
+            throw new BusinessError(`Search is not supported for ${this.getTableName()}`);
+        }
+        const fields = searchFields.map(field => {
+            if (!SqlHelper.isValidFieldName(field)) {
+                throw new Error(`Invalid search field ${field}`);
+            }
+            return field.includes('.') ? field : this.getFieldName({ field, isDataFromView });
+        });
+        const mode = fullTextSearch === true ? searchModes.CONTAINS : (fullTextSearch || searchModes.LIKE);
+        if (!Object.values(searchModes).includes(mode)) {
+            throw new Error(`Invalid fullTextSearch ${fullTextSearch}`);
+        }
+        const keyField = getFilterFieldName({ field: this.keyField, isDataFromView });
+        return sql.buildSearch({ request, terms, fields, mode, tableName: this.getTableName(), keyField });
+    }
+
+    /**
+     * Returns the distinct values of fields with the number of matching rows, for filter sidebars.
+     * Each facet is a grouped list, so createWhere/customizeWhere scoping applies; the conditions on the
+     * facet's own field are removed from the filter so that the other values of that field remain visible.
+     * @param {Object} options - list() options plus facets
+     * @param {String|Array|Object} options.facets - See getFacetConfigs, e.g. { StatusId: { lookup: 'Status', limit: 10 } }
+     * @returns {Promise<Object>} { [field]: [{ value, label, count }] } ordered by count descending
+     */
+    async facets({ facets, filter, ...options }) {
+        const configs = getFacetConfigs({ facets, defaultLimit: this.facetLimit });
+        filter = this.parseJson(filter, []);
+        const result = {};
+        for (const { field, limit } of configs) {
+            const column = field.split('.').pop();
+            const { records } = await this.list({
+                ...options,
+                filter: removeFieldFilter(filter, field),
+                groupBy: field,
+                sort: `GroupCount DESC, ${column}`,
+                start: 0,
+                limit,
+                returnCount: false,
+                measures: undefined,
+                aggregates: undefined,
+                group: undefined,
+                cursor: undefined,
+                paging: pagingModes.offset,
+                stream: false
+            });
+            result[field] = records.map(record => ({ value: record[column], count: record.GroupCount }));
+        }
+        return applyFacetLabels({ facets: result, configs, user: this.user, sql: this.getSql() });
+    }
+
     /**
      * List records with optional hooks for extensibility
      * Supports hooks: customizeWhere, addAdditionalColumns,customizeList
+     * options.paging = 'cursor' (or passing options.cursor) pages on the sort keys plus keyField and returns nextCursor/prevCursor.
+     * options.countMode = 'exact' | 'estimate' | 'none' controls how recordCount is calculated.
+     * options.stream = true returns { stream } with the rows as an object mode Readable instead of loading them (no count).
+     * options.aggregates = { Amount: ['sum', 'avg'] } returns summary = { Amount: { sum, avg } } over all filtered rows.
+     * groupBy = 'Region, StatusId' with options.measures = { Amount: ['sum'] } lists one row per group (see getGrouping);
+     * options.group = { Region: 'East', StatusId: 1 } lists the rows of one group instead.
+     * options.facets = ['StatusId'] adds facets = { StatusId: [{ value, label, count }] } (see facets).
+     * options.search = 'north wind' keeps the rows matching every word in searchFields (see getSearch);
+     * options.sortByRelevance = true orders them by the best match first, before sort.
+     * computedFields are projected and usable in filter/sort like columns, or computed on the records (see getComputedFields).
+     * options.includeRelations = ['Orders', 'Orders.Lines'] loads related records on the page (see loadIncludes);
+     * include is the list of ids to include.
+     * options.replica = false runs the list on the primary instead of a read replica (see useReadReplica).
      */
     async list({ start = 0, limit = 100, sort, filter, groupBy, include, exclude, returnCount = true, ...options }) {
+        // grouped lists are sorted by their own columns, so the default sort order only applies to rows
+        const requestedSort = sort;
         sort = sort || this.defaultSortOrder;
-        const request = this.createRequest();
+        const useReplica = this.useReadReplica(options.replica);
+        const request = this.createRequest({ replica: useReplica });
         const { keyField } = this;
-        const sql = BusinessBase.businessObject.sql;
+        const sql = this.getSql();
         const whereArr = this.parseJson(filter, []);
         let totalStatement = "SELECT COUNT(1) AS TotalCount";
+        this.assertReadableFields({ filter: whereArr, sort: requestedSort, groupBy, group: options.group, aggregates: options.aggregates, measures: options.measures, search: options.search });
 
         const { relations = [] } = this;
 
@@ -744,11 +2552,14 @@ class BusinessBase {
             exclude,
             returnCount,
             relations,
+            permissions: this.permissions,
             operationMode: OperationMode.list
         };
 
         let { listStatement, isStandard } = this.normalizeListStatement(await this.getListStatement(hookParameters));
         const isDataFromView = listStatement.indexOf("vw") > -1;
+        // the catalog only knows the row count of the table itself, not of a view or a custom statement
+        let readsBaseTable = !isDataFromView && !this.selectStatement && listStatement === this.getSelectStatement();
 
         hookParameters.listStatement = listStatement;
         hookParameters.isStandard = isStandard;
@@ -770,28 +2581,41 @@ class BusinessBase {
                 additionalColumns.push(`[${relationName}].${relationName}Count ${relationName}Count`);
             }
             if (relation.type === RelationshipTypes.OneToOne && relation.listColumns) {
-                const join = [];
-                for (const joinCondition of relation.join) {
-                    join.push(`${relationName}.${joinCondition} = Main.${relation.join[joinCondition]}`)
-                }
-                listStatement += ` LEFT OUTER JOIN (SELECT ${relation.listColumns} FROM ${relationName} ${deleteStatement}) ${relationName} ON ${join.join(' AND ')}`
-                additionalColumns.push(`${relationName}.${relationName}Count ${relationName}Count`);
-
+                const listColumns = typeof relation.listColumns === 'string' ? relation.listColumns.split(',').map(column => column.trim()) : relation.listColumns;
+                // join maps columns of the related table to columns of this table, by default the key of this table
+                const joinColumns = relation.join || { [keyField]: keyField };
+                const join = Object.entries(joinColumns).map(([column, parentColumn]) => `${relationName}.${column} = Main.${parentColumn}`);
+                const selectColumns = [...new Set([...Object.keys(joinColumns), ...listColumns])];
+                listStatement += ` LEFT OUTER JOIN (SELECT ${selectColumns.join(', ')} FROM ${relation.table || relationName} ${deleteStatement}) ${relationName} ON ${join.join(' AND ')}`
+                additionalColumns.push(...listColumns.map(column => `${relationName}.${column}`));
             }
         }
+        const manyToOne = this.getManyToOneJoins();
+        listStatement += manyToOne.joins;
+        additionalColumns.push(...manyToOne.columns);
 
         // Hook: addAdditionalColumns - Allow adding custom JOINs and columns
         if (typeof this.addAdditionalColumns === 'function' ) {
             const result = await this.addAdditionalColumns(hookParameters);
 
             if (result) {
-                listStatement = result.listStatement || listStatement;
+                if (result.listStatement) {
+                    listStatement = result.listStatement;
+                    readsBaseTable = false;
+                }
                 if (result.additionalColumns && result.additionalColumns.length > 0) {
                     additionalColumns.push(...result.additionalColumns);
                 }
             }
         }
 
+        const computedFields = this.getComputedFields();
+        for (const [name, { expression }] of Object.entries(computedFields)) {
+            if (expression) {
+                additionalColumns.push(`(${expression}) AS ${name}`);
+            }
+        }
+
         if (additionalColumns.length > 0) {
             listStatement = listStatement.replace(/ from /i, ', ' + additionalColumns.join(', ') + ' FROM ');
         }
@@ -815,59 +2639,117 @@ class BusinessBase {
         if (this.useIsActive && (Array.isArray(include) || Array.isArray(exclude))) {
             where["_isActive"] = { fieldName: "IsActive", operator: "=", value: true };
         }
-        if (whereArr.length) {
-            whereArr.forEach((ele) => {
-                const { operator, field, value, type } = ele;
-                const filterValue = compareLookups[operator]({ v: value, field, type });
-                let fieldName = isDataFromView ? field : `Main.${field}`;
-                if (filterFields[field]) {
-                    fieldName = `${filterFields[field]}.${field}`;
-                }
-                if (typeof (filterValue) === 'string') {
-                    where[fieldName] = { statement: filterValue.replaceAll('${field}', fieldName) }
-                } else if (filterValue) {
-                    where[fieldName] = { operator: filterValue.operator, value: filterValue.value, sqlType: filterValue.sqlType };
+        if (Array.isArray(whereArr)) {
+            whereArr.forEach((ele, index) => {
+                const condition = this.toSqlCondition({ condition: ele, isDataFromView, sql, request, paramPrefix: `_related${index}_` });
+                if (condition) {
+                    // expressions cannot be used as parameter names, so computed and related fields are keyed by their name;
+                    // the index keeps several conditions on the same field, such as a range, from overwriting each other
+                    const { field } = ele;
+                    const key = computedFields[field] || this.getRelatedField(field) ? field.replaceAll('.', '_') : getFilterFieldName({ field, isDataFromView });
+                    where[`${key}_${index}`] = condition;
                 }
             })
+        } else if (whereArr && typeof whereArr === 'object') {
+            const statement = sql.buildFilterTree({ request, filter: this.toSqlFilter({ filter: whereArr, isDataFromView, sql, request }) });
+            if (statement) {
+                where._filter = { statement };
+            }
+        }
+        const drillDown = this.parseJson(options.group, null);
+        if (drillDown) {
+            if (typeof drillDown !== 'object' || Array.isArray(drillDown)) {
+                throw new BusinessError('Invalid group: expected the group field values such as { Region: "East" }');
+            }
+            Object.entries(drillDown).forEach(([field, value], index) => {
+                if (!SqlHelper.isValidFieldName(field)) {
+                    throw new BusinessError(`Invalid group field ${field}`);
+                }
+                const fieldName = field.includes('.') ? field : this.getFieldName({ field, isDataFromView });
+                where[`_group${index}`] = value === null ? { statement: `${fieldName} IS NULL` } : { fieldName, operator: '=', value };
+            });
+        }
+        const search = this.getSearch({ sql, request, search: options.search, isDataFromView });
+        if (search) {
+            where._search = { statement: search.statement };
         }
         query = sql.addParameters({ query, request, parameters: where, forWhere: true });
+        const fromClause = query.substring(/ from /i.exec(query).index);
+
+        const grouping = groupBy && !drillDown ? this.getGrouping({ groupBy, measures: options.measures, sort: requestedSort, sql, isDataFromView }) : null;
+        if (grouping) {
+            query = grouping.select + fromClause + grouping.groupBy;
+        }
+        hookParameters.grouping = grouping;
 
         start = Number(start);
         limit = Number(limit);
 
-        const needToGetCount = returnCount && limit > 0;
-
+        const countMode = returnCount && !options.stream ? (options.countMode || this.countMode) : countModes.none;
+        if (!Object.values(countModes).includes(countMode)) {
+            throw new BusinessError(`Invalid countMode ${countMode}`);
+        }
+        const needToGetCount = countMode !== countModes.none && limit > 0;
+        // table statistics only know the size of the whole table, so lists narrowed by any condition - including the
+        // client and soft delete conditions - are counted exactly
+        const estimateCount = countMode === countModes.estimate && !grouping && readsBaseTable && Object.keys(where).length === 0;
+
+        // aggregates cover the whole filtered set, so they are built before the cursor condition and paging are added
+        const aggregate = options.stream ? null : this.getAggregateSelect({ aggregates: options.aggregates, isDataFromView });
+        if (aggregate) {
+            aggregate.statement = aggregate.select + fromClause;
+        }
 
         if (needToGetCount) {
-            const match = / from /i.exec(query);
-            totalStatement += query.substring(match.index);
+            if (grouping) {
+                // table statistics cannot estimate the number of groups, so grouped lists are always counted exactly
+                totalStatement += ` FROM (SELECT 1 AS GroupRow${fromClause}${grouping.groupBy}) AS Groups`;
+            } else if (estimateCount) {
+                totalStatement = sql.estimatedCountStatement;
+                sql.addParameters({ request, parameters: { _countTable: this.getTableName() } });
+            } else {
+                totalStatement += fromClause;
+            }
         }
 
-        if (sort) {
-            let orderByFields = sort.split(',');
+        const { cursor } = options;
+        const paging = (cursor ? pagingModes.cursor : options.paging) || this.paging;
+        // groups have no relevance, so sortByRelevance only applies to rows
+        const relevanceOrder = search?.rank && [true, 'true'].includes(options.sortByRelevance) && !grouping ? `${search.rank} DESC` : null;
+        if (paging === pagingModes.cursor) {
+            if (options.stream) {
+                throw new BusinessError('Streamed lists cannot use cursor pagination');
+            }
+            if (relevanceOrder) {
+                throw new BusinessError('Cursor pagination cannot be combined with sortByRelevance');
+            }
+            hookParameters.keyset = this.applyKeyset({ sql, request, query, sort, cursor, limit, groupBy: grouping, isDataFromView });
+            query = hookParameters.keyset.query;
+        } else if (grouping) {
+            query += grouping.orderBy;
+        } else if (sort || relevanceOrder) {
+            let orderByFields = sort ? sort.split(',') : [];
             orderByFields = orderByFields.map(field => {
                 const parts = field.trim().split(/\s+/);
-                const shadowFieldName = sql.applyShadowColumns(parts[0]);
-                const fieldName = SqlHelper.sanitizeField(shadowFieldName);
+                const isComputed = Boolean(computedFields[parts[0]] || this.getRelatedField(parts[0]));
+                const shadowFieldName = isComputed ? parts[0] : sql.applyShadowColumns(parts[0]);
+                const fieldName = isComputed ? this.getFieldName({ field: parts[0], isDataFromView }) : SqlHelper.sanitizeField(shadowFieldName);
                 const isShadowColumn = shadowFieldName !== parts[0];
                 const direction = parts[1] && ['ASC', 'DESC'].includes(parts[1].toUpperCase()) ? parts[1].toUpperCase() : '';
                 const wrappedField = isShadowColumn ? fieldName : sql.applyOrderByCaseInsensitive(fieldName);
                 return direction ? `${wrappedField} ${direction}` : wrappedField;
             });
+            if (relevanceOrder) {
+                orderByFields.unshift(relevanceOrder);
+            }
             query += ' ORDER BY ' + orderByFields.join(', ');
         }
 
         if (limit > 0) {
             query += ' OFFSET @_start ROWS FETCH NEXT @_limit ROWS ONLY';
-            query = BusinessBase.businessObject.sql.addParameters({ query: query, request, parameters: { _start: start, _limit: limit }, forWhere: false });
-        }
-
-        if (groupBy) {
-            let groupByFields = groupBy.split(',');
-            groupByFields = groupByFields.map(field => SqlHelper.sanitizeField(field));
-            const groupByStatement = ' GROUP BY ' + SqlHelper.sanitizeField(groupByFields.join(', '));
-            query += groupByStatement;
-            totalStatement += groupByStatement;
+            // cursor pages read one extra row to find out whether there is a next page
+            const parameters = hookParameters.keyset ? { _start: 0, _limit: limit + 1 } : { _start: start, _limit: limit };
+            query = this.getSql().addParameters({ query: query, request, parameters, forWhere: false });
         }
 
         query += ';';
@@ -876,6 +2758,35 @@ class BusinessBase {
             query += totalStatement;
         }
 
+        if (aggregate) {
+            query += (needToGetCount ? ';' : '') + aggregate.statement;
+        }
+
+
+        if (options.stream) {
+            // the caller consumes the rows, so customizeList is not applied to streamed lists
+            const rows = sql.stream({ request, query });
+            const hasComputedFields = !grouping && Object.values(computedFields).some(({ compute }) => compute);
+            const fieldAccess = this.getFieldAccess();
+            if (!hasComputedFields && !fieldAccess.hidden.length && !Object.keys(fieldAccess.masked).length) {
+                return { stream: rows };
+            }
+            const computeRows = new Transform({
+                objectMode: true,
+                transform: (record, encoding, callback) => {
+                    try {
+                        if (hasComputedFields) {
+                            this.applyComputedFields([record], { operationMode: OperationMode.list });
+                        }
+                        callback(null, this.applyFieldPermissions([record], fieldAccess)[0]);
+                    } catch (err) {
+                        callback(err);
+                    }
+                }
+            });
+            // errors of the query destroy computeRows, which is what the caller reads
+            return { stream: pipeline(rows, computeRows, () => { }) };
+        }
 
         const result = await request.query(query);
 
@@ -883,14 +2794,47 @@ class BusinessBase {
             records: result.recordset
         };
 
-        if (returnCount) {
+        if (countMode !== countModes.none) {
             if (limit > 0) {
                 listResult.recordCount = result.recordsets[1][0].TotalCount;
+                if (estimateCount) {
+                    listResult.recordCountEstimated = true;
+                }
             } else {
                 listResult.recordCount = result.rowsAffected[0];
             }
         }
 
+        if (grouping) {
+            // groupByKey/rowspanColumns are the toHtmlTable options that merge the first group column across its rows
+            Object.assign(listResult, { groupBy: grouping.fields, measures: grouping.measures, groupByKey: grouping.fields[0], rowspanColumns: [grouping.fields[0]] });
+        }
+
+        if (aggregate) {
+            const [totals = {}] = result.recordsets[needToGetCount ? 2 : 1] || [];
+            listResult.summary = {};
+            for (const { field, fn, alias } of aggregate.columns) {
+                listResult.summary[field] = { ...listResult.summary[field], [fn]: totals[alias] ?? null };
+            }
+        }
+
+        if (hookParameters.keyset) {
+            const { keys, direction } = hookParameters.keyset;
+            Object.assign(listResult, getKeysetPage({ records: result.recordset, keys, limit, direction, hasCursor: Boolean(cursor) }));
+        }
+
+        if (!grouping) {
+            if (options.includeRelations) {
+                await this.loadIncludes({ records: listResult.records, include: options.includeRelations, replica: useReplica });
+            }
+            this.applyComputedFields(listResult.records, { operationMode: OperationMode.list });
+        }
+
+        if (options.facets) {
+            const { facets, ...listOptions } = options;
+            listResult.facets = await this.facets({ ...listOptions, facets, filter, include, exclude });
+        }
+
         hookParameters.listResult = listResult;
 
         // Hook: customizeList - Allow result post-processing
@@ -898,6 +2842,9 @@ class BusinessBase {
             await this.customizeList(hookParameters);
         }
 
+        // applied last, so that fields added by customizeList are restricted too
+        this.applyFieldPermissions(hookParameters.listResult?.records);
+
         return hookParameters.listResult;
 
     }
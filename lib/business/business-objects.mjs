@@ -1,16 +1,70 @@
 import queryBase from './query-base.mjs';
-import { classMap } from '../business/business-base.mjs';
+import BusinessBase, { classMap } from '../business/business-base.mjs';
 import lookup from '../business/lookup.mjs';
 import ElasticBusinessBase from './elastic-business-base.mjs'
 import responseTransformer from '../middleware/response-transformer.mjs';
+import { BusinessError, ConcurrencyError, PermissionError } from './errors.mjs';
+import { permissionOperations } from './permissions.mjs';
+import { importFormats, importRecords, getErrorReport } from './import.mjs';
+import { ExportJobs } from './export-jobs.mjs';
+import { getStreamFormat, writeExport } from '../middleware/response-transformer.mjs';
+import util from '../util.js';
 
 function resTransform(req, res, next) {
   responseTransformer(req, res, next);
 }
 
+const isTrue = (value) => value === true || value === 'true';
+
+/**
+ * Operation of a list/export request: exports are requested on /export, as a file, streamed or run asynchronously.
+ */
+function getListOperation(req) {
+  const { stream, responseType = req.query.responseType } = req.body;
+  const isExport = req.path.endsWith('/export') || isTrue(stream) || isTrue(req.body.async ?? req.query.async) || (responseType && responseType !== 'json');
+  return isExport ? permissionOperations.export : permissionOperations.list;
+}
+
+/**
+ * Operations of a bulk request: every kind of row that is sent must be allowed.
+ */
+function getBulkOperations(req) {
+  const { creates, updates, deletes } = req.body;
+  const operations = [];
+  if (creates?.length) {
+    operations.push(permissionOperations.create);
+  }
+  if (updates?.length) {
+    operations.push(permissionOperations.update);
+  }
+  if (deletes?.length) {
+    operations.push(permissionOperations.delete);
+  }
+  return operations;
+}
+
+/**
+ * Operations of an import request: either create or update is enough, the rows that need the other one are rejected.
+ */
+function getImportOperations(req) {
+  const { businessObject } = req;
+  const { create, update } = permissionOperations;
+  return businessObject.hasPermission(create) || businessObject.hasPermission(update) ? [] : [create];
+}
+
 class BusinessBaseObjectsRouter {
-  constructor(router, businessObjectConfigs) {
+  /**
+   * @param {Router} router - Express router
+   * @param {Object} businessObjectConfigs - Business object classes or configurations by name
+   * @param {Object} [options]
+   * @param {ExportJobs} [options.exportJobs] - Runs `export?async=true` requests, defaults to an ExportJobs writing to the temp directory
+   * @param {Function} [options.getPermissions] - Returns the permissions of the request user (the result of Auth.getPermissions).
+   * When set, every business object route requires the permission of its operation and is rejected with 403 otherwise.
+   */
+  constructor(router, businessObjectConfigs, { exportJobs, getPermissions } = {}) {
     this.router = router
+    this.exportJobs = exportJobs || new ExportJobs();
+    this.getPermissions = getPermissions;
     this.init(businessObjectConfigs);
     this.setupRoutes();
   }
@@ -23,6 +77,20 @@ class BusinessBaseObjectsRouter {
   }
 
   setupRoutes() {
+    // registered before the business object routes so that "exports" is not resolved as a business object name
+    this.router.get('/exports/:jobId', resTransform, queryBase(async (req) => {
+      const job = this.exportJobs.get({ jobId: req.params.jobId, owner: req.user?.id });
+      return { success: true, data: this.exportJobs.toResponse(job) };
+    }));
+
+    this.router.get('/exports/:jobId/download', queryBase(async (req, res) => {
+      const { job, stream } = await this.exportJobs.download({ jobId: req.params.jobId, owner: req.user?.id });
+      res.set('Content-Type', job.contentType);
+      res.set('Content-Disposition', `attachment; filename="${job.fileName}"`);
+      stream.on('error', (err) => res.destroy(err));
+      stream.pipe(res);
+    }));
+
     this.router.use('/:businessObjectName', (req, res, next) => {
       const businessObjectName = req.params.businessObjectName.toUpperCase().replaceAll('-', '');
       const constructor = classMap.get(businessObjectName);
@@ -38,25 +106,66 @@ class BusinessBaseObjectsRouter {
         businessObject.logger = req.logger;
       }
       req.businessObject = businessObject;
-      next();
+      if (!this.getPermissions && !BusinessBase.businessObject?.tenants) {
+        return next();
+      }
+      // the tenant pool is held until the response is finished
+      let finished = false;
+      res.once?.('close', () => {
+        finished = true;
+        businessObject.releaseSql();
+      });
+      // the tenant database may need to connect and the permissions may be read asynchronously, e.g. from a session store
+      businessObject.resolveSql({ req }).then(() => {
+        if (finished) {
+          businessObject.releaseSql();
+        }
+        return this.getPermissions?.(req);
+      }).then((permissions) => {
+        if (this.getPermissions) {
+          businessObject.userPermissions = permissions;
+          businessObject.permissions = businessObject.getEffectivePermissions({ permissions, module: req.params.businessObjectName });
+        }
+        next();
+      }, next);
     });
 
     this.router.use(resTransform);
 
-    this.router.get('/:businessObjectName/lookups', queryBase(async (req) => {
+    this.router.get('/:businessObjectName/lookups', this.requirePermission(permissionOperations.lookups), queryBase(async (req) => {
       const { businessObject } = req;
       const { lookups, scopeId } = { ...req.query, ...req.body };
       return {
         success: true,
-        data: await this.getLookups({ lookups, user: { ...businessObject.user, scopeId } })
+        data: await this.getLookups({ lookups, user: { ...businessObject.user, scopeId }, sql: businessObject.getSql() })
       };
     }));
 
     const listOrExportHandler = queryBase(async (req, res) => {
       const { businessObject } = req;
-      const { start, limit, sort, groupBy, include, exclude, where, filename, columns, lookups, logicalOperator, responseType, isElasticExport: isElastic, limitToSurveyed, fileName } = req.body;
+      const { start, limit, sort, groupBy, include, exclude, where, filename, columns, lookups, logicalOperator, responseType, isElasticExport: isElastic, limitToSurveyed, fileName, showDeleted, cursor, paging, countMode, stream, aggregates, measures, group, facets, search, sortByRelevance, includeRelations } = req.body;
 
-      const data = await businessObject.list({ start, limit, sort, filter: where, groupBy, include, exclude, columns, logicalOperator, responseType, isElastic: Boolean(isElastic), limitToSurveyed });
+      const runAsync = req.body.async ?? req.query.async;
+      if (runAsync === true || runAsync === 'true') {
+        const job = this.enqueueExport({ req, businessObject });
+        res.status(202);
+        return { success: true, data: this.exportJobs.toResponse(job) };
+      }
+
+      if (stream === true || stream === 'true') {
+        // rows are written to the response while they are read, so memory use does not grow with the export size
+        const exportLookups = await this.getLookups({ lookups, user: businessObject.user, sql: businessObject.getSql() });
+        const { stream: rows } = await businessObject.list({ start, limit, sort, filter: where, groupBy, include, exclude, columns, logicalOperator, responseType, limitToSurveyed, showDeleted: showDeleted === true || showDeleted === 'true', measures, group, search, sortByRelevance, stream: true });
+        await res.transformStream({
+          rows,
+          exportColumns: businessObject.getReadableExportColumns(JSON.parse(columns || "[]")),
+          userDateFormat: businessObject.user.tags?.DateFormat?.toUpperCase(),
+          lookups: exportLookups
+        }, { responseType: responseType || req.query.responseType, fileName: filename || fileName });
+        return;
+      }
+
+      const data = await businessObject.list({ start, limit, sort, filter: where, groupBy, include, exclude, columns, logicalOperator, responseType, isElastic: Boolean(isElastic), limitToSurveyed, showDeleted: showDeleted === true || showDeleted === 'true', cursor, paging, countMode, aggregates, measures, group, facets, search, sortByRelevance, includeRelations });
 
       if (filename) {
         res.attachment(filename);
@@ -65,52 +174,223 @@ class BusinessBaseObjectsRouter {
       return {
         success: true,
         ...data,
-        exportColumns: JSON.parse(columns || "[]"),
+        exportColumns: businessObject.getReadableExportColumns(JSON.parse(columns || "[]")),
         userDateTimeFormat: businessObject.user.tags?.DateTimeFormat?.toUpperCase(),
         userDateFormat: businessObject.user.tags?.DateFormat?.toUpperCase(),
         userCurrencySymbol: businessObject.user.tags?.CurrencySymbol,
-        lookups: await this.getLookups({ lookups, user: businessObject.user }),
+        lookups: await this.getLookups({ lookups, user: businessObject.user, sql: businessObject.getSql() }),
         isElastic: Boolean(isElastic),
         fileName
       };
     }, { data: 'records' });
 
-    this.router.post(['/:businessObjectName/list', '/:businessObjectName/export'], listOrExportHandler);
+    this.router.post(['/:businessObjectName/list', '/:businessObjectName/export'], this.requirePermission(getListOperation), listOrExportHandler);
+
+    this.router.post('/:businessObjectName/facets', this.requirePermission(permissionOperations.list), queryBase(async (req) => {
+      const { businessObject } = req;
+      const { facets, where, include, exclude, logicalOperator, limitToSurveyed, showDeleted, search } = req.body;
+      const data = await businessObject.facets({ facets, filter: where, search, include, exclude, logicalOperator, limitToSurveyed, showDeleted: showDeleted === true || showDeleted === 'true' });
+      return { success: true, data };
+    }));
+
+    this.router.post('/:businessObjectName/bulk', this.requirePermission(getBulkOperations), queryBase(async (req) => {
+      const { businessObject } = req;
+      const { creates, updates, deletes, atomic } = req.body;
+      const data = await businessObject.bulk({ creates, updates, deletes, atomic: atomic !== false && atomic !== 'false' });
+      return { success: true, data };
+    }));
+
+    // the rows decide whether create or update is needed, so importRecords checks the permission of every row
+    this.router.post('/:businessObjectName/import', this.requirePermission(getImportOperations), queryBase(async (req) => {
+      const { businessObject } = req;
+      const { file, fileName = '', dryRun, errorReport } = req.body;
+      let { columns } = req.body;
+      if (typeof columns === 'string') {
+        try {
+          columns = JSON.parse(columns);
+        } catch {
+          throw new BusinessError('Invalid columns: expected a JSON list of column definitions');
+        }
+      }
+      // multipart uploads (e.g. multer) provide req.file, JSON uploads send the file base64 encoded
+      const buffer = req.file?.buffer || (file ? Buffer.from(file, 'base64') : null);
+      if (!buffer) {
+        throw new BusinessError('No file was uploaded');
+      }
+      const format = req.body.format || (req.file?.originalname || fileName).split('.').pop().toLowerCase();
+      const result = await importRecords({
+        businessObject,
+        buffer,
+        format: format === importFormats.csv ? importFormats.csv : importFormats.xlsx,
+        columns: columns || businessObject.importColumns,
+        dryRun: isTrue(dryRun)
+      });
+      // the report lists the rows that failed this import, including the rows that failed when they were saved
+      if (isTrue(errorReport)) {
+        const { data, exportColumns } = getErrorReport(result);
+        return { success: true, data, exportColumns, fileName: 'import-errors' };
+      }
+      return { success: true, data: result };
+    }));
 
-    this.router.get('/:businessObjectName/:id', queryBase(async (req) => {
+    this.router.get('/:businessObjectName/:id', this.requirePermission(permissionOperations.load), queryBase(async (req) => {
       const { businessObject } = req;
       const { id } = req.params;
-      const { relations, lookups } = { ...req.query, ...req.body };
-      const data = await businessObject.load({ id, relations });
+      const { relations, lookups, include } = { ...req.query, ...req.body };
+      const data = await businessObject.load({ id, relations, include });
       return {
         success: true,
         data,
-        lookups: await this.getLookups({ lookups, user: businessObject.user })
+        lookups: await this.getLookups({ lookups, user: businessObject.user, sql: businessObject.getSql() })
       };
     }));
 
-    this.router.put('/:businessObjectName/:id', queryBase(async (req) => {
+    this.router.get('/:businessObjectName/:id/history', this.requirePermission(permissionOperations.load), queryBase(async (req) => {
+      const { businessObject } = req;
+      const { id } = req.params;
+      return { success: true, data: await businessObject.history({ id }) };
+    }));
+
+    this.router.get('/:businessObjectName/:id/versions', this.requirePermission(permissionOperations.load), queryBase(async (req) => {
+      const { businessObject } = req;
+      const { id } = req.params;
+      return { success: true, data: await businessObject.listVersions({ id }) };
+    }));
+
+    this.router.get('/:businessObjectName/:id/versions/:from/diff/:to', this.requirePermission(permissionOperations.load), queryBase(async (req) => {
+      const { businessObject } = req;
+      const { id, from, to } = req.params;
+      return { success: true, data: await businessObject.diffVersions({ id, from, to }) };
+    }));
+
+    this.router.get('/:businessObjectName/:id/versions/:version', this.requirePermission(permissionOperations.load), queryBase(async (req) => {
+      const { businessObject } = req;
+      const { id, version } = req.params;
+      return { success: true, data: await businessObject.getVersion({ id, version }) };
+    }));
+
+    this.router.post('/:businessObjectName/:id/versions/:version/restore', this.requirePermission(permissionOperations.update), queryBase(async (req) => {
+      const { businessObject } = req;
+      const { id, version } = req.params;
+      const data = await businessObject.restoreVersion({ id, version });
+      return { success: true, data };
+    }));
+
+    // id 0 creates a record, like save()
+    this.router.put('/:businessObjectName/:id', this.requirePermission((req) => parseInt(req.params.id) !== 0 ? permissionOperations.update : permissionOperations.create), queryBase(async (req) => {
       const { businessObject } = req;
       const { id } = req.params;
       const { relations } = req.body;
 
-      const data = await businessObject.save({ id, relations, ...req.body });
+      try {
+        const data = await businessObject.save({ id, relations, ...req.body });
+        return { success: true, data, lookups: {} };
+      } catch (err) {
+        if (err instanceof ConcurrencyError) {
+          // return the current server version so the client can merge or reload; the conflict is returned even if it cannot be loaded
+          try {
+            err.details.data = await businessObject.load({ id });
+          } catch (loadErr) {
+            businessObject.logger?.error({ err: loadErr, id }, 'Loading the current version after a concurrency conflict failed');
+          }
+        }
+        throw err;
+      }
+    }));
+
+    this.router.post('/:businessObjectName/:id/restore', this.requirePermission(permissionOperations.delete), queryBase(async (req) => {
+      const { businessObject } = req;
+      const { id } = req.params;
+      const data = await businessObject.restore({ id });
       return { success: true, data, lookups: {} };
     }));
 
-    this.router.delete('/:businessObjectName/:id', queryBase(async (req, res) => {
+    this.router.delete('/:businessObjectName/:id', this.requirePermission(permissionOperations.delete), queryBase(async (req, res) => {
       const { businessObject } = req;
       const { id } = req.params;
       try {
         const data = await businessObject.delete({ id, ...req.body });
         res.status(200).json({ success: true, data, lookups: {} });
       } catch (error) {
+        // e.g. a PermissionError of the row policies
+        if (error instanceof BusinessError) {
+          throw error;
+        }
         res.status(500).json({ success: false, error: error.message || 'An unexpected error occurred.' });
       }
     }));
   }
 
-  async getLookups({ lookups, user = {} }) {
+  /**
+   * Returns a middleware that rejects the request with 403 unless businessObject.hasPermission allows its operations.
+   * @param {String|Array<String>|Function} operations - Operation(s), or a function of the request returning them
+   * @returns {Function} Express middleware
+   */
+  requirePermission(operations) {
+    return (req, res, next) => {
+      const { businessObject } = req;
+      const required = [].concat(typeof operations === 'function' ? operations(req) : operations);
+      const denied = required.find(operation => !businessObject.hasPermission(operation));
+      if (denied) {
+        const err = new PermissionError(`You do not have permission to ${denied} ${req.params.businessObjectName}`);
+        return res.status(err.statusCode).json(err.toResponse());
+      }
+      next();
+    };
+  }
+
+  /**
+   * Queues the list/export request as an export job. The job counts the rows for progress reporting,
+   * then streams them into the export file.
+   * @returns {Object} The job
+   */
+  enqueueExport({ req, businessObject }) {
+    const { start = 0, limit, sort, groupBy, include, exclude, where, filename, columns, lookups, logicalOperator, responseType, limitToSurveyed, fileName, showDeleted, measures, group, search, sortByRelevance } = req.body;
+    const type = responseType || req.query.responseType || 'xlsx';
+    const streamFormat = getStreamFormat(type);
+    if (!streamFormat) {
+      throw new BusinessError(`Asynchronous exports are not supported for ${type}`);
+    }
+    const { user } = businessObject;
+    const listOptions = { start, limit, sort, filter: where, groupBy, include, exclude, columns, logicalOperator, responseType, limitToSurveyed, showDeleted: showDeleted === true || showDeleted === 'true', measures, group, search, sortByRelevance };
+    // the job runs after the response, so it holds the tenant pool until it is done
+    const releaseSql = businessObject.retainSql();
+    return this.exportJobs.enqueue({
+      owner: user?.id,
+      fileName: util.sanitizeFilename(filename || fileName || req.params.businessObjectName),
+      streamFormat,
+      run: async ({ job, stream }) => {
+        try {
+          const { recordCount } = await businessObject.list({ ...listOptions, start: 0, limit: 1 });
+          if (typeof recordCount === 'number') {
+            const available = Math.max(recordCount - Number(start), 0);
+            job.total = Number(limit) > 0 ? Math.min(Number(limit), available) : available;
+          }
+          const { stream: rows } = await businessObject.list({ ...listOptions, stream: true });
+          if (!rows) {
+            throw new BusinessError(`${req.params.businessObjectName} does not support asynchronous exports`);
+          }
+          return await writeExport({
+            result: {
+              rows,
+              exportColumns: businessObject.getReadableExportColumns(JSON.parse(columns || "[]")),
+              userDateFormat: user.tags?.DateFormat?.toUpperCase(),
+              lookups: await this.getLookups({ lookups, user, sql: businessObject.getSql() })
+            },
+            format: streamFormat.format,
+            stream,
+            onRow: (count) => {
+              job.processed = count;
+            }
+          });
+        } finally {
+          releaseSql();
+        }
+      }
+    });
+  }
+
+  async getLookups({ lookups, user = {}, sql }) {
     if (!lookups) {
       return;
     }
@@ -119,7 +399,7 @@ class BusinessBaseObjectsRouter {
       const lookupResult = {};
       for (const lookupType of lookupTypes) {
         const nameOrId = lookupType.trim();
-        lookupResult[nameOrId] = await lookup.get(user, nameOrId, user.scopeId);
+        lookupResult[nameOrId] = await lookup.get(user, nameOrId, user.scopeId, sql);
       }
       return lookupResult;
     }
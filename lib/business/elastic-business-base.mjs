@@ -1,8 +1,10 @@
-import BusinessBase from './business-base.mjs';
+import BusinessBase, { OperationMode } from './business-base.mjs';
 import util from '../util.js';
 import fs from 'fs/promises';
+import { getFacetConfigs, removeFieldFilter, applyFacetLabels } from './facets.mjs';
 
 const mustNotOperators = ["!=", "not", "notEquals", "isEmpty"];
+const filterGroupKeys = ['and', 'or', 'not'];
 
 const compareLookups = {
     "is": function ({ v, field }) {
@@ -94,6 +96,10 @@ class ElasticBusinessBase extends BusinessBase {
     }
 
     applyFilters(filter, queryFilter) {
+        if (filter && typeof filter === 'object' && !Array.isArray(filter)) {
+            queryFilter.must.push(this.toBoolQuery(filter));
+            return;
+        }
         if (filter?.length) {
             filter.forEach((element) => {
                 const { field, operator, type, value } = element;
@@ -107,6 +113,54 @@ class ElasticBusinessBase extends BusinessBase {
         }
     }
 
+    /**
+     * Converts a nested filter tree ({ and: [...], or: [...], not: ... } with { field, operator, value } conditions)
+     * into nested bool queries: and => must, or => should with minimum_should_match 1, not => must_not.
+     * Empty groups are dropped so that they match everything, as they do for SQL lists.
+     */
+    toBoolQuery(filter) {
+        const tree = this.mapFilterTree(filter, ({ field, operator, type, value }) => {
+            const query = compareLookups[operator]({ v: value, field, type });
+            return mustNotOperators.includes(operator) ? { bool: { must_not: [query] } } : query;
+        }, compareLookups);
+        const compile = (node) => {
+            if (Array.isArray(node)) {
+                node = { and: node };
+            }
+            if (!filterGroupKeys.some(key => key in node)) {
+                return node;
+            }
+            const bool = {};
+            if (node.and?.length) {
+                bool.must = node.and.map(compile);
+            }
+            if (node.or?.length) {
+                bool.should = node.or.map(compile);
+                bool.minimum_should_match = 1;
+            }
+            if (node.not !== undefined) {
+                bool.must_not = [compile(node.not)];
+            }
+            return { bool };
+        };
+        return compile(tree);
+    }
+
+    /**
+     * Adds the rowPolicies filter of an operation to the query filter (see BusinessBase.getRowPolicyFilter).
+     * When no row is accessible a query that matches nothing is added.
+     * @param {Object} queryFilter - { must, must_not } of the query
+     * @param {String} [operation='list'] - Operation whose policies are applied
+     */
+    applyRowPolicies(queryFilter, operation = OperationMode.list) {
+        const filter = this.getRowPolicyFilter(operation);
+        if (filter === false) {
+            queryFilter.must.push({ bool: { must_not: [{ match_all: {} }] } });
+        } else if (filter) {
+            queryFilter.must.push(this.toBoolQuery(filter));
+        }
+    }
+
     elasticLimit = 10000;
 
     async response({ query, indexName, useScroll = false, isElastic }) {
@@ -201,7 +255,7 @@ class ElasticBusinessBase extends BusinessBase {
         const { relation, columns, relationKey, sqlRelationKey = '', relationCondition = '', useView = true } = config;
         const { primaryFilterField } = this;
         const parameters = [];
-        const primaryFilter = filter.filter(ele => ele.field === primaryFilterField);
+        const primaryFilter = Array.isArray(filter) ? filter.filter(ele => ele.field === primaryFilterField) : [];
         if (primaryFilter) {
             parameters.push(primaryFilter)
         }
@@ -214,7 +268,7 @@ class ElasticBusinessBase extends BusinessBase {
             const { relationWhereKey, relationWhereValue, relationWhereOperator } = relationCondition;
             parameters.push({ [relationWhereKey]: { value: relationWhereValue, operator: relationWhereOperator } });
         }
-        const sql = BusinessBase.businessObject.sql;
+        const sql = this.getSql();
         const request = sql.createRequest();
         query = sql.addParameters({ query, request, parameters, forWhere: true });
         const res = await request.query(query)
@@ -256,10 +310,42 @@ class ElasticBusinessBase extends BusinessBase {
         return { records, totalRecords, aggregations };
     }
 
-    async fetch({ start = 0, limit = 10, sort, filter, include, returnCount = true, responseType, isElastic }) {
+    /**
+     * Facets from terms aggregations in a single request. Each facet aggregates under the filters of the other fields,
+     * the base query (index scoping) applies to all of them.
+     * @param {Object} options
+     * @param {String|Array|Object} options.facets - See getFacetConfigs
+     * @param {Object|Array} [options.filter] - List filter
+     * @returns {Promise<Object>} { [field]: [{ value, label, count }] } ordered by count descending
+     */
+    async facets({ facets, filter }) {
+        const configs = getFacetConfigs({ facets, defaultLimit: this.facetLimit });
+        filter = this.parseJson(filter, []);
+        this.assertReadableFields({ filter, facets: configs });
+        const baseQuery = await this.getBaseQuery();
+        baseQuery.from = 0;
+        baseQuery.size = 0;
+        baseQuery.aggs = {};
+        this.applyRowPolicies(baseQuery.query.bool.filter.bool);
+        configs.forEach(({ field, limit }, index) => {
+            const bool = { must: [], must_not: [], should: [] };
+            this.applyFilters(removeFieldFilter(filter, field), bool);
+            baseQuery.aggs[`facet${index}`] = { filter: { bool }, aggs: { values: { terms: { field, size: limit } } } };
+        });
+        const { aggregations } = await this.response({ query: baseQuery, indexName: this.indexName });
+        const result = {};
+        configs.forEach(({ field }, index) => {
+            const buckets = aggregations[`facet${index}`]?.values?.buckets || [];
+            result[field] = buckets.map(({ key, doc_count }) => ({ value: key, count: doc_count }));
+        });
+        return applyFacetLabels({ facets: result, configs, user: this.user });
+    }
+
+    async fetch({ start = 0, limit = 10, sort, filter, include, returnCount = true, responseType, isElastic, facets }) {
+        filter = this.parseJson(filter, []);
+        this.assertReadableFields({ filter, sort });
         sort = sort || this.defaultSortOrder;
         include = include || this.include;
-        filter = this.parseJson(filter, []);
 
         const baseQuery = await this.getBaseQuery();
         baseQuery.from = start;
@@ -278,6 +364,7 @@ class ElasticBusinessBase extends BusinessBase {
         this.applySort(sort, baseQuery);
 
         this.applyFilters(filter, queryFilter);
+        this.applyRowPolicies(queryFilter);
 
         if (this.aggregation) {
             baseQuery.aggs = this.aggregation;
@@ -285,13 +372,16 @@ class ElasticBusinessBase extends BusinessBase {
 
         const response = await this.getRecords({ query: baseQuery, responseType, filter, sort, isElastic });
         const { aggregations, records } = response;
+        this.applyFieldPermissions(records);
+        const result = { records, aggregations };
 
         if (returnCount) {
-            const recordCount = response.totalRecords;
-            return { records, recordCount, aggregations }
-        } else {
-            return { records, aggregations }
+            result.recordCount = response.totalRecords;
+        }
+        if (facets) {
+            result.facets = await this.facets({ facets, filter });
         }
+        return result;
     }
 }
 
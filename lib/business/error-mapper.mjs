@@ -35,6 +35,18 @@ class ErrorMapper {
 
 const sqlErrorMapper = new ErrorMapper({ file: "./sql-error-mappings.json" });
 
+/**
+ * Converts a SQL error to the message returned to the client using the sql error mappings.
+ */
+function toErrorMessage(err) {
+    const message = err?.message || err;
+    if (typeof message === 'string') {
+        return sqlErrorMapper.map(message);
+    }
+    return "Unknown error";
+}
+
 export {
-    sqlErrorMapper
+    sqlErrorMapper,
+    toErrorMessage
 }
\ No newline at end of file
@@ -0,0 +1,59 @@
+/**
+ * Errors raised by business objects that map to a specific HTTP status.
+ * queryBase responds with `statusCode` and `toResponse()` instead of passing them to the error handler.
+ */
+class BusinessError extends Error {
+    statusCode = 400;
+
+    constructor(message, { statusCode, details = {} } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        if (statusCode) {
+            this.statusCode = statusCode;
+        }
+        this.details = details;
+    }
+
+    toResponse() {
+        return { success: false, message: this.message, ...this.details };
+    }
+}
+
+/**
+ * Raised by BusinessBase.save() when the record was modified by someone else since it was loaded.
+ * The router adds the current server version of the record as `details.data`.
+ */
+class ConcurrencyError extends BusinessError {
+    statusCode = 409;
+
+    constructor(message = 'The record was modified by another user. Reload it and try again.', options) {
+        super(message, options);
+        this.conflict = true;
+    }
+}
+
+/**
+ * Raised by BusinessBase.save() when the values do not pass the `validation` rules of the business object.
+ * `errors` is the complete list of failures as { field, rule, message }.
+ */
+class ValidationError extends BusinessError {
+    statusCode = 422;
+
+    constructor(errors = [], message = 'One or more fields are invalid.') {
+        super(message, { details: { errors } });
+        this.errors = errors;
+    }
+}
+
+/**
+ * Raised when the user is not allowed to perform an operation, e.g. by the row policies of a business object.
+ */
+class PermissionError extends BusinessError {
+    statusCode = 403;
+
+    constructor(message = 'You do not have permission to perform this operation.', options) {
+        super(message, options);
+    }
+}
+
+export { BusinessError, ConcurrencyError, ValidationError, PermissionError };
@@ -0,0 +1,251 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { PassThrough } from 'stream';
+import { finished } from 'stream/promises';
+import { BusinessError } from './errors.mjs';
+import logger from '../logger.js';
+
+const exportJobStatus = {
+    queued: 'queued',
+    running: 'running',
+    completed: 'completed',
+    failed: 'failed'
+};
+
+/**
+ * Stores export files in a local directory.
+ */
+class LocalExportStorage {
+    constructor({ directory = path.join(os.tmpdir(), 'dframework-exports') } = {}) {
+        this.directory = directory;
+    }
+
+    /**
+     * Creates the file and lets writer fill it. Partially written files are removed when writer fails.
+     * @returns {Promise<string>} Location passed to read/remove
+     */
+    async write({ name, writer }) {
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        const location = path.join(this.directory, name);
+        const stream = fs.createWriteStream(location);
+        try {
+            await writer(stream);
+            await finished(stream);
+        } catch (err) {
+            stream.destroy();
+            await this.remove(location);
+            throw err;
+        }
+        return location;
+    }
+
+    async read(location) {
+        return fs.createReadStream(location);
+    }
+
+    async remove(location) {
+        await fs.promises.rm(location, { force: true });
+    }
+}
+
+/**
+ * Stores export files in an Azure Blob container through the Azure class.
+ */
+class AzureExportStorage {
+    constructor({ azure, container = 'exports' }) {
+        if (!azure) {
+            throw new Error('AzureExportStorage requires an Azure instance');
+        }
+        this.azure = azure;
+        this.container = container;
+    }
+
+    async write({ name, contentType, writer }) {
+        const { azure, container } = this;
+        const stream = new PassThrough();
+        try {
+            await Promise.all([
+                writer(stream),
+                azure.uploadStream({ container, blobName: name, stream, contentType })
+            ]);
+        } catch (err) {
+            stream.destroy();
+            await this.remove(name).catch(() => { });
+            throw err;
+        }
+        return name;
+    }
+
+    async read(location) {
+        return this.azure.downloadStream({ container: this.container, blobName: location });
+    }
+
+    async remove(location) {
+        await this.azure.deleteBlob({ container: this.container, blobName: location });
+    }
+}
+
+/**
+ * Runs exports in the background of the API process. Jobs are queued, run up to maxConcurrent at a time,
+ * write their file to storage and are removed together with the file retentionMinutes after they finish.
+ * Jobs are kept in memory, so they are lost when the process restarts.
+ */
+class ExportJobs {
+    retentionMinutes = 24 * 60;
+    cleanupIntervalMinutes = 15;
+    maxConcurrent = 1;
+    logger = logger;
+
+    constructor(options = {}) {
+        Object.assign(this, options);
+        this.storage = this.storage || new LocalExportStorage();
+        this.jobs = new Map();
+        this.queue = [];
+        this.running = 0;
+        if (this.cleanupIntervalMinutes > 0) {
+            this.cleanupTimer = setInterval(() => {
+                this.cleanup().catch(err => this.logger.error({ err }, 'Export job cleanup failed'));
+            }, this.cleanupIntervalMinutes * 60 * 1000);
+            // cleanup must not keep the process alive
+            this.cleanupTimer.unref();
+        }
+    }
+
+    /**
+     * Queues an export.
+     * @param {Object} options
+     * @param {*} [options.owner] - Id of the user creating the job; only the owner can read the job, and jobs without
+     * an owner can only be read by requests without a user
+     * @param {String} options.fileName - Download file name without extension
+     * @param {Object} options.streamFormat - `{ format, contentType, extension }` from getStreamFormat
+     * @param {Function} options.run - `async ({ job, stream }) => rowCount`; writes the export to stream and may set job.total/job.processed
+     * @returns {Object} The job
+     */
+    enqueue({ owner, fileName, streamFormat, run }) {
+        const { contentType, extension } = streamFormat;
+        const job = {
+            id: randomUUID(),
+            owner,
+            status: exportJobStatus.queued,
+            fileName: `${fileName}.${extension}`,
+            contentType,
+            processed: 0,
+            total: null,
+            createdOn: new Date(),
+            run
+        };
+        this.jobs.set(job.id, job);
+        this.queue.push(job);
+        this.processQueue();
+        return job;
+    }
+
+    processQueue() {
+        while (this.running < this.maxConcurrent && this.queue.length) {
+            const job = this.queue.shift();
+            this.running++;
+            this.runJob(job).finally(() => {
+                this.running--;
+                this.processQueue();
+            });
+        }
+    }
+
+    async runJob(job) {
+        const { storage, logger } = this;
+        job.status = exportJobStatus.running;
+        job.startedOn = new Date();
+        try {
+            job.location = await storage.write({
+                name: `${job.id}-${job.fileName}`,
+                contentType: job.contentType,
+                writer: async (stream) => {
+                    job.processed = await job.run({ job, stream });
+                }
+            });
+            job.total = job.processed;
+            job.status = exportJobStatus.completed;
+        } catch (err) {
+            logger.error({ err, jobId: job.id }, 'Export job failed');
+            job.status = exportJobStatus.failed;
+            job.error = err instanceof BusinessError ? err.message : 'The export failed';
+        } finally {
+            job.completedOn = new Date();
+            delete job.run;
+        }
+    }
+
+    /**
+     * Returns a job of the user.
+     * @throws {BusinessError} 404 when the job does not exist, expired or belongs to another user
+     */
+    get({ jobId, owner }) {
+        const job = this.jobs.get(jobId);
+        // a missing owner is anonymous, not a wildcard
+        if (!job || (job.owner ?? null) !== (owner ?? null)) {
+            throw new BusinessError('Export job not found', { statusCode: 404 });
+        }
+        return job;
+    }
+
+    /**
+     * Returns the status of a job as sent to clients.
+     */
+    toResponse(job) {
+        const { id, status, fileName, processed, total, createdOn, startedOn, completedOn, error } = job;
+        return {
+            jobId: id,
+            status,
+            fileName,
+            processed,
+            total,
+            progress: total ? Math.min(100, Math.round(processed / total * 100)) : (status === exportJobStatus.completed ? 100 : null),
+            createdOn,
+            startedOn,
+            completedOn,
+            expiresOn: completedOn ? new Date(completedOn.getTime() + this.retentionMinutes * 60 * 1000) : undefined,
+            error
+        };
+    }
+
+    /**
+     * Opens the file of a completed job.
+     * @throws {BusinessError} 409 when the job has not completed
+     * @returns {Promise<{job: Object, stream: Readable}>}
+     */
+    async download({ jobId, owner }) {
+        const job = this.get({ jobId, owner });
+        if (job.status !== exportJobStatus.completed) {
+            throw new BusinessError(`Export job is ${job.status}`, { statusCode: 409 });
+        }
+        return { job, stream: await this.storage.read(job.location) };
+    }
+
+    /**
+     * Removes finished jobs, and their files, older than retentionMinutes.
+     * @returns {Promise<number>} Number of jobs removed
+     */
+    async cleanup(now = Date.now()) {
+        const expiredBefore = now - this.retentionMinutes * 60 * 1000;
+        let removed = 0;
+        for (const job of [...this.jobs.values()]) {
+            if (!job.completedOn || job.completedOn.getTime() > expiredBefore) {
+                continue;
+            }
+            if (job.location) {
+                await this.storage.remove(job.location);
+            }
+            this.jobs.delete(job.id);
+            removed++;
+        }
+        return removed;
+    }
+
+    stop() {
+        clearInterval(this.cleanupTimer);
+    }
+}
+
+export { exportJobStatus, LocalExportStorage, AzureExportStorage, ExportJobs };
@@ -0,0 +1,77 @@
+import lookup from './lookup.mjs';
+import SqlHelper from './sql-helper.mjs';
+import { BusinessError } from './errors.mjs';
+
+/**
+ * Normalizes the facets option to a list of facet configurations.
+ * Accepts "StatusId, Region", ['StatusId', { field: 'Region', limit: 10 }] or { StatusId: { lookup: 'Status' }, Region: true }.
+ * @param {Object} options
+ * @param {String|Array|Object} options.facets - Requested facets
+ * @param {Number} options.defaultLimit - Number of values returned per facet when no limit is given
+ * @returns {Array<{field: string, lookup: string|undefined, limit: number}>}
+ */
+function getFacetConfigs({ facets, defaultLimit }) {
+    if (typeof facets === 'string') {
+        // request bodies may send the facets as JSON
+        try {
+            facets = /^\s*[[{]/.test(facets) ? JSON.parse(facets) : facets.split(',').map(field => field.trim()).filter(field => field.length);
+        } catch {
+            throw new BusinessError('Invalid facets: malformed JSON');
+        }
+    }
+    let entries;
+    if (Array.isArray(facets)) {
+        entries = facets.map(entry => typeof entry === 'string' ? { field: entry } : entry);
+    } else if (facets && typeof facets === 'object') {
+        entries = Object.entries(facets).map(([field, config]) => ({ ...(typeof config === 'object' ? config : {}), field }));
+    } else {
+        throw new BusinessError('Invalid facets: expected a list of fields');
+    }
+    return entries.map(({ field, lookup: lookupName, limit = defaultLimit } = {}) => {
+        if (typeof field !== 'string' || !SqlHelper.isValidFieldName(field)) {
+            throw new BusinessError(`Invalid facet field ${field}`);
+        }
+        limit = Number(limit);
+        if (!Number.isInteger(limit) || limit <= 0) {
+            throw new BusinessError(`Invalid facet limit for ${field}`);
+        }
+        return { field, lookup: lookupName, limit };
+    });
+}
+
+/**
+ * Removes the conditions on a field from a list filter, so that a facet still shows the values
+ * that its own filter excludes. Conditions inside or/not groups are kept.
+ */
+function removeFieldFilter(filter, field) {
+    if (Array.isArray(filter)) {
+        return filter.filter(condition => condition?.field !== field);
+    }
+    if (filter && typeof filter === 'object' && Array.isArray(filter.and)) {
+        return { ...filter, and: filter.and.filter(condition => condition?.field !== field) };
+    }
+    return filter;
+}
+
+/**
+ * Adds the lookup label to the values of facets configured with a lookup.
+ * @param {Object} options
+ * @param {Object} options.facets - { [field]: [{ value, count }] }
+ * @param {Array} options.configs - Result of getFacetConfigs
+ * @param {Object} [options.user] - User used to load the lookups
+ * @param {Object} [options.sql] - Sql instance of the lookups, resolved from the user when not set
+ * @returns {Promise<Object>} { [field]: [{ value, label, count }] }
+ */
+async function applyFacetLabels({ facets, configs, user, sql }) {
+    for (const { field, lookup: lookupName } of configs) {
+        const values = facets[field] || [];
+        const items = lookupName ? await lookup.get(user, lookupName, user?.scopeId, sql) || [] : [];
+        for (const entry of values) {
+            const item = items.find(lookupItem => String(lookupItem.value) === String(entry.value));
+            entry.label = item ? item.label : entry.value;
+        }
+    }
+    return facets;
+}
+
+export { getFacetConfigs, removeFieldFilter, applyFacetLabels };
@@ -0,0 +1,121 @@
+/**
+ * Field-level read/write permissions of business objects.
+ *
+ * fieldPermissions = {
+ *     Salary: { read: { roles: ['HR', 'Payroll'] }, write: { permission: 7 } },
+ *     Ssn: { read: { roles: ['HR'] }, mask: (value) => `***-**-${String(value).slice(-4)}` },
+ *     CostPrice: { read: (user, permissions) => permissions?.module?.Permission6 > 0, mask: true }
+ * };
+ *
+ * A rule is a function (user, permissions) => boolean or { roles, permission }, which allows users with any of the
+ * roles or any of the PermissionN flags of the module. Fields that cannot be read are removed, or masked when `mask` is set,
+ * and cannot be written; `write` defaults to the `read` rule.
+ */
+
+const defaultMask = '****';
+
+/**
+ * Returns the role names and ids of a user: `roles` as names, ids or { Role, RoleId, Name } rows, and RoleId.
+ */
+function getUserRoles(user = {}) {
+    const roles = [];
+    for (const role of [].concat(user.roles || [])) {
+        if (role && typeof role === 'object') {
+            roles.push(role.Role, role.Name, role.RoleId);
+        } else {
+            roles.push(role);
+        }
+    }
+    roles.push(user.RoleId, user.user?.RoleId);
+    return roles.filter(role => role !== undefined && role !== null).map(role => String(role).toUpperCase());
+}
+
+/**
+ * Evaluates a read/write rule.
+ * @param {Function|Object} [rule] - Rule, allows everyone when not set
+ * @param {Object} options
+ * @param {Object} [options.user] - Current user
+ * @param {Object} [options.permissions] - Effective permissions of the business object (see permissions.mjs)
+ * @returns {Boolean}
+ */
+function isFieldAllowed(rule, { user = {}, permissions } = {}) {
+    if (rule === undefined || rule === null || rule === true) {
+        return true;
+    }
+    if (rule === false) {
+        return false;
+    }
+    if (typeof rule === 'function') {
+        return Boolean(rule(user, permissions));
+    }
+    const { roles, permission } = rule;
+    if (roles) {
+        const userRoles = getUserRoles(user);
+        if ([].concat(roles).some(role => userRoles.includes(String(role).toUpperCase()))) {
+            return true;
+        }
+    }
+    if (permission !== undefined) {
+        const module = permissions?.module;
+        if (module && [].concat(permission).some(bit => Number(module[`Permission${bit}`]) > 0)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Resolves the fields the user cannot read or write.
+ * @param {Object} options
+ * @param {Object} options.fieldPermissions - { [field]: { read, write, mask } }
+ * @param {Object} [options.user] - Current user
+ * @param {Object} [options.permissions] - Effective permissions of the business object
+ * @returns {{hidden: Array<string>, masked: Object, readOnly: Array<string>}} Removed fields, masked fields with
+ * their mask and fields that cannot be written
+ */
+function getFieldAccess({ fieldPermissions = {}, user, permissions }) {
+    const access = { hidden: [], masked: {}, readOnly: [] };
+    for (const [field, { read, write = read, mask } = {}] of Object.entries(fieldPermissions)) {
+        const canRead = isFieldAllowed(read, { user, permissions });
+        if (!canRead) {
+            if (mask === undefined || mask === false) {
+                access.hidden.push(field);
+            } else {
+                access.masked[field] = mask === true ? defaultMask : mask;
+            }
+        }
+        if (!canRead || !isFieldAllowed(write, { user, permissions })) {
+            access.readOnly.push(field);
+        }
+    }
+    return access;
+}
+
+/**
+ * Removes the hidden fields and masks the masked fields of records in place. Null values are not masked.
+ * @param {Array<Object>} records
+ * @param {Object} access - Result of getFieldAccess
+ * @returns {Array<Object>} records
+ */
+function applyFieldAccess(records, { hidden, masked }) {
+    const maskedFields = Object.entries(masked);
+    if (!records?.length || (!hidden.length && !maskedFields.length)) {
+        return records;
+    }
+    for (const record of records) {
+        if (!record || typeof record !== 'object') {
+            continue;
+        }
+        for (const field of hidden) {
+            delete record[field];
+        }
+        for (const [field, mask] of maskedFields) {
+            if (record[field] !== undefined && record[field] !== null) {
+                record[field] = typeof mask === 'function' ? mask(record[field], record) : mask;
+            }
+        }
+    }
+    return records;
+}
+
+export { defaultMask, getUserRoles, isFieldAllowed, getFieldAccess, applyFieldAccess };
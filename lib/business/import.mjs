@@ -0,0 +1,275 @@
+import ExcelJS from 'exceljs';
+import { Readable } from 'stream';
+import lookup from './lookup.mjs';
+import { BusinessError, ValidationError } from './errors.mjs';
+import { toErrorMessage } from './error-mapper.mjs';
+import { permissionOperations } from './permissions.mjs';
+
+const importFormats = {
+    xlsx: 'xlsx',
+    csv: 'csv'
+};
+
+const trueValues = ['true', 'yes', 'y', '1'];
+const falseValues = ['false', 'no', 'n', '0'];
+
+const normalizeHeader = (header) => String(header ?? '').trim().toUpperCase();
+
+/**
+ * Returns the plain value of an ExcelJS cell value (rich text, hyperlinks and formulas are reduced to their text/result).
+ */
+function toCellValue(value) {
+    if (value === undefined || value === null || value instanceof Date || typeof value !== 'object') {
+        return typeof value === 'string' ? value.trim() : value;
+    }
+    if (Array.isArray(value.richText)) {
+        return value.richText.map(part => part.text).join('').trim();
+    }
+    if ('result' in value) {
+        return toCellValue(value.result);
+    }
+    if ('text' in value) {
+        return toCellValue(value.text);
+    }
+    return value;
+}
+
+/**
+ * Reads the first worksheet of an xlsx or csv file. The first row is used as header row.
+ * @param {Object} options
+ * @param {Buffer} options.buffer - File content
+ * @param {String} options.format - xlsx or csv
+ * @returns {Promise<{headers: Array<string>, rows: Array<{rowNumber: number, cells: Object}>}>}
+ */
+async function readSpreadsheet({ buffer, format }) {
+    const workbook = new ExcelJS.Workbook();
+    let worksheet;
+    if (format === importFormats.csv) {
+        worksheet = await workbook.csv.read(Readable.from(buffer));
+    } else if (format === importFormats.xlsx) {
+        await workbook.xlsx.load(buffer);
+        worksheet = workbook.worksheets[0];
+    } else {
+        throw new BusinessError(`Unsupported import format ${format}. Use xlsx or csv.`);
+    }
+    const headers = [];
+    const rows = [];
+    if (!worksheet) {
+        return { headers, rows };
+    }
+    worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+        // row.values is 1-based
+        const values = Array.isArray(row.values) ? row.values.slice(1) : [];
+        if (!headers.length) {
+            headers.push(...values.map(value => String(toCellValue(value) ?? '')));
+            return;
+        }
+        const cells = {};
+        let isEmpty = true;
+        headers.forEach((header, index) => {
+            const value = toCellValue(values[index]);
+            if (value !== undefined && value !== null && value !== '') {
+                cells[header] = value;
+                isEmpty = false;
+            }
+        });
+        if (!isEmpty) {
+            rows.push({ rowNumber, cells });
+        }
+    });
+    return { headers, rows };
+}
+
+/**
+ * Maps spreadsheet headers to export column definitions by headerName or field (case-insensitive).
+ * Headers without a matching column are ignored, so that only the columns of the metadata can be written.
+ * @returns {Object} { [header]: { field, type, lookup, headerName } }
+ * @throws {BusinessError} when there are no columns
+ */
+function resolveColumns({ headers, columns }) {
+    const columnList = Array.isArray(columns) ? columns : Object.values(columns || {});
+    if (!columnList.length) {
+        throw new BusinessError('Import requires column metadata: send columns or set importColumns on the business object');
+    }
+    const mapping = {};
+    for (const header of headers) {
+        if (!header) {
+            continue;
+        }
+        const key = normalizeHeader(header);
+        const column = columnList.find(entry => normalizeHeader(entry.headerName) === key) || columnList.find(entry => normalizeHeader(entry.field) === key);
+        if (column?.field) {
+            mapping[header] = column;
+        }
+    }
+    return mapping;
+}
+
+/**
+ * Converts a cell value to the type of its column. Lookup columns are converted from display value to id.
+ * @returns {{value: *}|{error: {rule: string, message: string}}}
+ */
+function convertValue({ value, column, lookups = {} }) {
+    const { type, headerName = column.field } = column;
+    const lookupName = column.lookup ? normalizeHeader(column.lookup) : null;
+    if (lookupName && lookups[lookupName]) {
+        const text = normalizeHeader(value);
+        const item = lookups[lookupName].find(entry => normalizeHeader(entry.label) === text) || lookups[lookupName].find(entry => String(entry.value) === String(value));
+        if (!item) {
+            return { error: { rule: 'lookup', message: `${headerName}: '${value}' is not a valid value` } };
+        }
+        return { value: item.value };
+    }
+    switch (type) {
+        case 'number':
+        case 'percentage': {
+            const number = typeof value === 'number' ? value : Number(String(value).replace(/[,%\s]/g, ''));
+            if (isNaN(number)) {
+                return { error: { rule: 'type', message: `${headerName} must be a number` } };
+            }
+            return { value: number };
+        }
+        case 'boolean': {
+            const text = String(value).trim().toLowerCase();
+            if (trueValues.includes(text)) {
+                return { value: true };
+            }
+            if (falseValues.includes(text)) {
+                return { value: false };
+            }
+            return { error: { rule: 'type', message: `${headerName} must be Yes or No` } };
+        }
+        case 'date':
+        case 'dateTime': {
+            const date = value instanceof Date ? value : new Date(value);
+            if (isNaN(date.getTime())) {
+                return { error: { rule: 'type', message: `${headerName} must be a valid date` } };
+            }
+            return { value: date };
+        }
+        default:
+            return { value: value instanceof Date ? value : String(value) };
+    }
+}
+
+async function loadLookups({ mapping, user, sql }) {
+    const lookups = {};
+    for (const column of Object.values(mapping)) {
+        if (column.lookup) {
+            const name = normalizeHeader(column.lookup);
+            if (!lookups[name]) {
+                lookups[name] = await lookup.get(user, column.lookup, user?.scopeId, sql) || [];
+            }
+        }
+    }
+    return lookups;
+}
+
+/**
+ * Imports an xlsx/csv file into a business object. Each row is mapped through the export column metadata,
+ * lookup display values are resolved to ids, the row is validated and, unless dryRun is set, saved with
+ * businessObject.save(). Rows with a keyField value update the existing record. Rows are rejected when the user
+ * does not have the create or update permission they need (see businessObject.hasPermission).
+ * @param {Object} options
+ * @param {Object} options.businessObject - Business object instance with user set
+ * @param {Buffer} options.buffer - File content
+ * @param {String} options.format - xlsx or csv
+ * @param {Array|Object} [options.columns] - Export column definitions ({ headerName, field, type, lookup })
+ * @param {Boolean} [options.dryRun=false] - Validate and preview without saving
+ * @returns {Promise<Object>} { dryRun, headers, total, valid, invalid, saved, rows: [{ rowNumber, success, action, id, values, errors, cells }] }
+ */
+async function importRecords({ businessObject, buffer, format, columns, dryRun = false }) {
+    const { keyField, user } = businessObject;
+    const { headers, rows } = await readSpreadsheet({ buffer, format });
+    const mapping = resolveColumns({ headers, columns });
+    if (!Object.keys(mapping).length) {
+        throw new BusinessError('None of the columns in the file could be matched to a field');
+    }
+    const lookups = await loadLookups({ mapping, user, sql: businessObject.getSql() });
+
+    const results = [];
+    for (const { rowNumber, cells } of rows) {
+        const values = {};
+        const errors = [];
+        for (const header in mapping) {
+            if (!(header in cells)) {
+                continue;
+            }
+            const column = mapping[header];
+            const { value, error } = convertValue({ value: cells[header], column, lookups });
+            if (error) {
+                errors.push({ field: column.field, ...error });
+            } else {
+                values[column.field] = value;
+            }
+        }
+        const id = values[keyField] || 0;
+        delete values[keyField];
+        const isUpdate = Boolean(id);
+        const operation = isUpdate ? permissionOperations.update : permissionOperations.create;
+        if (!businessObject.hasPermission(operation)) {
+            errors.push({ rule: 'permission', message: `You do not have permission to ${operation} ${businessObject.getTableName()}` });
+        }
+        if (isUpdate && businessObject.clientBased && user?.scopeId && !('ClientId' in values)) {
+            values.ClientId = user.scopeId;
+        }
+        if (!errors.length && businessObject.validation) {
+            errors.push(...await businessObject.validate({ id, values, isUpdate }));
+        }
+        const entry = { rowNumber, action: isUpdate ? 'update' : 'insert', id: id || undefined, values, errors };
+        if (!errors.length && !dryRun) {
+            try {
+                const result = await businessObject.save({ ...values, id });
+                if (result.success) {
+                    entry.id = isUpdate ? id : result.data?.[0]?.Id;
+                } else {
+                    errors.push({ rule: 'save', message: typeof result.err === 'string' ? result.err : toErrorMessage(result.err) });
+                }
+            } catch (err) {
+                if (err instanceof ValidationError) {
+                    errors.push(...err.errors);
+                } else {
+                    errors.push({ rule: 'save', message: err instanceof BusinessError ? err.message : toErrorMessage(err) });
+                }
+            }
+        }
+        entry.success = errors.length === 0;
+        if (!entry.success) {
+            entry.cells = cells;
+        }
+        results.push(entry);
+    }
+
+    const invalid = results.filter(entry => !entry.success).length;
+    return {
+        dryRun,
+        headers,
+        total: results.length,
+        valid: results.length - invalid,
+        invalid,
+        saved: dryRun ? 0 : results.length - invalid,
+        rows: results
+    };
+}
+
+/**
+ * Builds the rows and export columns of the error report: the failed rows as they were uploaded plus their errors.
+ * The result can be returned through res.transform as xlsx or csv.
+ * @returns {{data: Array<Object>, exportColumns: Object}}
+ */
+function getErrorReport({ rows, headers }) {
+    const exportColumns = { _row: { field: '_row', headerName: 'Row', type: 'number', width: 60 } };
+    const reportHeaders = headers || [...new Set(rows.flatMap(entry => Object.keys(entry.cells || {})))];
+    reportHeaders.forEach((header, index) => {
+        exportColumns[`_column${index}`] = { field: header, headerName: header, width: 150 };
+    });
+    exportColumns._errors = { field: '_errors', headerName: 'Errors', width: 400 };
+    const data = rows.filter(entry => !entry.success).map(entry => ({
+        _row: entry.rowNumber,
+        ...entry.cells,
+        _errors: entry.errors.map(error => error.message).join('; ')
+    }));
+    return { data, exportColumns };
+}
+
+export { importFormats, readSpreadsheet, resolveColumns, convertValue, importRecords, getErrorReport };
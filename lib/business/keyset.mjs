@@ -0,0 +1,161 @@
+import { BusinessError } from './errors.mjs';
+
+const countModes = {
+    exact: 'exact',
+    estimate: 'estimate',
+    none: 'none'
+};
+
+const pagingModes = {
+    offset: 'offset',
+    cursor: 'cursor'
+};
+
+const cursorDirections = {
+    next: 'next',
+    prev: 'prev'
+};
+
+/**
+ * Parses the list sort string into keyset keys and appends keyField as tie breaker so that every row has a unique position.
+ * @param {Object} options
+ * @param {String} [options.sort] - e.g. "Name DESC, CreatedOn"
+ * @param {String} options.keyField - Primary key, always the last key
+ * @param {Function} options.sanitizeField - Sanitizes a sort field name
+ * @returns {Array<{field: string, direction: string, isKey: boolean}>}
+ */
+function getKeysetKeys({ sort, keyField, sanitizeField }) {
+    const keys = [];
+    for (const entry of (sort || '').split(',')) {
+        const parts = entry.trim().split(/\s+/);
+        if (!parts[0]) {
+            continue;
+        }
+        const field = sanitizeField(parts[0]);
+        const direction = parts[1] && parts[1].toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+        keys.push({ field, direction, isKey: field === keyField || field.endsWith(`.${keyField}`) });
+    }
+    if (!keys.some(key => key.isKey)) {
+        keys.push({ field: keyField, direction: 'ASC', isKey: true });
+    }
+    return keys;
+}
+
+const getSortSignature = (keys) => keys.map(({ field, direction }) => `${field} ${direction}`).join(',');
+
+/**
+ * Returns the value of a key in a list record; qualified fields (Main.Name) are read from the column name,
+ * keys with a column (e.g. computed fields sorted by their expression) from that column.
+ * Sort keys may be NULL, keyField may not.
+ */
+function getKeyValue(record, { field, column = field.split('.').pop(), isKey }) {
+    const value = record[column];
+    if (value === undefined || (value === null && isKey)) {
+        throw new BusinessError(`Cursor pagination requires a value for ${column} in every row`);
+    }
+    return value;
+}
+
+/**
+ * Creates the opaque cursor pointing at a record.
+ * @returns {String} base64url encoded cursor
+ */
+function encodeCursor({ keys, record, direction }) {
+    const values = keys.map(key => {
+        const value = getKeyValue(record, key);
+        return value instanceof Date ? { $date: value.toISOString() } : value;
+    });
+    return Buffer.from(JSON.stringify({ s: getSortSignature(keys), d: direction, v: values })).toString('base64url');
+}
+
+/**
+ * Reads a cursor created by encodeCursor. Cursors created for a different sort order are rejected.
+ * @returns {{direction: string, values: Array}}
+ */
+function decodeCursor({ cursor, keys }) {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch {
+        throw new BusinessError('Invalid cursor');
+    }
+    if (!decoded || !Array.isArray(decoded.v) || decoded.v.length !== keys.length || !Object.values(cursorDirections).includes(decoded.d)) {
+        throw new BusinessError('Invalid cursor');
+    }
+    if (decoded.s !== getSortSignature(keys)) {
+        throw new BusinessError('The cursor was created for a different sort order');
+    }
+    const values = decoded.v.map(value => value && typeof value === 'object' && '$date' in value ? new Date(value.$date) : value);
+    return { direction: decoded.d, values };
+}
+
+/**
+ * Builds the condition selecting the rows after (or before, for prev) the cursor position:
+ * (k1 > @v1) OR (k1 = @v1 AND k2 > @v2) OR ..., with < for descending keys.
+ * NULLs sort before every value in ascending order (SQL Server and MySQL), so NULL cursor values
+ * and the NULL rows of a sort key are matched with IS NULL / IS NOT NULL.
+ * @param {Object} options
+ * @param {Array} options.keys - Keys from getKeysetKeys, field names as used in the WHERE clause
+ * @param {Array} options.values - Cursor values
+ * @param {String} options.direction - next or prev
+ * @param {Function} options.buildParameterName - Dialect parameter name builder
+ * @param {Function} [options.wrap] - Wraps sort expressions (case-insensitive ORDER BY)
+ * @returns {{statement: string, parameters: Object}}
+ */
+function buildKeysetCondition({ keys, values, direction, buildParameterName, wrap = (expression) => expression }) {
+    const parameters = {};
+    const expressions = keys.map((key, index) => {
+        if (values[index] === null) {
+            return { column: key.field, isNull: true };
+        }
+        const paramName = `_cursor${index}`;
+        parameters[paramName] = { value: values[index] };
+        const param = buildParameterName(paramName);
+        return key.isKey ? { column: key.field, field: key.field, param, isKey: true } : { column: key.field, field: wrap(key.field), param: wrap(param) };
+    });
+    const getEquals = ({ column, field, param, isNull }) => isNull ? `${column} IS NULL` : `${field} = ${param}`;
+    const getAfter = ({ column, field, param, isNull, isKey }, ascending) => {
+        if (isNull) {
+            // nothing sorts after the NULLs of a descending key
+            return ascending ? `${column} IS NOT NULL` : null;
+        }
+        if (ascending || isKey) {
+            return `${field} ${ascending ? '>' : '<'} ${param}`;
+        }
+        return `(${field} < ${param} OR ${column} IS NULL)`;
+    };
+    const alternatives = [];
+    keys.forEach((key, index) => {
+        const ascending = (key.direction === 'ASC') === (direction === cursorDirections.next);
+        const after = getAfter(expressions[index], ascending);
+        if (after) {
+            alternatives.push([...expressions.slice(0, index).map(getEquals), after].join(' AND '));
+        }
+    });
+    return { statement: `(${alternatives.map(alternative => `(${alternative})`).join(' OR ')})`, parameters };
+}
+
+/**
+ * Turns the rows fetched with limit + 1 into a page: drops the extra row, restores the order of prev pages
+ * and creates the cursors of the adjacent pages.
+ * @returns {{records: Array, nextCursor: string|null, prevCursor: string|null}}
+ */
+function getKeysetPage({ records, keys, limit, direction, hasCursor }) {
+    const hasMore = records.length > limit;
+    const rows = hasMore ? records.slice(0, limit) : records;
+    const isPrev = direction === cursorDirections.prev;
+    if (isPrev) {
+        rows.reverse();
+    }
+    const first = rows[0];
+    const last = rows[rows.length - 1];
+    const hasNext = isPrev ? true : hasMore;
+    const hasPrev = isPrev ? hasMore : hasCursor;
+    return {
+        records: rows,
+        nextCursor: hasNext && last ? encodeCursor({ keys, record: last, direction: cursorDirections.next }) : null,
+        prevCursor: hasPrev && first ? encodeCursor({ keys, record: first, direction: cursorDirections.prev }) : null
+    };
+}
+
+export { countModes, pagingModes, cursorDirections, getKeysetKeys, encodeCursor, decodeCursor, buildKeysetCondition, getKeysetPage };
@@ -1,49 +1,75 @@
-import { classMap } from "./business-base.mjs";
+import BusinessBase, { classMap } from "./business-base.mjs";
+import { resolveTenantSql } from "./tenants.mjs";
 
 const lookup = {
     lookupTypes: null,
 
-    init: async function () {
-        if (this.lookupTypes === null) {
-            const LookupType = classMap.get('LookupType');
-            const instance = new LookupType();
-            const { records } = await instance.list({ limit: 0 });
-            const lookupTypes = new Map();
-            for (const record of records) {
-                record.items = [];
-                lookupTypes.set(record.LookupTypeID || record.LookupTypeId, record);
-                lookupTypes.set(record.LookupType.toUpperCase(), record);
+    // lookup types of tenants with a dedicated database, by Sql instance
+    tenantLookupTypes: new WeakMap(),
+
+    load: async function (sql) {
+        const LookupType = classMap.get('LookupType');
+        const instance = new LookupType();
+        instance.sql = sql;
+        const { records } = await instance.list({ limit: 0 });
+        const lookupTypes = new Map();
+        for (const record of records) {
+            record.items = [];
+            lookupTypes.set(record.LookupTypeID || record.LookupTypeId, record);
+            lookupTypes.set(record.LookupType.toUpperCase(), record);
+        }
+
+        const Lookup = classMap.get('Lookup');
+        const lookupInstance = new Lookup();
+        lookupInstance.sql = sql;
+        const { records: lookupRecords } = await lookupInstance.list({ limit: 0 });
+        for (const record of lookupRecords) {
+            const { LookupTypeId: lookupTypeId } = record;
+            if (!lookupTypes.has(lookupTypeId)) {
+                lookupTypes.set(lookupTypeId, { items: [] });
+            }
+            const lookupType = lookupTypes.get(lookupTypeId);
+            let value = lookupType.UseCustomValue ? record.CustomValue || record.CustomStringValue : record.LookupId;
+            if (!value && lookupType.UseCustomValue && (record.CustomValue === 0)) {
+                value = record.CustomValue;
             }
-            this.lookupTypes = lookupTypes;
+            lookupType.items.push({ label: record.DisplayValue, value, ScopeId: record.ScopeId });
+        }
+        return lookupTypes;
+    },
 
-            const Lookup = classMap.get('Lookup');
-            const lookupInstance = new Lookup();
-            const { records: lookupRecords } = await lookupInstance.list({ limit: 0 });
-            for (const record of lookupRecords) {
-                const { LookupTypeId: lookupTypeId } = record;
-                if (!lookupTypes.has(lookupTypeId)) {
-                    lookupTypes.set(lookupTypeId, { items: [] });
-                }
-                const lookupType = lookupTypes.get(lookupTypeId);
-                let value = lookupType.UseCustomValue ? record.CustomValue || record.CustomStringValue : record.LookupId;
-                if (!value && lookupType.UseCustomValue && (record.CustomValue === 0)) {
-                    value = record.CustomValue;
-                }
-                lookupType.items.push({ label: record.DisplayValue, value, ScopeId: record.ScopeId });
+    /**
+     * Loads the lookup types once per database.
+     * @param {Object} [sql] - Sql instance of a tenant database, the shared database when not set
+     * @returns {Promise<Map>} Lookup types by id and upper-cased name
+     */
+    init: async function (sql) {
+        if (sql && sql !== BusinessBase.businessObject?.sql) {
+            if (!this.tenantLookupTypes.has(sql)) {
+                const loading = this.load(sql);
+                this.tenantLookupTypes.set(sql, loading);
+                loading.catch(() => this.tenantLookupTypes.delete(sql));
             }
+            return this.tenantLookupTypes.get(sql);
+        }
+        if (this.lookupTypes === null) {
+            this.lookupTypes = await this.load(null);
         }
+        return this.lookupTypes;
     },
 
-    get: async function (user, nameOrId, scopeId = 0) {
-        await this.init();
+    get: async function (user, nameOrId, scopeId = 0, sql) {
+        sql = sql || await resolveTenantSql({ framework: BusinessBase.businessObject, user });
+        const lookupTypes = await this.init(sql);
         nameOrId = nameOrId.toUpperCase();
         const businessObject = classMap.get(nameOrId);
         if (businessObject) {
             const instance = new businessObject();
             instance.user = user;
+            instance.sql = sql;
             return await instance.lookupList({ scopeId });
         }
-        const lookup = this.lookupTypes.get(nameOrId);
+        const lookup = lookupTypes.get(nameOrId);
         if (!lookup) {
             return [];
         }
@@ -52,4 +78,4 @@ const lookup = {
     }
 };
 
-export default lookup;
\ No newline at end of file
+export default lookup;
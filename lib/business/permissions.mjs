@@ -0,0 +1,76 @@
+/**
+ * Operation permissions of business objects, based on the Permission1..Permission8 flags per module returned by Auth.getPermissions.
+ *
+ * permissionMap = {
+ *     export: 6,                                   // Permission6
+ *     delete: [4, 8],                              // Permission4 or Permission8
+ *     lookups: true,                               // always allowed
+ *     update: (module, { user }) => module?.Permission3 > 1 || user.isAdmin
+ * }
+ */
+
+const permissionOperations = {
+    list: 'list',
+    export: 'export',
+    load: 'load',
+    create: 'create',
+    update: 'update',
+    delete: 'delete',
+    lookups: 'lookups'
+};
+
+// Permission1 = view, Permission2 = add, Permission3 = edit, Permission4 = delete, Permission5 = export
+const defaultPermissionMap = {
+    list: 1,
+    load: 1,
+    lookups: 1,
+    create: 2,
+    update: 3,
+    delete: 4,
+    export: 5
+};
+
+/**
+ * Finds the permissions of a module. Accepts the array returned by Auth.getPermissions or an object keyed by Module/ModuleId.
+ * Module names are compared case-insensitively.
+ * @param {Array|Object} permissions - Permissions of the user
+ * @param {String|Number} module - Module name or ModuleId
+ * @returns {Object|null} { Module, ModuleId, Permission1..Permission8 }
+ */
+function getModulePermissions(permissions, module) {
+    if (!permissions || module === undefined || module === null) {
+        return null;
+    }
+    const name = String(module).toUpperCase();
+    const rows = Array.isArray(permissions) ? permissions : Object.values(permissions);
+    return rows.find(row => row && (String(row.Module).toUpperCase() === name || String(row.ModuleId) === String(module))) || null;
+}
+
+/**
+ * Resolves the operations a user may perform on a business object.
+ * @param {Object} options
+ * @param {Array|Object} options.permissions - Permissions of the user (see getModulePermissions)
+ * @param {String|Number} options.module - Module of the business object
+ * @param {Object} [options.permissionMap] - Overrides of defaultPermissionMap; `save` sets both create and update
+ * @param {Object} [options.user] - Current user, passed to permission functions
+ * @returns {Object} { list, export, load, create, update, delete, lookups } booleans and the module permissions as `module`
+ */
+function getEffectivePermissions({ permissions, module, permissionMap = {}, user = {} }) {
+    const modulePermissions = getModulePermissions(permissions, module);
+    const { save, ...overrides } = permissionMap;
+    const map = { ...defaultPermissionMap, ...(save !== undefined ? { create: save, update: save } : {}), ...overrides };
+    const effective = { module: modulePermissions };
+    for (const [operation, rule] of Object.entries(map)) {
+        if (typeof rule === 'function') {
+            effective[operation] = Boolean(rule(modulePermissions, { user }));
+        } else if (typeof rule === 'boolean') {
+            effective[operation] = rule;
+        } else {
+            const bits = Array.isArray(rule) ? rule : [rule];
+            effective[operation] = Boolean(modulePermissions) && bits.some(bit => Number(modulePermissions[`Permission${bit}`]) > 0);
+        }
+    }
+    return effective;
+}
+
+export { permissionOperations, defaultPermissionMap, getModulePermissions, getEffectivePermissions };
@@ -1,3 +1,5 @@
+import { BusinessError } from './errors.mjs';
+
 const generateReport = function (report, config) {
     return async function (req, res, next) {
         try {
@@ -8,8 +10,15 @@ const generateReport = function (report, config) {
                     return res.transform(result, { responseType, fileName: result.fileName, ...config });
                 }
             }
+            // handlers that stream their response have already answered the request
+            if (res.headersSent) {
+                return;
+            }
             next();
         } catch (err) {
+            if (err instanceof BusinessError && !res.headersSent) {
+                return res.status(err.statusCode).json(err.toResponse());
+            }
             next(err);
         }
     };
@@ -0,0 +1,216 @@
+/**
+ * Row-level security policies of business objects.
+ *
+ * rowPolicies = [
+ *     // sales reps see and edit only the rows of their territories
+ *     { name: 'territory', when: (user) => user.roles?.includes('SalesRep'), filter: { field: 'TerritoryId', operator: 'isAnyOf', value: { $user: 'territoryIds' } } },
+ *     // managers see the rows of their team but cannot delete them
+ *     { name: 'team', operations: ['load', 'list', 'lookupList'], when: (user) => user.tags?.includes('manager'), filter: (user) => ({ or: [{ field: 'OwnerId', operator: '=', value: user.id }, { field: 'ManagerId', operator: '=', value: user.id }] }) },
+ *     // administrators are not restricted
+ *     { name: 'admin', when: (user) => user.isAdmin, filter: true }
+ * ];
+ *
+ * A row is accessible when it matches at least one of the (permissive) policies that apply to the user and every
+ * applicable `restrictive: true` policy. When an operation has permissive policies and none of them applies, no row is accessible.
+ */
+
+const rowPolicyOperations = ['load', 'list', 'lookupList', 'save', 'delete'];
+const filterGroupKeys = ['and', 'or', 'not'];
+
+/**
+ * Resolves a dotted path such as 'tags.region' on the user.
+ */
+function getUserValue(user, path) {
+    return String(path).split('.').reduce((value, key) => value?.[key], user);
+}
+
+/**
+ * Replaces the { $user: 'path' } values of a filter tree with the user attribute.
+ * Returns undefined when an attribute is not set (or is an empty list), so that the policy grants nothing.
+ */
+function resolveUserValues(node, user) {
+    if (Array.isArray(node)) {
+        const nodes = node.map(child => resolveUserValues(child, user));
+        return nodes.includes(undefined) ? undefined : nodes;
+    }
+    if (!node || typeof node !== 'object') {
+        return node;
+    }
+    if (filterGroupKeys.some(key => key in node)) {
+        const group = {};
+        for (const key of filterGroupKeys) {
+            if (node[key] !== undefined) {
+                group[key] = resolveUserValues(node[key], user);
+                if (group[key] === undefined) {
+                    return undefined;
+                }
+            }
+        }
+        return group;
+    }
+    let { value } = node;
+    if (value && typeof value === 'object' && '$user' in value) {
+        value = getUserValue(user, value.$user);
+        if (value === undefined || value === null) {
+            return undefined;
+        }
+    }
+    // an empty list would be dropped from the SQL filter and match every row
+    if (Array.isArray(value) && value.length === 0) {
+        return undefined;
+    }
+    return value === node.value ? node : { ...node, value };
+}
+
+/**
+ * Combines the row policies of an operation for the user into one filter tree.
+ * @param {Object} options
+ * @param {Array<Object>} options.policies - { name, operations, when, filter, restrictive }
+ * @param {String} options.operation - load, list, lookupList, save or delete
+ * @param {Object} options.user - Current user
+ * @returns {Object|null|false} The filter tree, null when the rows are not restricted or false when no row is accessible
+ */
+function getRowPolicyFilter({ policies = [], operation, user = {} }) {
+    const permissive = [];
+    const restrictive = [];
+    let hasPermissive = false;
+    let unrestricted = false;
+    for (const policy of policies) {
+        const { name, operations = rowPolicyOperations, when, filter, restrictive: isRestrictive = false } = policy;
+        if (!operations.includes(operation)) {
+            continue;
+        }
+        if (!isRestrictive) {
+            hasPermissive = true;
+        }
+        if (typeof when === 'function' && !when(user)) {
+            continue;
+        }
+        let resolved = resolveUserValues(typeof filter === 'function' ? filter(user) : filter, user);
+        if (Array.isArray(resolved)) {
+            resolved = { and: resolved };
+        }
+        if (resolved === undefined || resolved === null || resolved === false) {
+            // a restrictive policy that cannot be evaluated for the user denies everything
+            if (isRestrictive) {
+                return false;
+            }
+            continue;
+        }
+        if (resolved !== true && typeof resolved !== 'object') {
+            throw new Error(`Row policy ${name || ''} must have a filter`);
+        }
+        if (isRestrictive) {
+            if (resolved !== true) {
+                restrictive.push(resolved);
+            }
+        } else if (resolved === true) {
+            unrestricted = true;
+        } else {
+            permissive.push(resolved);
+        }
+    }
+    if (hasPermissive && !unrestricted && !permissive.length) {
+        return false;
+    }
+    const and = [...restrictive];
+    if (!unrestricted && permissive.length) {
+        and.unshift(permissive.length === 1 ? permissive[0] : { or: permissive });
+    }
+    if (!and.length) {
+        return null;
+    }
+    return and.length === 1 ? and[0] : { and };
+}
+
+const compareText = (operator) => (recordValue, value) => {
+    if (recordValue === undefined || recordValue === null) {
+        return false;
+    }
+    const text = String(recordValue).toLowerCase();
+    const search = String(value).toLowerCase();
+    return { contains: text.includes(search), startsWith: text.startsWith(search), endsWith: text.endsWith(search), notContains: !text.includes(search) }[operator];
+};
+
+const compareOrder = (compare) => (recordValue, value) => {
+    if (recordValue === undefined || recordValue === null || value === undefined || value === null) {
+        return false;
+    }
+    const bothNumbers = !isNaN(Number(recordValue)) && !isNaN(Number(value)) && recordValue !== '' && value !== '';
+    return bothNumbers ? compare(Number(recordValue), Number(value)) : compare(String(recordValue), String(value));
+};
+
+const isSame = (recordValue, value) => {
+    if (recordValue === undefined || recordValue === null || value === undefined || value === null) {
+        return (recordValue ?? null) === (value ?? null);
+    }
+    return String(recordValue) === String(value);
+};
+
+const isEmpty = (recordValue) => recordValue === undefined || recordValue === null || recordValue === '';
+
+/**
+ * Operators that can be checked on the values of a record that is saved.
+ */
+const recordOperators = {
+    "=": isSame,
+    "!=": (recordValue, value) => !isSame(recordValue, value),
+    ">": compareOrder((a, b) => a > b),
+    "<": compareOrder((a, b) => a < b),
+    ">=": compareOrder((a, b) => a >= b),
+    "<=": compareOrder((a, b) => a <= b),
+    "isAnyOf": (recordValue, value) => (Array.isArray(value) ? value : String(value).split(',')).some(entry => isSame(recordValue, typeof entry === 'string' ? entry.trim() : entry)),
+    "isEmpty": isEmpty,
+    "isNotEmpty": (recordValue) => !isEmpty(recordValue),
+    "isNull": (recordValue) => recordValue === undefined || recordValue === null,
+    "isNotNull": (recordValue) => recordValue !== undefined && recordValue !== null,
+    "isTrue": (recordValue) => recordValue === true || recordValue === 1 || recordValue === '1' || recordValue === 'true',
+    "isFalse": (recordValue) => recordValue === false || recordValue === 0 || recordValue === '0' || recordValue === 'false',
+    "contains": compareText('contains'),
+    "startsWith": compareText('startsWith'),
+    "endsWith": compareText('endsWith'),
+    "notContains": compareText('notContains')
+};
+
+recordOperators.is = recordOperators['='];
+recordOperators.equals = recordOperators['='];
+recordOperators.not = recordOperators['!='];
+recordOperators.notEquals = recordOperators['!='];
+recordOperators.greaterThan = recordOperators['>'];
+recordOperators.lessThan = recordOperators['<'];
+recordOperators.greaterThanOrEqual = recordOperators['>='];
+recordOperators.lessThanOrEqual = recordOperators['<='];
+recordOperators.isBlank = recordOperators.isEmpty;
+recordOperators.isNotBlank = recordOperators.isNotEmpty;
+
+/**
+ * Checks whether the values of a record match a row policy filter tree (see getRowPolicyFilter).
+ * Used on writes, where the new values are not in the database yet.
+ * @param {Object} record - Column values
+ * @param {Object|Array|null|false} filter - Filter tree
+ * @returns {Boolean}
+ */
+function matchesRowFilter(record, filter) {
+    if (filter === null || filter === true) {
+        return true;
+    }
+    if (filter === false) {
+        return false;
+    }
+    if (Array.isArray(filter)) {
+        return filter.every(node => matchesRowFilter(record, node));
+    }
+    if (filterGroupKeys.some(key => key in filter)) {
+        return (!filter.and || filter.and.every(node => matchesRowFilter(record, node)))
+            && (!filter.or?.length || filter.or.some(node => matchesRowFilter(record, node)))
+            && (filter.not === undefined || !matchesRowFilter(record, filter.not));
+    }
+    const { field, operator, value } = filter;
+    const compare = recordOperators[operator];
+    if (!compare) {
+        throw new Error(`Row policy operator ${operator} cannot be checked on saved values`);
+    }
+    return compare(record[field], value);
+}
+
+export { rowPolicyOperations, getRowPolicyFilter, matchesRowFilter };
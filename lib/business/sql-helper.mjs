@@ -1,4 +1,5 @@
 import logger from '../logger.js';
+import { resolveTenantSql } from './tenants.mjs';
 
 const fieldNameRegex = /^[a-zA-Z0-9_.]+$/;
 const pivotFormula = {
@@ -68,6 +69,10 @@ class SqlHelper {
      *                                          Last bucket of ">" is created for values greater than last range
      * @param {Object} config.where - Expected in the format of { "ClientId": 70 }
      * @param {Object} config.nameMapping - Expected in the format of { "ClassificationId": { "from": "LocationClassification", "lookupField": "LocationClassificationId", displayField: "Name" } }}
+     * @param {Object} [config.sql] - Sql instance, resolved from the tenant of the user or request when not set
+     * @param {Object} [config.user] - Current user, used to resolve the tenant database
+     * @param {Object} [config.req] - Express request, used to resolve the tenant database
+     * @param {Boolean} [config.replica=true] - Run on a read replica when the Sql instance has one
      * @returns Pivoted data
      */
     async pivot({
@@ -77,7 +82,10 @@ class SqlHelper {
         tableName,
         nameMapping,
         pagination,
-        sql
+        sql,
+        user,
+        req,
+        replica = true
     }) {
         const aggregates = [];
         for (const measureName in measures) {
@@ -87,7 +95,7 @@ class SqlHelper {
         }
 
         const { DFramework } = this;
-        const sqlInstance = sql ? sql : DFramework.sql;
+        const sqlInstance = sql ? sql : await resolveTenantSql({ framework: DFramework, user, req });
 
         const selectFields = [...groupBy, ...aggregates];
         const groupByStatement = groupBy.length > 0 ? `GROUP BY ${groupBy.join(",")}` : "";
@@ -95,7 +103,7 @@ class SqlHelper {
         ${selectFields.join(', ')}
         FROM ${tableName}`;
 
-        const request = sqlInstance.createRequest();
+        const request = sqlInstance.createRequest(undefined, { replica });
         query = sqlInstance.addParameters({ query, request, parameters: where, forWhere: true });
         query = `${query} ${groupByStatement}`;
 
@@ -0,0 +1,267 @@
+import Sql from '../sql.js';
+import Mysql from '../mysql.js';
+import logger from '../logger.js';
+
+const dialects = {
+    mssql: 'mssql',
+    mysql: 'mysql'
+};
+
+/**
+ * Routes business objects of tenants with a dedicated database to their own connection pool.
+ *
+ * tenants = new TenantConnections({
+ *     connections: { 42: { server: 'db-acme', database: 'Acme', ... }, 77: { dialect: 'mysql', host: 'db-globex', ... } },
+ *     maxPools: 20,
+ *     idleMinutes: 30
+ * });
+ * framework.tenants = tenants;      // BusinessBase.businessObject
+ *
+ * The tenant is user.scopeId by default; `resolve({ user, req })` can return another key, e.g. from the host name,
+ * or `{ key, config }`. Tenants without a connection use the shared framework sql. Pools are created on first use,
+ * closed after idleMinutes without use and the least recently used pool is closed when maxPools is reached.
+ * Pools held with acquire() or retain() are not closed until they are released, so maxPools can be exceeded
+ * while more tenants are busy.
+ */
+class TenantConnections {
+    // { [tenant]: sql config }, `dialect: 'mysql'` creates a Mysql connection
+    connections = {};
+    dialect = dialects.mssql;
+    maxPools = 20;
+    idleMinutes = 30;
+    cleanupIntervalMinutes = 5;
+    logger = logger;
+
+    constructor(options = {}) {
+        Object.assign(this, options);
+        this.pools = new Map();
+        if (this.cleanupIntervalMinutes > 0) {
+            this.cleanupTimer = setInterval(() => {
+                this.evictIdle().catch(err => this.logger.error({ err }, 'Closing idle tenant connections failed'));
+            }, this.cleanupIntervalMinutes * 60 * 1000);
+            // cleanup must not keep the process alive
+            this.cleanupTimer.unref();
+        }
+    }
+
+    /**
+     * Returns the tenant of a user or request, user.scopeId by default.
+     * @param {Object} options
+     * @param {Object} [options.user] - Current user
+     * @param {Object} [options.req] - Express request
+     * @returns {*} Tenant key, `{ key, config }` or null/undefined for the shared database
+     */
+    resolve({ user }) {
+        return user?.scopeId;
+    }
+
+    /**
+     * Resolves the tenant and its connection config.
+     * @returns {{key: String, config: Object}|null} null when the tenant uses the shared database
+     */
+    getTenant({ user, req } = {}) {
+        const tenant = this.resolve({ user, req });
+        if (tenant === undefined || tenant === null) {
+            return null;
+        }
+        if (typeof tenant === 'object') {
+            return tenant.config ? { key: String(tenant.key), config: tenant.config } : null;
+        }
+        const config = this.connections[tenant];
+        return config ? { key: String(tenant), config } : null;
+    }
+
+    /**
+     * Returns the Sql/Mysql instance of the tenant, connecting its pool on first use.
+     * @param {Object} options
+     * @param {Object} [options.user] - Current user
+     * @param {Object} [options.req] - Express request
+     * @returns {Promise<Sql|null>} null when the tenant uses the shared database
+     */
+    async getSql({ user, req } = {}) {
+        const entry = this.useEntry({ user, req });
+        if (!entry) {
+            return null;
+        }
+        await this.evictOverflow({ except: entry });
+        return entry.connecting;
+    }
+
+    /**
+     * Like getSql, but the pool is not closed by maxPools or idleMinutes until `release()` is called,
+     * e.g. when the response of the request is finished.
+     * @param {Object} options
+     * @param {Object} [options.user] - Current user
+     * @param {Object} [options.req] - Express request
+     * @returns {Promise<{sql: Sql|null, release: Function}>} sql is null when the tenant uses the shared database
+     */
+    async acquire({ user, req } = {}) {
+        const entry = this.useEntry({ user, req });
+        if (!entry) {
+            return { sql: null, release: () => { } };
+        }
+        const release = this.hold(entry);
+        try {
+            await this.evictOverflow();
+            return { sql: await entry.connecting, release };
+        } catch (err) {
+            release();
+            throw err;
+        }
+    }
+
+    /**
+     * Holds the pool of a connected Sql instance of a tenant open, like acquire.
+     * @param {Sql} sql - Sql instance returned by getSql or acquire
+     * @returns {Function} release, does nothing when sql is not a tenant connection
+     */
+    retain(sql) {
+        const entry = [...this.pools.values()].find(candidate => candidate.sql && candidate.sql === sql);
+        return entry ? this.hold(entry) : () => { };
+    }
+
+    // counts a holder of the pool and returns its release function
+    hold(entry) {
+        entry.refs++;
+        let released = false;
+        return () => {
+            if (released) {
+                return;
+            }
+            released = true;
+            entry.refs--;
+            entry.lastUsed = Date.now();
+        };
+    }
+
+    /**
+     * Returns the connected Sql instance of the tenant of a user without connecting, for synchronous callers.
+     * @returns {Sql|null} null when the tenant uses the shared database
+     * @throws {Error} when the pool of the tenant is not connected
+     */
+    getConnectedSql({ user, req } = {}) {
+        const tenant = this.getTenant({ user, req });
+        if (!tenant) {
+            return null;
+        }
+        const entry = this.pools.get(tenant.key);
+        if (!entry?.sql) {
+            throw new Error(`The database of tenant ${tenant.key} is not connected, call resolveSql() first`);
+        }
+        entry.lastUsed = Date.now();
+        return entry.sql;
+    }
+
+    /**
+     * Returns the pool entry of the tenant and marks it as the most recently used, connecting it on first use.
+     * @returns {Object|null} { connecting, sql, refs, lastUsed } or null when the tenant uses the shared database
+     */
+    useEntry({ user, req }) {
+        const tenant = this.getTenant({ user, req });
+        if (!tenant) {
+            return null;
+        }
+        const { key, config } = tenant;
+        let entry = this.pools.get(key);
+        if (entry) {
+            // re-inserted to keep the map in least recently used order
+            this.pools.delete(key);
+        } else {
+            entry = { refs: 0, connecting: this.createSql(config) };
+            entry.connecting.then((sql) => {
+                entry.sql = sql;
+            }, () => this.pools.get(key) === entry && this.pools.delete(key));
+        }
+        entry.lastUsed = Date.now();
+        this.pools.set(key, entry);
+        return entry;
+    }
+
+    /**
+     * Closes the least recently used pools that are not held while there are more than maxPools.
+     * @param {Object} [options]
+     * @param {Object} [options.except] - Entry that is about to be used
+     */
+    async evictOverflow({ except } = {}) {
+        for (const [key, entry] of [...this.pools]) {
+            if (this.pools.size <= this.maxPools) {
+                return;
+            }
+            if (entry !== except && !entry.refs) {
+                await this.close(key);
+            }
+        }
+    }
+
+    /**
+     * Creates and connects the Sql/Mysql instance of a tenant.
+     * @param {Object} config - Connection config; `dialect` selects mssql (default) or mysql
+     * @returns {Promise<Sql>}
+     */
+    async createSql({ dialect = this.dialect, ...config }) {
+        if (dialect === dialects.mysql) {
+            const mysql = new Mysql();
+            await mysql.setConfig({ namedPlaceholders: true, ...config });
+            return mysql;
+        }
+        const sql = new Sql();
+        await sql.setConfig(config);
+        return sql;
+    }
+
+    /**
+     * Closes the pool of a tenant, also when it is held. Queries still running on it fail.
+     * @param {String} key - Tenant key
+     */
+    async close(key) {
+        const entry = this.pools.get(String(key));
+        if (!entry) {
+            return;
+        }
+        this.pools.delete(String(key));
+        try {
+            const sql = await entry.connecting;
+            await sql.close();
+        } catch (err) {
+            this.logger.error({ err, tenant: key }, 'Closing tenant connection failed');
+        }
+    }
+
+    /**
+     * Closes the pools that were not used for idleMinutes and are not held.
+     */
+    async evictIdle() {
+        const idleSince = Date.now() - this.idleMinutes * 60 * 1000;
+        for (const [key, entry] of [...this.pools]) {
+            if (entry.lastUsed < idleSince && !entry.refs) {
+                await this.close(key);
+            }
+        }
+    }
+
+    /**
+     * Closes all pools and stops the cleanup, e.g. on shutdown.
+     */
+    async closeAll() {
+        clearInterval(this.cleanupTimer);
+        for (const key of [...this.pools.keys()]) {
+            await this.close(key);
+        }
+    }
+}
+
+/**
+ * Returns the Sql instance for a user or request: the tenant connection when the framework has tenants
+ * and the tenant has a dedicated database, otherwise the shared framework sql.
+ * @param {Object} options
+ * @param {Object} options.framework - Framework with `sql` and optional `tenants` (BusinessBase.businessObject)
+ * @param {Object} [options.user] - Current user
+ * @param {Object} [options.req] - Express request
+ * @returns {Promise<Sql>}
+ */
+async function resolveTenantSql({ framework, user, req }) {
+    const tenantSql = framework?.tenants ? await framework.tenants.getSql({ user, req }) : null;
+    return tenantSql || framework?.sql;
+}
+
+export { dialects, TenantConnections, resolveTenantSql };
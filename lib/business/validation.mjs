@@ -0,0 +1,119 @@
+const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const phoneRegex = /^\+?[0-9\s\-().]{7,20}$/;
+
+const isEmpty = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+const getLength = (value) => (typeof value === 'string' || Array.isArray(value)) ? value.length : String(value).length;
+
+/**
+ * Built-in validation rules. Each rule receives the field value and the option configured for it
+ * and returns an error message when the value is invalid. Rules other than `required` are only
+ * evaluated for non-empty values.
+ * Additional rules can be registered on BusinessBase.validators.
+ */
+const validators = {
+    "required": function ({ value, option, label }) {
+        if (option && isEmpty(value)) {
+            return `${label} is required`;
+        }
+    },
+    "minLength": function ({ value, option, label }) {
+        if (getLength(value) < option) {
+            return `${label} must be at least ${option} characters`;
+        }
+    },
+    "maxLength": function ({ value, option, label }) {
+        if (getLength(value) > option) {
+            return `${label} must be at most ${option} characters`;
+        }
+    },
+    "min": function ({ value, option, label }) {
+        if (isNaN(Number(value)) || Number(value) < option) {
+            return `${label} must be greater than or equal to ${option}`;
+        }
+    },
+    "max": function ({ value, option, label }) {
+        if (isNaN(Number(value)) || Number(value) > option) {
+            return `${label} must be less than or equal to ${option}`;
+        }
+    },
+    "pattern": function ({ value, option, label }) {
+        const regex = option instanceof RegExp ? option : new RegExp(option);
+        if (!regex.test(String(value))) {
+            return `${label} is not in the correct format`;
+        }
+    },
+    "email": function ({ value, option, label }) {
+        if (option && !emailRegex.test(String(value))) {
+            return `${label} must be a valid email address`;
+        }
+    },
+    "phone": function ({ value, option, label }) {
+        if (option && !phoneRegex.test(String(value))) {
+            return `${label} must be a valid phone number`;
+        }
+    },
+    "enum": function ({ value, option, label }) {
+        if (!option.map(String).includes(String(value))) {
+            return `${label} must be one of: ${option.join(', ')}`;
+        }
+    },
+    "unique": async function ({ value, option, field, label, id, businessObject, sql }) {
+        if (option && !(await businessObject.isUnique({ field, value, id }, { sql }))) {
+            return `${label} already exists`;
+        }
+    }
+};
+
+/**
+ * Validates values against a validation schema and collects every failure.
+ * On updates only the fields present in values are validated, so partial saves do not fail on `required`.
+ * @param {Object} options
+ * @param {Object} options.schema - { [field]: { label, required, maxLength, ..., messages, validate } }
+ * @param {Object} options.values - Values being saved
+ * @param {Boolean} options.isUpdate - True when an existing record is being updated
+ * @param {Object} [options.context] - Additional properties passed to every rule (id, businessObject, user, ...)
+ * @param {Object} [options.rules] - Rule implementations, defaults to the built-in validators
+ * @returns {Promise<Array<{field: string, rule: string, message: string}>>} Empty array when values are valid
+ */
+async function validateValues({ schema = {}, values = {}, isUpdate = false, context = {}, rules = validators }) {
+    const errors = [];
+    for (const field in schema) {
+        if (isUpdate && !(field in values)) {
+            continue;
+        }
+        const { label = field, messages = {}, validate, ...fieldRules } = schema[field];
+        const value = values[field];
+        const ruleParams = { ...context, value, values, field, label, isUpdate };
+        for (const rule in fieldRules) {
+            const option = fieldRules[rule];
+            if (option === undefined || option === null || option === false) {
+                continue;
+            }
+            if (rule !== 'required' && isEmpty(value)) {
+                continue;
+            }
+            const ruleFn = rules[rule];
+            if (typeof ruleFn !== 'function') {
+                throw new Error(`Unknown validation rule ${rule} for ${field}`);
+            }
+            const message = await ruleFn({ ...ruleParams, option });
+            if (message) {
+                errors.push({ field, rule, message: messages[rule] || message });
+            }
+        }
+        // Custom validators return true/undefined when valid, false or an error message otherwise
+        const customValidators = Array.isArray(validate) ? validate : (validate ? [validate] : []);
+        for (const validator of customValidators) {
+            const rule = validator.name || 'custom';
+            const outcome = await validator(ruleParams);
+            if (outcome === false || typeof outcome === 'string') {
+                const message = typeof outcome === 'string' ? outcome : (messages[rule] || `${label} is invalid`);
+                errors.push({ field, rule, message });
+            }
+        }
+    }
+    return errors;
+}
+
+export { validators, validateValues };
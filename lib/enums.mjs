@@ -22,5 +22,17 @@ export default {
         gzip: 'gzip',
         gzipJson: 'gzipJson',
         json: 'json'
+    },
+    isolationLevels: {
+        READ_UNCOMMITTED: 'READ_UNCOMMITTED',
+        READ_COMMITTED: 'READ_COMMITTED',
+        REPEATABLE_READ: 'REPEATABLE_READ',
+        SERIALIZABLE: 'SERIALIZABLE',
+        SNAPSHOT: 'SNAPSHOT'
+    },
+    searchModes: {
+        LIKE: 'like',
+        CONTAINS: 'contains',
+        FREETEXT: 'freetext'
     }
 }
\ No newline at end of file
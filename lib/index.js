@@ -9,6 +9,7 @@ import path from 'path';
 import adapters from './adapters/index.js';
 import BusinessBaseObjectsRouter from './business/business-objects.mjs';
 import MySql from './mysql.js';
+import { TenantConnections } from './business/tenants.mjs';
 
 
 class Controller {
@@ -93,6 +94,21 @@ class Framework {
         return this;
     }
 
+    /**
+     * Routes business objects of tenants with a dedicated database to their own connection pool (see business/tenants.mjs).
+     * @param {Object} tenantsConfig - TenantConnections options: connections, resolve, maxPools, idleMinutes
+     */
+    setTenants(tenantsConfig) {
+        let tenants;
+        if (tenantsConfig) {
+            // console is only the default of the framework, the tenants log structured entries with lib/logger.js then
+            const logger = this.logger === console ? undefined : this.logger;
+            tenants = new TenantConnections({ ...(logger ? { logger } : {}), ...tenantsConfig });
+        }
+        this.tenants = tenants;
+        return this;
+    }
+
     loginInfo = undefined
 
     loginController = 'Login'
@@ -178,8 +194,20 @@ class Framework {
         return { items, recordCount };
     }
 
-    setBusinessBase({ router, businessObjectConfigs }) {
-         new BusinessBaseObjectsRouter(router, businessObjectConfigs);
+    /**
+     * Registers the business object routes on the router.
+     * @param {Object} options
+     * @param {Object} options.router - Express router
+     * @param {Object} options.businessObjectConfigs - Business object classes keyed by name
+     * @param {Object} [options.exportJobs] - ExportJobs store of asynchronous exports
+     * @param {Function} [options.getPermissions] - Returns the permissions of a request, see BusinessBaseObjectsRouter
+     * @param {Object} [options.tenants] - TenantConnections options, applied with setTenants
+     */
+    setBusinessBase({ router, businessObjectConfigs, tenants, ...routerOptions }) {
+        if (tenants) {
+            this.setTenants(tenants);
+        }
+        new BusinessBaseObjectsRouter(router, businessObjectConfigs, routerOptions);
         return router;
     }
     ListParameters = ListParameters
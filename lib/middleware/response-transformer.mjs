@@ -1,5 +1,5 @@
 import ObjectsToCsv from 'objects-to-csv';
-import { toExcel } from '../reports.mjs';
+import { toExcel, toStream, streamFormats, toSummaryRow } from '../reports.mjs';
 import js2xmlparser from 'js2xmlparser';
 import dayjs from 'dayjs';
 import util from '../util.js';
@@ -62,6 +62,7 @@ const renderCell = ({ value, item, column, rowspan }) => {
  * @param {Array} params.rows - The data rows to display.
  * @param {Array} [params.columns] - The column definitions.
  * @param {Object} [params.summaryRow] - Optional summary row.
+ * @param {Object} [params.summary] - Summary returned by list({ aggregates }), used as summary row when summaryRow is not given.
  * @param {Object} [params.exportColumns] - Optional export column definitions.
  * @param {boolean} [params.isCustomExport] - Whether to use custom export columns.
  * @param {string} [params.tableRowHeaderStyle='background-color: #4a5568; color: white;'] - CSS style string applied to table row headers. Default is dark gray background with white text.
@@ -70,7 +71,7 @@ const renderCell = ({ value, item, column, rowspan }) => {
  * @param {Array} [params.rowspanColumns=null] - Array of column dataKeys that should use rowspan when grouping.
  * @returns {string} HTML table as a string.
  */
-const toHtmlTable = ({ rows, columns, summaryRow, exportColumns, isCustomExport, tableRowHeaderStyle = 'background-color: #4a5568; color: white;', showTableBorder = true, groupByKey = null, rowspanColumns = null }) => {
+const toHtmlTable = ({ rows, columns, summaryRow, summary, exportColumns, isCustomExport, tableRowHeaderStyle = 'background-color: #4a5568; color: white;', showTableBorder = true, groupByKey = null, rowspanColumns = null }) => {
     if (!rows) {
         return '';
     }
@@ -87,6 +88,10 @@ const toHtmlTable = ({ rows, columns, summaryRow, exportColumns, isCustomExport,
         }
     }
 
+    if (!summaryRow && summary) {
+        summaryRow = toSummaryRow(summary);
+    }
+
     if (!summaryRow) {
         const hasSummary = columns.some(column => column.summary);
         if (hasSummary) {
@@ -371,6 +376,113 @@ const sanitizeData = ({ data, columns = {}, responseType }) => {
     );
 };
 
+const streamMimeTypes = {
+    [mimeTypes.xlsx]: streamFormats.xlsx,
+    [mimeTypes.csv]: streamFormats.csv,
+    [mimeTypes.json]: streamFormats.ndjson,
+    'application/x-ndjson': streamFormats.ndjson
+};
+
+/**
+ * Resolves a response type (MIME type or alias such as "csv") to a streaming export format.
+ * @returns {{format: string, contentType: string, extension: string}|null} null when the type cannot be streamed
+ */
+const getStreamFormat = function (responseType) {
+    if (responseType.indexOf('/') === -1) {
+        responseType = responseType === streamFormats.ndjson ? 'application/x-ndjson' : mimeTypes[responseType];
+    }
+    const format = streamMimeTypes[responseType];
+    if (!format) {
+        return null;
+    }
+    const isNdjson = format === streamFormats.ndjson;
+    return { format, contentType: isNdjson ? 'application/x-ndjson' : responseType, extension: isNdjson ? 'ndjson' : format };
+};
+
+/**
+ * Writes an export to a writable stream without loading the rows. Each row goes through the same lookup
+ * replacement and `updateKeys` formatting as `res.transform`, then is written by the streaming xlsx/csv/ndjson writer.
+ * Hyperlink columns and multi-sheet exports are not supported.
+ *
+ * @param {Object} params
+ * @param {Object} params.result - `{ rows, exportColumns, lookups, lookupFields, userDateFormat, userTimezone }`;
+ *   rows is an async iterable such as the stream returned by `list({ stream: true })`
+ * @param {String} params.format - One of streamFormats
+ * @param {Writable} params.stream - Destination, ended when all rows are written
+ * @param {Function} [params.onRow] - Called with the number of rows read so far
+ * @returns {Promise<number>} Number of rows written
+ */
+const writeExport = async function ({ result, format, stream, onRow }) {
+    const { rows, exportColumns = {}, userDateFormat, userTimezone, lookups = {}, lookupFields } = result;
+    const columns = {};
+    const keyMapping = {};
+    const outputColumns = {};
+    for (const key in exportColumns) {
+        const { headerName, field = key, type, width, isParsable, localize } = exportColumns[key];
+        columns[field] = { name: headerName, valueType: type, isParsable, localize };
+        keyMapping[field] = headerName;
+        outputColumns[headerName] = { name: headerName, valueType: type, width: width / util.excelColumnWidthEnum, localize };
+    }
+    const hasColumns = Object.keys(keyMapping).length > 0;
+    const isForXlsx = format === streamFormats.xlsx;
+    const userDateTimeFormat = userDateFormat + util.dateTimeExportFormat;
+
+    const mapRows = async function* () {
+        let count = 0;
+        for await (const row of rows) {
+            if (onRow) {
+                onRow(++count);
+            }
+            if (!hasColumns) {
+                yield row;
+                continue;
+            }
+            updateLookups({ data: [row], exportColumns, lookups });
+            yield updateKeys({ data: [row], keyMapping, columns, userDateFormat, userDateTimeFormat, userTimezone, lookups, lookupFields, isForXlsx })[0];
+        }
+    };
+
+    return toStream({ rows: mapRows(), columns: outputColumns, stream, format, userDateFormat, userTimezone });
+};
+
+/**
+ * Streams an export to the response, see `writeExport`. JSON is written as newline delimited JSON.
+ *
+ * @param {Object} params
+ * @param {Object} params.result - Same as for `writeExport`
+ * @param {Object} [params.options] - `{ responseType, fileName }` with the same meaning as for `res.transform`
+ * @returns {Promise<number>} Number of rows written
+ */
+const transformStream = async function ({ req, res, result, options = {} }) {
+    let { responseType, fileName } = options;
+    if (!responseType) {
+        responseType = req.accepts(Object.keys(streamMimeTypes)) || mimeTypes.json;
+    }
+    const streamFormat = getStreamFormat(responseType);
+    if (!streamFormat) {
+        return res.status(400).json({ success: false, message: `Streaming is not supported for ${responseType}` });
+    }
+
+    fileName = util.sanitizeFilename(fileName || req.path || 'export');
+    fileName = `${fileName}-${dayjs().format(enums.fullDateFormat)}`;
+
+    res.set('Content-Type', streamFormat.contentType);
+    res.set('Content-Disposition', `attachment; filename="${fileName}.${streamFormat.extension}"`);
+    try {
+        return await writeExport({ result, format: streamFormat.format, stream: res });
+    } catch (err) {
+        if (res.headersSent) {
+            // the client can only be told by aborting the download
+            res.destroy(err);
+        } else {
+            res.removeHeader('Content-Disposition');
+        }
+        throw err;
+    }
+};
+
+export { getStreamFormat, writeExport };
+
 /**
  * Express middleware that attaches a `res.transform()` helper to the response object,
  * enabling format-aware data serialisation (JSON, CSV, XLSX, XML, HTML) from a single call site.
@@ -378,7 +490,8 @@ const sanitizeData = ({ data, columns = {}, responseType }) => {
  * ---
  * ## Workflow
  *
- * 1. **Attach helper** — adds `res.transform(result, options?)` to the response and calls `next()`.
+ * 1. **Attach helper** — adds `res.transform(result, options?)` and `res.transformStream(result, options?)`
+ *    (see `transformStream`) to the response and calls `next()`.
  * 2. **Guard on success** — if `result.success` is `false`, immediately responds with HTTP 400
  *    `{ success: false, message }` and returns.
  * 3. **Resolve response type** — uses `options.responseType` when provided; otherwise negotiates
@@ -474,13 +587,16 @@ const sanitizeData = ({ data, columns = {}, responseType }) => {
  * @returns {Promise<void>} Resolves when the HTTP response has been sent.
  */
 const responseTransformer = async function (req, res, next) {
+    res.transformStream = async function (result, options) {
+        return transformStream({ req, res, result, options });
+    };
     res.transform = async function ({ success, ...others }, { responseType, fileName, data: dataField = "data" } = {}) {
         let data = success === true ? others[dataField] : {};
         if (!success) {
             return res.status(400).json({ success: false, message: data });
         }
 
-        const { exportColumns, userDateFormat, isElastic, userTimezone, lookups, lookupFields } = others;
+        const { exportColumns, userDateFormat, isElastic, userTimezone, lookups, lookupFields, summary, groupByKey, rowspanColumns } = others;
         const dateTimeFormat = userDateFormat + util.dateTimeExportFormat;
         const isMultiSheetExport = others?.isMultiSheetExport || false;
 
@@ -502,6 +618,7 @@ const responseTransformer = async function (req, res, next) {
         const columnKeyMappings = {};
         let jsonResponse = others;
         let sheets = [];
+        let summaryRow = summary && !isMultiSheetExport ? toSummaryRow(summary) : undefined;
         if (isExportOperation) {
             for (const key in exportColumns) {
                 const exportColumn = exportColumns[key];
@@ -549,6 +666,15 @@ const responseTransformer = async function (req, res, next) {
             }
             data = sheets[0].rows;
 
+            if (summaryRow) {
+                // rename the summary fields like the rows, which keep their field names for XML and HTML
+                const keepFieldNames = isForXMLResponseType.includes(responseType);
+                summaryRow = Object.fromEntries(Object.entries(summaryRow)
+                    .filter(([field]) => columnKeyMappings[field])
+                    .map(([field, value]) => [keepFieldNames ? field : columnKeyMappings[field], value]));
+                sheets[0].summaryRow = summaryRow;
+            }
+
 
             if (responseType !== mimeTypes.xlsx && data && hyperlinkCols.length > 0) {
                 const isForXML = isForXMLResponseType.includes(responseType);
@@ -605,7 +731,7 @@ const responseTransformer = async function (req, res, next) {
                     if (Object.keys(columns)?.length === 0) {
                         columns = data.columns || {};
                     }
-                    return res.send(toHtmlTable({ rows: data, exportColumns: columns, isCustomExport: true }));
+                    return res.send(toHtmlTable({ rows: data, exportColumns: columns, isCustomExport: true, summaryRow, groupByKey, rowspanColumns }));
                 }
                 break;
             default:
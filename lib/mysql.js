@@ -1,6 +1,9 @@
 import logger from "./logger.js";
 import Sql, { createQueryLogger } from "./sql.js";
 import mysql from "mysql2/promise";
+import enums from "./enums.mjs";
+
+const { isolationLevels, searchModes } = enums;
 
 const convertParamsData = (value, type) => {
     switch (type) {
@@ -53,6 +56,7 @@ class Mysql extends Sql {
     parameterPrefix = ":";
 
     insertedIdStatement = "SELECT LAST_INSERT_ID() AS Id;";
+    estimatedCountStatement = "SELECT TABLE_ROWS AS TotalCount FROM information_schema.TABLES WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = :_countTable";
 
     async createPoolConnection(config) {
         if (config) {
@@ -63,6 +67,10 @@ class Mysql extends Sql {
         }
     }
 
+    async closePool(pool) {
+        await pool.end();
+    }
+
     allowTvp = false;
 
     buildParameterName(paramName) {
@@ -92,7 +100,7 @@ class Mysql extends Sql {
         }
     }
 
-    createRequest(logger) {
+    createRequest(logger, { replica = this.readFromReplica } = {}) {
         const loggerToUse = logger || this.logger;
         const queryLogger = createQueryLogger({ 
             queryLogThreshold: this.queryLogThreshold, 
@@ -100,18 +108,209 @@ class Mysql extends Sql {
             logger: loggerToUse,
             dialect: 'mysql'
         });
-        const pool = this.pool;
+        const readReplica = replica && !this.inTransaction ? this.getReplica() : null;
+        const pool = readReplica ? readReplica.pool : this.pool;
         const request = {
             query: this.createProxy(pool.query.bind(pool), queryLogger),
             execute: this.createProxy(pool.execute.bind(pool), queryLogger),
             input: this.input,
             params: {},
+            _pool: pool,
             _logger: loggerToUse,
             _sqlDialect: 'mysql',
         };
+        if (readReplica) {
+            this.addReplicaFallback({ request, replica: readReplica, logger });
+        }
         return request;
     }
 
+    copyParameters({ from, to }) {
+        to.params = { ...from.params };
+    }
+
+    /**
+     * Runs a query and returns its rows as an object mode Readable stream (mysql2 query stream).
+     * The connection is paused while the consumer is busy.
+     * @param {Object} config
+     * @param {Object} config.request - Request created by createRequest with its parameters bound
+     * @param {String} config.query - Query to run
+     * @returns {import('stream').Readable} Rows of the query
+     */
+    stream({ request, query }) {
+        const pool = request._pool || this.pool;
+        // streams are only available on the callback API: pool.pool for the pool, connection for a transaction scope
+        const target = pool.pool || pool.connection;
+        return target.query(query, request.params).stream();
+    }
+
+    getRowsAffected(result) {
+        return result?.data?.affectedRows;
+    }
+
+    escapeLikeValue(value) {
+        return String(value).replace(/[\\%_]/g, '\\$&');
+    }
+
+    /**
+     * Builds a MATCH ... AGAINST search for the full-text modes: BOOLEAN MODE with a required prefix term
+     * per word for 'contains', NATURAL LANGUAGE MODE for 'freetext'. The fields must be the columns of a
+     * FULLTEXT index. The rank is the MATCH score. 'like' falls back to Sql.buildSearch.
+     */
+    buildSearch({ request, terms, fields, mode = searchModes.LIKE, ...options }) {
+        if (mode !== searchModes.CONTAINS && mode !== searchModes.FREETEXT) {
+            return super.buildSearch({ request, terms, fields, mode, ...options });
+        }
+        // strip the boolean mode operators
+        terms = terms.map(term => String(term).replace(/[+\-<>()~*"@]/g, '').trim()).filter(term => term.length);
+        if (!terms.length || !fields.length) {
+            return null;
+        }
+        const isContains = mode === searchModes.CONTAINS;
+        const value = isContains ? terms.map(term => `+${term}*`).join(' ') : terms.join(' ');
+        this.addParameters({ request, parameters: { _search: { value } } });
+        const match = `MATCH(${fields.join(', ')}) AGAINST (${this.buildParameterName('_search')} IN ${isContains ? 'BOOLEAN' : 'NATURAL LANGUAGE'} MODE)`;
+        return { statement: match, rank: match };
+    }
+
+    bulkInsertBatchSize = 1000;
+
+    // shared with the transaction scopes, which are created with Object.create
+    autoIncrementSettings = {};
+
+    /**
+     * Reads how auto-increment ids are assigned to the rows of one multi-row INSERT. They are consecutive, apart from
+     * auto_increment_increment, only with innodb_autoinc_lock_mode 0 or 1; mode 2 (the default since MySQL 8)
+     * interleaves them with concurrent inserts. The settings are read once per pool.
+     * @returns {Promise<Number|null>} The step between the ids of one statement, null when they may not be consecutive
+     */
+    async getAutoIncrementStep(logger) {
+        const settings = this.autoIncrementSettings;
+        settings.step ??= (async () => {
+            const request = this.createRequest(logger, { replica: false });
+            const result = await this.runQuery({ request, type: "query", query: "SELECT @@innodb_autoinc_lock_mode AS LockMode, @@auto_increment_increment AS Step;" });
+            if (!result.success) {
+                throw result.err;
+            }
+            const [{ LockMode, Step } = {}] = result.data;
+            return Number(LockMode) < 2 && Number(Step) > 0 ? Number(Step) : null;
+        })();
+        try {
+            return await settings.step;
+        } catch (err) {
+            delete settings.step;
+            throw err;
+        }
+    }
+
+    /**
+     * Inserts many rows and returns the new ids in the order of rows. Rows with the same columns are inserted with
+     * multi-row INSERT statements, so that columns a row does not have keep their default. The ids are derived from
+     * the first id of each statement when the server assigns consecutive ids (see getAutoIncrementStep); otherwise
+     * the rows are inserted one by one.
+     * @param {Object} config
+     * @param {String} config.tableName - Table to insert into
+     * @param {String} [config.keyField] - Key column of the table
+     * @param {Array<Object>} config.rows - Rows to insert
+     * @param {Object} [config.logger] - Logger for request context
+     * @returns {Promise<Array>} Inserted ids, same order as rows
+     */
+    async bulkInsert({ tableName, keyField, rows, logger }) {
+        if (rows.length < 2) {
+            return super.bulkInsert({ tableName, keyField, rows, logger });
+        }
+        const step = await this.getAutoIncrementStep(logger);
+        if (!step) {
+            return super.bulkInsert({ tableName, keyField, rows, logger });
+        }
+        const groups = new Map();
+        rows.forEach((row, index) => {
+            const columns = Object.keys(row);
+            const key = [...columns].sort().join(',');
+            if (!groups.has(key)) {
+                groups.set(key, { columns, indexes: [] });
+            }
+            groups.get(key).indexes.push(index);
+        });
+        const ids = new Array(rows.length);
+        for (const { columns, indexes } of groups.values()) {
+            for (let offset = 0; offset < indexes.length; offset += this.bulkInsertBatchSize) {
+                const batch = indexes.slice(offset, offset + this.bulkInsertBatchSize);
+                const request = this.createRequest(logger, { replica: false });
+                const valueRows = batch.map((rowIndex, batchIndex) => `(${columns.map((column, columnIndex) => {
+                    const paramName = `r${batchIndex}_${columnIndex}`;
+                    request.input(paramName, rows[rowIndex][column]);
+                    return this.buildParameterName(paramName);
+                }).join(', ')})`);
+                const query = `INSERT INTO ${tableName} (${columns.join(', ')}) VALUES ${valueRows.join(', ')};`;
+                const result = await this.runQuery({ request, type: "query", query });
+                if (!result.success) {
+                    throw result.err;
+                }
+                const { insertId } = result.data;
+                batch.forEach((rowIndex, batchIndex) => {
+                    ids[rowIndex] = insertId + batchIndex * step;
+                });
+            }
+        }
+        return ids;
+    }
+
+    savepointStatements = {
+        create: 'SAVEPOINT {name}',
+        rollback: 'ROLLBACK TO SAVEPOINT {name}',
+        release: 'RELEASE SAVEPOINT {name}'
+    };
+
+    getIsolationLevel(isolationLevel) {
+        if (isolationLevel === undefined || isolationLevel === null) {
+            return undefined;
+        }
+        if (isolationLevel === isolationLevels.SNAPSHOT || !Object.values(isolationLevels).includes(isolationLevel)) {
+            throw new Error(`Invalid isolationLevel for MySQL: ${isolationLevel}`);
+        }
+        return isolationLevel.replace('_', ' ');
+    }
+
+    /**
+     * Runs the callback inside a transaction on a dedicated pool connection. The transaction is
+     * committed when the callback resolves and rolled back when it throws. Nested calls on the
+     * scoped instance use savepoints.
+     * @param {Function} callback - async (tx) => {} where tx is a transaction scoped Mysql instance
+     * @param {Object} [options]
+     * @param {string} [options.isolationLevel] - One of enums.isolationLevels (SNAPSHOT is not supported)
+     * @param {Object} [options.logger] - Logger used by requests created inside the transaction
+     * @returns {Promise<*>} Value returned by the callback
+     */
+    async transaction(callback, { isolationLevel, logger } = {}) {
+        if (this.inTransaction) {
+            return super.transaction(callback, { isolationLevel, logger });
+        }
+        const level = this.getIsolationLevel(isolationLevel);
+        const connection = await this.pool.getConnection();
+        try {
+            if (level) {
+                // applies to the next transaction started on this connection only
+                await connection.query(`SET TRANSACTION ISOLATION LEVEL ${level}`);
+            }
+            await connection.beginTransaction();
+            try {
+                const result = await callback(this.createTransactionScope(connection, { logger }));
+                await connection.commit();
+                return result;
+            } catch (err) {
+                try {
+                    await connection.rollback();
+                } catch (rollbackErr) {
+                    this.logger.error({ err: rollbackErr }, 'Transaction rollback failed');
+                }
+                throw err;
+            }
+        } finally {
+            connection.release();
+        }
+    }
+
     /**
      * Add an input parameter to the request.
      *
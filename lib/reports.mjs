@@ -2,6 +2,8 @@ import ExcelJS from 'exceljs';
 import fse from "fs-extra";
 import path from 'path';
 import { Readable } from 'stream';
+import { finished } from 'stream/promises';
+import { once } from 'events';
 import logger from './logger.js';
 import dayjs from 'dayjs';
 import utc from 'dayjs/plugin/utc.js';
@@ -33,12 +35,13 @@ const resolveFilePath = ({ filePath, title, outputPath, extension }) => {
  * @param {string} configuration.rows - Array of rows
  * @param {string} configuration.columns - Array of columns
  * @param {string} configuration.stream - If excel should be written to the stream instead of file name with title
- * @param {string} configuration.sheets - Array containing title, rows, columns - for multiple sheets
+ * @param {string} configuration.sheets - Array containing title, rows, columns, summaryRow - for multiple sheets
+ * @param {Object} configuration.summaryRow - Optional totals written in bold below the rows, keyed like the rows (see toSummaryRow)
  * @param {string} configuration.filePath - Optional full file path with extension
  * @param {string} configuration.fileName - @deprecated since 3.1.0. Use filePath instead.
  * @param {string} configuration.outputPath - Output folder (default: from config.defaultReportPath or '.'). Used only when filePath is not provided.
  */
-const toExcel = async function ({ title, rows, columns, stream, sheets, filePath, fileName, exportColumns = false, userDateFormat, userTimezone, outputPath }) {
+const toExcel = async function ({ title, rows, columns, summaryRow, stream, sheets, filePath, fileName, exportColumns = false, userDateFormat, userTimezone, outputPath }) {
     // Use config.defaultReportPath if outputPath not provided
     if (outputPath === undefined) {
         outputPath = config?.defaultReportPath || '.';
@@ -54,7 +57,7 @@ const toExcel = async function ({ title, rows, columns, stream, sheets, filePath
 
     const workbook = new ExcelJS.Workbook();
     if (!sheets) {
-        sheets = [{ title, rows, columns }];
+        sheets = [{ title, rows, columns, summaryRow }];
     }
     for (const sheetDetail of sheets) {
         await writeExcelSheet({ title, ...sheetDetail, workbook, exportColumns, userDateFormat, userTimezone });
@@ -86,8 +89,55 @@ function getTableOrSheetName({ name, workbook, isSheetName = true }) {
     }
     return name;
 }
+/**
+ * Converts date/dateTime column values to Date objects for Excel. Localized columns get the user's timezone offset baked in.
+ */
+const toExcelValue = function ({ value, colConfig, userTimezone }) {
+    if (value === null || !colConfig || !['date', 'dateTime'].includes(colConfig.valueType)) {
+        return value;
+    }
+    // Parse and convert date/dateTime values to Date objects
+    if (!(value instanceof Date)) {
+        // For dateTime columns, always parse as UTC. For date columns, parse in local time.
+        const parsed = colConfig.valueType === 'date' ? dayjs(value) : dayjs.utc(value);
+        if (parsed.isValid()) {
+            value = parsed.toDate();
+        }
+    }
+    if (colConfig.localize && userTimezone) {
+        /**
+         * Excel doesn't support timezones, so we need to "bake in" the timezone offset.
+         *
+         * We convert UTC time to the user's timezone and shift the Date object by the offset.
+         * This ensures Excel displays the correct local time without timezone information.
+         *
+         * The offset calculation is DST-aware (e.g., EST = -300 min, EDT = -240 min).
+         * Example: 09:15 UTC → 14:45 IST (UTC + 330 minutes)
+         */
+        const utcMoment = dayjs.utc(value);
+        const offsetMinutes = utcMoment.tz(userTimezone).utcOffset();
+        value = utcMoment.add(offsetMinutes, 'minute').toDate();
+    }
+    return value;
+};
+
+const summaryLabels = { sum: 'Sum', avg: 'Avg', min: 'Min', max: 'Max', count: 'Count' };
+
+/**
+ * Converts the summary returned by list({ aggregates }) ({ Amount: { sum: 10, avg: 2 } }) to a row keyed by field.
+ * A field with one aggregate gets the value itself, a field with several gets a label such as "Sum: 10, Avg: 2".
+ */
+const toSummaryRow = function (summary) {
+    const row = {};
+    for (const field in summary) {
+        const entries = Object.entries(summary[field] || {});
+        row[field] = entries.length === 1 ? entries[0][1] : entries.map(([fn, value]) => `${summaryLabels[fn] || fn}: ${value ?? ''}`).join(', ');
+    }
+    return row;
+};
+
 const operations = { "Mul": "*", "Add": "+", "Sub": "-", "Div": "/" };
-const writeExcelSheet = function ({ title = "main", rows, columns, name, workbook, tableName, exportColumns = false, userDateFormat, userTimezone }) {
+const writeExcelSheet = function ({ title = "main", rows, columns, name, workbook, tableName, exportColumns = false, userDateFormat, userTimezone, summaryRow }) {
     workbook = workbook || new ExcelJS.Workbook();
     name = name || title.replace(sheetName, '');
     name = getTableOrSheetName({ name, workbook })
@@ -133,36 +183,7 @@ const writeExcelSheet = function ({ title = "main", rows, columns, name, workboo
     for (const row of rows) {
         const rowData = [];
         for (const key of keys) {
-            let value = row[key] ?? null;
-            const colConfig = columns[key];
-
-            // Parse and convert date/dateTime values to Date objects
-            if (value !== null && !(value instanceof Date) && colConfig && ['date', 'dateTime'].includes(colConfig.valueType)) {
-                // For dateTime columns, always parse as UTC. For date columns, parse in local time.
-                const parsed = colConfig.valueType === 'date' ? dayjs(value) : dayjs.utc(value);
-                if (parsed.isValid()) {
-                    value = parsed.toDate();
-                }
-            }
-
-            // Handle localization for date/dateTime columns
-            if (value !== null && colConfig && ['date', 'dateTime'].includes(colConfig.valueType)) {
-                if (colConfig.localize && userTimezone) {
-                    /**
-                     * Excel doesn't support timezones, so we need to "bake in" the timezone offset.
-                     *
-                     * We convert UTC time to the user's timezone and shift the Date object by the offset.
-                     * This ensures Excel displays the correct local time without timezone information.
-                     *
-                     * The offset calculation is DST-aware (e.g., EST = -300 min, EDT = -240 min).
-                     * Example: 09:15 UTC → 14:45 IST (UTC + 330 minutes)
-                     */
-                    const utcMoment = dayjs.utc(value);
-                    const offsetMinutes = utcMoment.tz(userTimezone).utcOffset();
-                    value = utcMoment.add(offsetMinutes, 'minute').toDate();
-                }
-            }
-
+            const value = toExcelValue({ value: row[key] ?? null, colConfig: columns[key], userTimezone });
             rowData.push(value);
         }
         tableRows.push(rowData);
@@ -238,6 +259,18 @@ const writeExcelSheet = function ({ title = "main", rows, columns, name, workboo
         const column = worksheet.getColumn(colIndex);
         Object.assign(column, others);
     }
+
+    if (summaryRow) {
+        // below the table; an empty table still has one placeholder row
+        const excelRow = worksheet.getRow(Math.max(tableRows.length, 1) + 2);
+        keys.forEach((key, index) => {
+            const value = toExcelValue({ value: summaryRow[key] ?? null, colConfig: columns[key], userTimezone });
+            if (value !== null) {
+                excelRow.getCell(index + 1).value = value;
+            }
+        });
+        excelRow.font = { bold: true };
+    }
 };
 
 const format = {
@@ -309,6 +342,96 @@ const toTextFile = async ({ title = "main", rows, stream, settings, reportType =
     return filePath;
 }
 
+const streamFormats = {
+    xlsx: 'xlsx',
+    csv: 'csv',
+    ndjson: 'ndjson'
+};
+
+const toCsvValue = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+};
+
+/**
+ * Writes rows to a stream one at a time so that memory use does not depend on the number of rows.
+ * xlsx uses the ExcelJS streaming WorkbookWriter (no table, filters or hyperlinks), csv and ndjson are written as text.
+ * Waits for the destination to drain, so a slow client slows down the source instead of buffering rows.
+ * @param {Object} configuration
+ * @param {AsyncIterable<Object>} configuration.rows - Rows keyed by column key, e.g. an object mode Readable or async generator
+ * @param {Object} [configuration.columns] - { [key]: { name, valueType, width, localize } } in output order. Defaults to the keys of the first row
+ * @param {import('stream').Writable} configuration.stream - Destination, ended when all rows are written
+ * @param {string} [configuration.format='xlsx'] - xlsx, csv or ndjson
+ * @param {string} [configuration.title='Main'] - Worksheet name
+ * @param {string} [configuration.userDateFormat] - Excel date format for date/dateTime columns
+ * @param {string} [configuration.userTimezone] - Timezone for localized date/dateTime columns
+ * @returns {Promise<number>} Number of rows written
+ */
+const toStream = async function ({ rows, columns = {}, stream, format = streamFormats.xlsx, title = 'Main', userDateFormat, userTimezone }) {
+    if (!Object.values(streamFormats).includes(format)) {
+        throw new Error(`Unsupported stream format ${format}`);
+    }
+    const write = async (chunk) => {
+        if (!stream.write(chunk)) {
+            await once(stream, 'drain');
+        }
+    };
+    let keys = Object.keys(columns).filter(key => !columns[key]?.isHyperLinkColumn);
+    let workbook, worksheet;
+    const start = (firstRow) => {
+        if (!keys.length && firstRow) {
+            keys = Object.keys(firstRow);
+        }
+        if (format === streamFormats.xlsx) {
+            workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+            worksheet = workbook.addWorksheet(title.replace(sheetName, '') || 'Main');
+            const effectiveDateFormat = userDateFormat || reportDatesFormat['date'];
+            worksheet.columns = keys.map(key => {
+                const { name = key, width, valueType } = columns[key] || {};
+                const numFmt = ['date', 'dateTime'].includes(valueType) ? (valueType === 'date' ? effectiveDateFormat : effectiveDateFormat + dateTimeExcelExportFormat) : undefined;
+                return { header: name, key, width: width > 0 ? width : 20, style: numFmt ? { numFmt } : {} };
+            });
+            worksheet.getRow(1).font = { bold: true };
+            return;
+        }
+        if (format === streamFormats.csv) {
+            return write(keys.map(key => toCsvValue(columns[key]?.name || key)).join(',') + '\r\n');
+        }
+    };
+
+    let count = 0;
+    for await (const row of rows) {
+        if (count === 0) {
+            await start(row);
+        }
+        count++;
+        if (format === streamFormats.xlsx) {
+            worksheet.addRow(keys.map(key => toExcelValue({ value: row[key] ?? null, colConfig: columns[key], userTimezone }))).commit();
+            if (stream.writableNeedDrain) {
+                await once(stream, 'drain');
+            }
+        } else if (format === streamFormats.csv) {
+            await write(keys.map(key => toCsvValue(row[key])).join(',') + '\r\n');
+        } else {
+            await write(JSON.stringify(row) + '\n');
+        }
+    }
+    if (count === 0) {
+        await start();
+    }
+    if (format === streamFormats.xlsx) {
+        worksheet.commit();
+        await workbook.commit();
+    } else {
+        stream.end();
+        await finished(stream);
+    }
+    return count;
+};
+
 const handlers = {
     [reportTypes?.excel]: toExcel,
     [reportTypes?.csv]: toTextFile,
@@ -351,6 +474,10 @@ const reports = {
         if (options.logger) {
             report.logger = options.logger;
         }
+        // report queries run on the read replicas of options.sql, when it has any; a report may bring its own sql
+        if (options.sql && !report.sql) {
+            report.sql = typeof options.sql.forReads === 'function' ? options.sql.forReads() : options.sql;
+        }
         let sheets;
         const rows = await report.execute(options);
         if (!rows || !rows?.length) {
@@ -392,5 +519,8 @@ const reports = {
 export {
     reports,
     render,
-    toExcel
+    toExcel,
+    toStream,
+    streamFormats,
+    toSummaryRow
 }
\ No newline at end of file
@@ -8,10 +8,11 @@ import util from './util.js';
 import config from './appConfig.mjs';
 import enums from './enums.mjs';
 const { maxQueryTime = 500 } = config || {};
-const { inOperatorStrategies, dateTimeFields, columnTypes } = enums;
+const { inOperatorStrategies, dateTimeFields, columnTypes, isolationLevels, searchModes } = enums;
 dayjs.extend(utc);
 
 const isNullNotNullOperators = ['IS NOT NULL', 'IS NULL'];
+const filterGroupKeys = ['and', 'or', 'not'];
 const whereClauseRegex = /\bWHERE\b/i;
 const appendAndBoundaryRegex = /\b(?:ORDER\s+BY|GROUP\s+BY|HAVING|OFFSET|FETCH)\b/i;
 
@@ -358,11 +359,24 @@ class Sql {
      */
     caseInsensitiveOrderBy = false;
     insertedIdStatement = "SELECT SCOPE_IDENTITY() AS Id;";
+    // row count of the table from the catalog, used by list({ countMode: 'estimate' })
+    estimatedCountStatement = "SELECT SUM(p.rows) AS TotalCount FROM sys.partitions p WHERE p.object_id = OBJECT_ID(@_countTable) AND p.index_id IN (0, 1)";
     inOperatorStrategy = inOperatorStrategies.INNER_JOIN;
     binaryColumnSuffix = "_Binary";
+    maxFilterDepth = 10;
     _tvpAliasCounter = 0;
 
-    async setConfig({ logger, timeoutLogLevel = "info", queryLogThreshold = 1000, forceCaseInsensitive, inOperatorStrategy = inOperatorStrategies.INNER_JOIN, caseInsensitiveMode, shadowColumns, caseInsensitiveOrderBy, ...config } = {}) {
+    /**
+     * Read replicas used by requests created with `{ replica: true }`, see setConfig({ readReplicas }).
+     * Each entry is `{ name, pool, retryAt }`; a replica is skipped until retryAt after a connection failure.
+     */
+    replicas = [];
+    replicaRetrySeconds = 30;
+    // default of createRequest({ replica }), true in instances returned by forReads()
+    readFromReplica = false;
+    replicaIndex = 0;
+
+    async setConfig({ logger, timeoutLogLevel = "info", queryLogThreshold = 1000, forceCaseInsensitive, inOperatorStrategy = inOperatorStrategies.INNER_JOIN, caseInsensitiveMode, shadowColumns, caseInsensitiveOrderBy, readReplicas, replicaRetrySeconds, ...config } = {}) {
         if (logger) {
             this.logger = logger;
         }
@@ -379,7 +393,115 @@ class Sql {
         if (caseInsensitiveOrderBy !== undefined) {
             this.caseInsensitiveOrderBy = caseInsensitiveOrderBy;
         }
+        if (replicaRetrySeconds !== undefined) {
+            this.replicaRetrySeconds = replicaRetrySeconds;
+        }
         this.pool = await this.createPoolConnection(config);
+        this.replicas = await this.createReplicas({ readReplicas, config });
+    }
+
+    /**
+     * Connects the read replicas. Replica configs are merged over the primary config, so usually only the server differs.
+     * Replicas that cannot connect are logged and left out.
+     * @param {Object} options
+     * @param {Array<Object>} [options.readReplicas] - Connection configs of the replicas, `name` is used in logs
+     * @param {Object} options.config - Connection config of the primary
+     * @returns {Promise<Array>} Replicas
+     */
+    async createReplicas({ readReplicas = [], config }) {
+        const replicas = [];
+        for (const { name, ...replicaConfig } of readReplicas) {
+            const replicaName = name || replicaConfig.server || replicaConfig.host || `replica${replicas.length + 1}`;
+            try {
+                const pool = await this.createPoolConnection({ ...config, ...replicaConfig });
+                replicas.push({ name: replicaName, pool, retryAt: 0 });
+            } catch (err) {
+                this.logger.error({ err, replica: replicaName }, 'Read replica connection failed');
+            }
+        }
+        return replicas;
+    }
+
+    /**
+     * Returns the next available read replica, round-robin.
+     * @returns {Object|null} Replica, or null when none is configured or available and the primary must be used
+     */
+    getReplica() {
+        const { replicas } = this;
+        const now = Date.now();
+        for (let index = 0; index < replicas.length; index++) {
+            const replica = replicas[(this.replicaIndex + index) % replicas.length];
+            if (replica.retryAt <= now) {
+                this.replicaIndex = (this.replicaIndex + index + 1) % replicas.length;
+                return replica;
+            }
+        }
+        return null;
+    }
+
+    connectionErrorCodes = ['ESOCKET', 'ECONNCLOSED', 'ENOTOPEN', 'ELOGIN', 'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND', 'EHOSTUNREACH', 'PROTOCOL_CONNECTION_LOST'];
+
+    /**
+     * Whether an error means that the server could not be reached, as opposed to an error of the query.
+     */
+    isConnectionError(err) {
+        return err?.name === 'ConnectionError' || this.connectionErrorCodes.includes(err?.code) || this.connectionErrorCodes.includes(err?.originalError?.code);
+    }
+
+    /**
+     * Makes a replica request fall back to the primary: when the replica cannot be reached, it is skipped for
+     * replicaRetrySeconds and the query runs again on the primary with the same parameters. Streamed requests are not retried.
+     * @param {Object} options
+     * @param {Object} options.request - Request created on the replica
+     * @param {Object} options.replica - The replica
+     * @param {Object} [options.logger] - Logger of the request
+     */
+    addReplicaFallback({ request, replica, logger }) {
+        request._replica = replica.name;
+        for (const type of ['query', 'execute']) {
+            const run = request[type];
+            request[type] = async (...args) => {
+                try {
+                    return await run.apply(request, args);
+                } catch (err) {
+                    if (!this.isConnectionError(err)) {
+                        throw err;
+                    }
+                    replica.retryAt = Date.now() + this.replicaRetrySeconds * 1000;
+                    (logger || this.logger).warn({ err, replica: replica.name }, 'Read replica is not available, using the primary');
+                    if (request.stream) {
+                        throw err;
+                    }
+                    const primary = this.createRequest(logger, { replica: false });
+                    this.copyParameters({ from: request, to: primary });
+                    return primary[type](...args);
+                }
+            };
+        }
+    }
+
+    /**
+     * Binds the input parameters of a request to another request. The parameters are copied rather than bound again
+     * with input(), which would lose their length, precision and scale.
+     */
+    copyParameters({ from, to }) {
+        for (const parameter of Object.values(from.parameters)) {
+            // io 1 = input, 2 = output
+            if (parameter.io === 1) {
+                to.parameters[parameter.name] = { ...parameter };
+            }
+        }
+    }
+
+    /**
+     * Returns a copy of this instance whose requests run on the read replicas, e.g. for reports.
+     * Writes through insertUpdate and bulkInsert, and transactions, still use the primary.
+     * @returns {Sql}
+     */
+    forReads() {
+        const scope = Object.create(this);
+        scope.readFromReplica = true;
+        return scope;
     }
 
     async createPoolConnection(config) {
@@ -391,6 +513,24 @@ class Sql {
         }
     }
 
+    /**
+     * Closes the connection pools of the primary and the read replicas.
+     */
+    async close() {
+        const pools = [this.pool, ...this.replicas.map(replica => replica.pool)];
+        this.pool = null;
+        this.replicas = [];
+        for (const pool of pools) {
+            if (pool) {
+                await this.closePool(pool);
+            }
+        }
+    }
+
+    async closePool(pool) {
+        await pool.close();
+    }
+
     allowTvp = true;
 
     buildParameterName(paramName) {
@@ -1101,63 +1241,12 @@ class Sql {
     }
 
     /**
-     *
-     * Each entry in `parameters` can be a plain value or an options object with the
-     * following properties:
-     *
-     * @param {Object} options
-     * @param {String} options.query - SQL query string to which WHERE clauses are appended
-     * @param {Object} options.request - mssql request object that parameters are bound to
-     * @param {Object} options.parameters - Map of parameter names to values or descriptor objects.
-     *   Supported descriptor properties:
-     *   - value       {*}       The value to bind.
-     *   - sqlType     {*}       Explicit mssql type (e.g. this.dataTypes.string). Overrides type inference.
-     *   - ignoreNull  {boolean} When true (default), skip the parameter if value is null/undefined.
-     *   - fieldName   {string}  Override the SQL column name used in the WHERE clause.
-     *   - operator    {string}  Comparison operator for the WHERE clause (default "=").
-     *   - statement   {string}  Raw SQL fragment appended verbatim to the WHERE clause.
-     *   - type        {string}  Semantic type for automatic transformation:
-     *       - "date" / "dateTime"   — infers DateTime2 sqlType; when sql.forceCaseInsensitive is
-     *                                 enabled, also prevents UPPER() from being applied to date values
-     *       - "json"                — serializes object/array to a JSON string before binding
-     *       - "gzip"                — gzip-compresses the string value to a Buffer before binding;
-     *                                 when forWhere=true the WHERE clause uses the column name suffixed
-     *                                 with binaryColumnSuffix (e.g. Memo → Memo_Binary)
-     *       - "gzipJson"            — serializes to JSON then gzip-compresses to a Buffer before binding;
-     *                                 same binaryColumnSuffix behaviour as "gzip"
-     *
-     * Example:
-     * {
-     *   param1: value1,
-     *   param2: { value: "test" },
-     *   param3: [1, 2, 3],
-     *   param4: { value: "test", sqlType: this.dataTypes.string },
-     *   param5: { value: "test", sqlType: this.dataTypes.string, ignoreNull: false },
-     *   "Table.Column": { value: "test", sqlType: this.dataTypes.string },
-     *   param10: { fieldName: "Table.Column", value: "test", sqlType: this.dataTypes.string },
-     *   param11: { value: "2024-01-15", type: "date" },
-     *   param12: { value: { key: "val" }, type: "gzipJson" }
-     * }
-     * @param {boolean} [options.forWhere=false] - When true, generates WHERE clause conditions from
-     *   the parameters. When false (default), parameters are bound to the request without building
-     *   a WHERE clause — use this for INSERT/UPDATE column values or stored-procedure arguments.
-     * @param {'AND'|'OR'} [options.logicalOperator='AND'] - Logical operator used to join WHERE
-     *   clause conditions. Must be 'AND' or 'OR' (case-insensitive). When 'OR' and multiple
-     *   conditions exist, the group is wrapped in parentheses so it cannot weaken outer filters
-     *   (e.g. `WHERE IsDeleted=0 AND (filter1 OR filter2)`). Throws on any other value or null.
-     * @param {boolean} [options.appendAnd=false] - When true, assumes the query already contains
-     *   a WHERE clause and joins the new conditions with AND instead of adding a new WHERE keyword.
-     *   Use this to extend an existing query with additional filter conditions. When false (default),
-     *   a new WHERE keyword is prepended to the conditions. Interacts with `forWhere`: `appendAnd`
-     *   only affects the WHERE/AND prefix; `forWhere` must still be true for conditions to be built.
-     *   Throws if no WHERE exists, and inserts the new conditions before ORDER BY / GROUP BY /
-     *   HAVING / OFFSET / FETCH (and before a trailing semicolon) when those clauses are present.
-     * @returns {String} - updated sql query
+     * Binds `parameters` to the request and builds the condition for each of them, without
+     * joining them into a WHERE clause. Used by addParameters and buildFilterTree.
+     * @param {Object} options - same as addParameters
+     * @returns {{query: String, whereClauses: Array<String>, joinClauses: Array<String>}}
      */
-    addParameters({ query, request, parameters, forWhere = false, logicalOperator = 'AND', appendAnd = false }) {
-        if (!parameters) {
-            return query;
-        }
+    buildConditions({ query, request, parameters, forWhere = false }) {
         const { buildParameterName, dataTypes, forceCaseInsensitive } = this;
         const paramNames = Object.keys(parameters);
         const whereClauses = [];
@@ -1292,6 +1381,70 @@ class Sql {
                 whereClauses.push(statement);
             }
         }
+        return { query, whereClauses, joinClauses };
+    }
+
+    /**
+     *
+     * Each entry in `parameters` can be a plain value or an options object with the
+     * following properties:
+     *
+     * @param {Object} options
+     * @param {String} options.query - SQL query string to which WHERE clauses are appended
+     * @param {Object} options.request - mssql request object that parameters are bound to
+     * @param {Object} options.parameters - Map of parameter names to values or descriptor objects.
+     *   Supported descriptor properties:
+     *   - value       {*}       The value to bind.
+     *   - sqlType     {*}       Explicit mssql type (e.g. this.dataTypes.string). Overrides type inference.
+     *   - ignoreNull  {boolean} When true (default), skip the parameter if value is null/undefined.
+     *   - fieldName   {string}  Override the SQL column name used in the WHERE clause.
+     *   - operator    {string}  Comparison operator for the WHERE clause (default "=").
+     *   - statement   {string}  Raw SQL fragment appended verbatim to the WHERE clause.
+     *   - type        {string}  Semantic type for automatic transformation:
+     *       - "date" / "dateTime"   — infers DateTime2 sqlType; when sql.forceCaseInsensitive is
+     *                                 enabled, also prevents UPPER() from being applied to date values
+     *       - "json"                — serializes object/array to a JSON string before binding
+     *       - "gzip"                — gzip-compresses the string value to a Buffer before binding;
+     *                                 when forWhere=true the WHERE clause uses the column name suffixed
+     *                                 with binaryColumnSuffix (e.g. Memo → Memo_Binary)
+     *       - "gzipJson"            — serializes to JSON then gzip-compresses to a Buffer before binding;
+     *                                 same binaryColumnSuffix behaviour as "gzip"
+     *
+     * Example:
+     * {
+     *   param1: value1,
+     *   param2: { value: "test" },
+     *   param3: [1, 2, 3],
+     *   param4: { value: "test", sqlType: this.dataTypes.string },
+     *   param5: { value: "test", sqlType: this.dataTypes.string, ignoreNull: false },
+     *   "Table.Column": { value: "test", sqlType: this.dataTypes.string },
+     *   param10: { fieldName: "Table.Column", value: "test", sqlType: this.dataTypes.string },
+     *   param11: { value: "2024-01-15", type: "date" },
+     *   param12: { value: { key: "val" }, type: "gzipJson" }
+     * }
+     * @param {boolean} [options.forWhere=false] - When true, generates WHERE clause conditions from
+     *   the parameters. When false (default), parameters are bound to the request without building
+     *   a WHERE clause — use this for INSERT/UPDATE column values or stored-procedure arguments.
+     * @param {'AND'|'OR'} [options.logicalOperator='AND'] - Logical operator used to join WHERE
+     *   clause conditions. Must be 'AND' or 'OR' (case-insensitive). When 'OR' and multiple
+     *   conditions exist, the group is wrapped in parentheses so it cannot weaken outer filters
+     *   (e.g. `WHERE IsDeleted=0 AND (filter1 OR filter2)`). Throws on any other value or null.
+     * @param {boolean} [options.appendAnd=false] - When true, assumes the query already contains
+     *   a WHERE clause and joins the new conditions with AND instead of adding a new WHERE keyword.
+     *   Use this to extend an existing query with additional filter conditions. When false (default),
+     *   a new WHERE keyword is prepended to the conditions. Interacts with `forWhere`: `appendAnd`
+     *   only affects the WHERE/AND prefix; `forWhere` must still be true for conditions to be built.
+     *   Throws if no WHERE exists, and inserts the new conditions before ORDER BY / GROUP BY /
+     *   HAVING / OFFSET / FETCH (and before a trailing semicolon) when those clauses are present.
+     * @returns {String} - updated sql query
+     */
+    addParameters({ query, request, parameters, forWhere = false, logicalOperator = 'AND', appendAnd = false }) {
+        if (!parameters) {
+            return query;
+        }
+        const conditions = this.buildConditions({ query, request, parameters, forWhere });
+        const { whereClauses, joinClauses } = conditions;
+        query = conditions.query;
 
         // Find the outermost WHERE (depth 0, not inside parentheses) so that
         // queries wrapping a subquery with its own WHERE/ORDER BY clauses don't
@@ -1344,6 +1497,127 @@ class Sql {
         return query;
     }
 
+    /**
+     * Compiles a nested filter tree into a single parenthesized, parameterized condition.
+     * A node is either a group `{ and: [...], or: [...], not: node }` (the keys of one group are joined with AND)
+     * or a condition in the addParameters descriptor format with a `fieldName`
+     * (`{ fieldName, operator, value, sqlType, type }` or `{ statement }`). Every condition is bound to its own
+     * parameter, so the same field can be filtered more than once. Conditions without a value are skipped
+     * the same way addParameters skips them, and groups left empty are dropped.
+     * @param {Object} options
+     * @param {Object} options.request - request the parameters are bound to
+     * @param {Object|Array} options.filter - filter tree, an array is treated as an `and` group
+     * @param {String} [options.paramPrefix='_filter'] - prefix of the generated parameter names
+     * @returns {String} condition without the WHERE keyword, empty when nothing is left to filter on
+     * @example
+     * sql.buildFilterTree({ request, filter: { or: [{ fieldName: 'Status', value: 'Open' }, { and: [{ fieldName: 'Status', value: 'Closed' }, { fieldName: 'Amount', operator: '>', value: 100 }] }] } });
+     * // (Status = @_filter0 OR (Status = @_filter1 AND Amount > @_filter2))
+     */
+    buildFilterTree({ request, filter, paramPrefix = '_filter' }) {
+        let paramIndex = 0;
+        // INNER JOIN cannot be placed inside OR/NOT groups
+        const inOperatorStrategy = this.inOperatorStrategy === inOperatorStrategies.INNER_JOIN ? inOperatorStrategies.IN : this.inOperatorStrategy;
+        const compile = (node, depth) => {
+            if (depth > this.maxFilterDepth) {
+                throw new Error(`Filter is nested deeper than ${this.maxFilterDepth} levels.`);
+            }
+            if (Array.isArray(node)) {
+                node = { and: node };
+            }
+            if (!node || typeof node !== 'object') {
+                throw new Error('Invalid filter: every node must be an object.');
+            }
+            if (!filterGroupKeys.some(key => key in node)) {
+                if (!node.statement && !node.fieldName) {
+                    throw new Error('Invalid filter: conditions require a fieldName.');
+                }
+                const paramName = `${paramPrefix}${paramIndex++}`;
+                const parameters = { [paramName]: { inOperatorStrategy, ...node } };
+                const [statement] = this.buildConditions({ request, parameters, forWhere: true }).whereClauses;
+                return statement && node.statement ? `(${statement})` : (statement || '');
+            }
+            const parts = [];
+            for (const key of ['and', 'or']) {
+                if (node[key] === undefined) {
+                    continue;
+                }
+                if (!Array.isArray(node[key])) {
+                    throw new Error(`Invalid filter: "${key}" must be an array.`);
+                }
+                const conditions = node[key].map(child => compile(child, depth + 1)).filter(Boolean);
+                if (conditions.length > 1) {
+                    parts.push(`(${conditions.join(` ${key.toUpperCase()} `)})`);
+                } else if (conditions.length === 1) {
+                    parts.push(conditions[0]);
+                }
+            }
+            if (node.not !== undefined) {
+                const condition = compile(node.not, depth + 1);
+                if (condition) {
+                    parts.push(`NOT (${condition})`);
+                }
+            }
+            return parts.length > 1 ? `(${parts.join(' AND ')})` : (parts[0] || '');
+        };
+        return compile(filter, 0);
+    }
+
+    /**
+     * Escapes the LIKE wildcards of a value so that it is matched literally.
+     * @param {String} value
+     * @returns {String}
+     */
+    escapeLikeValue(value) {
+        return String(value).replace(/[[%_]/g, '[$&]');
+    }
+
+    /**
+     * Builds the condition and the relevance expression of a search over several columns.
+     * - `'contains'`: CONTAINS with a prefix term per word, all words must match
+     * - `'freetext'`: FREETEXT with the words, matched on their meaning
+     * - `'like'`: every word must be found, as a substring, in at least one of the columns
+     * The full-text modes require a full-text index on the columns; their rank is read from
+     * CONTAINSTABLE/FREETEXTTABLE through the key of the table.
+     * @param {Object} options
+     * @param {Object} options.request - request the parameters are bound to
+     * @param {Array<string>} options.terms - words to search for
+     * @param {Array<string>} options.fields - columns to search, e.g. ['Main.Name', 'Main.Description']
+     * @param {String} [options.mode='like'] - one of enums.searchModes
+     * @param {String} [options.tableName] - table of the full-text index, required to rank full-text matches
+     * @param {String} [options.keyField] - key column of the table in the query, e.g. 'Main.CustomerId'
+     * @returns {{statement: String, rank: String}|null} null when there are no terms or fields
+     * @example
+     * sql.buildSearch({ request, terms: ['north', 'wind'], fields: ['Main.Name', 'Main.City'] });
+     * // statement: ((Main.Name LIKE @_search0 OR Main.City LIKE @_search1) AND (Main.Name LIKE @_search2 OR Main.City LIKE @_search3))
+     */
+    buildSearch({ request, terms, fields, mode = searchModes.LIKE, tableName, keyField }) {
+        // double quotes delimit the CONTAINS terms
+        terms = terms.map(term => String(term).replaceAll('"', '').trim()).filter(term => term.length);
+        if (!terms.length || !fields.length) {
+            return null;
+        }
+        if (mode === searchModes.CONTAINS || mode === searchModes.FREETEXT) {
+            const isContains = mode === searchModes.CONTAINS;
+            const value = isContains ? terms.map(term => `"${term}*"`).join(' AND ') : terms.join(' ');
+            this.addParameters({ request, parameters: { _search: { value } } });
+            const parameterName = this.buildParameterName('_search');
+            const statement = `${isContains ? 'CONTAINS' : 'FREETEXT'}((${fields.join(', ')}), ${parameterName})`;
+            const columns = fields.map(field => field.split('.').pop()).join(', ');
+            const rank = tableName && keyField
+                ? `(SELECT SearchRank.[RANK] FROM ${isContains ? 'CONTAINSTABLE' : 'FREETEXTTABLE'}(${tableName}, (${columns}), ${parameterName}) AS SearchRank WHERE SearchRank.[KEY] = ${keyField})`
+                : null;
+            return { statement, rank };
+        }
+        const filter = terms.map(term => ({ or: fields.map(fieldName => ({ fieldName, operator: 'LIKE', value: `%${this.escapeLikeValue(term)}%` })) }));
+        const statement = this.buildFilterTree({ request, filter, paramPrefix: '_search' });
+        // the rank counts the matching column/word pairs
+        const rank = filter.flatMap(({ or }) => or).map((condition, index) => {
+            const match = this.buildFilterTree({ request, filter: [condition], paramPrefix: `_searchRank${index}_` });
+            return `CASE WHEN ${match} THEN 1 ELSE 0 END`;
+        });
+        return { statement, rank: `(${rank.join(' + ')})` };
+    }
+
     /**
      * Executes a stored procedure or query with parameters
      * @param {Object} config - Configuration object
@@ -1390,7 +1664,28 @@ class Sql {
         });
     };
 
-    createRequest(logger) {
+    /**
+     * Runs a query and returns its rows as an object mode Readable stream. The request is paused while
+     * the consumer is busy, so only a small window of rows is held in memory regardless of the result size.
+     * @param {Object} config
+     * @param {Object} config.request - Request created by createRequest with its parameters bound
+     * @param {String} config.query - Query to run
+     * @returns {import('stream').Readable} Rows of the first recordset
+     */
+    stream({ request, query }) {
+        const rows = request.toReadableStream();
+        request.query(query).catch(err => rows.destroy(err));
+        return rows;
+    }
+
+    /**
+     * Creates a request on the connection pool.
+     * @param {Object} [logger] - Logger for request context
+     * @param {Object} [options]
+     * @param {Boolean} [options.replica] - Run on a read replica when one is available. Ignored inside transactions.
+     * @returns {Object} mssql Request
+     */
+    createRequest(logger, { replica = this.readFromReplica } = {}) {
         const loggerToUse = logger || this.logger;
         const queryLogger = createQueryLogger({ 
             queryLogThreshold: this.queryLogThreshold, 
@@ -1398,18 +1693,155 @@ class Sql {
             logger: loggerToUse,
             dialect: 'mssql'
         });
-        const request = this.pool.request();
+        const readReplica = replica && !this.inTransaction ? this.getReplica() : null;
+        const request = (readReplica ? readReplica.pool : this.pool).request();
         request.query = this.createProxy(request.query, queryLogger);
         request.execute = this.createProxy(request.execute, queryLogger, { callType: 'execute' });
         request._logger = loggerToUse;
         request._sqlDialect = 'mssql';
+        if (readReplica) {
+            this.addReplicaFallback({ request, replica: readReplica, logger });
+        }
 
         return request;
     }
 
-    async insertUpdate({ tableName, json, keyField, update = false, logger }) {
+    /**
+     * Statements used for nested transactions. `{name}` is replaced with the savepoint name.
+     * `release` is optional - SQL Server releases savepoints on commit.
+     */
+    savepointStatements = {
+        create: 'SAVE TRANSACTION {name}',
+        rollback: 'ROLLBACK TRANSACTION {name}',
+        release: null
+    };
+
+    /**
+     * Resolves an isolation level (see enums.isolationLevels) to the value expected by the driver.
+     * @param {string} isolationLevel - One of enums.isolationLevels
+     * @returns {number|undefined} mssql isolation level
+     */
+    getIsolationLevel(isolationLevel) {
+        if (isolationLevel === undefined || isolationLevel === null) {
+            return undefined;
+        }
+        if (!Object.values(isolationLevels).includes(isolationLevel)) {
+            throw new Error(`Invalid isolationLevel: ${isolationLevel}. Must be one of: ${Object.values(isolationLevels).join(', ')}`);
+        }
+        return mssql.ISOLATION_LEVEL[isolationLevel];
+    }
+
+    /**
+     * Creates a copy of this instance whose requests are bound to the given transaction (or connection).
+     * All the helpers (`query`, `execute`, `insertUpdate`, `addParameters`, `join` etc.) go through
+     * `createRequest`, so they automatically participate in the transaction. Slow query logging keeps
+     * working as the scope uses the same `createRequest`.
+     * @param {Object} pool - mssql Transaction or mysql2 PoolConnection
+     * @param {Object} [options]
+     * @param {Object} [options.logger] - Logger used by requests created from the scope
+     * @returns {Sql} Transaction scoped instance
+     */
+    createTransactionScope(pool, { logger } = {}) {
+        const scope = Object.create(this);
+        scope.pool = pool;
+        scope.inTransaction = true;
+        scope.transactionState = { savepointCounter: 0 };
+        if (logger) {
+            scope.logger = logger;
+        }
+        return scope;
+    }
+
+    /**
+     * Runs the callback inside a savepoint of the current transaction. Used when `transaction` is
+     * called on a transaction scoped instance. A failing callback only rolls back to the savepoint;
+     * the error is re-thrown so the caller can decide whether the outer transaction should continue.
+     * @param {Function} callback - async (tx) => {}
+     * @returns {Promise<*>} Value returned by the callback
+     */
+    async savepoint(callback) {
+        const { savepointStatements, transactionState } = this;
+        const name = `sp_${++transactionState.savepointCounter}`;
+        const runStatement = async (statement) => {
+            if (statement) {
+                await this.createRequest().query(statement.replaceAll('{name}', name));
+            }
+        };
+        await runStatement(savepointStatements.create);
+        try {
+            const result = await callback(this);
+            await runStatement(savepointStatements.release);
+            return result;
+        } catch (err) {
+            try {
+                await runStatement(savepointStatements.rollback);
+            } catch (rollbackErr) {
+                this.logger.error({ err: rollbackErr, savepoint: name }, 'Savepoint rollback failed');
+            }
+            throw err;
+        }
+    }
+
+    /**
+     * Runs the callback inside a transaction (unit of work). The transaction is committed when the
+     * callback resolves and rolled back when it throws. Calling `transaction` on the scoped instance
+     * creates a nested transaction backed by a savepoint.
+     * @param {Function} callback - async (tx) => {} where tx is a transaction scoped Sql instance with the
+     *   same `query`/`execute`/`insertUpdate`/`addParameters`/`createRequest` surface
+     * @param {Object} [options]
+     * @param {string} [options.isolationLevel] - One of enums.isolationLevels. Only allowed on the outermost transaction.
+     * @param {Object} [options.logger] - Logger used by requests created inside the transaction
+     * @returns {Promise<*>} Value returned by the callback
+     * @example
+     * await sql.transaction(async (tx) => {
+     *     await tx.insertUpdate({ tableName: 'Orders', json: order });
+     *     await tx.query('UPDATE Inventory SET ...');
+     *     await tx.transaction(async (nested) => {
+     *         // rolled back on its own if it fails
+     *     });
+     * }, { isolationLevel: enums.isolationLevels.SERIALIZABLE });
+     */
+    async transaction(callback, { isolationLevel, logger } = {}) {
+        if (this.inTransaction) {
+            if (isolationLevel) {
+                throw new Error('isolationLevel can only be set on the outermost transaction.');
+            }
+            return this.savepoint(callback);
+        }
+        const transaction = new mssql.Transaction(this.pool);
+        let rolledBack = false;
+        transaction.on('rollback', () => { rolledBack = true; });
+        await transaction.begin(this.getIsolationLevel(isolationLevel));
+        try {
+            const result = await callback(this.createTransactionScope(transaction, { logger }));
+            await transaction.commit();
+            return result;
+        } catch (err) {
+            if (!rolledBack) {
+                try {
+                    await transaction.rollback();
+                } catch (rollbackErr) {
+                    this.logger.error({ err: rollbackErr }, 'Transaction rollback failed');
+                }
+            }
+            throw err;
+        }
+    }
+
+    /**
+     * Inserts or updates a record
+     * @param {Object} config
+     * @param {String} config.tableName - table name
+     * @param {Object} config.json - column values
+     * @param {String} config.keyField - key field used in the WHERE clause for updates
+     * @param {boolean} [config.update=false] - true to update, false to insert
+     * @param {Object} [config.where] - additional WHERE parameters for updates (same format as addParameters), e.g. a concurrency check
+     * @param {Object} [config.logger] - logger for request context
+     * @returns {Promise<{success: boolean, data?: any, err?: Error}>} Result object. Use getRowsAffected to check if an update matched a row.
+     */
+    async insertUpdate({ tableName, json, keyField, update = false, where, logger }) {
         const { buildParameterName, insertedIdStatement } = this;
-        const request = this.createRequest(logger);
+        const request = this.createRequest(logger, { replica: false });
         const propNames = Object.keys(json);
         propNames.forEach(prop => { // add parameters to the statement 
             request.input(prop, json[prop]);
@@ -1417,12 +1849,91 @@ class Sql {
         let statement;
         if (update) {
             statement = `UPDATE ${tableName} SET ${propNames.filter(propName => propName !== keyField).map(prop => `${prop} = ${buildParameterName(prop)}`).join(', ')} WHERE ${keyField} = ${buildParameterName(keyField)} `;
+            statement = this.addParameters({ query: statement, request, parameters: where, forWhere: true, appendAnd: true });
         } else {
             statement = `INSERT INTO ${tableName} (${propNames.join(', ')}) VALUES(${propNames.map(prop => buildParameterName(prop)).join(', ')});${insertedIdStatement}`;
         }
         return this.runQuery({ request, type: "query", query: statement });
     }
 
+    /**
+     * Returns the number of rows affected by the last statement of a runQuery/insertUpdate result
+     * @param {Object} result - result returned by runQuery
+     * @returns {number|undefined}
+     */
+    getRowsAffected(result) {
+        const { rowsAffected } = result || {};
+        return Array.isArray(rowsAffected) ? rowsAffected[rowsAffected.length - 1] : undefined;
+    }
+
+    /**
+     * Inserts many rows with a single statement and returns the new ids in the order of rows.
+     * The rows are sent as a table-valued parameter of `tableType`, whose columns must be the columns of
+     * `columnTypes` in the same order followed by `RowNo INT`. Columns that are not part of columnTypes must have
+     * the same value in every row (e.g. CreatedOn, CreatedByUserId, ClientId) and are sent as scalar parameters.
+     * Without a tableType each row is inserted with insertUpdate.
+     * @param {Object} config
+     * @param {String} config.tableName - Table to insert into
+     * @param {String} config.keyField - Identity column returned for each row
+     * @param {Array<Object>} config.rows - Rows to insert
+     * @param {String} [config.tableType] - SQL Server table type used for the TVP
+     * @param {Object} [config.columnTypes] - { [column]: sqlType } matching the table type
+     * @param {Object} [config.logger] - Logger for request context
+     * @returns {Promise<Array>} Inserted ids, same order as rows
+     */
+    async bulkInsert({ tableName, keyField, rows, tableType, columnTypes, logger }) {
+        if (!rows.length) {
+            return [];
+        }
+        if (!tableType || !columnTypes) {
+            const ids = [];
+            for (const json of rows) {
+                const result = await this.insertUpdate({ tableName, keyField, json, logger });
+                if (!result.success) {
+                    throw result.err;
+                }
+                ids.push(result.data[0].Id);
+            }
+            return ids;
+        }
+        const { buildParameterName, dataTypes } = this;
+        const request = this.createRequest(logger, { replica: false });
+        const tvpColumns = Object.keys(columnTypes);
+        const commonColumns = [...new Set(rows.flatMap(row => Object.keys(row)))].filter(column => !tvpColumns.includes(column));
+        const toComparable = (value) => value instanceof Date ? value.getTime() : value;
+        const commonValues = {};
+        for (const column of commonColumns) {
+            const value = rows[0][column];
+            if (!rows.every(row => toComparable(row[column]) === toComparable(value))) {
+                throw new Error(`${column} differs between rows and must be part of the columnTypes of ${tableType}`);
+            }
+            commonValues[column] = { value, ignoreNull: false };
+        }
+        this.createTVP({
+            values: rows.map((row, index) => ({ ...row, RowNo: index })),
+            request,
+            paramName: '_rows',
+            columnTypes: { ...columnTypes, RowNo: dataTypes.integer },
+            tableType
+        });
+        this.addParameters({ request, parameters: commonValues });
+        const insertColumns = [...tvpColumns, ...commonColumns];
+        const insertValues = [...tvpColumns.map(column => `Source.${column}`), ...commonColumns.map(column => buildParameterName(column))];
+        // MERGE is used instead of INSERT so that OUTPUT can return the source row number with the new id
+        const query = `MERGE INTO ${tableName} AS Target USING (SELECT * FROM ${buildParameterName('_rows')}) AS Source ON 1 = 0
+            WHEN NOT MATCHED THEN INSERT (${insertColumns.join(', ')}) VALUES (${insertValues.join(', ')})
+            OUTPUT Source.RowNo AS RowNo, INSERTED.${keyField} AS Id;`;
+        const result = await this.runQuery({ request, type: 'query', query });
+        if (!result.success) {
+            throw result.err;
+        }
+        const ids = new Array(rows.length);
+        for (const { RowNo, Id } of result.data) {
+            ids[RowNo] = Id;
+        }
+        return ids;
+    }
+
     /**
      * @desc insert the record
      * @param {Object} - json - Json Object
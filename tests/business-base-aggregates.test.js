@@ -0,0 +1,101 @@
+/**
+ * Tests for list({ aggregates }): the summary query sharing the list WHERE clause,
+ * the summary result and the summary rows of the HTML and Excel exports.
+ */
+
+import { PassThrough } from 'stream';
+import { buffer } from 'stream/consumers';
+import ExcelJS from 'exceljs';
+import { BusinessError } from '../lib/business/errors.mjs';
+import { toExcel, toSummaryRow } from '../lib/reports.mjs';
+import responseTransformer, { toHtmlTable } from '../lib/middleware/response-transformer.mjs';
+import { test, testEqual, getError, report, createBusinessObject } from './helpers/mocks.mjs';
+
+const invoice = { tableName: 'Invoice', keyField: 'InvoiceId', standardTable: false, user: {} };
+
+const rows = [{ InvoiceId: 1, Amount: 10 }, { InvoiceId: 2, Amount: 20 }];
+
+console.log('Testing list aggregates...\n');
+
+console.log('Test 1: runs one summary query with the list WHERE clause and without paging');
+{
+    const { bo, sql } = createBusinessObject('Invoice', invoice, { results: [{ recordsets: [rows, [{ TotalCount: 40 }], [{ _aggregate0: 1200, _aggregate1: 30.5, _aggregate2: 40 }]] }] });
+    const result = await bo.list({
+        limit: 2,
+        sort: 'InvoiceId',
+        filter: [{ field: 'StatusId', operator: '=', value: 1, type: 'number' }],
+        aggregates: { Amount: ['sum', 'avg'], InvoiceId: 'count' }
+    });
+    const statements = sql.queries[0].split(';');
+    test('Three statements', statements.length === 3);
+    test('Summary statement', /^SELECT SUM\(Main\.Amount\) AS _aggregate0, AVG\(Main\.Amount \* 1\.0\) AS _aggregate1, COUNT\(Main\.InvoiceId\) AS _aggregate2 FROM Invoice Main WHERE Main\.StatusId = @StatusId_0$/.test(statements[2]), statements[2]);
+    test('Record count', result.recordCount === 40);
+    testEqual('Summary', result.summary, { Amount: { sum: 1200, avg: 30.5 }, InvoiceId: { count: 40 } });
+}
+
+console.log('\nTest 2: summary follows the rows when no count query is run');
+{
+    const { bo, sql } = createBusinessObject('Invoice', invoice, { results: [{ recordsets: [rows, [{ _aggregate0: 30 }]] }] });
+    const result = await bo.list({ limit: 2, returnCount: false, aggregates: JSON.stringify({ Amount: ['max'] }) });
+    test('Two statements', sql.queries[0].split(';').length === 2);
+    testEqual('Summary', result.summary, { Amount: { max: 30 } });
+}
+
+console.log('\nTest 3: summary ignores GROUP BY and cursor conditions');
+{
+    const { bo, sql } = createBusinessObject('Invoice', invoice, { results: [{ recordsets: [rows, [{ _aggregate0: 30 }]] }] });
+    await bo.list({ limit: 0, groupBy: 'InvoiceId, Amount', aggregates: { Amount: ['sum'] } });
+    const statements = sql.queries[0].split(';');
+    test('List is grouped', /GROUP BY/.test(statements[0]));
+    test('Summary is not grouped', !/GROUP BY/.test(statements[1]), statements[1]);
+}
+
+console.log('\nTest 4: invalid aggregates are rejected');
+{
+    const { bo } = createBusinessObject('Invoice', invoice, { results: [{ recordsets: [rows] }] });
+    const err = await getError(() => bo.list({ aggregates: { Amount: ['median'] } }));
+    test('Unknown functions', err instanceof BusinessError && /median/.test(err.message));
+    test('Invalid field names', await getError(() => bo.list({ aggregates: { 'Amount); DROP TABLE x; --': ['sum'] } })) instanceof BusinessError);
+    test('Arrays', await getError(() => bo.list({ aggregates: ['sum'] })) instanceof BusinessError);
+}
+
+console.log('\nTest 5: toSummaryRow keeps single values and labels multiple aggregates');
+{
+    testEqual('Summary row', toSummaryRow({ Amount: { sum: 1200, avg: 30 }, InvoiceId: { count: 40 } }), { Amount: 'Sum: 1200, Avg: 30', InvoiceId: 40 });
+}
+
+console.log('\nTest 6: toHtmlTable renders the summary in the footer');
+{
+    const html = toHtmlTable({ rows, exportColumns: {}, summary: { Amount: { sum: 30 } } });
+    test('Footer', /<tfoot><tr><td><\/td><td>30<\/td><\/tr><\/tfoot>/.test(html), html);
+}
+
+console.log('\nTest 7: Excel exports write the summary row in bold below the table');
+{
+    const stream = new PassThrough();
+    const content = buffer(stream);
+    await toExcel({ rows, columns: {}, summaryRow: { Amount: 30 }, stream });
+    stream.end();
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(await content);
+    const worksheet = workbook.worksheets[0];
+    test('Summary value', worksheet.getCell('B4').value === 30);
+    test('Summary is bold', worksheet.getCell('B4').font.bold === true);
+    test('Empty cells', worksheet.getCell('A4').value === null);
+}
+
+console.log('\nTest 8: res.transform renames the summary fields like the exported rows');
+{
+    let html;
+    const res = { set() { }, send(body) { html = body; } };
+    await responseTransformer({ path: '/invoice/list', accepts: () => false }, res, () => { });
+    await res.transform({
+        success: true,
+        records: rows,
+        summary: { Amount: { sum: 30 }, Other: { sum: 1 } },
+        exportColumns: { Amount: { field: 'Amount', headerName: 'Total Amount', type: 'number', width: 100 } }
+    }, { responseType: 'html', data: 'records' });
+    test('Footer', /<tfoot><tr><td>30<\/td><\/tr><\/tfoot>/.test(html), html);
+}
+
+report();
@@ -0,0 +1,114 @@
+/**
+ * Tests for the field-level audit trail: diffing, audit rows written inside
+ * the save transaction, custom sinks and history().
+ */
+
+import { diffRecords } from '../lib/business/audit.mjs';
+import { BusinessError } from '../lib/business/errors.mjs';
+import { test, testEqual, getError, report, createMockSql, createBusinessObject } from './helpers/mocks.mjs';
+
+// load() returns the stored record of an update
+const customer = {
+    tableName: 'Customer',
+    keyField: 'CustomerId',
+    user: { id: 3 },
+    audit: true,
+    relations: [{ relation: 'Tag', type: 'OneToMany', field: 'TagId' }],
+    load: async () => ({}),
+    saveRelations: async () => { }
+};
+
+console.log('Testing audit trail...\n');
+
+console.log('Test 1: diffRecords reports only changed fields');
+{
+    const changes = diffRecords({
+        before: { Name: 'Acme', Active: true, Since: new Date('2024-01-01T00:00:00Z'), Tags: '1,2', Notes: null },
+        after: { Name: 'Acme Corp', Active: 1, Since: '2024-01-01T00:00:00Z', Tags: '2,1', Notes: '' },
+        listFields: ['Tags']
+    });
+    testEqual('Only Name changed', changes, [{ field: 'Name', oldValue: 'Acme', newValue: 'Acme Corp' }]);
+    testEqual('List values are sorted', diffRecords({ before: { Tags: '1,2' }, after: { Tags: [3, 1] }, listFields: ['Tags'] }), [{ field: 'Tags', oldValue: '1,2', newValue: '1,3' }]);
+}
+
+console.log('\nTest 2: save writes audit rows for changed fields in the transaction');
+{
+    const { bo, sql } = createBusinessObject('Customer', { ...customer, load: async () => ({ CustomerId: 5, Name: 'Acme', City: 'Paris', Tags: '1' }) });
+    await bo.save({ id: 5, Name: 'Acme', City: 'London', Tags: '1,2' });
+    const auditRows = sql.writes.filter(write => write.tableName === 'AuditLog').map(write => write.json);
+    testEqual('Audit rows', auditRows.map(({ FieldName, OldValue, NewValue, Action, RecordId, ChangedByUserId }) => ({ FieldName, OldValue, NewValue, Action, RecordId, ChangedByUserId })), [
+        { FieldName: 'City', OldValue: 'Paris', NewValue: 'London', Action: 'update', RecordId: '5', ChangedByUserId: 3 },
+        { FieldName: 'Tags', OldValue: '1', NewValue: '1,2', Action: 'update', RecordId: '5', ChangedByUserId: 3 }
+    ]);
+}
+
+console.log('\nTest 3: inserts are audited against the new id');
+{
+    const { bo, sql } = createBusinessObject('Customer', customer);
+    await bo.save({ id: 0, Name: 'New' });
+    const auditRow = sql.writes.find(write => write.tableName === 'AuditLog').json;
+    test('RecordId is the new id', auditRow.RecordId === '9');
+    test('Action is insert', auditRow.Action === 'insert');
+    test('OldValue is null', auditRow.OldValue === null);
+}
+
+console.log('\nTest 4: custom sink and excluded fields');
+{
+    const received = [];
+    const { bo, sql } = createBusinessObject('Customer', {
+        ...customer,
+        audit: { exclude: ['Notes'], sink: async ({ entries }) => received.push(...entries) },
+        load: async () => ({ Name: 'A', Notes: 'x' })
+    });
+    await bo.save({ id: 5, Name: 'B', Notes: 'y' });
+    testEqual('Sink receives the changed fields', received.map(entry => entry.FieldName), ['Name']);
+    test('Audit table is not written', !sql.writes.some(write => write.tableName === 'AuditLog'));
+}
+
+console.log('\nTest 5: history queries the audit table for the record');
+{
+    const { bo, sql } = createBusinessObject('Customer', customer, { sql: createMockSql({ results: [[{ FieldName: 'Name' }]] }) });
+    const data = await bo.history({ id: 5 });
+    test('History is returned', data.length === 1);
+    test('Audit table is queried', sql.queries[0].statement === 'SELECT * FROM AuditLog', sql.queries[0].statement);
+    testEqual('Record filter', sql.queries[0].where, { TableName: 'Customer', RecordId: '5' });
+    test('Newest first', sql.queries[0].orderBy === 'ChangedOn DESC');
+}
+
+console.log('\nTest 6: history fails when audit is not enabled');
+{
+    const { bo } = createBusinessObject('Customer', { ...customer, audit: false });
+    const err = await getError(() => bo.history({ id: 5 }));
+    test('BusinessError is thrown', err instanceof BusinessError && /Audit is not enabled/.test(err.message), err?.message);
+    test('Status is 404', err?.statusCode === 404, err?.statusCode);
+}
+
+console.log('\nTest 7: the stored row is read from the table inside the transaction, without masking');
+{
+    const sql = createMockSql({ results: [[{ CustomerId: 5, Name: 'Acme', City: 'Paris' }]] });
+    const reads = [];
+    sql.tx.createRequest = function () {
+        reads.push(this.inTransaction);
+        return sql.createRequest();
+    };
+    const { bo } = createBusinessObject('Customer', {
+        tableName: 'Customer',
+        keyField: 'CustomerId',
+        user: { id: 3 },
+        audit: true,
+        versioning: true,
+        computedFields: { Label: "Name + ' (' + City + ')'" },
+        fieldPermissions: { City: { read: { roles: ['Sales'] }, mask: true } }
+    }, { sql });
+    await bo.save({ id: 5, Name: 'Acme Corp' });
+    test('Read in the transaction', reads.length === 1 && reads[0] === true && sql.events[0] === 'begin');
+    test('Table without the list view and computed fields', /^SELECT Main\.\* FROM Customer Main WHERE .*Main\.CustomerId = @CustomerId;$/.test(sql.queries[0].statement), sql.queries[0].statement);
+    const auditRows = sql.writes.filter(write => write.tableName === 'AuditLog').map(write => write.json);
+    testEqual('Stored values', auditRows.map(({ FieldName, OldValue, NewValue }) => ({ FieldName, OldValue, NewValue })), [
+        { FieldName: 'Name', OldValue: 'Acme', NewValue: 'Acme Corp' }
+    ]);
+    const version = sql.writes.find(write => write.tableName === 'RecordVersion').json;
+    testEqual('Unmasked snapshot', JSON.parse(version.Data), { CustomerId: 5, Name: 'Acme Corp', City: 'Paris' });
+}
+
+report();
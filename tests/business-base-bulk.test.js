@@ -0,0 +1,229 @@
+/**
+ * Tests for BusinessBase.bulk() and the sql.bulkInsert implementations.
+ */
+
+import Sql from '../lib/sql.js';
+import Mysql from '../lib/mysql.js';
+import { BusinessError } from '../lib/business/errors.mjs';
+import { test, testEqual, getError, report, createMockSql, createBusinessObject } from './helpers/mocks.mjs';
+
+// records bulk inserts, row writes, transactions and savepoints as events
+function createProductSql({ failUpdateId, failInsertName } = {}) {
+    const sql = createMockSql();
+    const { events } = sql;
+    let nextId = 200;
+    sql.bulkInsert = async ({ rows, tableType }) => {
+        events.push({ type: 'bulkInsert', rows, tableType });
+        if (rows.some(row => row.Name === failInsertName)) {
+            throw Object.assign(new Error('Cannot insert duplicate key row'), { number: 2601 });
+        }
+        return rows.map((row, index) => 100 + index);
+    };
+    sql.insertUpdate = async ({ json, update }) => {
+        events.push({ type: update ? 'update' : 'insert', json });
+        if ((update && json.ProductId === failUpdateId) || (!update && json.Name === failInsertName)) {
+            return { success: false, err: { number: 547 } };
+        }
+        return { success: true, rowsAffected: [1], data: [{ Id: nextId++ }] };
+    };
+    sql.query = async (query) => {
+        events.push({ type: 'query', query });
+        return [];
+    };
+    sql.transaction = async (callback) => {
+        events.push({ type: 'begin' });
+        try {
+            const result = await callback(sql.tx);
+            events.push({ type: 'commit' });
+            return result;
+        } catch (err) {
+            events.push({ type: 'rollback' });
+            throw err;
+        }
+    };
+    sql.tx.transaction = async (callback) => {
+        events.push({ type: 'savepoint' });
+        return callback(sql.tx);
+    };
+    return sql;
+}
+
+const product = {
+    tableName: 'Product',
+    keyField: 'ProductId',
+    user: { id: 3 },
+    validation: { Name: { required: true } },
+    bulkTableType: 'dbo.ProductBulk'
+};
+
+console.log('Testing BusinessBase.bulk...\n');
+
+console.log('Test 1: creates, updates and deletes run in one transaction');
+{
+    const { bo, sql: { events } } = createBusinessObject('Product', product, { sql: createProductSql() });
+    const saved = [];
+    bo.afterSave = async ({ id }) => saved.push(id);
+    const result = await bo.bulk({ creates: [{ Name: 'A' }, { Name: 'B' }], updates: [{ ProductId: 7, Name: 'C' }], deletes: [8] });
+    test('Bulk succeeds', result.success === true);
+    testEqual('Creates', result.creates, [{ index: 0, success: true, id: 100 }, { index: 1, success: true, id: 101 }]);
+    testEqual('Updates', result.updates, [{ index: 0, success: true, id: 7 }]);
+    testEqual('Deletes', result.deletes, [{ index: 0, success: true, id: 8 }]);
+    testEqual('afterSave runs for every saved row', saved, [100, 101, 7]);
+    const bulkInsert = events.find(event => event.type === 'bulkInsert');
+    test('Table type is used', bulkInsert.tableType === 'dbo.ProductBulk');
+    test('The batch shares one timestamp', bulkInsert.rows[0].CreatedOn === bulkInsert.rows[1].CreatedOn);
+    test('One transaction', events.filter(event => event.type === 'begin').length === 1);
+    test('Transaction is committed', events.at(-1).type === 'commit');
+    test('Only the bulk insert runs in a savepoint in atomic mode', events.filter(event => event.type === 'savepoint').length === 1);
+}
+
+console.log('\nTest 2: hooks run inside the transaction');
+{
+    const { bo, sql: { events } } = createBusinessObject('Product', product, { sql: createProductSql() });
+    bo.beforeSave = async () => events.push({ type: 'beforeSave' });
+    await bo.bulk({ creates: [{ Name: 'A' }], updates: [{ ProductId: 7, Name: 'C' }] });
+    testEqual('Order', events.map(event => event.type).slice(0, 5), ['begin', 'beforeSave', 'beforeSave', 'savepoint', 'bulkInsert']);
+}
+
+console.log('\nTest 3: atomic batches are not written when a row fails validation');
+{
+    const { bo, sql: { events } } = createBusinessObject('Product', product, { sql: createProductSql() });
+    const err = await getError(() => bo.bulk({ creates: [{ Name: 'A' }, { Name: '' }], deletes: [8] }));
+    test('BusinessError is thrown', err instanceof BusinessError);
+    test('Status is 422', err?.statusCode === 422);
+    test('Failing rule is reported', err?.details.creates[1].errors[0].rule === 'required');
+    test('Valid rows are reported as not saved', err?.details.creates[0].message === 'Not saved because other rows failed');
+    test('Deletes are not run', err?.details.deletes[0].success === false);
+    testEqual('Nothing is written', events.map(event => event.type), ['begin', 'rollback']);
+}
+
+console.log('\nTest 4: atomic batches roll back on database errors');
+{
+    const { bo, sql: { events } } = createBusinessObject('Product', product, { sql: createProductSql({ failUpdateId: 7 }) });
+    const err = await getError(() => bo.bulk({ creates: [{ Name: 'A' }], updates: [{ ProductId: 7, Name: 'C' }] }));
+    test('Failing row is reported', err?.details.updates[0].message === 'Unknown error', err?.details.updates[0].message);
+    test('Other rows are reported as failed', err?.details.creates[0].success === false);
+    test('Transaction is rolled back', events.at(-1).type === 'rollback');
+}
+
+console.log('\nTest 5: non atomic batches save the valid rows');
+{
+    const { bo, sql: { events } } = createBusinessObject('Product', product, { sql: createProductSql({ failUpdateId: 7 }) });
+    const result = await bo.bulk({ atomic: false, creates: [{ Name: '' }, { Name: 'B' }], updates: [{ ProductId: 7, Name: 'C' }, { ProductId: 9, Name: 'D' }], deletes: ['1; DROP TABLE Product'] });
+    test('Bulk reports a failure', result.success === false);
+    test('Invalid create fails', result.creates[0].success === false);
+    testEqual('Valid create is saved', result.creates[1], { index: 1, success: true, id: 100 });
+    test('Failing update fails', result.updates[0].success === false);
+    test('Valid update is saved', result.updates[1].success === true);
+    test('Invalid ids are rejected', result.deletes[0].message === 'Invalid id 1; DROP TABLE Product');
+    test('Rows run in savepoints', events.some(event => event.type === 'savepoint'));
+    test('Transaction is committed', events.at(-1).type === 'commit');
+}
+
+console.log('\nTest 6: non atomic batches insert the rows one by one when the bulk insert fails');
+{
+    const { bo, sql: { events } } = createBusinessObject('Product', product, { sql: createProductSql({ failInsertName: 'B' }) });
+    const result = await bo.bulk({ atomic: false, creates: [{ Name: 'A' }, { Name: 'B' }, { Name: 'C' }] });
+    testEqual('Only the failing row fails', result.creates.map(entry => entry.success), [true, false, true]);
+    testEqual('Ids of the inserted rows', [result.creates[0].id, result.creates[2].id], [200, 201]);
+    testEqual('Rows are inserted one by one', events.filter(event => event.type === 'insert').map(event => event.json.Name), ['A', 'B', 'C']);
+    test('Transaction is committed', events.at(-1).type === 'commit');
+}
+
+console.log('\nTest 7: atomic batches report the row that made the bulk insert fail');
+{
+    const { bo, sql: { events } } = createBusinessObject('Product', product, { sql: createProductSql({ failInsertName: 'B' }) });
+    const err = await getError(() => bo.bulk({ creates: [{ Name: 'A' }, { Name: 'B' }, { Name: 'C' }] }));
+    test('Status is 422', err?.statusCode === 422, err?.statusCode);
+    test('First row is not blamed', err?.details.creates[0].message === 'Not saved because other rows failed', err?.details.creates[0].message);
+    test('Failing row is reported', err?.details.creates[1].message === 'Unknown error', err?.details.creates[1].message);
+    testEqual('Rows are inserted one by one after the bulk insert', events.filter(event => ['bulkInsert', 'insert'].includes(event.type)).map(event => event.type), ['bulkInsert', 'insert', 'insert']);
+    test('Transaction is rolled back', events.at(-1).type === 'rollback');
+}
+
+console.log('\nTest 8: SQL Server sends the rows as a TVP and maps OUTPUT ids by row number');
+{
+    const sql = new Sql();
+    const inputs = {};
+    sql.createRequest = () => ({ parameters: inputs, input: (name, ...args) => { inputs[name] = args.at(-1); } });
+    let capturedQuery;
+    sql.runQuery = async ({ query }) => {
+        capturedQuery = query;
+        return { success: true, data: [{ RowNo: 1, Id: 11 }, { RowNo: 0, Id: 10 }] };
+    };
+    const createdOn = new Date();
+    const ids = await sql.bulkInsert({
+        tableName: 'Product',
+        keyField: 'ProductId',
+        rows: [{ Name: 'A', CreatedOn: createdOn }, { Name: 'B', CreatedOn: createdOn }],
+        tableType: 'dbo.ProductBulk',
+        columnTypes: { Name: sql.dataTypes.string }
+    });
+    testEqual('Ids are in row order', ids, [10, 11]);
+    test('MERGE over the TVP', /MERGE INTO Product AS Target USING \(SELECT \* FROM @_rows\) AS Source ON 1 = 0/.test(capturedQuery), capturedQuery);
+    test('Shared values are sent as parameters', /INSERT \(Name, CreatedOn\) VALUES \(Source\.Name, @CreatedOn\)/.test(capturedQuery));
+    test('Ids are returned with the row number', /OUTPUT Source\.RowNo AS RowNo, INSERTED\.ProductId AS Id;/.test(capturedQuery));
+    test('TVP has both rows', inputs._rows.rows.length === 2);
+    test('Shared value parameter', inputs.CreatedOn === createdOn);
+}
+
+console.log('\nTest 9: SQL Server requires differing columns to be part of the TVP');
+{
+    const sql = new Sql();
+    sql.createRequest = () => ({ parameters: {}, input: () => { } });
+    const err = await getError(() => sql.bulkInsert({ tableName: 'Product', keyField: 'ProductId', rows: [{ Name: 'A', Code: 1 }, { Name: 'B', Code: 2 }], tableType: 'dbo.ProductBulk', columnTypes: { Name: sql.dataTypes.string } }));
+    test('Error is thrown', /Code differs between rows/.test(err?.message), err?.message);
+}
+
+console.log('\nTest 10: MySQL inserts rows with the same columns with multi-row inserts in batches');
+{
+    const mysqlInstance = new Mysql();
+    mysqlInstance.bulkInsertBatchSize = 2;
+    const queries = [];
+    let nextId = 1;
+    mysqlInstance.createRequest = () => ({ params: {}, input: Mysql.prototype.input });
+    mysqlInstance.runQuery = async ({ query, request }) => {
+        queries.push({ query, params: request.params });
+        if (query.startsWith('SELECT @@')) {
+            return { success: true, data: [{ LockMode: 1, Step: 1 }] };
+        }
+        const insertId = nextId;
+        nextId += query.split('), (').length;
+        return { success: true, data: { insertId } };
+    };
+    const ids = await mysqlInstance.bulkInsert({ tableName: 'Product', rows: [{ Name: 'A' }, { Name: 'B', Code: 'x' }, { Name: 'C' }, { Name: 'D' }] });
+    testEqual('Ids in row order', ids, [1, 4, 2, 3]);
+    test('Auto-increment settings', /innodb_autoinc_lock_mode/.test(queries[0].query));
+    testEqual('Inserts', queries.slice(1).map(query => query.query), [
+        'INSERT INTO Product (Name) VALUES (:r0_0), (:r1_0);',
+        'INSERT INTO Product (Name) VALUES (:r0_0);',
+        'INSERT INTO Product (Name, Code) VALUES (:r0_0, :r0_1);'
+    ]);
+    testEqual('Missing columns are not sent as NULL', queries[1].params, { r0_0: 'A', r1_0: 'C' });
+
+    await mysqlInstance.bulkInsert({ tableName: 'Product', rows: [{ Name: 'E' }, { Name: 'F' }] });
+    test('Settings are read once', queries.filter(query => query.query.startsWith('SELECT @@')).length === 1);
+}
+
+console.log('\nTest 11: MySQL ids follow auto_increment_increment, and interleaved ids fall back to single inserts');
+{
+    const createMysql = (settings) => {
+        const mysqlInstance = new Mysql();
+        mysqlInstance.inserts = [];
+        mysqlInstance.createRequest = () => ({ params: {}, input: Mysql.prototype.input });
+        mysqlInstance.runQuery = async ({ query }) => query.startsWith('SELECT @@') ? { success: true, data: [settings] } : { success: true, data: { insertId: 11 } };
+        mysqlInstance.insertUpdate = async ({ json }) => {
+            mysqlInstance.inserts.push(json);
+            return { success: true, data: [{ Id: 20 + mysqlInstance.inserts.length }] };
+        };
+        return mysqlInstance;
+    };
+    const stepped = createMysql({ LockMode: 1, Step: 2 });
+    testEqual('Stepped ids', await stepped.bulkInsert({ tableName: 'Product', rows: [{ Name: 'A' }, { Name: 'B' }] }), [11, 13]);
+
+    const interleaved = createMysql({ LockMode: 2, Step: 1 });
+    testEqual('Ids of single inserts', await interleaved.bulkInsert({ tableName: 'Product', keyField: 'ProductId', rows: [{ Name: 'A' }, { Name: 'B' }] }), [21, 22]);
+    testEqual('Rows are inserted one by one', interleaved.inserts, [{ Name: 'A' }, { Name: 'B' }]);
+}
+
+report();
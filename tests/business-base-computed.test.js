@@ -0,0 +1,91 @@
+/**
+ * Tests for computedFields: SQL expressions projected by load/list and usable in filters, sorting,
+ * grouping and cursor pagination, and compute functions applied to loaded and listed records.
+ */
+
+import { Readable } from 'stream';
+import { BusinessError } from '../lib/business/errors.mjs';
+import { test, testEqual, getError, report, createBusinessObject } from './helpers/mocks.mjs';
+
+const fullName = "Main.FirstName + ' ' + Main.LastName";
+
+const contact = {
+    tableName: 'Contact',
+    keyField: 'ContactId',
+    standardTable: false,
+    user: { scopeId: 7 },
+    computedFields: {
+        FullName: fullName,
+        AgeInDays: { expression: 'DATEDIFF(day, Main.CreatedOn, GETDATE())' },
+        Badge: (record, { operationMode }) => `${record.StatusId === 1 ? 'Open' : 'Closed'} (${operationMode})`
+    }
+};
+
+console.log('Testing computed fields...\n');
+
+console.log('Test 1: list projects expressions and computes function fields on the records');
+{
+    const { bo, sql } = createBusinessObject('Contact', contact, { results: () => [{ ContactId: 1, StatusId: 1 }, { ContactId: 2, StatusId: 2 }] });
+    const { records } = await bo.list({ limit: 10 });
+    test('Expressions are projected', sql.queries[0].startsWith(`SELECT Main.*, (${fullName}) AS FullName, (DATEDIFF(day, Main.CreatedOn, GETDATE())) AS AgeInDays FROM Contact Main`), sql.queries[0]);
+    testEqual('Function fields', records.map(record => record.Badge), ['Open (list)', 'Closed (list)']);
+}
+
+console.log('\nTest 2: expression fields are filtered and sorted by their expression');
+{
+    const { bo, sql } = createBusinessObject('Contact', contact, { results: [] });
+    await bo.list({ filter: [{ field: 'FullName', operator: 'contains', value: 'Ann', type: 'string' }, { field: 'AgeInDays', operator: '>', value: 30, type: 'number' }], sort: 'AgeInDays DESC, FullName', limit: 10 });
+    const [query] = sql.queries;
+    const { parameters } = sql.requests[0];
+    test('Filters', /WHERE \(Main\.FirstName \+ ' ' \+ Main\.LastName\) LIKE @FullName_0 AND \(DATEDIFF\(day, Main\.CreatedOn, GETDATE\(\)\)\) > @AgeInDays_1/.test(query), query);
+    test('Text parameter', parameters.FullName_0.value === '%Ann%');
+    test('Number parameter', parameters.AgeInDays_1.value === 30);
+    test('Sorting', /ORDER BY \(DATEDIFF\(day, Main\.CreatedOn, GETDATE\(\)\)\) DESC, \(Main\.FirstName \+ ' ' \+ Main\.LastName\) OFFSET/.test(query));
+
+    const tree = createBusinessObject('Contact', contact, { results: [] });
+    await tree.bo.list({ filter: { or: [{ field: 'FullName', operator: '=', value: 'Ann Lee' }, { field: 'AgeInDays', operator: '<', value: 2 }] }, limit: 10 });
+    test('Filter trees', /\(\(Main\.FirstName \+ ' ' \+ Main\.LastName\) = @_filter0 OR \(DATEDIFF/.test(tree.sql.queries[0]), tree.sql.queries[0]);
+}
+
+console.log('\nTest 3: expression fields can be grouped and used as cursor keys');
+{
+    const grouped = createBusinessObject('Contact', contact, { results: [] });
+    await grouped.bo.list({ groupBy: 'FullName', limit: 10 });
+    test('Grouping', /^SELECT \(Main\.FirstName \+ ' ' \+ Main\.LastName\) AS FullName, COUNT\(1\) AS GroupCount .* GROUP BY \(Main\.FirstName/.test(grouped.sql.queries[0]), grouped.sql.queries[0]);
+
+    const { bo, sql } = createBusinessObject('Contact', contact, { results: () => [{ ContactId: 4, FullName: 'Ann Lee', StatusId: 1 }] });
+    const page = await bo.list({ sort: 'FullName', paging: 'cursor', limit: 1 });
+    test('Cursor ORDER BY', /ORDER BY \(Main\.FirstName \+ ' ' \+ Main\.LastName\) ASC, Main\.ContactId ASC/.test(sql.queries[0]), sql.queries[0]);
+    test('Page', page.records.length === 1);
+}
+
+console.log('\nTest 4: function fields cannot be filtered or sorted');
+{
+    test('Filter', await getError(() => createBusinessObject('Contact', contact, { results: [] }).bo.list({ filter: [{ field: 'Badge', operator: '=', value: 'Open' }] })) instanceof BusinessError);
+    test('Sort', /cannot be used in filters or sorting/.test((await getError(() => createBusinessObject('Contact', contact, { results: [] }).bo.list({ sort: 'Badge' })))?.message));
+}
+
+console.log('\nTest 5: load projects expressions and computes function fields');
+{
+    const { bo, sql } = createBusinessObject('Contact', contact, { results: () => [{ ContactId: 3, StatusId: 2, FullName: 'Ann Lee' }] });
+    const record = await bo.load({ id: 3, relations: false });
+    test('Expressions are projected', sql.queries[0].startsWith(`SELECT Main.*, (${fullName}) AS FullName, (DATEDIFF(day, Main.CreatedOn, GETDATE())) AS AgeInDays FROM Contact Main WHERE`), sql.queries[0]);
+    test('Function fields', record.Badge === 'Closed (load)');
+}
+
+console.log('\nTest 6: streamed lists compute function fields per row');
+{
+    const { bo, sql } = createBusinessObject('Contact', contact, { results: [] });
+    sql.stream = () => Readable.from([{ StatusId: 1 }, { StatusId: 2 }]);
+    const { stream } = await bo.list({ stream: true, limit: 0 });
+    const rows = await stream.toArray();
+    testEqual('Function fields', rows.map(row => row.Badge), ['Open (list)', 'Closed (list)']);
+}
+
+console.log('\nTest 7: invalid computed field configs are rejected');
+{
+    test('Invalid names', /Invalid field name/.test((await getError(() => createBusinessObject('Contact', { ...contact, computedFields: { 'Full Name': fullName } }, { results: [] }).bo.getComputedFields()))?.message));
+    test('Missing expression', /expression or a compute function/.test((await getError(() => createBusinessObject('Contact', { ...contact, computedFields: { FullName: {} } }, { results: [] }).bo.getComputedFields()))?.message));
+}
+
+report();
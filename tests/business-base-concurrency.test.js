@@ -0,0 +1,119 @@
+/**
+ * Tests for optimistic concurrency control: concurrencyField in the UPDATE
+ * WHERE clause, ConcurrencyError on zero rows affected and the 409 mapping.
+ */
+
+import Sql from '../lib/sql.js';
+import BusinessBase, { classMap } from '../lib/business/business-base.mjs';
+import queryBase from '../lib/business/query-base.mjs';
+import { BusinessError, ConcurrencyError } from '../lib/business/errors.mjs';
+import { test, testEqual, getError, report, createMockRequest, createMockSql, createBusinessObject, createResponse, createRouter } from './helpers/mocks.mjs';
+
+const invoice = { keyField: 'InvoiceId', concurrencyField: 'ModifiedOn' };
+
+// no row matched the version of an update
+const noRowMatched = () => createMockSql({ insertResult: { success: true, rowsAffected: [0] } });
+
+console.log('Testing optimistic concurrency...\n');
+
+console.log('Test 1: insertUpdate appends extra WHERE parameters to updates');
+{
+    const sql = new Sql();
+    const request = createMockRequest();
+    sql.createRequest = () => request;
+    let capturedQuery;
+    sql.runQuery = async ({ query }) => {
+        capturedQuery = query;
+        return { success: true };
+    };
+    await sql.insertUpdate({ tableName: 'Invoice', keyField: 'InvoiceId', json: { InvoiceId: 5, Amount: 10 }, update: true, where: { _concurrency: { fieldName: 'RowVersion', value: Buffer.from('0001', 'hex') } } });
+    test('Version is part of the WHERE clause', /WHERE InvoiceId = @InvoiceId\s+AND RowVersion = @_concurrency/.test(capturedQuery), capturedQuery);
+    test('Version is sent as a Buffer', Buffer.isBuffer(request.parameters._concurrency.value));
+}
+
+console.log('\nTest 2: save sends the loaded version in the WHERE clause');
+{
+    const { bo, sql } = createBusinessObject('Invoice', invoice);
+    const result = await bo.save({ id: 5, Amount: 10, ModifiedOn: '2024-01-15T10:00:00.123Z' });
+    test('Save succeeds', result.success === true);
+    const { where, json } = sql.writes[0];
+    testEqual('Loaded version is compared as a date', where._concurrency.value, new Date('2024-01-15T10:00:00.123Z'));
+    test('Version column is compared', where._concurrency.fieldName === 'ModifiedOn');
+    test('ModifiedOn is bumped on save', json.ModifiedOn?.getTime() !== where._concurrency.value.getTime());
+}
+
+console.log('\nTest 3: save converts serialized rowversion values to a Buffer');
+{
+    const { bo, sql } = createBusinessObject('Invoice', invoice);
+    bo.concurrencyField = 'RowVersion';
+    await bo.save({ id: 5, RowVersion: { type: 'Buffer', data: [0, 0, 0, 0, 0, 0, 7, 209] } });
+    test('Version is a Buffer', Buffer.isBuffer(sql.writes[0].where._concurrency.value));
+    test('rowversion columns are not updated', !('RowVersion' in sql.writes[0].json));
+}
+
+console.log('\nTest 4: save throws ConcurrencyError when no row matched');
+{
+    const { bo } = createBusinessObject('Invoice', invoice, { sql: noRowMatched() });
+    const err = await getError(() => bo.save({ id: 5, ModifiedOn: '2024-01-15T10:00:00.123Z' }));
+    test('ConcurrencyError is thrown', err instanceof ConcurrencyError);
+}
+
+console.log('\nTest 5: inserts skip the check, updates without a version are rejected');
+{
+    const { bo, sql } = createBusinessObject('Invoice', invoice);
+    await bo.save({ id: 0, Amount: 10 });
+    test('No version in the WHERE clause of inserts', sql.writes[0].where === undefined);
+    for (const values of [{ Amount: 10 }, { Amount: 10, ModifiedOn: null }]) {
+        const err = await getError(() => bo.save({ id: 5, ...values }));
+        test('BusinessError is thrown', err instanceof BusinessError && !(err instanceof ConcurrencyError), err);
+        test('Status is 428', err?.statusCode === 428, err?.statusCode);
+    }
+    test('Nothing is written', sql.writes.length === 1, sql.writes.length);
+}
+
+console.log('\nTest 6: queryBase responds with 409 and the current record');
+{
+    const handler = queryBase(async () => {
+        throw new ConcurrencyError(undefined, { details: { data: { InvoiceId: 5, Amount: 20 } } });
+    });
+    const res = createResponse();
+    let nextCalled = false;
+    await handler({ query: {}, body: {} }, res, () => { nextCalled = true; });
+    test('Status is 409', res.statusCode === 409);
+    test('Response is not successful', res.body.success === false);
+    testEqual('Current record is returned', res.body.data, { InvoiceId: 5, Amount: 20 });
+    test('next is not called', nextCalled === false);
+}
+
+console.log('\nTest 7: strings are converted to dates for date columns only');
+{
+    const { bo, sql } = createBusinessObject('Invoice', invoice);
+    bo.concurrencyField = 'Revision';
+    await bo.save({ id: 5, Revision: '12' });
+    test('Numeric tokens are compared as sent', sql.writes[0].where._concurrency.value === '12', String(sql.writes[0].where._concurrency.value));
+    bo.concurrencyField = 'ChangedAt';
+    bo.concurrencyFieldType = 'dateTime';
+    await bo.save({ id: 5, ChangedAt: '2024-01-15T10:00:00.123Z' });
+    test('concurrencyFieldType date columns are compared as dates', sql.writes[1].where._concurrency.value instanceof Date);
+}
+
+console.log('\nTest 8: the PUT route responds with 409 even when the current record cannot be loaded');
+{
+    class Invoice extends BusinessBase {
+        async save() {
+            throw new ConcurrencyError(undefined, { details: { id: 5 } });
+        }
+
+        async load() {
+            throw new Error('connection lost');
+        }
+    }
+    classMap.register('Invoice', Invoice);
+    BusinessBase.businessObject = { sql: createMockSql() };
+    const { request } = createRouter();
+    const { response } = await request('PUT /:businessObjectName/:id', { params: { id: '5' }, body: { Amount: 10 } });
+    test('Status is 409', response.statusCode === 409, response.statusCode);
+    test('Conflict message is returned', response.body.success === false && /modified by another user/.test(response.body.message), response.body.message);
+}
+
+report();
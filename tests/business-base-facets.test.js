@@ -0,0 +1,104 @@
+/**
+ * Tests for facets: per-field value counts under the other filters for SQL (grouped lists)
+ * and Elastic (terms aggregations), lookup labels and list({ facets }).
+ */
+
+import BusinessBase from '../lib/business/business-base.mjs';
+import ElasticBusinessBase from '../lib/business/elastic-business-base.mjs';
+import lookup from '../lib/business/lookup.mjs';
+import { BusinessError } from '../lib/business/errors.mjs';
+import { test, testEqual, getError, report, createBusinessObject } from './helpers/mocks.mjs';
+
+lookup.lookupTypes = new Map([['STATUS', { items: [{ value: 1, label: 'Open', ScopeId: 7 }, { value: 2, label: 'Closed', ScopeId: 7 }] }]]);
+
+const invoice = { tableName: 'Invoice', keyField: 'InvoiceId', standardTable: false, clientBased: true, user: { scopeId: 7 } };
+
+const filter = [
+    { field: 'StatusId', operator: '=', value: 1, type: 'number' },
+    { field: 'Region', operator: '=', value: 'East', type: 'string' }
+];
+
+console.log('Testing facets...\n');
+
+console.log('Test 1: SQL facets count values under the other filters and the client scope');
+{
+    const { bo, sql } = createBusinessObject('Invoice', invoice, {
+        results: [
+            [{ StatusId: 1, GroupCount: 5 }, { StatusId: 2, GroupCount: 3 }],
+            [{ Region: 'East', GroupCount: 5 }]
+        ]
+    });
+    const facets = await bo.facets({ facets: { StatusId: { lookup: 'Status' }, Region: { limit: 5 } }, filter });
+    testEqual('Facets', facets, {
+        StatusId: [{ value: 1, label: 'Open', count: 5 }, { value: 2, label: 'Closed', count: 3 }],
+        Region: [{ value: 'East', label: 'East', count: 5 }]
+    });
+    const [statusQuery, regionQuery] = sql.queries;
+    test('Client scope', /^SELECT Main\.StatusId AS StatusId, COUNT\(1\) AS GroupCount FROM Invoice Main WHERE .*Main\.ClientId = @ClientId/.test(statusQuery), statusQuery);
+    test('Other filters apply', /Main\.Region = @/.test(statusQuery));
+    test('Own filter is dropped', !/Main\.StatusId = /.test(statusQuery));
+    test('Most frequent values first', /GROUP BY Main\.StatusId ORDER BY COUNT\(1\) DESC, Main\.StatusId OFFSET/.test(statusQuery));
+    test('No count query', !/TotalCount/.test(statusQuery));
+    test('Region facet keeps the status filter', /Main\.StatusId = /.test(regionQuery), regionQuery);
+    test('Region facet drops its own filter', !/Main\.Region = /.test(regionQuery));
+    test('Facet limit', sql.requests[1].parameters._limit.value === 5);
+}
+
+console.log('\nTest 2: nested filters keep or groups and drop top level conditions on the facet field');
+{
+    const { bo, sql } = createBusinessObject('Invoice', invoice, { results: [[]] });
+    await bo.facets({ facets: 'StatusId', filter: { and: [{ field: 'StatusId', operator: '=', value: 1 }, { or: [{ field: 'StatusId', operator: '=', value: 2 }, { field: 'Region', operator: '=', value: 'West' }] }] } });
+    test('Only the or group condition is kept', (sql.queries[0].match(/Main\.StatusId = /g) || []).length === 1, sql.queries[0]);
+}
+
+console.log('\nTest 3: list({ facets }) returns the facets with the records');
+{
+    const { bo } = createBusinessObject('Invoice', invoice, { results: [[{ InvoiceId: 1 }], [{ StatusId: 1, GroupCount: 1 }]] });
+    const result = await bo.list({ filter, limit: 10, facets: ['StatusId'] });
+    testEqual('Facets', result.facets, { StatusId: [{ value: 1, label: 1, count: 1 }] });
+    test('Records', result.records.length === 1);
+}
+
+console.log('\nTest 4: invalid facets are rejected');
+{
+    const { bo } = createBusinessObject('Invoice', invoice, { results: [] });
+    test('Invalid field names', await getError(() => bo.facets({ facets: ['Status Id; --'] })) instanceof BusinessError);
+    test('Invalid limits', await getError(() => bo.facets({ facets: { StatusId: { limit: 0 } } })) instanceof BusinessError);
+    test('Invalid facets option', await getError(() => bo.facets({ facets: 5 })) instanceof BusinessError);
+}
+
+console.log('\nTest 5: Elastic facets use one filtered terms aggregation per field');
+{
+    let body;
+    BusinessBase.businessObject = {
+        elastic: {
+            baseUrl: 'http://elastic',
+            requestAdapter: {
+                async getJson(request) {
+                    body = request.body;
+                    return {
+                        hits: { total: { value: 8 }, hits: [] },
+                        aggregations: {
+                            facet0: { doc_count: 8, values: { buckets: [{ key: 1, doc_count: 5 }, { key: 2, doc_count: 3 }] } },
+                            facet1: { doc_count: 5, values: { buckets: [{ key: 'East', doc_count: 5 }] } }
+                        }
+                    };
+                }
+            }
+        }
+    };
+    class InvoiceIndex extends ElasticBusinessBase { }
+    const bo = new InvoiceIndex();
+    bo.indexName = 'invoices';
+    bo.user = {};
+    const facets = await bo.facets({ facets: [{ field: 'StatusId', lookup: 'Status' }, { field: 'Region', limit: 3 }], filter });
+    test('No hits are read', body.size === 0);
+    testEqual('Status terms', body.aggs.facet0.aggs.values.terms, { field: 'StatusId', size: 50 });
+    testEqual('Status facet filter', body.aggs.facet0.filter.bool.must, [{ term: { Region: 'East' } }]);
+    testEqual('Region facet filter', body.aggs.facet1.filter.bool.must, [{ term: { StatusId: 1 } }]);
+    testEqual('Region terms', body.aggs.facet1.aggs.values.terms, { field: 'Region', size: 3 });
+    testEqual('Status facet', facets.StatusId, [{ value: 1, label: 'Open', count: 5 }, { value: 2, label: 'Closed', count: 3 }]);
+    testEqual('Region facet', facets.Region, [{ value: 'East', label: 'East', count: 5 }]);
+}
+
+report();
@@ -0,0 +1,155 @@
+/**
+ * Tests for fieldPermissions: role and permission rules, removing and masking fields in load/list/stream output,
+ * export columns, history and versions, and rejecting writes in save().
+ */
+
+import { Readable } from 'stream';
+import { ElasticBusinessBase } from '../lib/business/elastic-business-base.mjs';
+import { PermissionError } from '../lib/business/errors.mjs';
+import { isFieldAllowed, getFieldAccess } from '../lib/business/field-permissions.mjs';
+import { test, testEqual, getError, report, createBusinessObject } from './helpers/mocks.mjs';
+
+const fieldPermissions = {
+    Salary: { read: { roles: ['HR'] } },
+    Ssn: { read: { roles: ['HR'] }, mask: (value) => `***-**-${String(value).slice(-4)}` },
+    CostPrice: { read: { permission: 6 }, mask: true },
+    Grade: { write: { roles: ['HR'] } }
+};
+
+const employee = { id: 3, roles: [{ RoleId: 2, Role: 'Employee' }] };
+
+const staff = { tableName: 'Employee', keyField: 'EmployeeId', standardTable: false, user: employee, fieldPermissions };
+
+const row = () => ({ EmployeeId: 1, Name: 'Ann', Salary: 5000, Ssn: '123-45-6789', CostPrice: 12.5, Grade: 'B' });
+const employeeRow = { EmployeeId: 1, Name: 'Ann', Ssn: '***-**-6789', CostPrice: '****', Grade: 'B' };
+
+const isPermissionError = (err, pattern) => err instanceof PermissionError && err.statusCode === 403 && (!pattern || pattern.test(err.message));
+
+console.log('Testing field permissions...\n');
+
+console.log('Test 1: rules match role names, role ids, permission flags and functions');
+{
+    test('Role names ignore case', isFieldAllowed({ roles: ['hr'] }, { user: { roles: ['HR'] } }) === true);
+    test('RoleId', isFieldAllowed({ roles: [4] }, { user: { RoleId: 4 } }) === true);
+    test('Other roles', isFieldAllowed({ roles: ['HR'] }, { user: employee }) === false);
+    test('Any of several flags', isFieldAllowed({ permission: [6, 7] }, { permissions: { module: { Permission6: 0, Permission7: 1 } } }) === true);
+    test('No permissions', isFieldAllowed({ permission: 6 }, { user: employee }) === false);
+    test('Function', isFieldAllowed((user) => user.id === 3, { user: employee }) === true);
+    testEqual('Field access', getFieldAccess({ fieldPermissions, user: employee }), {
+        hidden: ['Salary'],
+        masked: { Ssn: fieldPermissions.Ssn.mask, CostPrice: '****' },
+        readOnly: ['Salary', 'Ssn', 'CostPrice', 'Grade']
+    });
+    testEqual('Unrestricted user', getFieldAccess({ fieldPermissions, user: { roles: ['HR'] }, permissions: { module: { Permission6: 1 } } }).readOnly, []);
+}
+
+console.log('\nTest 2: list and load remove or mask the fields the user cannot read');
+{
+    const { bo } = createBusinessObject('Employee', staff, { results: [[row()], [row()]] });
+    testEqual('List', (await bo.list({ limit: 10 })).records, [employeeRow]);
+    const record = await bo.load({ id: 1 });
+    test('Hidden field is removed', !('Salary' in record));
+    test('Constant mask', record.CostPrice === '****');
+
+    const hr = createBusinessObject('Employee', { ...staff, user: { roles: ['HR'] }, permissions: { module: { Permission6: 1 } } }, { results: [[row()]] });
+    testEqual('Unrestricted list', (await hr.bo.list({ limit: 10 })).records, [row()]);
+}
+
+console.log('\nTest 3: restricted fields cannot be used to filter, sort, group or aggregate');
+{
+    const { bo } = createBusinessObject('Employee', staff, { results: [] });
+    const filtered = await getError(() => bo.list({ filter: { or: [{ field: 'Salary', operator: '>', value: 4000 }] } }));
+    test('Filter', isPermissionError(filtered) && filtered.message === 'You do not have permission to read Salary', filtered?.message);
+    test('Sort', isPermissionError(await getError(() => bo.list({ sort: 'Name, Main.Ssn DESC' })), /read Ssn/));
+    test('Measures', isPermissionError(await getError(() => bo.list({ groupBy: 'Grade', measures: { CostPrice: ['sum'] } })), /read CostPrice/));
+    test('Aggregates', isPermissionError(await getError(() => bo.list({ aggregates: { Salary: 'avg' } }))));
+    test('Readable fields', await getError(() => bo.list({ filter: [{ field: 'Grade', operator: '=', value: 'B' }], sort: 'Grade' })) === undefined);
+}
+
+console.log('\nTest 4: search over restricted fields and computed fields that use them are rejected');
+{
+    const searchable = createBusinessObject('Employee', { ...staff, searchFields: ['Name', 'Salary'] }, { results: [] });
+    test('Search', isPermissionError(await getError(() => searchable.bo.list({ search: 'ann' })), /read Salary/));
+    test('List without search', await getError(() => searchable.bo.list({})) === undefined);
+    test('Readable search fields', await getError(() => createBusinessObject('Employee', { ...staff, searchFields: ['Name'] }, { results: [] }).bo.list({ search: 'ann' })) === undefined);
+
+    const computed = createBusinessObject('Employee', { ...staff, computedFields: { AnnualPay: 'Main.Salary * 12', Initial: 'LEFT(Name, 1)' } }, { results: [] });
+    test('Computed field in sort', isPermissionError(await getError(() => computed.bo.list({ sort: 'AnnualPay' })), /read AnnualPay/));
+    test('Computed field in filter', isPermissionError(await getError(() => computed.bo.list({ filter: [{ field: 'AnnualPay', operator: '>', value: 1 }] }))));
+    test('Computed field of readable columns', await getError(() => computed.bo.list({ sort: 'Initial' })) === undefined);
+    test('Computed search field', isPermissionError(await getError(() => createBusinessObject('Employee', { ...staff, searchFields: ['Name', 'AnnualPay'], computedFields: { AnnualPay: 'Salary * 12' } }, { results: [] }).bo.list({ search: 'ann' })), /read AnnualPay/));
+}
+
+console.log('\nTest 5: streamed lists and export columns are restricted too');
+{
+    const { bo, sql } = createBusinessObject('Employee', staff, { results: [] });
+    sql.stream = () => Readable.from([row()]);
+    const { stream } = await bo.list({ stream: true });
+    testEqual('Streamed rows', await stream.toArray(), [employeeRow]);
+
+    const columns = { Name: { headerName: 'Name' }, Pay: { headerName: 'Pay', field: 'Salary' }, CostPrice: { headerName: 'Cost' } };
+    testEqual('Export columns', Object.keys(bo.getReadableExportColumns(columns)), ['Name', 'CostPrice']);
+    testEqual('Array columns', bo.getReadableExportColumns([]), []);
+}
+
+console.log('\nTest 6: save rejects fields the user cannot read and ignores fields the user cannot write');
+{
+    const { bo } = createBusinessObject('Employee', staff, { results: [] });
+    const err = await getError(() => bo.prepareSave({ id: 1, Name: 'Ann', Salary: 9000 }));
+    test('Hidden field', isPermissionError(err, /change Salary/), err?.message);
+    test('Masked value that is not constant', isPermissionError(await getError(() => bo.prepareSave({ id: 1, Ssn: '***-**-6789' })), /change Ssn/));
+    // the record as loaded may be sent back with its constant mask
+    const context = await bo.prepareSave({ id: 1, Name: 'Ann', CostPrice: '****', Grade: 'A' });
+    test('Readable fields are saved', context.requestValues.Name === 'Ann');
+    test('Constant mask is ignored', !('CostPrice' in context.requestValues));
+    test('Read only field is ignored', !('Grade' in context.requestValues));
+}
+
+console.log('\nTest 7: history drops hidden fields and masks the values of masked fields');
+{
+    const entries = [
+        { FieldName: 'Salary', OldValue: '4000', NewValue: '5000' },
+        { FieldName: 'Ssn', OldValue: '111-11-1111', NewValue: '123-45-6789' },
+        { FieldName: 'CostPrice', OldValue: null, NewValue: '12.5' },
+        { FieldName: 'Name', OldValue: 'Anne', NewValue: 'Ann' }
+    ];
+    const { bo } = createBusinessObject('Employee', { ...staff, audit: true }, { results: [entries.map(entry => ({ ...entry }))] });
+    testEqual('History', await bo.history({ id: 1 }), [
+        { FieldName: 'Ssn', OldValue: '***-**-1111', NewValue: '***-**-6789' },
+        { FieldName: 'CostPrice', OldValue: null, NewValue: '****' },
+        { FieldName: 'Name', OldValue: 'Anne', NewValue: 'Ann' }
+    ]);
+
+    const custom = createBusinessObject('Employee', { ...staff, audit: { history: async () => entries.map(entry => ({ ...entry })) } }, { results: [] });
+    testEqual('Custom history', (await custom.bo.history({ id: 1 })).map(entry => entry.FieldName), ['Ssn', 'CostPrice', 'Name']);
+}
+
+console.log('\nTest 8: versions are restricted and restoring keeps the fields the user cannot write');
+{
+    const version = () => [[{ VersionNo: 1, Data: JSON.stringify({ ...row(), Grade: 'A' }) }]];
+    const { bo } = createBusinessObject('Employee', { ...staff, versioning: true }, { results: version() });
+    testEqual('Version data', (await bo.getVersion({ id: 1, version: 1 })).data, { ...employeeRow, Grade: 'A' });
+
+    const diff = createBusinessObject('Employee', { ...staff, versioning: true }, { results: [...version(), [{ VersionNo: 2, Data: JSON.stringify({ ...row(), Salary: 6000, Name: 'Anne' }) }]] });
+    testEqual('Diff', (await diff.bo.diffVersions({ id: 1, from: 1, to: 2 })).map(change => change.field), ['Name', 'Grade']);
+
+    const saved = [];
+    const restore = createBusinessObject('Employee', { ...staff, versioning: true, save: async (values) => saved.push(values) }, { results: [...version(), [row()]] });
+    await restore.bo.restoreVersion({ id: 1, version: 1 });
+    testEqual('Restored values', saved, [{ Name: 'Ann', id: 1 }]);
+}
+
+console.log('\nTest 9: Elastic records and facets are restricted');
+{
+    class Document extends ElasticBusinessBase { }
+    const bo = new Document();
+    Object.assign(bo, { user: employee, fieldPermissions, indexName: 'employees' });
+    bo.response = async () => ({ records: [row()], totalRecords: 1, aggregations: {} });
+    testEqual('Records', (await bo.fetch({})).records, [employeeRow]);
+    test('Filter', isPermissionError(await getError(() => bo.fetch({ filter: [{ field: 'Salary', operator: '>', value: 1 }] }))));
+    test('Facets', isPermissionError(await getError(() => bo.facets({ facets: ['Grade', 'Ssn'] })), /read Ssn/));
+    test('Facets of fetch', isPermissionError(await getError(() => bo.fetch({ facets: 'Salary' })), /read Salary/));
+    test('Readable facets', await getError(() => bo.facets({ facets: ['Grade'] })) === undefined);
+}
+
+report();
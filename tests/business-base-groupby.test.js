@@ -0,0 +1,94 @@
+/**
+ * Tests for grouped lists in BusinessBase.list(): projection, GROUP BY before ORDER BY/OFFSET,
+ * group count, sorting by measures, drill-down and the grouped HTML rendering.
+ */
+
+import { BusinessError } from '../lib/business/errors.mjs';
+import responseTransformer from '../lib/middleware/response-transformer.mjs';
+import { test, testEqual, getError, report, createBusinessObject } from './helpers/mocks.mjs';
+
+const invoice = { tableName: 'Invoice', keyField: 'InvoiceId', standardTable: false, defaultSortOrder: 'InvoiceId DESC', user: {} };
+
+const groups = [
+    { Region: 'East', StatusId: 1, Amount_sum: 100, GroupCount: 2 },
+    { Region: 'East', StatusId: 2, Amount_sum: 50, GroupCount: 1 },
+    { Region: 'West', StatusId: 1, Amount_sum: 70, GroupCount: 3 }
+];
+
+console.log('Testing grouped lists...\n');
+
+console.log('Test 1: projects the group fields and measures and groups before ORDER BY and OFFSET');
+{
+    const { bo, sql } = createBusinessObject('Invoice', invoice, { results: [{ recordsets: [groups, [{ TotalCount: 3 }]] }] });
+    const result = await bo.list({
+        groupBy: 'Region, StatusId',
+        measures: { Amount: ['sum', 'avg'] },
+        filter: [{ field: 'IsPaid', operator: '=', value: 1, type: 'number' }],
+        start: 0,
+        limit: 20
+    });
+    const [query, count] = sql.queries[0].split(';');
+    testEqual('Grouped query', query, 'SELECT Main.Region AS Region, Main.StatusId AS StatusId, SUM(Main.Amount) AS Amount_sum, AVG(Main.Amount * 1.0) AS Amount_avg, COUNT(1) AS GroupCount FROM Invoice Main WHERE Main.IsPaid = @IsPaid_0 GROUP BY Main.Region, Main.StatusId ORDER BY Main.Region, Main.StatusId OFFSET @_start ROWS FETCH NEXT @_limit ROWS ONLY');
+    testEqual('Group count query', count, 'SELECT COUNT(1) AS TotalCount FROM (SELECT 1 AS GroupRow FROM Invoice Main WHERE Main.IsPaid = @IsPaid_0 GROUP BY Main.Region, Main.StatusId) AS Groups');
+    test('Record count', result.recordCount === 3);
+    testEqual('groupBy', result.groupBy, ['Region', 'StatusId']);
+    testEqual('Measure columns', result.measures.map(measure => measure.column), ['Amount_sum', 'Amount_avg']);
+    test('groupByKey', result.groupByKey === 'Region');
+    testEqual('rowspanColumns', result.rowspanColumns, ['Region']);
+}
+
+console.log('\nTest 2: groups are sorted by measures and group fields');
+{
+    const { bo, sql } = createBusinessObject('Invoice', invoice, { results: [] });
+    await bo.list({ groupBy: ['Region'], measures: { Amount: 'sum' }, sort: 'Amount_sum DESC, GroupCount, Region', limit: 10 });
+    test('ORDER BY', /ORDER BY SUM\(Main\.Amount\) DESC, COUNT\(1\), Main\.Region OFFSET/.test(sql.queries[0]), sql.queries[0]);
+}
+
+console.log('\nTest 3: sorting by a column that is not part of the groups is rejected');
+{
+    const { bo } = createBusinessObject('Invoice', invoice, { results: [] });
+    const err = await getError(() => bo.list({ groupBy: 'Region', sort: 'InvoiceId', limit: 10 }));
+    test('Sort outside the groups', err instanceof BusinessError && /Region, GroupCount/.test(err.message), err?.message);
+    test('Invalid group fields', await getError(() => bo.list({ groupBy: 'Region; DROP TABLE x', limit: 10 })) instanceof BusinessError);
+    test('Invalid measures', await getError(() => bo.list({ groupBy: 'Region', measures: { Amount: ['median'] }, limit: 10 })) instanceof BusinessError);
+    test('Cursor paging', await getError(() => bo.list({ groupBy: 'Region', paging: 'cursor', limit: 10 })) instanceof BusinessError);
+}
+
+console.log('\nTest 4: estimated counts fall back to counting the groups');
+{
+    const { bo, sql } = createBusinessObject('Invoice', invoice, { results: [{ recordsets: [groups, [{ TotalCount: 3 }]] }] });
+    const result = await bo.list({ groupBy: 'Region', countMode: 'estimate', limit: 10 });
+    test('Groups are counted', /FROM \(SELECT 1 AS GroupRow/.test(sql.queries[0]), sql.queries[0]);
+    test('Count is not flagged as estimated', result.recordCountEstimated === undefined);
+}
+
+console.log('\nTest 5: group drills down into the rows of one group');
+{
+    const { bo, sql } = createBusinessObject('Invoice', invoice, { results: [] });
+    const result = await bo.list({ groupBy: 'Region, StatusId', group: { Region: 'East', StatusId: null }, limit: 10 });
+    test('Group conditions', /^SELECT Main\.\* FROM Invoice Main WHERE Main\.Region = @_group0 AND Main\.StatusId IS NULL ORDER BY InvoiceId DESC/.test(sql.queries[0]), sql.queries[0]);
+    test('Group value', sql.requests[0].parameters._group0.value === 'East');
+    test('Rows are not grouped', result.groupBy === undefined);
+}
+
+console.log('\nTest 6: HTML exports merge the first group column across its rows');
+{
+    const { bo } = createBusinessObject('Invoice', invoice, { results: [{ recordsets: [groups, [{ TotalCount: 3 }]] }] });
+    const result = await bo.list({ groupBy: 'Region, StatusId', measures: { Amount: 'sum' }, limit: 10 });
+    let html;
+    const res = { set() { }, send(body) { html = body; } };
+    await responseTransformer({ path: '/invoice/list', accepts: () => false }, res, () => { });
+    await res.transform({
+        success: true,
+        ...result,
+        exportColumns: {
+            Region: { field: 'Region', headerName: 'Region', width: 100 },
+            StatusId: { field: 'StatusId', headerName: 'Status', width: 100 },
+            Amount_sum: { field: 'Amount_sum', headerName: 'Amount', width: 100 }
+        }
+    }, { responseType: 'html', data: 'records' });
+    test('First group cell spans its rows', /<td rowspan="2">East<\/td><td>1<\/td><td>100<\/td>/.test(html), html);
+    test('Following rows skip the merged cell', /<tr style=""><td>2<\/td><td>50<\/td><\/tr>/.test(html));
+}
+
+report();
@@ -0,0 +1,146 @@
+/**
+ * Tests for eager loading: load({ include }) and list({ includeRelations }) fetch related records with one
+ * batched child list() per relation, nested includes, column selection and the child's scoping.
+ */
+
+import { BusinessBase, classMap } from '../lib/business/business-base.mjs';
+import { BusinessError, PermissionError } from '../lib/business/errors.mjs';
+import { test, testEqual, getError, report, createBusinessObject } from './helpers/mocks.mjs';
+
+class Customer extends BusinessBase {
+    tableName = 'Customer';
+    keyField = 'CustomerId';
+    standardTable = false;
+    relations = [
+        { relation: 'Order', type: 'OneToMany', foreignTable: 'IncludeOrder', where: { StatusId: { value: 1, operator: '=' } } },
+        { relation: 'Profile', type: 'OneToOne', foreignTable: 'IncludeProfile' }
+    ];
+}
+
+class Order extends BusinessBase {
+    tableName = 'Orders';
+    keyField = 'OrderId';
+    standardTable = false;
+    relations = [{ relation: 'Line', type: 'OneToMany', foreignTable: 'IncludeLine' }];
+}
+
+class Line extends BusinessBase {
+    tableName = 'OrderLine';
+    keyField = 'LineId';
+    standardTable = false;
+    softDelete = false;
+    clientBased = false;
+}
+
+class Profile extends BusinessBase {
+    tableName = 'Profile';
+    keyField = 'ProfileId';
+    standardTable = false;
+}
+
+// Total can only be read with Permission6 of the order module
+class RestrictedOrder extends Order {
+    fieldPermissions = { Total: { read: { permission: 6 } }, Notes: { read: { permission: 7 } } };
+}
+
+class RestrictedCustomer extends Customer {
+    relations = [
+        { relation: 'Order', type: 'OneToMany', foreignTable: 'IncludeRestrictedOrder' },
+        { relation: 'Profile', type: 'OneToOne', foreignTable: 'IncludeProfile' }
+    ];
+}
+
+classMap.register('IncludeOrder', Order);
+classMap.register('IncludeRestrictedOrder', RestrictedOrder);
+classMap.register('IncludeLine', Line);
+classMap.register('IncludeProfile', Profile);
+
+const clientScope = { clientBased: true, user: { scopeId: 7 } };
+
+console.log('Testing eager loading...\n');
+
+console.log('Test 1: load includes nested OneToMany records with one query per relation');
+{
+    const { bo: customer, sql } = createBusinessObject('Customer', clientScope, {
+        Base: Customer,
+        results: [
+            [{ CustomerId: 1, Name: 'Acme' }],
+            [{ OrderId: 10, CustomerId: 1, Total: 5 }, { OrderId: 11, CustomerId: 1, Total: 7 }],
+            [{ LineId: 100, OrderId: 10 }, { LineId: 101, OrderId: 10 }, { LineId: 102, OrderId: 11 }]
+        ]
+    });
+    const record = await customer.load({ id: 1, relations: false, include: ['Orders', 'Orders.Lines'] });
+    test('One query per relation', sql.requests.length === 3);
+    testEqual('Orders', record.Orders.map(order => order.OrderId), [10, 11]);
+    testEqual('Lines of the first order', record.Orders[0].Lines.map(line => line.LineId), [100, 101]);
+    testEqual('Lines of the second order', record.Orders[1].Lines.map(line => line.LineId), [102]);
+
+    const [, orders, lines] = sql.requests;
+    const [ordersQuery] = orders.queries;
+    const [linesQuery] = lines.queries;
+    test('Parent keys are joined and the child is scoped', /FROM Orders Main INNER JOIN @CustomerId_0 AS _tvp\d+ ON Main\.CustomerId = _tvp\d+\.Value WHERE Main\.ClientId = @ClientId/.test(ordersQuery), ordersQuery);
+    test('Relation where applies', /Main\.IsDeleted = @IsDeleted_1 AND Main\.StatusId = @StatusId_2/.test(ordersQuery));
+    test('Client parameter', orders.parameters.ClientId.value === 7);
+    test('IsDeleted parameter', orders.parameters.IsDeleted_1.value === 0);
+    // the parent keys are sent as one table-valued parameter
+    test('Nested relation', /FROM OrderLine Main INNER JOIN @OrderId_0 AS _tvp\d+ ON Main\.OrderId = _tvp\d+\.Value;/.test(linesQuery), linesQuery);
+    test('Parent keys TVP', orders.parameters.CustomerId_0.value.rows.length === 1 && lines.parameters.OrderId_0.value.rows.length === 2);
+    test('Unscoped child', !/IsDeleted|ClientId/.test(linesQuery));
+    test('No paging', !/OFFSET/.test(linesQuery));
+}
+
+console.log('\nTest 2: list includes relations for all records of the page in one query and selects columns');
+{
+    const { bo: customer, sql } = createBusinessObject('Customer', clientScope, {
+        Base: Customer,
+        results: [
+            [{ CustomerId: 1 }, { CustomerId: 2 }, { CustomerId: 3 }],
+            [{ OrderId: 10, CustomerId: 1, Total: 5 }, { OrderId: 12, CustomerId: 3, Total: 9 }],
+            [{ ProfileId: 5, CustomerId: 2, Bio: 'Hi' }]
+        ]
+    });
+    const { records } = await customer.list({ limit: 10, includeRelations: [{ relation: 'Orders', columns: ['OrderId', 'Total'] }, 'Profile'] });
+    test('One query per relation', sql.requests.length === 3);
+    test('Keys of the whole page', sql.requests[1].parameters.CustomerId_0.value.rows.length === 3);
+    testEqual('Selected columns', records.map(record => record.Orders), [[{ OrderId: 10, Total: 5 }], [], [{ OrderId: 12, Total: 9 }]]);
+    testEqual('OneToOne', records.map(record => record.Profile?.Bio ?? null), [null, 'Hi', null]);
+}
+
+console.log('\nTest 3: include accepts comma-separated paths and nested objects');
+{
+    const { bo: customer } = createBusinessObject('Customer', clientScope, { results: [], Base: Customer });
+    testEqual('Paths', customer.parseInclude('Orders, Orders.Lines'), { Orders: { include: { Lines: { include: {} } } } });
+    testEqual('Objects', customer.parseInclude({ Orders: { columns: 'OrderId, Total', include: ['Lines'] } }), { Orders: { include: { Lines: { include: {} } }, columns: ['OrderId', 'Total'] } });
+}
+
+console.log('\nTest 4: records without matches skip the child query and unknown relations are rejected');
+{
+    const empty = createBusinessObject('Customer', clientScope, { results: [[]], Base: Customer });
+    await empty.bo.list({ limit: 10, includeRelations: 'Orders' });
+    test('No child query', empty.sql.requests.length === 1);
+
+    test('Unknown relations', await getError(() => createBusinessObject('Customer', clientScope, { results: [[{ CustomerId: 1 }]], Base: Customer }).bo.load({ id: 1, relations: false, include: 'Invoices' })) instanceof BusinessError);
+    test('Invalid relation names', /Invalid include relation/.test((await getError(() => createBusinessObject('Customer', clientScope, { results: [], Base: Customer }).bo.parseInclude(['Orders; DROP'])))?.message));
+    test('Invalid columns', /Invalid include columns/.test((await getError(() => createBusinessObject('Customer', clientScope, { results: [], Base: Customer }).bo.parseInclude([{ relation: 'Orders', columns: ['Total)'] }])))?.message));
+}
+
+console.log('\nTest 5: included relations are read with the permissions of their own module');
+{
+    // modules returned by Auth.getPermissions, Permission1 allows list
+    const userPermissions = [{ Module: 'Customer', Permission1: 1 }, { Module: 'IncludeRestrictedOrder', Permission1: 1, Permission6: 1 }, { Module: 'IncludeProfile', Permission1: 0 }];
+    const props = { ...clientScope, permissions: { list: true, load: true }, userPermissions };
+    const { bo: customer, sql } = createBusinessObject('Customer', props, {
+        Base: RestrictedCustomer,
+        results: [[{ CustomerId: 1 }], [{ OrderId: 10, CustomerId: 1, Total: 5, Notes: 'x' }]]
+    });
+    const record = await customer.load({ id: 1, relations: false, include: 'Orders' });
+    test('One query for the parent and one for the relation', sql.requests.length === 2);
+    testEqual('fieldPermissions use the flags of the child module', record.Orders, [{ OrderId: 10, CustomerId: 1, Total: 5 }]);
+
+    const denied = createBusinessObject('Customer', props, { Base: RestrictedCustomer, results: [[{ CustomerId: 1 }]] });
+    const err = await getError(() => denied.bo.load({ id: 1, relations: false, include: 'Profile' }));
+    test('Relations the user cannot list are rejected', err instanceof PermissionError && /list IncludeProfile/.test(err.message), err?.message);
+    test('The child is not read', denied.sql.requests.length === 1);
+}
+
+report();
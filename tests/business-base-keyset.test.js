@@ -0,0 +1,142 @@
+/**
+ * Tests for keyset (cursor) pagination in BusinessBase.list(): the cursor
+ * condition and ORDER BY, next/prev cursors and the count modes.
+ */
+
+import { BusinessError } from '../lib/business/errors.mjs';
+import { encodeCursor, decodeCursor, getKeysetKeys } from '../lib/business/keyset.mjs';
+import { test, testEqual, getError, report, createBusinessObject } from './helpers/mocks.mjs';
+
+const invoice = { tableName: 'Invoice', keyField: 'InvoiceId', standardTable: false, user: {} };
+
+const invoices = (...ids) => ids.map(id => ({ InvoiceId: id, Amount: id * 10 }));
+
+console.log('Testing keyset pagination...\n');
+
+console.log('Test 1: first page orders by the sort keys plus keyField and reads one extra row');
+{
+    const { bo, sql } = createBusinessObject('Invoice', invoice, { results: () => invoices(1, 2, 3) });
+    const result = await bo.list({ paging: 'cursor', sort: 'Amount DESC', limit: 2, returnCount: false });
+    const [request] = sql.requests;
+    test('ORDER BY', /ORDER BY Main\.Amount DESC, Main\.InvoiceId ASC OFFSET @_start ROWS FETCH NEXT @_limit ROWS ONLY/.test(sql.queries[0]), sql.queries[0]);
+    test('One extra row is read', request.parameters._limit.value === 3);
+    test('Start is 0', request.parameters._start.value === 0);
+    testEqual('Records', result.records.map(row => row.InvoiceId), [1, 2]);
+    test('No prev cursor', result.prevCursor === null);
+    const keys = getKeysetKeys({ sort: 'Main.Amount DESC, Main.InvoiceId', keyField: 'InvoiceId', sanitizeField: field => field });
+    testEqual('Next cursor', decodeCursor({ cursor: result.nextCursor, keys }), { direction: 'next', values: [20, 2] });
+}
+
+console.log('\nTest 2: next cursor adds the keyset condition to the WHERE clause');
+{
+    const { bo: first } = createBusinessObject('Invoice', invoice, { results: () => invoices(1, 2, 3) });
+    const { nextCursor } = await first.list({ paging: 'cursor', sort: 'Amount DESC', limit: 2, returnCount: false });
+    const { bo, sql } = createBusinessObject('Invoice', invoice, { results: () => invoices(3) });
+    const result = await bo.list({ cursor: nextCursor, sort: 'Amount DESC', limit: 2, returnCount: false });
+    const [request] = sql.requests;
+    test('Keyset condition', /WHERE \(\(\(Main\.Amount < @_cursor0 OR Main\.Amount IS NULL\)\) OR \(Main\.Amount = @_cursor0 AND Main\.InvoiceId > @_cursor1\)\) ORDER BY/.test(sql.queries[0]), sql.queries[0]);
+    testEqual('Cursor parameters', [request.parameters._cursor0.value, request.parameters._cursor1.value], [20, 2]);
+    test('Last page has no next cursor', result.nextCursor === null);
+    test('Prev cursor', Boolean(result.prevCursor));
+}
+
+console.log('\nTest 3: prev cursor reads backwards and restores the page order');
+{
+    const { bo, sql } = createBusinessObject('Invoice', invoice, { results: () => invoices(2, 1) });
+    const cursor = encodeCursor({ keys: [{ field: 'Main.InvoiceId', direction: 'ASC', isKey: true }], record: { InvoiceId: 3 }, direction: 'prev' });
+    const result = await bo.list({ cursor, limit: 2, returnCount: false });
+    test('Reads backwards', /WHERE \(\(Main\.InvoiceId < @_cursor0\)\) ORDER BY Main\.InvoiceId DESC/.test(sql.queries[0]), sql.queries[0]);
+    testEqual('Page order', result.records.map(row => row.InvoiceId), [1, 2]);
+    test('No rows before the first page', result.prevCursor === null);
+    test('Next cursor', Boolean(result.nextCursor));
+}
+
+console.log('\nTest 4: cursor values keep dates and are bound to the case-insensitive sort expression');
+{
+    const createdOn = new Date('2024-03-01T10:00:00.000Z');
+    const { bo, sql } = createBusinessObject('Invoice', invoice, { results: [] });
+    sql.caseInsensitiveOrderBy = true;
+    const keys = [{ field: 'Main.Name', direction: 'ASC', isKey: false }, { field: 'Main.CreatedOn', direction: 'ASC', isKey: false }, { field: 'Main.InvoiceId', direction: 'ASC', isKey: true }];
+    const cursor = encodeCursor({ keys, record: { Name: 'a', CreatedOn: createdOn, InvoiceId: 4 }, direction: 'next' });
+    await bo.list({ cursor, sort: 'Name, CreatedOn', limit: 10, returnCount: false });
+    const { value } = sql.requests[0].parameters._cursor1;
+    test('Dates are restored', value instanceof Date && value.getTime() === createdOn.getTime());
+    test('Case-insensitive condition', /UPPER\(Main\.Name\) > UPPER\(@_cursor0\)/.test(sql.queries[0]), sql.queries[0]);
+    test('Case-insensitive ORDER BY', /ORDER BY UPPER\(Main\.Name\) ASC, UPPER\(Main\.CreatedOn\) ASC, Main\.InvoiceId ASC/.test(sql.queries[0]));
+}
+
+console.log('\nTest 5: NULL sort values are kept in the cursor and matched with IS NULL');
+{
+    const dueOn = new Date('2024-03-01T00:00:00.000Z');
+    const { bo: first } = createBusinessObject('Invoice', invoice, { results: () => [{ InvoiceId: 1, DueDate: null }, { InvoiceId: 2, DueDate: null }, { InvoiceId: 3, DueDate: dueOn }] });
+    const { nextCursor } = await first.list({ paging: 'cursor', sort: 'DueDate', limit: 2, returnCount: false });
+    const { bo, sql } = createBusinessObject('Invoice', invoice, { results: [] });
+    await bo.list({ cursor: nextCursor, sort: 'DueDate', limit: 2, returnCount: false });
+    test('Ascending NULL cursor', /WHERE \(\(Main\.DueDate IS NOT NULL\) OR \(Main\.DueDate IS NULL AND Main\.InvoiceId > @_cursor1\)\) ORDER BY/.test(sql.queries[0]), sql.queries[0]);
+    test('No parameter for NULL', !('_cursor0' in sql.requests[0].parameters));
+
+    const keys = [{ field: 'Main.DueDate', direction: 'DESC', isKey: false }, { field: 'Main.InvoiceId', direction: 'ASC', isKey: true }];
+    const { bo: descending, sql: descendingSql } = createBusinessObject('Invoice', invoice, { results: [] });
+    await descending.list({ cursor: encodeCursor({ keys, record: { DueDate: null, InvoiceId: 2 }, direction: 'next' }), sort: 'DueDate DESC', limit: 2, returnCount: false });
+    test('Descending NULL cursor', /WHERE \(\(Main\.DueDate IS NULL AND Main\.InvoiceId > @_cursor1\)\) ORDER BY/.test(descendingSql.queries[0]), descendingSql.queries[0]);
+    test('NULL keyField values are rejected', await getError(() => encodeCursor({ keys, record: { DueDate: dueOn, InvoiceId: null }, direction: 'next' })) instanceof BusinessError);
+}
+
+console.log('\nTest 6: cursors from another sort order and malformed cursors are rejected');
+{
+    const { bo: first } = createBusinessObject('Invoice', invoice, { results: () => invoices(1, 2, 3) });
+    const { nextCursor } = await first.list({ paging: 'cursor', sort: 'Amount DESC', limit: 2, returnCount: false });
+    const { bo } = createBusinessObject('Invoice', invoice, { results: [] });
+    test('Different sort order', /different sort order/.test((await getError(() => bo.list({ cursor: nextCursor, sort: 'Amount ASC', limit: 2 })))?.message));
+    test('Malformed cursor', await getError(() => bo.list({ cursor: 'not-a-cursor', limit: 2 })) instanceof BusinessError);
+    test('Cursor paging with groupBy', await getError(() => bo.list({ paging: 'cursor', groupBy: 'Amount', limit: 2 })) instanceof BusinessError);
+}
+
+console.log('\nTest 7: countMode none skips the count and estimate reads the catalog');
+{
+    const { bo, sql } = createBusinessObject('Invoice', invoice, { results: () => ({ recordsets: [invoices(1), [{ TotalCount: 1000 }]] }) });
+    const skipped = await bo.list({ paging: 'cursor', limit: 10, countMode: 'none' });
+    test('No count query', !sql.queries[0].includes('TotalCount'));
+    test('No recordCount', !('recordCount' in skipped));
+
+    const estimated = await bo.list({ paging: 'cursor', limit: 10, countMode: 'estimate' });
+    test('Catalog query', /sys\.partitions .*OBJECT_ID\(@_countTable\)/.test(sql.queries[1]), sql.queries[1]);
+    test('Table parameter', sql.requests[1].parameters._countTable.value === 'Invoice');
+    test('Estimated count', estimated.recordCount === 1000);
+    test('Count is flagged as estimated', estimated.recordCountEstimated === true);
+
+    const filtered = await bo.list({ paging: 'cursor', limit: 10, countMode: 'estimate', filter: JSON.stringify([{ field: 'Amount', operator: '>', value: 5 }]) });
+    test('Filtered lists are counted exactly', /SELECT COUNT\(1\) AS TotalCount FROM Invoice Main WHERE Main\.Amount > @Amount_0/.test(sql.queries[2]), sql.queries[2]);
+    test('Exact counts are not flagged', !('recordCountEstimated' in filtered));
+}
+
+console.log('\nTest 8: estimate falls back to the exact count for client based lists, views and custom statements');
+{
+    const results = () => ({ recordsets: [invoices(1), [{ TotalCount: 1 }]] });
+    const clientBased = createBusinessObject('Invoice', { ...invoice, clientBased: true, user: { scopeId: 7 } }, { results });
+    const scoped = await clientBased.bo.list({ limit: 10, countMode: 'estimate' });
+    test('Client based lists are counted exactly', /SELECT COUNT\(1\) AS TotalCount FROM Invoice Main WHERE Main\.ClientId = /.test(clientBased.sql.queries[0]), clientBased.sql.queries[0]);
+    test('Client based counts are not flagged', !('recordCountEstimated' in scoped));
+
+    const sources = {
+        'Custom listStatement': { listStatement: 'SELECT Main.* FROM Invoice Main INNER JOIN Payment P ON P.InvoiceId = Main.InvoiceId' },
+        View: { standardTable: true, softDelete: false }
+    };
+    for (const [label, props] of Object.entries(sources)) {
+        const { bo, sql } = createBusinessObject('Invoice', { ...invoice, ...props }, { results });
+        const result = await bo.list({ limit: 10, countMode: 'estimate' });
+        test(`${label} is counted exactly`, !/sys\.partitions/.test(sql.queries[0]) && !('recordCountEstimated' in result), sql.queries[0]);
+    }
+}
+
+console.log('\nTest 9: exact count ignores the cursor condition');
+{
+    const { bo, sql } = createBusinessObject('Invoice', invoice, { results: () => ({ recordsets: [invoices(5), [{ TotalCount: 5 }]] }) });
+    const cursor = encodeCursor({ keys: [{ field: 'Main.InvoiceId', direction: 'ASC', isKey: true }], record: { InvoiceId: 4 }, direction: 'next' });
+    const result = await bo.list({ cursor, limit: 10 });
+    const [, countQuery] = sql.queries[0].split(';');
+    test('No cursor in the count query', !countQuery.includes('_cursor'), countQuery);
+    test('Record count', result.recordCount === 5);
+}
+
+report();
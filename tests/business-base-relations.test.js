@@ -0,0 +1,96 @@
+/**
+ * Tests for ManyToOne display field joins, ManyToMany junction rows (load, save, filters)
+ * and the OneToOne list join.
+ */
+
+import { BusinessError } from '../lib/business/errors.mjs';
+import { test, testEqual, getError, report, createBusinessObject } from './helpers/mocks.mjs';
+
+const relations = [
+    { relation: 'Customer', type: 'ManyToOne', table: 'Customers', field: 'CustomerId', displayFields: { CustomerName: 'Name', CustomerCity: 'City' } },
+    { relation: 'Tag', type: 'ManyToMany', table: 'OrderTag', field: 'TagId', targetTable: 'Tags', payload: ['SortOrder'] }
+];
+
+const order = { tableName: 'Orders', keyField: 'OrderId', standardTable: false, user: { id: 3 }, relations };
+
+console.log('Testing relationship types...\n');
+
+console.log('Test 1: ManyToOne display fields are joined into list and can be filtered and sorted');
+{
+    const { bo, sql } = createBusinessObject('Order', order, { results: [] });
+    await bo.list({ filter: [{ field: 'Customer.City', operator: '=', value: 'Oslo' }], sort: 'Customer.Name DESC', limit: 10 });
+    const [query] = sql.requests[0].queries;
+    test('Display fields are joined', /^SELECT Main\.\*, \[Customer\]\.\[Name\] AS CustomerName, \[Customer\]\.\[City\] AS CustomerCity FROM Orders Main\s+LEFT OUTER JOIN \[Customers\] \[Customer\] ON \[Customer\]\.\[CustomerId\] = Main\.\[CustomerId\]/.test(query), query);
+    test('Filter', /WHERE \[Customer\]\.\[City\] = @Customer_City_0/.test(query));
+    test('Filter parameter', sql.requests[0].parameters.Customer_City_0.value === 'Oslo');
+    test('Sort', /ORDER BY \[Customer\]\.\[Name\] DESC OFFSET/.test(query));
+}
+
+console.log('\nTest 2: load joins ManyToOne fields and returns ManyToMany junction rows');
+{
+    const { bo, sql } = createBusinessObject('Order', order, { results: [{ recordsets: [[{ OrderId: 5, CustomerName: 'Acme' }], [{ TagId: 1, SortOrder: 2 }]] }] });
+    const record = await bo.load({ id: 5 });
+    const [query] = sql.requests[0].queries;
+    test('ManyToOne join', /LEFT OUTER JOIN \[Customers\] \[Customer\] ON .* WHERE Main\.OrderId = @OrderId;/.test(query), query);
+    test('Junction rows', /SELECT \[TagId\], \[SortOrder\] FROM \[OrderTag\] WHERE \[OrderId\] = @OrderId AND IsDeleted = 0;/.test(query));
+    testEqual('Record', record, { OrderId: 5, CustomerName: 'Acme', Tags: [{ TagId: 1, SortOrder: 2 }] });
+}
+
+console.log('\nTest 3: ManyToMany filters keep parents with a matching related record');
+{
+    const { bo, sql } = createBusinessObject('Order', order, { results: [] });
+    await bo.list({ filter: [{ field: 'Tags.Name', operator: '=', value: 'red' }, { field: 'Tags.SortOrder', operator: '>', value: 1 }], limit: 10 });
+    const [query] = sql.requests[0].queries;
+    test('Target table filter', query.includes('EXISTS (SELECT 1 FROM [OrderTag] [TagLink] INNER JOIN [Tags] [Tag] ON [Tag].[TagId] = [TagLink].[TagId] WHERE [TagLink].[OrderId] = Main.[OrderId] AND [TagLink].IsDeleted = 0 AND [Tag].[Name] = @_related0_0)'), query);
+    test('Payload filter', query.includes('AND [TagLink].[SortOrder] > @_related1_0)'));
+    test('Filter parameter', sql.requests[0].parameters._related0_0.value === 'red');
+
+    const tree = createBusinessObject('Order', order, { results: [] });
+    await tree.bo.list({ filter: { or: [{ field: 'Tags.Name', operator: '=', value: 'red' }, { field: 'Customer.City', operator: '=', value: 'Oslo' }] }, limit: 10 });
+    test('Filter trees', /WHERE \(\(EXISTS \(.*\[Tag\]\.\[Name\] = @_related0_0\)\) OR \[Customer\]\.\[City\] = @_filter1\)/.test(tree.sql.requests[0].queries[0]), tree.sql.requests[0].queries[0]);
+
+    test('ManyToMany fields cannot be sorted', await getError(() => createBusinessObject('Order', order, { results: [] }).bo.list({ sort: 'Tags.Name', limit: 10 })) instanceof BusinessError);
+}
+
+console.log('\nTest 4: saving ManyToMany rows inserts, updates and removes junction rows');
+{
+    const { bo, sql } = createBusinessObject('Order', order, { results: [[{ TagId: 1, SortOrder: 1 }, { TagId: 2, SortOrder: 1 }, { TagId: 4, SortOrder: null }]] });
+    await bo.saveManyToMany({ sql, id: 5, keyField: 'OrderId', user: bo.user, relation: relations[1], rows: [{ TagId: '1', SortOrder: 1 }, { TagId: 2, SortOrder: 5 }, { TagId: 3 }] });
+    const [read, write] = sql.requests[0].queries;
+    const { parameters } = sql.requests[0];
+    testEqual('Current rows are read', read, 'SELECT [TagId], [SortOrder] FROM [OrderTag] WHERE [OrderId] = @KeyField AND IsDeleted = 0;');
+    const statements = write.split(';\r\n');
+    test('Three statements', statements.length === 3);
+    testEqual('Removed rows', statements[0], 'UPDATE [OrderTag] SET IsDeleted = 1, ModifiedByUserId = @UserId, ModifiedOn = GETUTCDATE() WHERE [OrderId] = @KeyField AND IsDeleted = 0 AND [TagId] IN (@_removed0)');
+    testEqual('Changed payload', statements[1], 'UPDATE [OrderTag] SET [SortOrder] = @_row1_SortOrder, ModifiedByUserId = @UserId, ModifiedOn = GETUTCDATE() WHERE [OrderId] = @KeyField AND IsDeleted = 0 AND [TagId] = @_row1');
+    testEqual('New rows', statements[2], 'INSERT INTO [OrderTag] ([OrderId], [TagId], CreatedByUserId, ModifiedByUserId) VALUES (@KeyField, @_row2, @UserId, @UserId);');
+    testEqual('Parameters', [parameters._removed0.value, parameters._row1_SortOrder.value, parameters._row2.value], [4, 5, 3]);
+}
+
+console.log('\nTest 5: ManyToMany ids may be sent as a comma-separated string and are hard deleted without soft delete');
+{
+    const { bo, sql } = createBusinessObject('Order', { ...order, softDelete: false }, { results: [[{ TagId: 1 }, { TagId: 2 }]] });
+    await bo.saveManyToMany({ sql, id: 5, keyField: 'OrderId', user: bo.user, relation: { ...relations[1], payload: [] }, rows: '2, 3' });
+    testEqual('Statements', sql.requests[0].queries[1], 'DELETE FROM [OrderTag] WHERE [OrderId] = @KeyField AND [TagId] IN (@_removed0);\r\nINSERT INTO [OrderTag] ([OrderId], [TagId], CreatedByUserId, ModifiedByUserId) VALUES (@KeyField, @_row1, @UserId, @UserId);');
+    const err = await getError(() => bo.saveManyToMany({ sql, id: 5, keyField: 'OrderId', user: bo.user, relation: relations[1], rows: [{ SortOrder: 1 }] }));
+    test('Rows without the related key', /rows require TagId/.test(err?.message), err?.message);
+}
+
+console.log('\nTest 6: save does not write display fields and ManyToMany rows as columns');
+{
+    const { bo } = createBusinessObject('Order', order, { results: [] });
+    const context = await bo.prepareSave({ id: 5, Amount: 10, CustomerName: 'Acme', Tags: [{ TagId: 1 }] });
+    test('Columns are written', context.requestValues.Amount === 10);
+    test('Display fields are not written', !('CustomerName' in context.requestValues));
+    test('ManyToMany rows are not written', !('Tags' in context.requestValues));
+    testEqual('ManyToMany rows are kept', context.values.Tags, [{ TagId: 1 }]);
+}
+
+console.log('\nTest 7: OneToOne list columns are joined on the key of the business object');
+{
+    const { bo, sql } = createBusinessObject('Order', { ...order, relations: [{ relation: 'Profile', type: 'OneToOne', listColumns: ['Bio', 'Region'] }] }, { results: [] });
+    await bo.list({ limit: 10 });
+    test('Join', /^SELECT Main\.\*, Profile\.Bio, Profile\.Region FROM Orders Main LEFT OUTER JOIN \(SELECT OrderId, Bio, Region FROM Profile WHERE IsDeleted = 0\) Profile ON Profile\.OrderId = Main\.OrderId/.test(sql.requests[0].queries[0]), sql.requests[0].queries[0]);
+}
+
+report();
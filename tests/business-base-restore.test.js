@@ -0,0 +1,115 @@
+/**
+ * Tests for restoring soft deleted records and listing deleted records.
+ */
+
+import Sql from '../lib/sql.js';
+import { BusinessError, PermissionError } from '../lib/business/errors.mjs';
+import { test, testEqual, getError, report, createMockSql, createBusinessObject } from './helpers/mocks.mjs';
+
+const deletedOn = new Date('2024-05-01T10:00:00Z');
+
+function createOrderSql({ rowsAffected = 1, childError, stored = [{ OrderId: 5, ClientId: 10, IsDeleted: 1 }] } = {}) {
+    // the first query reads the stored record to check that it belongs to the client
+    const sql = createMockSql({ insertResult: { success: true, rowsAffected: [rowsAffected] }, results: [stored] });
+    sql.buildParameterName = new Sql().buildParameterName;
+    sql.query = async (statement, options) => {
+        sql.queries.push({ statement, ...options });
+        if (statement.startsWith('SELECT ModifiedOn')) {
+            return [{ ModifiedOn: deletedOn }];
+        }
+        if (childError) {
+            throw childError;
+        }
+        return [];
+    };
+    return sql;
+}
+
+const order = {
+    tableName: 'Order',
+    keyField: 'OrderId',
+    clientBased: true,
+    user: { id: 3, scopeId: 10 },
+    relations: [{ relation: 'Tag', type: 'OneToMany', field: 'TagId' }],
+    childTables: [{ tableName: 'OrderItem' }, { tableName: 'OrderNote', foreignKey: 'ParentOrderId', useDeleteKey: true }]
+};
+
+console.log('Testing restore...\n');
+
+console.log('Test 1: IsDeleted is cleared on the record and cascades to the childTables rows of its delete');
+{
+    const { bo, sql } = createBusinessObject('Order', order, { sql: createOrderSql() });
+    const result = await bo.restore({ id: 5 });
+    test('Restore succeeds', result.success === true);
+    const [{ json, where, update }] = sql.writes;
+    test('Record is updated', update === true);
+    test('IsDeleted is cleared', json.IsDeleted === 0);
+    test('ModifiedByUserId is set', json.ModifiedByUserId === 3);
+    testEqual('Only deleted records of the client match', where, { _isDeleted: { fieldName: 'IsDeleted', value: 1 }, _clientId: { fieldName: 'ClientId', value: 10 } });
+    test('Stored record is read for the client', /^SELECT Main\.\* FROM Order Main WHERE Main\.OrderId = @OrderId AND Main\.ClientId = @ClientId$/.test(sql.queries[0].statement), sql.queries[0].statement);
+    test('Delete stamp is read', sql.queries[1].statement === 'SELECT ModifiedOn FROM Order WHERE OrderId = @RestoreId', sql.queries[1].statement);
+    testEqual('Child tables are restored', sql.queries.slice(2).map(query => query.statement), [
+        'UPDATE OrderItem SET IsDeleted = 0 WHERE OrderId = @RestoreId AND IsDeleted = 1 AND ModifiedOn = @DeletedOn',
+        'UPDATE OrderNote SET IsDeleted = 0, DeleteKey = 0 WHERE ParentOrderId = @RestoreId AND IsDeleted = 1 AND ModifiedOn = @DeletedOn'
+    ]);
+    testEqual('Restore parameters', sql.queries[2].parameters, { RestoreId: 5, DeletedOn: deletedOn });
+    // rows of relation tables are deleted by saves only, so they stay deleted
+    test('Relation tables are not restored', !sql.queries.some(query => /Tag/.test(query.statement)));
+}
+
+console.log('\nTest 2: 404 when no deleted record matches');
+{
+    const { bo, sql } = createBusinessObject('Order', order, { sql: createOrderSql({ rowsAffected: 0 }) });
+    const err = await getError(() => bo.restore({ id: 5 }));
+    test('404 is thrown', err instanceof BusinessError && err.statusCode === 404);
+    test('Child tables are not touched', !sql.queries.some(query => query.statement.startsWith('UPDATE')));
+}
+
+console.log('\nTest 3: records of another client cannot be restored');
+{
+    const { bo, sql } = createBusinessObject('Order', order, { sql: createOrderSql({ stored: [] }) });
+    const err = await getError(() => bo.restore({ id: 5 }));
+    test('403 is thrown', err instanceof PermissionError && err.statusCode === 403);
+    test('Nothing is written', sql.writes.length === 0);
+}
+
+console.log('\nTest 4: unique index violations become a 409');
+{
+    const { bo } = createBusinessObject('Order', order, { sql: createOrderSql({ childError: Object.assign(new Error('Cannot insert duplicate key row'), { number: 2601 }) }) });
+    const err = await getError(() => bo.restore({ id: 5 }));
+    test('409 is thrown', err instanceof BusinessError && err.statusCode === 409);
+}
+
+console.log('\nTest 5: records with softDelete disabled cannot be restored');
+{
+    const { bo } = createBusinessObject('Order', order, { sql: createOrderSql() });
+    bo.softDelete = false;
+    const err = await getError(() => bo.restore({ id: 5 }));
+    test('BusinessError is thrown', err instanceof BusinessError && /softDelete is disabled/.test(err.message), err?.message);
+    test('Status is 405', err?.statusCode === 405, err?.statusCode);
+}
+
+console.log('\nTest 6: createWhere lists only deleted records with showDeleted');
+{
+    const { bo } = createBusinessObject('Order', order, { sql: createOrderSql() });
+    bo.clientBased = false;
+    testEqual('Active records by default', await bo.createWhere({ isStandard: true }), { 'Main.IsDeleted': 0 });
+    testEqual('Deleted records with showDeleted', await bo.createWhere({ isStandard: true, showDeleted: true }), { 'Main.IsDeleted': 1 });
+    testEqual('showDeleted without isStandard', await bo.createWhere({ showDeleted: true }), { 'Main.IsDeleted': 1 });
+}
+
+console.log('\nTest 7: delete stamps the record and its active childTables rows with the same ModifiedOn');
+{
+    const { bo, sql } = createBusinessObject('Order', order, { sql: createOrderSql() });
+    await bo.delete({ id: 5 });
+    const [{ json }] = sql.writes;
+    test('Record is deleted', json.IsDeleted === 1 && json.ModifiedByUserId === 3);
+    test('Stamp in whole seconds', json.ModifiedOn instanceof Date && json.ModifiedOn.getMilliseconds() === 0);
+    testEqual('Active child rows are stamped', sql.queries.slice(1).map(query => query.statement), [
+        'UPDATE OrderItem SET IsDeleted = 1, ModifiedOn = @DeletedOn WHERE OrderId = @DeleteId AND IsDeleted = 0',
+        'UPDATE OrderNote SET IsDeleted = 1, ModifiedOn = @DeletedOn, DeleteKey = OrderNote.OrderNoteId WHERE ParentOrderId = @DeleteId AND IsDeleted = 0'
+    ]);
+    testEqual('Delete parameters', sql.queries[1].parameters, { DeleteId: 5, DeletedOn: json.ModifiedOn });
+}
+
+report();
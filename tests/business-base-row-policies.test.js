@@ -0,0 +1,161 @@
+/**
+ * Tests for rowPolicies: combining the policies of an operation for a user, enforcement in SQL reads,
+ * Elastic queries and on save/delete.
+ */
+
+import { ElasticBusinessBase } from '../lib/business/elastic-business-base.mjs';
+import { PermissionError } from '../lib/business/errors.mjs';
+import { getRowPolicyFilter, matchesRowFilter } from '../lib/business/row-policies.mjs';
+import { test, testEqual, getError, report, createBusinessObject } from './helpers/mocks.mjs';
+
+const rowPolicies = [
+    { name: 'territory', when: (user) => user.roles?.includes('SalesRep'), filter: { field: 'TerritoryId', operator: 'isAnyOf', value: { $user: 'territoryIds' } } },
+    { name: 'team', operations: ['load', 'list', 'lookupList'], when: (user) => user.roles?.includes('Manager'), filter: (user) => ({ or: [{ field: 'OwnerId', operator: '=', value: user.id }, { field: 'ManagerId', operator: '=', value: user.id }] }) },
+    { name: 'admin', when: (user) => user.isAdmin, filter: true }
+];
+
+const salesRep = { id: 3, roles: ['SalesRep'], territoryIds: [1, 2] };
+
+const opportunity = { tableName: 'Opportunity', keyField: 'OpportunityId', standardTable: false, user: salesRep, rowPolicies };
+
+const isPermissionError = (err) => err instanceof PermissionError && err.statusCode === 403;
+
+console.log('Testing row policies...\n');
+
+console.log('Test 1: the policies of an operation are combined for the user');
+{
+    testEqual('Single policy', getRowPolicyFilter({ policies: rowPolicies, operation: 'list', user: salesRep }), { field: 'TerritoryId', operator: 'isAnyOf', value: [1, 2] });
+    const both = getRowPolicyFilter({ policies: rowPolicies, operation: 'list', user: { ...salesRep, roles: ['SalesRep', 'Manager'] } });
+    test('Policies are combined with OR', both.or.length === 2);
+    // the team policy does not allow deletes
+    test('Operation without a policy', getRowPolicyFilter({ policies: rowPolicies, operation: 'delete', user: { id: 3, roles: ['Manager'] } }) === false);
+    test('Unrestricted policy', getRowPolicyFilter({ policies: rowPolicies, operation: 'list', user: { isAdmin: true, ...salesRep } }) === null);
+    // a missing or empty user attribute grants nothing
+    test('Empty user attribute', getRowPolicyFilter({ policies: rowPolicies, operation: 'list', user: { roles: ['SalesRep'], territoryIds: [] } }) === false);
+    test('No policies', getRowPolicyFilter({ policies: [], operation: 'list', user: salesRep }) === null);
+
+    const restrictive = [{ filter: true }, { restrictive: true, filter: { field: 'Region', operator: '=', value: { $user: 'tags.region' } } }];
+    testEqual('Restrictive policy', getRowPolicyFilter({ policies: restrictive, operation: 'load', user: { tags: { region: 'EU' } } }), { field: 'Region', operator: '=', value: 'EU' });
+    test('Restrictive policy without the attribute', getRowPolicyFilter({ policies: restrictive, operation: 'load', user: {} }) === false);
+}
+
+console.log('\nTest 2: list, load and lookupList queries are filtered by the policies');
+{
+    const { bo, sql } = createBusinessObject('Opportunity', opportunity, { results: [] });
+    await bo.list({ filter: [{ field: 'StageId', operator: '=', value: 4 }], limit: 10 });
+    const [query] = sql.requests[0].queries;
+    test('List', /WHERE Main\.TerritoryId IN \(SELECT Value FROM @_policy0\) AND Main\.StageId = @StageId/.test(query), query);
+    test('Count', /SELECT COUNT\(1\) AS TotalCount FROM Opportunity Main WHERE Main\.TerritoryId IN \(SELECT Value FROM @_policy0\)/.test(query));
+
+    const manager = createBusinessObject('Opportunity', { ...opportunity, user: { id: 7, roles: ['Manager'] } }, { results: [[{ OpportunityId: 5 }]] });
+    await manager.bo.load({ id: 5 });
+    test('Load', /WHERE \(Main\.OwnerId = @_policy0 OR Main\.ManagerId = @_policy1\) AND OpportunityId = @OpportunityId;/.test(manager.sql.requests[0].queries[0]), manager.sql.requests[0].queries[0]);
+    test('User attribute parameter', manager.sql.requests[0].parameters._policy1.value === 7);
+
+    const lookup = createBusinessObject('Opportunity', { ...opportunity, displayField: 'Name' }, { results: [] });
+    await lookup.bo.lookupList({});
+    test('lookupList', /WHERE Main\.TerritoryId IN \(SELECT Value FROM @_policy0\)/.test(lookup.sql.requests[0].queries[0]), lookup.sql.requests[0].queries[0]);
+}
+
+console.log('\nTest 3: users without an applicable policy see no rows');
+{
+    const { bo, sql } = createBusinessObject('Opportunity', { ...opportunity, user: { id: 9, roles: [] } }, { results: [] });
+    await bo.list({ limit: 10 });
+    test('No rows', /WHERE 1 = 0/.test(sql.requests[0].queries[0]), sql.requests[0].queries[0]);
+}
+
+console.log('\nTest 4: save checks the stored record and the new values');
+{
+    const { bo, sql } = createBusinessObject('Opportunity', opportunity, { results: [[{ OpportunityId: 5, TerritoryId: 2 }]] });
+    const context = await bo.prepareSave({ id: 5, Name: 'Renewal' });
+    test('Values are saved', context.requestValues.Name === 'Renewal');
+    test('Stored record is read under the policy', /^SELECT Main\.\* FROM Opportunity Main WHERE Main\.OpportunityId = @OpportunityId AND Main\.TerritoryId IN \(SELECT Value FROM @_policy0\)$/.test(sql.requests[0].queries[0]), sql.requests[0].queries[0]);
+
+    // moving the record to another territory
+    const moved = createBusinessObject('Opportunity', opportunity, { results: [[{ OpportunityId: 5, TerritoryId: 2 }]] });
+    test('Moving the record outside the policy', isPermissionError(await getError(() => moved.bo.prepareSave({ id: 5, TerritoryId: 8 }))));
+
+    // the stored record is not accessible
+    test('Inaccessible record', isPermissionError(await getError(() => createBusinessObject('Opportunity', opportunity, { results: [[]] }).bo.prepareSave({ id: 5, TerritoryId: 1 }))));
+
+    // new records must be created in one of the territories
+    test('New record inside the policy', await getError(() => createBusinessObject('Opportunity', opportunity, { results: [] }).bo.prepareSave({ id: 0, TerritoryId: '1' })) === undefined);
+    test('New record outside the policy', /permission to save Opportunity/.test((await getError(() => createBusinessObject('Opportunity', opportunity, { results: [] }).bo.prepareSave({ id: 0, Name: 'New' })))?.message));
+}
+
+console.log('\nTest 5: delete and restore apply the delete policies');
+{
+    test('Operation without a policy', isPermissionError(await getError(() => createBusinessObject('Opportunity', { ...opportunity, user: { id: 7, roles: ['Manager'] } }, { results: [] }).bo.delete({ id: 5 }))));
+    const { bo, sql } = createBusinessObject('Opportunity', opportunity, { results: [[]] });
+    test('Inaccessible record', isPermissionError(await getError(() => bo.delete({ id: 5 }))));
+    test('Nothing is deleted', sql.requests.length === 1);
+    test('Restore', isPermissionError(await getError(() => createBusinessObject('Opportunity', opportunity, { results: [[]] }).bo.restore({ id: 5 }))));
+}
+
+console.log('\nTest 6: updates and deletes check the ClientId of the stored record');
+{
+    const clientUser = { id: 3, scopeId: 1 };
+    const { bo } = createBusinessObject('Opportunity', { ...opportunity, rowPolicies: [], clientBased: true, user: clientUser }, { results: [] });
+    const err = await getError(() => bo.prepareSave({ id: 5, ClientId: 2 }));
+    test('ClientId mismatch', err instanceof PermissionError && /belongs to another client/.test(err.message), err?.message);
+
+    // the posted ClientId matches, but the stored record belongs to another client
+    const other = createBusinessObject('Opportunity', { ...opportunity, rowPolicies: [], clientBased: true, user: clientUser }, { results: [[]] });
+    test('Stored record of another client', isPermissionError(await getError(() => other.bo.prepareSave({ id: 5, ClientId: 1 }))));
+    test('Stored record is read for the client', /WHERE Main\.OpportunityId = @OpportunityId AND Main\.ClientId = @ClientId$/.test(other.sql.requests[0].queries[0]), other.sql.requests[0].queries[0]);
+    test('Delete of another client', isPermissionError(await getError(() => createBusinessObject('Opportunity', { ...opportunity, rowPolicies: [], clientBased: true, user: clientUser }, { results: [[]] }).bo.delete({ id: 5 }))));
+
+    const byNumber = createBusinessObject('Opportunity', { ...opportunity, updateKeyField: 'OpportunityNo' }, { results: [[{ OpportunityNo: 'A-5', TerritoryId: 1 }]] });
+    await byNumber.bo.prepareSave({ id: 'A-5', Name: 'Renewal' });
+    test('updateKeyField is matched', /WHERE Main\.OpportunityNo = @OpportunityNo AND/.test(byNumber.sql.requests[0].queries[0]), byNumber.sql.requests[0].queries[0]);
+}
+
+console.log('\nTest 7: custom lookup statements, history and versions apply the policies');
+{
+    const lookup = createBusinessObject('Opportunity', { ...opportunity, lookupListStatement: 'SELECT OpportunityId value, Name label, TerritoryId FROM Opportunity;' }, { results: [] });
+    await lookup.bo.lookupList({});
+    test('Custom lookup statement', lookup.sql.requests[0].queries[0] === 'SELECT * FROM (SELECT OpportunityId value, Name label, TerritoryId FROM Opportunity) Main WHERE TerritoryId IN (SELECT Value FROM @_policy0)', lookup.sql.requests[0].queries[0]);
+
+    const unrestricted = createBusinessObject('Opportunity', { ...opportunity, user: { isAdmin: true }, lookupListStatement: 'SELECT 1' }, { results: [] });
+    await unrestricted.bo.lookupList({});
+    test('Unrestricted lookup statement', unrestricted.sql.requests[0].queries[0] === 'SELECT 1');
+
+    const history = createBusinessObject('Opportunity', { ...opportunity, audit: true }, { results: [[]] });
+    test('History of an inaccessible record', isPermissionError(await getError(() => history.bo.history({ id: 5 }))));
+    test('History is not read', history.sql.requests.length === 1);
+    test('Versions of an inaccessible record', isPermissionError(await getError(() => createBusinessObject('Opportunity', { ...opportunity, versioning: true }, { results: [[]] }).bo.listVersions({ id: 5 }))));
+    test('Version of an inaccessible record', isPermissionError(await getError(() => createBusinessObject('Opportunity', { ...opportunity, versioning: true }, { results: [[]] }).bo.getVersion({ id: 5, version: 1 }))));
+
+    const versions = createBusinessObject('Opportunity', { ...opportunity, versioning: true }, { results: [[{ OpportunityId: 5, TerritoryId: 1 }], [{ VersionNo: 1 }]] });
+    testEqual('Versions of an accessible record', await versions.bo.listVersions({ id: 5 }), [{ VersionNo: 1 }]);
+}
+
+console.log('\nTest 8: Elastic queries are filtered by the policies');
+{
+    const queries = [];
+    class Document extends ElasticBusinessBase { }
+    const bo = new Document();
+    Object.assign(bo, { user: salesRep, rowPolicies, indexName: 'documents' });
+    bo.response = async ({ query }) => {
+        queries.push(query);
+        return { records: [], totalRecords: 0, aggregations: {} };
+    };
+    await bo.fetch({ filter: [{ field: 'Stage', operator: '=', value: 'won' }], facets: ['Stage'] });
+    testEqual('Records query', queries[0].query.bool.filter.bool.must, [{ term: { Stage: 'won' } }, { terms: { TerritoryId: [1, 2] } }]);
+    testEqual('Facet query', queries[1].query.bool.filter.bool.must, [{ terms: { TerritoryId: [1, 2] } }]);
+
+    bo.user = { id: 9 };
+    await bo.fetch({});
+    testEqual('No applicable policy', queries[2].query.bool.filter.bool.must, [{ bool: { must_not: [{ match_all: {} }] } }]);
+}
+
+console.log('\nTest 9: saved values are matched in memory');
+{
+    const filter = { and: [{ field: 'TerritoryId', operator: 'isAnyOf', value: [1, 2] }, { not: { field: 'Name', operator: 'startsWith', value: 'x' } }] };
+    test('Matching values', matchesRowFilter({ TerritoryId: '2', Name: 'Deal' }, filter) === true);
+    test('Excluded values', matchesRowFilter({ TerritoryId: 2, Name: 'Xmas' }, filter) === false);
+    test('Numbers sent as strings', matchesRowFilter({ Amount: '15' }, { field: 'Amount', operator: '>', value: 9 }) === true);
+    test('Operators that cannot be checked', /cannot be checked/.test((await getError(() => matchesRowFilter({}, { field: 'CreatedOn', operator: 'isToday' })))?.message));
+}
+
+report();
@@ -0,0 +1,90 @@
+/**
+ * Tests for BusinessBase.save() running the parent row, multi-select rows and
+ * the afterSave hook inside one transaction.
+ */
+
+import { sqlErrorMapper } from '../lib/business/error-mapper.mjs';
+import { test, testEqual, getError, report, createMockSql, createBusinessObject } from './helpers/mocks.mjs';
+
+const product = { keyField: 'ProductId', user: { id: 7 }, multiSelectColumns: { Tags: { type: 'number' } } };
+
+// records the parent row and multi-select statements as events
+function createProductSql({ insertResult = { success: true, data: [{ Id: 42 }] }, failMultiSelect = false } = {}) {
+    const sql = createMockSql();
+    const { events } = sql;
+    sql.insertUpdate = async ({ tableName, update }) => {
+        events.push(`${update ? 'update' : 'insert'}:${tableName}`);
+        return { ...insertResult };
+    };
+    sql.query = async (query) => {
+        if (failMultiSelect && query.startsWith('INSERT')) {
+            events.push('multiSelect:error');
+            throw { number: 2627 };
+        }
+        events.push(query.startsWith('SELECT') ? 'multiSelect:read' : 'multiSelect:write');
+        return [];
+    };
+    sql.addParameters = ({ query }) => query;
+    return sql;
+}
+
+console.log('Testing BusinessBase.save transaction...\n');
+
+console.log('Test 1: parent row, multi-select rows and afterSave are committed together');
+{
+    const { bo, sql } = createBusinessObject('Product', product, { sql: createProductSql() });
+    const { events } = sql;
+    let hookParams;
+    bo.afterSave = async (params) => {
+        hookParams = params;
+        events.push('afterSave');
+    };
+    const result = await bo.save({ id: 0, Name: 'Widget', Tags: '1,2' });
+    test('Save succeeds', result.success === true);
+    testEqual('Statements run in one transaction', events, ['begin', 'insert:Product', 'multiSelect:read', 'multiSelect:write', 'afterSave', 'commit']);
+    test('afterSave receives the new id', hookParams.id === 42);
+    test('afterSave receives the transaction scope', hookParams.sql === sql.tx);
+    test('afterSave receives a transaction bound request', !!hookParams.request);
+}
+
+console.log('\nTest 2: multi-select failures roll back and return the error');
+{
+    const { bo, sql: { events } } = createBusinessObject('Product', product, { sql: createProductSql({ failMultiSelect: true }) });
+    let hookParams;
+    bo.afterSave = async (params) => {
+        hookParams = params;
+        events.push('afterSave');
+    };
+    const result = await bo.save({ id: 0, Name: 'Widget', Tags: '1' });
+    test('Save fails', result.success === false);
+    test('Error is mapped', result.err === 'Unknown error', result.err);
+    test('Transaction is rolled back', events.at(-2) === 'rollback');
+    test('afterSave runs after the rollback', events.at(-1) === 'afterSave');
+    test('afterSave receives the failed result outside the transaction', hookParams.result.success === false && !hookParams.sql.inTransaction);
+    test('No compensating DELETE statements run', !events.some(event => event.startsWith('DELETE')));
+}
+
+console.log('\nTest 3: errors raised by afterSave roll back and are re-thrown');
+{
+    const { bo, sql: { events } } = createBusinessObject('Product', product, { sql: createProductSql() });
+    bo.afterSave = async () => { throw new Error('hook failed'); };
+    const err = await getError(() => bo.save({ id: 5, Name: 'Widget' }));
+    test('Error is re-thrown', err?.message === 'hook failed');
+    testEqual('Update is rolled back', events, ['begin', 'update:Product', 'rollback']);
+}
+
+console.log('\nTest 4: a failed insertUpdate without an err still fails the save');
+{
+    const { bo, sql: { events } } = createBusinessObject('Product', product, { sql: createProductSql({ insertResult: { success: false } }) });
+    // no sql-error-mappings.json in the test run
+    sqlErrorMapper.mappings = [];
+    let afterSaveCalled = false;
+    bo.afterSave = async () => { afterSaveCalled = true; };
+    const result = await bo.save({ id: 5, Name: 'Widget' });
+    test('Save fails', result.success === false);
+    test('An error message is returned', typeof result.err === 'string' && result.err.length > 0, result.err);
+    test('Transaction is rolled back', events.includes('rollback'));
+    test('afterSave is called', afterSaveCalled);
+}
+
+report();
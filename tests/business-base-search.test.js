@@ -0,0 +1,97 @@
+/**
+ * Tests for list({ search }): LIKE fallback over searchFields, SQL Server CONTAINS/FREETEXT,
+ * MySQL MATCH ... AGAINST and sorting by relevance.
+ */
+
+import Mysql from '../lib/mysql.js';
+import { BusinessError } from '../lib/business/errors.mjs';
+import { test, getError, report, createBusinessObject } from './helpers/mocks.mjs';
+
+const customer = { tableName: 'Customer', keyField: 'CustomerId', standardTable: false, searchFields: ['Name', 'City'] };
+
+// value of a parameter of the list request
+const parameter = (sql, name) => sql.requests[0].parameters[name]?.value;
+
+console.log('Testing list search...\n');
+
+console.log('Test 1: without a full-text index every word must match one of the search fields');
+{
+    const { bo, sql } = createBusinessObject('Customer', customer, { results: [] });
+    await bo.list({ search: ' north  wind ', limit: 10 });
+    const [query] = sql.queries;
+    test('Every word matches a field', /WHERE \(\(Main\.Name LIKE @_search0 OR Main\.City LIKE @_search1\) AND \(Main\.Name LIKE @_search2 OR Main\.City LIKE @_search3\)\)/.test(query), query);
+    test('First word', parameter(sql, '_search0') === '%north%');
+    test('Second word', parameter(sql, '_search3') === '%wind%');
+    test('Count uses the search', /SELECT COUNT\(1\) AS TotalCount FROM Customer Main WHERE \(\(Main\.Name LIKE/.test(query));
+}
+
+console.log('\nTest 2: LIKE wildcards in the search are matched literally');
+{
+    const { bo, sql } = createBusinessObject('Customer', { ...customer, searchFields: ['Name'] }, { results: [] });
+    await bo.list({ search: '50%_[a]', limit: 10 });
+    test('SQL Server escaping', parameter(sql, '_search0') === '%50[%][_][[]a]%', parameter(sql, '_search0'));
+
+    const mysql = createBusinessObject('Customer', { ...customer, searchFields: ['Name'] }, { Dialect: Mysql });
+    await mysql.bo.list({ search: '50%_\\', limit: 10 });
+    test('MySQL escaping', parameter(mysql.sql, '_search0') === '%50\\%\\_\\\\%', parameter(mysql.sql, '_search0'));
+}
+
+console.log('\nTest 3: sortByRelevance orders LIKE matches by the number of matching fields before sort');
+{
+    const { bo, sql } = createBusinessObject('Customer', customer, { results: [] });
+    await bo.list({ search: 'north', sortByRelevance: true, sort: 'Name', limit: 10 });
+    test('Rank ORDER BY', /ORDER BY \(CASE WHEN Main\.Name LIKE @_searchRank0_0 THEN 1 ELSE 0 END \+ CASE WHEN Main\.City LIKE @_searchRank1_0 THEN 1 ELSE 0 END\) DESC, Name OFFSET/.test(sql.queries[0]), sql.queries[0]);
+    test('Rank parameter', parameter(sql, '_searchRank1_0') === '%north%');
+}
+
+console.log('\nTest 4: SQL Server full-text index uses CONTAINS with prefix terms or FREETEXT and ranks through the key');
+{
+    const { bo, sql } = createBusinessObject('Customer', { ...customer, fullTextSearch: true }, { results: [] });
+    await bo.list({ search: 'north "wind', sortByRelevance: 'true', limit: 10 });
+    test('CONTAINS', /WHERE CONTAINS\(\(Main\.Name, Main\.City\), @_search\)/.test(sql.queries[0]), sql.queries[0]);
+    test('Prefix terms', parameter(sql, '_search') === '"north*" AND "wind*"', parameter(sql, '_search'));
+    test('Rank through the key', /ORDER BY \(SELECT SearchRank\.\[RANK\] FROM CONTAINSTABLE\(Customer, \(Name, City\), @_search\) AS SearchRank WHERE SearchRank\.\[KEY\] = Main\.CustomerId\) DESC OFFSET/.test(sql.queries[0]));
+
+    const freetext = createBusinessObject('Customer', { ...customer, fullTextSearch: 'freetext' }, { results: [] });
+    await freetext.bo.list({ search: 'north wind', limit: 10 });
+    test('FREETEXT', /WHERE FREETEXT\(\(Main\.Name, Main\.City\), @_search\)/.test(freetext.sql.queries[0]), freetext.sql.queries[0]);
+    test('FREETEXT search is sent as typed', parameter(freetext.sql, '_search') === 'north wind');
+    test('No rank without sortByRelevance', !/ORDER BY/.test(freetext.sql.queries[0]));
+}
+
+console.log('\nTest 5: MySQL full-text index uses MATCH ... AGAINST and sorts by its score');
+{
+    const { bo, sql } = createBusinessObject('Customer', { ...customer, fullTextSearch: 'contains' }, { Dialect: Mysql });
+    await bo.list({ search: 'north -wind', sortByRelevance: true, limit: 10 });
+    const match = 'MATCH(Main.Name, Main.City) AGAINST (:_search IN BOOLEAN MODE)';
+    test('MATCH in WHERE', sql.queries[0].includes(`WHERE ${match}`), sql.queries[0]);
+    test('MATCH in ORDER BY', sql.queries[0].includes(`ORDER BY ${match} DESC`));
+    test('Boolean terms', parameter(sql, '_search') === '+north* +wind*', parameter(sql, '_search'));
+
+    const natural = createBusinessObject('Customer', { ...customer, fullTextSearch: 'freetext' }, { Dialect: Mysql });
+    await natural.bo.list({ search: 'north wind', limit: 10 });
+    test('Natural language mode', natural.sql.queries[0].includes('AGAINST (:_search IN NATURAL LANGUAGE MODE)'), natural.sql.queries[0]);
+    test('Natural language search is sent as typed', parameter(natural.sql, '_search') === 'north wind');
+}
+
+console.log('\nTest 6: search is combined with filters and ignored when empty');
+{
+    const { bo, sql } = createBusinessObject('Customer', customer, { results: [] });
+    await bo.list({ search: 'north', filter: [{ field: 'City', operator: '=', value: 'Oslo' }], limit: 10 });
+    test('Filter applies', /Main\.City = @/.test(sql.queries[0]), sql.queries[0]);
+    test('Search applies', /Main\.Name LIKE @_search0/.test(sql.queries[0]));
+
+    const empty = createBusinessObject('Customer', customer, { results: [] });
+    await empty.bo.list({ search: '   ', limit: 10 });
+    test('Empty search', !/LIKE|WHERE/.test(empty.sql.queries[0]), empty.sql.queries[0]);
+}
+
+console.log('\nTest 7: invalid searches are rejected');
+{
+    test('No search fields', await getError(() => createBusinessObject('Customer', { ...customer, searchFields: [] }, { results: [] }).bo.list({ search: 'north' })) instanceof BusinessError);
+    test('Objects', /Invalid search/.test((await getError(() => createBusinessObject('Customer', customer, { results: [] }).bo.list({ search: { Name: 'north' } })))?.message));
+    test('Too many words', /limited to 2 words/.test((await getError(() => createBusinessObject('Customer', { ...customer, maxSearchTerms: 2 }, { results: [] }).bo.list({ search: 'a b c' })))?.message));
+    test('Relevance with cursor paging', /sortByRelevance/.test((await getError(() => createBusinessObject('Customer', customer, { results: [] }).bo.list({ search: 'north', sortByRelevance: true, paging: 'cursor', sort: 'Name', limit: 10 })))?.message));
+}
+
+report();
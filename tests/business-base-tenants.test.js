@@ -0,0 +1,239 @@
+/**
+ * Tests for TenantConnections: resolving the database of a tenant, lazy pools, the pool limit and idle eviction,
+ * held pools, and routing business objects, lookups, Auth and SqlHelper.pivot to the tenant database.
+ */
+
+import Framework from '../lib/index.js';
+import Sql from '../lib/sql.js';
+import logger from '../lib/logger.js';
+import BusinessBase, { classMap } from '../lib/business/business-base.mjs';
+import Auth from '../lib/business/auth.mjs';
+import SqlHelper from '../lib/business/sql-helper.mjs';
+import lookup from '../lib/business/lookup.mjs';
+import { TenantConnections, resolveTenantSql } from '../lib/business/tenants.mjs';
+import { test, testEqual, getError, report, silentLogger, createRouter } from './helpers/mocks.mjs';
+
+// Sql with a fake pool that records the queries and returns queued results
+function createSql(name, results = []) {
+    const sql = new Sql();
+    sql.name = name;
+    sql.queries = [];
+    sql.closed = false;
+    sql.createRequest = () => ({
+        input() { },
+        async query(query) {
+            sql.queries.push(query);
+            const next = results.shift() || [];
+            return { recordset: next, recordsets: [next, [{ TotalCount: next.length }]], rowsAffected: [next.length] };
+        }
+    });
+    sql.query = async (query) => {
+        sql.queries.push(query);
+        return results.shift() || [];
+    };
+    sql.close = async () => {
+        sql.closed = true;
+    };
+    return sql;
+}
+
+function createTenants(options = {}) {
+    const created = [];
+    const tenants = new TenantConnections({
+        connections: { 42: { database: 'Acme' }, 77: { database: 'Globex' }, 90: { database: 'Initech' } },
+        cleanupIntervalMinutes: 0,
+        logger: silentLogger,
+        createSql: async (config) => {
+            const sql = createSql(config.database);
+            created.push(sql);
+            return sql;
+        },
+        ...options
+    });
+    return { tenants, created };
+}
+
+class Customer extends BusinessBase {
+    tableName = 'Customer';
+    keyField = 'CustomerId';
+    displayField = 'Name';
+    standardTable = false;
+    clientBased = false;
+}
+
+console.log('Testing tenant connections...\n');
+
+console.log('Test 1: the tenant of user.scopeId gets its own pool, created once');
+{
+    const { tenants, created } = createTenants();
+    const [first, second] = await Promise.all([tenants.getSql({ user: { scopeId: 42 } }), tenants.getSql({ user: { scopeId: 42 } })]);
+    test('Tenant database', first.name === 'Acme');
+    test('Concurrent requests share the pool', first === second && created.length === 1);
+    test('Tenant without a connection', await tenants.getSql({ user: { scopeId: 5 } }) === null);
+    test('No user', await tenants.getSql({}) === null);
+    test('Default logger', new TenantConnections({ cleanupIntervalMinutes: 0 }).logger === logger);
+}
+
+console.log('\nTest 2: a resolver can pick the tenant from the request');
+{
+    const { tenants } = createTenants({
+        resolve: ({ req }) => req?.hostname === 'acme.example.com' ? { key: 'acme', config: { database: 'AcmeEU' } } : null
+    });
+    test('Tenant of the host', (await tenants.getSql({ req: { hostname: 'acme.example.com' } })).name === 'AcmeEU');
+    test('Other hosts', await tenants.getSql({ req: { hostname: 'example.com' }, user: { scopeId: 42 } }) === null);
+}
+
+console.log('\nTest 3: the least recently used pool is closed when maxPools is reached');
+{
+    const { tenants, created } = createTenants({ maxPools: 2 });
+    const acme = await tenants.getSql({ user: { scopeId: 42 } });
+    const globex = await tenants.getSql({ user: { scopeId: 77 } });
+    await tenants.getSql({ user: { scopeId: 42 } });
+    await tenants.getSql({ user: { scopeId: 90 } });
+    testEqual('Pools', [...tenants.pools.keys()], ['42', '90']);
+    test('Least recently used pool is closed', globex.closed === true);
+    test('Recently used pool stays open', acme.closed === false);
+    // a closed tenant reconnects on its next use
+    test('Reconnects', await tenants.getSql({ user: { scopeId: 77 } }) !== globex);
+    test('Pools created', created.length === 4);
+}
+
+console.log('\nTest 4: held pools are not closed until they are released');
+{
+    const { tenants } = createTenants({ maxPools: 1, idleMinutes: 10 });
+    const { sql: acme, release } = await tenants.acquire({ user: { scopeId: 42 } });
+    const globex = await tenants.getSql({ user: { scopeId: 77 } });
+    test('Held pool stays open', acme.closed === false);
+    test('maxPools is exceeded while the pool is held', tenants.pools.size === 2);
+    tenants.pools.get('42').lastUsed -= 11 * 60 * 1000;
+    await tenants.evictIdle();
+    test('Idle held pool stays open', acme.closed === false);
+
+    release();
+    release();
+    test('Release is counted once', tenants.pools.get('42').refs === 0);
+    await tenants.getSql({ user: { scopeId: 77 } });
+    test('Released pool is closed', acme.closed === true && globex.closed === false);
+
+    const releaseGlobex = tenants.retain(globex);
+    await tenants.getSql({ user: { scopeId: 90 } });
+    test('Retained pool stays open', globex.closed === false);
+    releaseGlobex();
+    test('Shared database is not held', typeof tenants.retain(createSql('Shared')) === 'function');
+    testEqual('Shared tenant', (await tenants.acquire({ user: { scopeId: 5 } })).sql, null);
+}
+
+console.log('\nTest 5: idle pools are closed');
+{
+    const { tenants } = createTenants({ idleMinutes: 10 });
+    const acme = await tenants.getSql({ user: { scopeId: 42 } });
+    const globex = await tenants.getSql({ user: { scopeId: 77 } });
+    tenants.pools.get('42').lastUsed -= 11 * 60 * 1000;
+    await tenants.evictIdle();
+    test('Idle pool is closed', acme.closed === true);
+    test('Active pool stays open', globex.closed === false);
+    await tenants.closeAll();
+    test('closeAll', globex.closed === true && tenants.pools.size === 0);
+}
+
+console.log('\nTest 6: failed connections are not pooled');
+{
+    let attempts = 0;
+    const { tenants } = createTenants({
+        createSql: async () => {
+            attempts++;
+            if (attempts === 1) {
+                throw new Error('Login failed');
+            }
+            return createSql('Acme');
+        }
+    });
+    test('Error is thrown', /Login failed/.test((await getError(() => tenants.getSql({ user: { scopeId: 42 } })))?.message));
+    test('Next use reconnects', (await tenants.getSql({ user: { scopeId: 42 } })).name === 'Acme');
+    test('Failed acquire is not held', /Login failed/.test((await getError(() => createTenants({ createSql: async () => { throw new Error('Login failed'); } }).tenants.acquire({ user: { scopeId: 42 } })))?.message));
+}
+
+console.log('\nTest 7: business objects, lookups, Auth and pivot use the tenant database');
+{
+    const shared = createSql('Shared');
+    const { tenants } = createTenants();
+    const framework = { sql: shared, tenants };
+    BusinessBase.businessObject = framework;
+
+    const customer = new Customer();
+    customer.user = { id: 1, scopeId: 42 };
+    const sql = await customer.resolveSql();
+    test('resolveSql', sql.name === 'Acme');
+    test('Pool is held', tenants.pools.get('42').refs === 1);
+    await customer.list({ limit: 10 });
+    test('List runs on the tenant database', sql.queries.length === 1 && shared.queries.length === 0);
+    customer.releaseSql();
+    test('releaseSql', tenants.pools.get('42').refs === 0);
+
+    // the shared database is used for tenants without a connection
+    const other = new Customer();
+    other.user = { id: 2, scopeId: 5 };
+    test('Shared database', await other.resolveSql() === shared);
+
+    class LookupType extends Customer { tableName = 'LookupType'; }
+    class Lookup extends Customer { tableName = 'Lookup'; }
+    classMap.register('Customer', Customer);
+    classMap.register('LookupType', LookupType);
+    classMap.register('Lookup', Lookup);
+    await lookup.get({ scopeId: 42 }, 'Customer');
+    testEqual('Lookups', sql.queries.slice(1).map(query => query.match(/FROM\s+(\w+)/)[1]), ['LookupType', 'Lookup', 'Customer']);
+    // the lookup types are loaded once per database
+    await lookup.get({ scopeId: 42 }, 'Customer');
+    test('Lookup types are cached', sql.queries.length === 5 && shared.queries.length === 0);
+
+    const auth = await Auth.forTenant({ user: { scopeId: 42 } });
+    test('Auth.forTenant', auth.sql === sql);
+    test('Auth', new Auth().sql === shared);
+
+    await new SqlHelper({ DFramework: framework }).pivot({ groupBy: ['Main.Region'], measures: {}, tableName: 'Customer Main', user: { scopeId: 42 } });
+    test('Pivot', /GROUP BY Main\.Region/.test(sql.queries.at(-1)));
+    test('resolveTenantSql without a tenant', await resolveTenantSql({ framework, user: {} }) === shared);
+}
+
+console.log('\nTest 8: getSql does not fall back to the shared database for tenants');
+{
+    const shared = createSql('Shared');
+    const { tenants } = createTenants();
+    BusinessBase.businessObject = { sql: shared, tenants };
+    const customer = new Customer();
+    customer.user = { id: 1, scopeId: 77 };
+    test('Unconnected tenant', /not connected/.test((await getError(() => customer.getSql()))?.message));
+    const globex = await tenants.getSql({ user: customer.user });
+    test('Connected tenant of the user', customer.getSql() === globex);
+    customer.user = { id: 1, scopeId: 5 };
+    test('Tenant without a connection', customer.getSql() === shared);
+}
+
+console.log('\nTest 9: the router holds the tenant database until the response is finished');
+{
+    const { tenants } = createTenants();
+    BusinessBase.businessObject = { sql: createSql('Shared'), tenants };
+    class Order extends BusinessBase { }
+    classMap.register('Order', Order);
+    const { middleware } = createRouter();
+    const listeners = {};
+    const res = { once: (event, listener) => { listeners[event] = listener; } };
+    const req = { params: { businessObjectName: 'order' }, user: { id: 1, scopeId: 77 } };
+    await new Promise((resolve, reject) => middleware[0](req, res, (err) => err ? reject(err) : resolve()));
+    test('Tenant database', req.businessObject.getSql().name === 'Globex');
+    test('Pool is held', tenants.pools.get('77').refs === 1);
+    listeners.close();
+    test('Pool is released', tenants.pools.get('77').refs === 0);
+}
+
+console.log('\nTest 10: framework.setTenants keeps the default logger of the tenants');
+{
+    const framework = new Framework({});
+    framework.setTenants({ cleanupIntervalMinutes: 0 });
+    test('Default logger', framework.tenants.logger === logger);
+    const custom = new Framework({ logger: silentLogger });
+    custom.setTenants({ cleanupIntervalMinutes: 0 });
+    test('Framework logger', custom.tenants.logger === silentLogger);
+}
+
+report();
@@ -0,0 +1,97 @@
+/**
+ * Tests for the declarative validation schema enforced by BusinessBase.save()
+ * and the 422 response for ValidationError.
+ */
+
+import queryBase from '../lib/business/query-base.mjs';
+import { ValidationError } from '../lib/business/errors.mjs';
+import { validateValues } from '../lib/business/validation.mjs';
+import { test, testEqual, getError, report, createMockSql, createBusinessObject, createResponse } from './helpers/mocks.mjs';
+
+const schema = {
+    Name: { required: true, maxLength: 5, label: 'Customer name' },
+    Email: { email: true },
+    Phone: { phone: true },
+    Age: { min: 18, max: 99 },
+    Status: { enum: ['Active', 'Inactive'] }
+};
+
+console.log('Testing field validation...\n');
+
+console.log('Test 1: every failing rule is collected');
+{
+    const errors = await validateValues({
+        schema,
+        values: { Name: 'Too long name', Email: 'not-an-email', Phone: 'abc', Age: 10, Status: 'Gone' }
+    });
+    testEqual('Failing rules', errors.map(({ field, rule }) => `${field}.${rule}`), ['Name.maxLength', 'Email.email', 'Phone.phone', 'Age.min', 'Status.enum']);
+    test('Message uses the label', errors[0].message === 'Customer name must be at most 5 characters', errors[0].message);
+}
+
+console.log('\nTest 2: required applies to inserts and to fields sent on update');
+{
+    testEqual('Missing field on insert', await validateValues({ schema, values: { Email: '' } }), [{ field: 'Name', rule: 'required', message: 'Customer name is required' }]);
+    testEqual('Missing field on update', await validateValues({ schema, values: { Email: 'a@b.com' }, isUpdate: true }), []);
+    const errors = await validateValues({ schema, values: { Name: '  ' }, isUpdate: true });
+    test('Blank field sent on update', errors[0]?.rule === 'required');
+}
+
+console.log('\nTest 3: custom async validators and message overrides');
+{
+    const errors = await validateValues({
+        schema: {
+            Code: {
+                messages: { isFree: 'Code is taken' },
+                validate: [
+                    async function isFree({ value }) { return value !== 'X1'; },
+                    async ({ value, values }) => value === values.Name || 'Code must match the name'
+                ]
+            }
+        },
+        values: { Code: 'X1', Name: 'Y' }
+    });
+    testEqual('Custom validator errors', errors, [
+        { field: 'Code', rule: 'isFree', message: 'Code is taken' },
+        { field: 'Code', rule: 'custom', message: 'Code must match the name' }
+    ]);
+}
+
+console.log('\nTest 4: the unique rule uses businessObject.isUnique');
+{
+    const calls = [];
+    const businessObject = { isUnique: async (options) => { calls.push(options); return false; } };
+    const errors = await validateValues({ schema: { Code: { unique: true } }, values: { Code: 'A' }, context: { id: 7, businessObject } });
+    testEqual('isUnique is called with the field, value and id', calls, [{ field: 'Code', value: 'A', id: 7 }]);
+    test('Duplicate message', errors[0]?.message === 'Code already exists');
+}
+
+console.log('\nTest 5: save throws ValidationError before touching the database');
+{
+    const { bo, sql } = createBusinessObject('Customer', { keyField: 'CustomerId', validation: schema });
+    const err = await getError(() => bo.save({ id: 0, Email: 'bad' }));
+    test('ValidationError is thrown', err instanceof ValidationError);
+    test('Status is 422', err?.statusCode === 422);
+    test('Both errors are returned', err?.errors?.length === 2);
+    test('Nothing is saved', sql.writes.length === 0);
+}
+
+console.log('\nTest 6: save proceeds when values are valid');
+{
+    const { bo, sql } = createBusinessObject('Customer', { keyField: 'CustomerId', validation: schema });
+    const result = await bo.save({ id: 0, Name: 'Acme', Email: 'info@acme.com' });
+    test('Save succeeds', result.success === true);
+    test('Record is saved', sql.writes.length === 1);
+}
+
+console.log('\nTest 7: queryBase responds with 422 and the error list');
+{
+    const handler = queryBase(async () => {
+        throw new ValidationError([{ field: 'Name', rule: 'required', message: 'Name is required' }]);
+    });
+    const res = createResponse();
+    await handler({ query: {}, body: {} }, res, () => { });
+    test('Status is 422', res.statusCode === 422);
+    testEqual('Errors are returned', res.body.errors, [{ field: 'Name', rule: 'required', message: 'Name is required' }]);
+}
+
+report();
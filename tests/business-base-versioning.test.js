@@ -0,0 +1,138 @@
+/**
+ * Tests for record versioning: snapshots written on save, listing, diffing
+ * and restoring versions through save().
+ */
+
+import { BusinessError } from '../lib/business/errors.mjs';
+import { test, testEqual, getError, report, createMockSql, createBusinessObject } from './helpers/mocks.mjs';
+
+// answers the version queries from the stored versions
+function createVersionSql(versions = []) {
+    const sql = createMockSql();
+    sql.query = async (statement, options) => {
+        sql.queries.push({ statement, ...options });
+        const { VersionNo } = options.where;
+        if (statement.startsWith('SELECT MAX')) {
+            return [{ VersionNo: versions.length ? Math.max(...versions.map(version => version.VersionNo)) : null }];
+        }
+        return versions.filter(version => VersionNo === undefined || version.VersionNo === VersionNo);
+    };
+    return sql;
+}
+
+// load() returns the stored record of an update
+const customer = {
+    tableName: 'Customer',
+    keyField: 'CustomerId',
+    user: { id: 3 },
+    versioning: true,
+    relations: [{ relation: 'Tag', type: 'OneToMany', field: 'TagId' }],
+    load: async () => ({}),
+    saveRelations: async () => { }
+};
+
+const versions = [
+    { VersionNo: 1, CreatedByUserId: 3, CreatedOn: new Date(), Data: JSON.stringify({ CustomerId: 5, Name: 'Acme', City: 'Paris', Tags: '1', RowVersion: 'x' }) },
+    { VersionNo: 2, CreatedByUserId: 3, CreatedOn: new Date(), Data: JSON.stringify({ CustomerId: 5, Name: 'Acme', Tags: '2,1', Phone: '123' }) }
+];
+
+console.log('Testing record versioning...\n');
+
+console.log('Test 1: save stores the merged record as the next version');
+{
+    const { bo, sql } = createBusinessObject('Customer', { ...customer, load: async () => ({ CustomerId: 5, Name: 'Acme', City: 'Paris', Tags: '1' }) }, { sql: createVersionSql(versions) });
+    await bo.save({ id: 5, City: 'London', Tags: '1,2' });
+    const version = sql.writes.find(write => write.tableName === 'RecordVersion').json;
+    test('Next version number', version.VersionNo === 3);
+    test('RecordId', version.RecordId === '5');
+    testEqual('Snapshot', JSON.parse(version.Data), { CustomerId: 5, Name: 'Acme', City: 'London', Tags: '1,2' });
+}
+
+console.log('\nTest 2: first version of a new record');
+{
+    const { bo, sql } = createBusinessObject('Customer', customer, { sql: createVersionSql() });
+    await bo.save({ id: 0, Name: 'New' });
+    const version = sql.writes.find(write => write.tableName === 'RecordVersion').json;
+    test('Version 1', version.VersionNo === 1);
+    test('RecordId is the new id', version.RecordId === '9');
+}
+
+console.log('\nTest 3: listVersions and getVersion');
+{
+    const { bo, sql } = createBusinessObject('Customer', customer, { sql: createVersionSql(versions) });
+    await bo.listVersions({ id: 5 });
+    test('Newest first', sql.queries[0].orderBy === 'VersionNo DESC');
+    const version = await bo.getVersion({ id: 5, version: '1' });
+    test('Snapshot is parsed', version.data.City === 'Paris');
+    test('Raw Data is not returned', !('Data' in version));
+    const err = await getError(() => bo.getVersion({ id: 5, version: 7 }));
+    test('Missing versions are a 404', err instanceof BusinessError && err.statusCode === 404);
+}
+
+console.log('\nTest 4: diffVersions reports added, changed and removed fields');
+{
+    const { bo } = createBusinessObject('Customer', customer, { sql: createVersionSql(versions) });
+    testEqual('Changes', await bo.diffVersions({ id: 5, from: 1, to: 2 }), [
+        { field: 'City', oldValue: 'Paris', newValue: null },
+        { field: 'RowVersion', oldValue: 'x', newValue: null },
+        { field: 'Tags', oldValue: '1', newValue: '1,2' },
+        { field: 'Phone', oldValue: null, newValue: '123' }
+    ]);
+}
+
+console.log('\nTest 5: restoreVersion saves the snapshot over the current version');
+{
+    const { bo, sql } = createBusinessObject('Customer', { ...customer, load: async () => ({ CustomerId: 5, Name: 'Acme', City: 'London', RowVersion: 'y' }) }, { sql: createVersionSql(versions) });
+    bo.concurrencyField = 'RowVersion';
+    let beforeSaveCalled = false;
+    bo.beforeSave = async () => { beforeSaveCalled = true; };
+    const result = await bo.restoreVersion({ id: 5, version: 1 });
+    test('Restore succeeds', result.success === true);
+    test('beforeSave runs', beforeSaveCalled);
+    const update = sql.writes.find(write => write.tableName === 'Customer');
+    test('Record is updated', update.update === true);
+    test('Snapshot values are saved', update.json.City === 'Paris');
+    test('Current version is checked', update.where?._concurrency.value === 'y', update.where);
+}
+
+console.log('\nTest 6: the snapshot merges the stored row, read from the table inside the transaction');
+{
+    const sql = createMockSql({ results: [[{ CustomerId: 5, Name: 'Acme', CountryId: 2, Ssn: '123-45-6789' }]] });
+    const { bo } = createBusinessObject('Customer', {
+        tableName: 'Customer',
+        keyField: 'CustomerId',
+        user: { id: 3 },
+        versioning: true,
+        relations: [{ relation: 'Country', type: 'ManyToOne', table: 'Country', field: 'CountryId', displayFields: { CountryName: 'Name' } }],
+        computedFields: { Label: "Name + '!'" },
+        fieldPermissions: { Ssn: { read: { roles: ['HR'] }, mask: true } }
+    }, { sql });
+    await bo.save({ id: 5, Name: 'Acme Corp' });
+    test('Stored row is read first in the transaction', sql.events[0] === 'begin' && /^SELECT Main\.\* FROM Customer Main WHERE/.test(sql.queries[0].statement), sql.queries[0].statement);
+    const version = sql.writes.find(write => write.tableName === 'RecordVersion').json;
+    testEqual('No display, computed or masked values', JSON.parse(version.Data), { CustomerId: 5, Name: 'Acme Corp', CountryId: 2, Ssn: '123-45-6789' });
+}
+
+console.log('\nTest 7: restoreVersion converts dates and binary values back and skips system columns');
+{
+    const snapshot = { CustomerId: 5, Name: 'Acme', LastOrderOn: '2024-01-15T10:00:00.000Z', Photo: { type: 'Buffer', data: [1, 2] }, ClientId: 9, CreatedOn: '2020-01-01T00:00:00.000Z', ModifiedByUserId: 1, Dropped: 'x' };
+    const stored = { CustomerId: 5, Name: 'Acme Corp', LastOrderOn: new Date(), Photo: null, ClientId: 9, CreatedOn: new Date(), ModifiedByUserId: 3 };
+    const { bo, sql } = createBusinessObject('Customer', { ...customer, isStandard: false, load: async () => stored }, { sql: createVersionSql([{ VersionNo: 1, Data: JSON.stringify(snapshot) }]) });
+    await bo.restoreVersion({ id: 5, version: 1 });
+    const { json } = sql.writes.find(write => write.tableName === 'Customer');
+    testEqual('Date column is restored as a date', json.LastOrderOn, new Date('2024-01-15T10:00:00.000Z'));
+    test('Binary column is restored as a Buffer', Buffer.isBuffer(json.Photo) && json.Photo.equals(Buffer.from([1, 2])), json.Photo);
+    test('System columns are not restored', !['ClientId', 'CreatedOn', 'ModifiedByUserId'].some(field => field in json), json);
+    test('Fields the table no longer has are skipped', !('Dropped' in json));
+    test('Other values are restored', json.Name === 'Acme');
+}
+
+console.log('\nTest 8: versions fail with a 404 BusinessError when versioning is not enabled');
+{
+    const { bo } = createBusinessObject('Customer', { ...customer, versioning: false });
+    const err = await getError(() => bo.listVersions({ id: 5 }));
+    test('BusinessError is thrown', err instanceof BusinessError && /Versioning is not enabled/.test(err.message), err?.message);
+    test('Status is 404', err?.statusCode === 404, err?.statusCode);
+}
+
+report();
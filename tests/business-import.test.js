@@ -0,0 +1,156 @@
+/**
+ * Tests for the xlsx/csv import pipeline: header mapping through export columns,
+ * type conversion, lookup resolution, dry-run and the error report.
+ */
+
+import ExcelJS from 'exceljs';
+import lookup from '../lib/business/lookup.mjs';
+import BusinessBase, { classMap } from '../lib/business/business-base.mjs';
+import { importRecords, getErrorReport, convertValue, resolveColumns } from '../lib/business/import.mjs';
+import { test, testEqual, getError, report, createBusinessObject, createRouter } from './helpers/mocks.mjs';
+
+const columns = [
+    { field: 'ProductId', headerName: 'Id', type: 'number' },
+    { field: 'Name', headerName: 'Product Name' },
+    { field: 'Price', headerName: 'Price', type: 'number' },
+    { field: 'IsActive', headerName: 'Active', type: 'boolean' },
+    { field: 'CategoryId', headerName: 'Category', lookup: 'Category' }
+];
+
+const product = { keyField: 'ProductId', user: { id: 1, scopeId: 0 }, validation: { Name: { required: true, maxLength: 10 } } };
+
+// save() that records the saved values and returns the next id
+const recordSave = (saved) => async (options) => {
+    saved.push(options);
+    return { success: true, data: [{ Id: 50 + saved.length }] };
+};
+
+async function createXlsx(rows) {
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Products');
+    rows.forEach(row => worksheet.addRow(row));
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+lookup.get = async (user, name) => name === 'Category' ? [{ label: 'Pens', value: 1 }, { label: 'Paper', value: 2 }] : [];
+
+console.log('Testing import...\n');
+
+console.log('Test 1: resolveColumns matches headerName or field ignoring case');
+{
+    const mapping = resolveColumns({ headers: ['product name', 'PRICE', 'Unknown', 'categoryid'], columns });
+    testEqual('Mapped headers', Object.fromEntries(Object.entries(mapping).map(([header, column]) => [header, column.field])), { 'product name': 'Name', PRICE: 'Price', categoryid: 'CategoryId' });
+}
+
+console.log('\nTest 2: convertValue converts types and lookups');
+{
+    const lookups = { CATEGORY: [{ label: 'Pens', value: 1 }] };
+    testEqual('Numbers with separators', convertValue({ value: '1,200.50', column: columns[2] }), { value: 1200.5 });
+    testEqual('Booleans', convertValue({ value: 'Yes', column: columns[3] }), { value: true });
+    testEqual('Lookup labels', convertValue({ value: ' pens', column: columns[4], lookups }), { value: 1 });
+    test('Unknown lookup labels', convertValue({ value: 'Ink', column: columns[4], lookups }).error.rule === 'lookup');
+    test('Invalid numbers', convertValue({ value: 'abc', column: columns[2] }).error.rule === 'type');
+    test('Invalid dates', convertValue({ value: 'soon', column: { field: 'Due', type: 'date' } }).error.rule === 'type');
+}
+
+console.log('\nTest 3: dry run validates xlsx rows without saving');
+{
+    const saved = [];
+    const { bo } = createBusinessObject('Product', { ...product, save: recordSave(saved) });
+    const buffer = await createXlsx([
+        ['Product Name', 'Price', 'Active', 'Category'],
+        ['Pen', 1.5, 'Yes', 'Pens'],
+        ['A very long name', 'x', 'No', 'Ink'],
+        [],
+        ['Notebook', 3, 'No', 'Paper']
+    ]);
+    const result = await importRecords({ businessObject: bo, buffer, format: 'xlsx', columns, dryRun: true });
+    test('Nothing is saved', saved.length === 0);
+    test('Empty rows are skipped', result.total === 3);
+    test('Valid rows are counted', result.valid === 2);
+    test('Saved count is 0', result.saved === 0);
+    testEqual('Values are converted', result.rows[0].values, { Name: 'Pen', Price: 1.5, IsActive: true, CategoryId: 1 });
+    testEqual('Row errors', result.rows[1].errors.map(error => error.rule), ['type', 'lookup']);
+    test('Row numbers match the sheet', result.rows[2].rowNumber === 5);
+}
+
+console.log('\nTest 4: valid csv rows are saved and the rest are reported');
+{
+    const saved = [];
+    const { bo } = createBusinessObject('Product', { ...product, save: recordSave(saved) });
+    const buffer = Buffer.from('Id,Product Name,Price\n7,Pen,1.5\n,A very long name,2\n,Pencil,0.5\n');
+    const result = await importRecords({ businessObject: bo, buffer, format: 'csv', columns });
+    test('Two rows are saved', result.saved === 2);
+    testEqual('Rows go through save', saved, [{ Name: 'Pen', Price: 1.5, id: 7 }, { Name: 'Pencil', Price: 0.5, id: 0 }]);
+    test('Rows with an id are updates', result.rows[0].action === 'update' && result.rows[0].id === 7);
+    test('New ids are returned', result.rows[2].id === 52);
+    test('Validation errors are reported', result.rows[1].errors[0].rule === 'maxLength');
+
+    const errorReport = getErrorReport(result);
+    testEqual('Error report rows', errorReport.data, [{ _row: 3, 'Product Name': 'A very long name', Price: 2, _errors: 'Name must be at most 10 characters' }]);
+    testEqual('Error report columns', Object.values(errorReport.exportColumns).map(column => column.headerName), ['Row', 'Id', 'Product Name', 'Price', 'Errors']);
+}
+
+console.log('\nTest 5: files without known columns are rejected');
+{
+    const { bo } = createBusinessObject('Product', { ...product, save: recordSave([]) });
+    const err = await getError(() => importRecords({ businessObject: bo, buffer: Buffer.from('Foo,Bar\n1,2\n'), format: 'csv', columns }));
+    test('Error is thrown', /could be matched/.test(err?.message), err?.message);
+    const withoutColumns = await getError(() => importRecords({ businessObject: bo, buffer: Buffer.from('Name,IsAdmin\nPen,1\n'), format: 'csv' }));
+    test('Files without column metadata are rejected', /requires column metadata/.test(withoutColumns?.message) && withoutColumns.statusCode === 400, withoutColumns?.message);
+}
+
+console.log('\nTest 6: rows need the create or update permission of their action');
+{
+    const saved = [];
+    const { bo } = createBusinessObject('Product', { ...product, permissions: { create: true, update: false }, save: recordSave(saved) });
+    const buffer = Buffer.from('Id,Product Name\n7,Pen\n,Pencil\n');
+    const preview = await importRecords({ businessObject: bo, buffer, format: 'csv', columns, dryRun: true });
+    testEqual('Dry run checks every row', preview.rows.map(row => row.success), [false, true]);
+    test('Permission error', preview.rows[0].errors[0].message === 'You do not have permission to update Product', preview.rows[0].errors[0].message);
+    const result = await importRecords({ businessObject: bo, buffer, format: 'csv', columns });
+    testEqual('Only allowed rows are saved', saved, [{ Name: 'Pencil', id: 0 }]);
+    test('Saved count', result.saved === 1);
+}
+
+console.log('\nTest 7: the import route checks permissions per row, parses columns and reports the failed rows of the import');
+{
+    const saved = [];
+    class Product extends BusinessBase {
+        keyField = 'ProductId';
+        async save(options) {
+            if (options.Name === 'Duplicate') {
+                return { success: false, err: 'Name must be unique' };
+            }
+            saved.push(options);
+            return { success: true, data: [{ Id: 60 }] };
+        }
+    }
+    classMap.register('Product', Product);
+    const modulePermissions = (flags) => [{ Module: 'product', Permission1: 1, ...flags }];
+    const file = Buffer.from('Id,Product Name\n,Pen\n').toString('base64');
+    const body = { file, fileName: 'products.csv', columns: JSON.stringify(columns) };
+    const params = { businessObjectName: 'product' };
+
+    const createOnly = createRouter({ getPermissions: () => modulePermissions({ Permission2: 1 }) });
+    const imported = await createOnly.request('POST /:businessObjectName/import', { params, body });
+    test('Create is enough for new rows', imported.response.statusCode === 200 && saved.length === 1, JSON.stringify(imported.response.body));
+    const dryRun = await createOnly.request('POST /:businessObjectName/import', { params, body: { ...body, dryRun: true } });
+    test('Dry run does not require update', dryRun.response.statusCode === 200);
+    const reportFile = Buffer.from('Id,Product Name\n,Pencil\n,Duplicate\n').toString('base64');
+    const errorReport = await createOnly.request('POST /:businessObjectName/import', { params, body: { ...body, file: reportFile, errorReport: true } });
+    test('Error report imports the valid rows', errorReport.response.statusCode === 200 && saved.at(-1)?.Name === 'Pencil' && saved.length === 2, saved.length);
+    testEqual('Rows that failed to save are reported', errorReport.response.body.data, [{ _row: 3, 'Product Name': 'Duplicate', _errors: 'Name must be unique' }]);
+    await createOnly.request('POST /:businessObjectName/import', { params, body: { ...body, file: reportFile, errorReport: true, dryRun: true } });
+    test('Error report of a dry run does not save', saved.length === 2, saved.length);
+
+    const malformed = await createOnly.request('POST /:businessObjectName/import', { params, body: { ...body, columns: '[{' } });
+    test('Malformed columns are a 400', malformed.response.statusCode === 400 && /Invalid columns/.test(malformed.response.body.message), JSON.stringify(malformed.response.body));
+    const noColumns = await createOnly.request('POST /:businessObjectName/import', { params, body: { file, fileName: 'products.csv' } });
+    test('Missing column metadata is a 400', noColumns.response.statusCode === 400);
+
+    const readOnly = createRouter({ getPermissions: () => modulePermissions({}) });
+    test('Create or update is required', (await readOnly.request('POST /:businessObjectName/import', { params, body })).response.statusCode === 403);
+}
+
+report();
@@ -0,0 +1,102 @@
+/**
+ * Tests for operation permissions: resolving Permission1..Permission8 flags of Auth.getPermissions per business object
+ * and the 403 checks of the business object routes.
+ */
+
+import Framework from '../lib/index.js';
+import BusinessBase, { classMap } from '../lib/business/business-base.mjs';
+import { TenantConnections } from '../lib/business/tenants.mjs';
+import { getEffectivePermissions, getModulePermissions } from '../lib/business/permissions.mjs';
+import { test, testEqual, report, createRouter } from './helpers/mocks.mjs';
+
+const permissions = [
+    { ModuleId: 7, Module: 'Invoice', Permission1: 1, Permission2: 0, Permission3: 1, Permission4: 0, Permission5: 0, Permission6: 1, Permission7: 0, Permission8: 0 }
+];
+
+class Invoice extends BusinessBase {
+    async list() {
+        return { records: [], recordCount: 0 };
+    }
+
+    async load({ id }) {
+        return { InvoiceId: id };
+    }
+
+    async delete() {
+        return { success: true };
+    }
+}
+
+classMap.register('Invoice', Invoice);
+
+console.log('Testing operation permissions...\n');
+
+console.log('Test 1: operations are mapped to the permission flags of the module');
+{
+    test('Module by name', getModulePermissions(permissions, 'INVOICE').ModuleId === 7);
+    test('Module by id', getModulePermissions({ Invoice: permissions[0], 7: permissions[0] }, 7).Module === 'Invoice');
+    const effective = getEffectivePermissions({ permissions, module: 'invoice' });
+    testEqual('Effective permissions', { ...effective, module: undefined }, { module: undefined, list: true, load: true, lookups: true, create: false, update: true, delete: false, export: false });
+
+    const custom = getEffectivePermissions({ permissions, module: 'Invoice', permissionMap: { export: 6, save: [2, 3], delete: (module, { user }) => user.isAdmin, lookups: true }, user: { isAdmin: true } });
+    test('Flag number', custom.export === true);
+    test('Any of several flags', custom.create === true);
+    test('Function', custom.delete === true);
+    const other = getEffectivePermissions({ permissions, module: 'Order', permissionMap: { lookups: true } });
+    test('Unknown module', other.list === false);
+    test('Always allowed', other.lookups === true);
+}
+
+console.log('\nTest 2: routes without the permission of their operation are rejected with 403');
+{
+    const { request } = createRouter({ getPermissions: async (req) => req.user.id === 5 ? permissions : [] });
+    const list = await request('POST /:businessObjectName/list', { body: { start: 0, limit: 10 } });
+    test('List is allowed', list.response.statusCode === 200 && list.response.body.success === true);
+    // the effective permissions are available to the hooks of the business object
+    test('Permissions are set on the business object', list.req.businessObject.permissions.update === true);
+    test('Permissions of the user are kept for related business objects', list.req.businessObject.userPermissions === permissions);
+
+    const exported = await request('POST /:businessObjectName/export', { body: { responseType: 'xlsx' } });
+    test('Export is rejected', exported.response.statusCode === 403);
+    testEqual('Error body', exported.response.body, { success: false, message: 'You do not have permission to export invoice' });
+    test('Streamed list is an export', (await request('POST /:businessObjectName/list', { body: { stream: true } })).response.statusCode === 403);
+
+    test('Load is allowed', (await request('GET /:businessObjectName/:id', { params: { id: '3' } })).response.body.data.InvoiceId === '3');
+    test('Create is rejected', (await request('PUT /:businessObjectName/:id', { params: { id: '0' } })).response.statusCode === 403);
+    test('Delete is rejected', (await request('DELETE /:businessObjectName/:id', { params: { id: '3' } })).response.statusCode === 403);
+    test('Bulk requires every operation', (await request('POST /:businessObjectName/bulk', { body: { updates: [{ InvoiceId: 1 }], deletes: [2] } })).response.body.message === 'You do not have permission to delete invoice');
+}
+
+console.log('\nTest 3: a business object can override its permission module and map');
+{
+    class Payment extends Invoice {
+        permissionModule = 'Invoice';
+        permissionMap = { delete: 3 };
+    }
+    classMap.register('Payment', Payment);
+    const { request } = createRouter({ getPermissions: () => permissions });
+    const { response } = await request('DELETE /:businessObjectName/:id', { params: { businessObjectName: 'payment', id: '3' } });
+    test('Delete is allowed', response.statusCode === 200);
+    testEqual('Response', response.body, { success: true, data: { success: true }, lookups: {} });
+}
+
+console.log('\nTest 4: permissions are not checked without getPermissions');
+{
+    const { request } = createRouter();
+    const { req, response } = await request('DELETE /:businessObjectName/:id', { params: { id: '3' } });
+    test('Delete is allowed', response.statusCode === 200);
+    test('No permissions', req.businessObject.permissions === null);
+    test('hasPermission', req.businessObject.hasPermission('delete') === true);
+}
+
+console.log('\nTest 5: framework.setBusinessBase passes getPermissions and tenants on');
+{
+    const framework = new Framework({});
+    const register = (router) => framework.setBusinessBase({ router, businessObjectConfigs: {}, getPermissions: () => permissions, tenants: { connections: {} } });
+    const { request } = createRouter(undefined, { register });
+    test('Delete is rejected', (await request('DELETE /:businessObjectName/:id', { params: { id: '3' } })).response.statusCode === 403);
+    test('List is allowed', (await request('POST /:businessObjectName/list', { body: {} })).response.statusCode === 200);
+    test('Tenants are set', framework.tenants instanceof TenantConnections);
+}
+
+report();
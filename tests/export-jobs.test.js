@@ -0,0 +1,178 @@
+/**
+ * Tests for asynchronous export jobs: queueing, progress, local and Azure storage, download,
+ * owner checks, cleanup and the export?async=true / exports/:jobId routes.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable, Writable } from 'stream';
+import { text } from 'stream/consumers';
+import { ExportJobs, LocalExportStorage, AzureExportStorage, exportJobStatus } from '../lib/business/export-jobs.mjs';
+import logger from '../lib/logger.js';
+import { getStreamFormat, writeExport } from '../lib/middleware/response-transformer.mjs';
+import BusinessBase, { classMap } from '../lib/business/business-base.mjs';
+import { test, testEqual, getError, report, silentLogger, createRouter } from './helpers/mocks.mjs';
+
+const csvFormat = getStreamFormat('csv');
+
+const waitFor = async (job) => {
+    while (job.status === exportJobStatus.queued || job.status === exportJobStatus.running) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    return job;
+};
+
+const createJobs = (options = {}) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'export-jobs-'));
+    return new ExportJobs({ storage: new LocalExportStorage({ directory }), cleanupIntervalMinutes: 0, logger: silentLogger, ...options });
+};
+
+const writeRows = (rows) => async ({ job, stream }) => {
+    job.total = rows.length;
+    return writeExport({ result: { rows: Readable.from(rows) }, format: csvFormat.format, stream, onRow: count => { job.processed = count; } });
+};
+
+console.log('Testing export jobs...\n');
+
+console.log('Test 1: a job writes its file to local storage and reports progress');
+{
+    const jobs = createJobs();
+    const job = jobs.enqueue({ owner: 5, fileName: 'invoices', streamFormat: csvFormat, run: writeRows([{ Id: 1 }, { Id: 2 }]) });
+    test('Job starts right away', jobs.toResponse(job).status === exportJobStatus.running);
+    await waitFor(job);
+    const status = jobs.toResponse(jobs.get({ jobId: job.id, owner: 5 }));
+    test('Job is completed', status.status === exportJobStatus.completed);
+    test('Processed rows', status.processed === 2);
+    test('Progress', status.progress === 100);
+    test('File name', status.fileName === 'invoices.csv');
+    test('Expiry', status.expiresOn > status.completedOn);
+    const { stream } = await jobs.download({ jobId: job.id, owner: 5 });
+    testEqual('File content', await text(stream), 'Id\r\n1\r\n2\r\n');
+}
+
+console.log('\nTest 2: jobs run one at a time by default');
+{
+    const jobs = createJobs();
+    const first = jobs.enqueue({ fileName: 'a', streamFormat: csvFormat, run: writeRows([{ Id: 1 }]) });
+    const second = jobs.enqueue({ fileName: 'b', streamFormat: csvFormat, run: writeRows([{ Id: 2 }]) });
+    test('First job runs', first.status === exportJobStatus.running);
+    test('Second job is queued', second.status === exportJobStatus.queued);
+    await waitFor(second);
+    test('Second job completes', second.status === exportJobStatus.completed);
+}
+
+console.log('\nTest 3: jobs of other users are not found');
+{
+    const jobs = createJobs();
+    const job = jobs.enqueue({ owner: 5, fileName: 'a', streamFormat: csvFormat, run: writeRows([]) });
+    await waitFor(job);
+    test('Other owner', (await getError(() => jobs.get({ jobId: job.id, owner: 6 })))?.statusCode === 404);
+    test('Unknown job', (await getError(() => jobs.get({ jobId: 'missing', owner: 5 })))?.statusCode === 404);
+    test('Anonymous request', (await getError(() => jobs.get({ jobId: job.id })))?.statusCode === 404);
+
+    const anonymous = jobs.enqueue({ fileName: 'b', streamFormat: csvFormat, run: writeRows([]) });
+    await waitFor(anonymous);
+    test('Jobs without an owner are hidden from users', (await getError(() => jobs.get({ jobId: anonymous.id, owner: 5 })))?.statusCode === 404);
+    test('Jobs without an owner are visible to anonymous requests', jobs.get({ jobId: anonymous.id, owner: null }) === anonymous);
+}
+
+console.log('\nTest 4: failed jobs report the error and leave no file');
+{
+    const jobs = createJobs();
+    const job = jobs.enqueue({
+        fileName: 'a', streamFormat: csvFormat, run: async ({ stream }) => {
+            stream.write('partial');
+            throw new Error('connection lost');
+        }
+    });
+    await waitFor(job);
+    const status = jobs.toResponse(job);
+    test('Job failed', status.status === exportJobStatus.failed);
+    test('Error is generic', status.error === 'The export failed');
+    testEqual('No file', fs.readdirSync(jobs.storage.directory), []);
+    test('Download is a 409', (await getError(() => jobs.download({ jobId: job.id })))?.statusCode === 409);
+}
+
+console.log('\nTest 5: cleanup removes expired jobs and their files');
+{
+    const jobs = createJobs({ retentionMinutes: 10 });
+    const job = jobs.enqueue({ fileName: 'a', streamFormat: csvFormat, run: writeRows([{ Id: 1 }]) });
+    await waitFor(job);
+    test('Fresh jobs are kept', await jobs.cleanup() === 0);
+    test('Expired jobs are removed', await jobs.cleanup(Date.now() + 11 * 60 * 1000) === 1);
+    test('File is deleted', !fs.existsSync(job.location));
+    test('Job is gone', (await getError(() => jobs.get({ jobId: job.id })))?.statusCode === 404);
+}
+
+console.log('\nTest 6: Azure storage uploads, downloads and deletes blobs');
+{
+    const blobs = {};
+    const azure = {
+        async uploadStream({ container, blobName, stream, contentType }) {
+            blobs[`${container}/${blobName}`] = { content: await text(stream), contentType };
+        },
+        async downloadStream({ container, blobName }) {
+            return Readable.from([blobs[`${container}/${blobName}`].content]);
+        },
+        async deleteBlob({ container, blobName }) {
+            delete blobs[`${container}/${blobName}`];
+        }
+    };
+    const jobs = createJobs({ storage: new AzureExportStorage({ azure }) });
+    const job = jobs.enqueue({ fileName: 'a', streamFormat: csvFormat, run: writeRows([{ Id: 1 }]) });
+    await waitFor(job);
+    test('Blob content type', blobs[`exports/${job.location}`].contentType === 'text/csv');
+    const { stream } = await jobs.download({ jobId: job.id });
+    testEqual('Downloaded content', await text(stream), 'Id\r\n1\r\n');
+    await jobs.cleanup(Date.now() + jobs.retentionMinutes * 60 * 1000 + 1);
+    testEqual('Blob is deleted', blobs, {});
+}
+
+console.log('\nTest 7: export?async=true queues a job that can be polled and downloaded');
+{
+    const records = [{ InvoiceId: 1, Amount: 10 }, { InvoiceId: 2, Amount: 20 }, { InvoiceId: 3, Amount: 30 }];
+    const starts = [];
+    class Invoice extends BusinessBase {
+        async list({ stream, start }) {
+            starts.push(start);
+            return stream ? { stream: Readable.from(records) } : { records: records.slice(0, 1), recordCount: records.length };
+        }
+    }
+    classMap.register('Invoice', Invoice);
+    const exportJobs = createJobs();
+    const { routes, request } = createRouter({ exportJobs });
+    const body = { start: 0, limit: 0, filename: 'open invoices', responseType: 'csv' };
+    const { response } = await request('POST /:businessObjectName/export', { query: { async: 'true' }, body });
+    test('Status is 202', response.statusCode === 202, response.statusCode);
+    test('Lists start at 0', starts.every(start => start === 0));
+    const { jobId } = response.body.data;
+
+    await waitFor(exportJobs.get({ jobId, owner: 5 }));
+    const { response: poll } = await request('GET /exports/:jobId', { params: { jobId }, accepts: () => false });
+    test('Job is completed', poll.body.status === exportJobStatus.completed);
+    test('Total', poll.body.total === 3);
+    test('File name', poll.body.fileName === 'open_invoices.csv');
+
+    const chunks = [];
+    const download = new Writable({
+        write(chunk, encoding, callback) {
+            chunks.push(chunk);
+            callback();
+        }
+    });
+    download.headers = {};
+    download.set = (name, value) => { download.headers[name] = value; };
+    await routes['GET /exports/:jobId/download'].at(-1)({ query: {}, body: {}, params: { jobId }, user: { id: 5, tags: {} } }, download, () => { });
+    await new Promise(resolve => download.on('finish', resolve));
+    test('Content-Disposition', download.headers['Content-Disposition'] === 'attachment; filename="open_invoices.csv"');
+    testEqual('File content', Buffer.concat(chunks).toString(), 'InvoiceId,Amount\r\n1,10\r\n2,20\r\n3,30\r\n');
+}
+
+console.log('\nTest 8: jobs log through the framework logger by default');
+{
+    const jobs = new ExportJobs({ storage: new LocalExportStorage({ directory: os.tmpdir() }), cleanupIntervalMinutes: 0 });
+    test('Default logger', jobs.logger === logger);
+}
+
+report();
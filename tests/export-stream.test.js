@@ -0,0 +1,116 @@
+/**
+ * Tests for streaming exports: the xlsx/csv/ndjson stream writer, res.transformStream
+ * row mapping, list({ stream: true }) and backpressure from slow destinations.
+ */
+
+import { Readable, Writable } from 'stream';
+import ExcelJS from 'exceljs';
+import { toStream } from '../lib/reports.mjs';
+import responseTransformer from '../lib/middleware/response-transformer.mjs';
+import queryBase from '../lib/business/query-base.mjs';
+import { test, testEqual, report, createBusinessObject, createResponse } from './helpers/mocks.mjs';
+
+async function attach(res) {
+    const req = { path: '/invoice/export', accepts: () => false };
+    await responseTransformer(req, res, () => { });
+    return req;
+}
+
+const exportColumns = {
+    InvoiceId: { field: 'InvoiceId', headerName: 'Invoice', type: 'number', width: 100 },
+    StatusId: { field: 'StatusId', headerName: 'Status', width: 100 },
+    IsPaid: { field: 'IsPaid', headerName: 'Paid', type: 'boolean', width: 100 },
+    Memo: { field: 'Memo', headerName: 'Memo', width: 200 }
+};
+
+const invoiceRows = () => Readable.from([
+    { InvoiceId: 1, StatusId: 1, IsPaid: true, Memo: 'plain', Other: 'x' },
+    { InvoiceId: 2, StatusId: 2, IsPaid: false, Memo: 'has, comma and "quotes"' }
+]);
+
+console.log('Testing streaming exports...\n');
+
+console.log('Test 1: csv applies lookups and updateKeys formatting per row');
+{
+    const res = createResponse();
+    await attach(res);
+    const count = await res.transformStream({ rows: invoiceRows(), exportColumns, lookups: { Status: [{ value: 1, label: 'Open' }, { value: 2, label: 'Closed' }] } }, { responseType: 'csv', fileName: 'invoices' });
+    test('Row count', count === 2);
+    test('Content-Type', res.headers['Content-Type'] === 'text/csv');
+    test('File name', /filename="invoices-.*\.csv"/.test(res.headers['Content-Disposition']), res.headers['Content-Disposition']);
+    testEqual('Body', res.body.toString(), 'Invoice,Status,Paid,Memo\r\n1,Open,Yes,plain\r\n2,Closed,No,"has, comma and ""quotes"""\r\n');
+}
+
+console.log('\nTest 2: json is streamed as newline delimited JSON');
+{
+    const res = createResponse();
+    await attach(res);
+    await res.transformStream({ rows: invoiceRows(), exportColumns }, { responseType: 'json' });
+    const lines = res.body.toString().trim().split('\n').map(line => JSON.parse(line));
+    testEqual('First row', lines[0], { Invoice: 1, Status: 1, Paid: 'Yes', Memo: 'plain' });
+    test('Content-Type', res.headers['Content-Type'] === 'application/x-ndjson');
+}
+
+console.log('\nTest 3: xlsx is written with the streaming workbook writer');
+{
+    const res = createResponse();
+    await attach(res);
+    const rows = Readable.from([{ InvoiceId: 1, DueOn: new Date('2024-05-01T00:00:00Z') }]);
+    await res.transformStream({ rows, exportColumns: { InvoiceId: { field: 'InvoiceId', headerName: 'Invoice', type: 'number', width: 100 }, DueOn: { field: 'DueOn', headerName: 'Due', type: 'date', width: 100 } } }, { responseType: 'xlsx' });
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(res.body);
+    const worksheet = workbook.worksheets[0];
+    testEqual('Header', worksheet.getRow(1).values.slice(1), ['Invoice', 'Due']);
+    test('Numbers', worksheet.getCell('A2').value === 1);
+    test('Dates', worksheet.getCell('B2').value instanceof Date);
+}
+
+console.log('\nTest 4: rows are pulled only as fast as the destination accepts them');
+{
+    let produced = 0;
+    let maxAhead = 0;
+    let written = 0;
+    const rows = Readable.from((function* () {
+        for (let i = 0; i < 2000; i++) {
+            produced++;
+            maxAhead = Math.max(maxAhead, produced - written);
+            yield { Id: i };
+        }
+    })());
+    const destination = new Writable({
+        highWaterMark: 64,
+        write(chunk, encoding, callback) {
+            written += chunk.toString().split('\n').length - 1;
+            setImmediate(callback);
+        }
+    });
+    const count = await toStream({ rows, stream: destination, format: 'ndjson' });
+    test('Row count', count === 2000);
+    test('Rows are not buffered', maxAhead < 100, `${maxAhead} rows were buffered`);
+}
+
+console.log('\nTest 5: list({ stream: true }) returns the sql stream without a count query');
+{
+    const { bo, sql } = createBusinessObject('Invoice', { tableName: 'Invoice', keyField: 'InvoiceId', standardTable: false, user: {} }, { results: [] });
+    let streamedQuery;
+    sql.stream = ({ query }) => {
+        streamedQuery = query;
+        return Readable.from([]);
+    };
+    const result = await bo.list({ limit: 0, sort: 'InvoiceId', stream: true });
+    test('Stream is returned', result.stream instanceof Readable);
+    test('No count query', !streamedQuery.includes('COUNT(1)'), streamedQuery);
+    test('Sorted', /ORDER BY InvoiceId/.test(streamedQuery), streamedQuery);
+}
+
+console.log('\nTest 6: queryBase does not continue the route after a streamed response');
+{
+    const handler = queryBase(async (req, res) => {
+        res.headersSent = true;
+    });
+    let nextCalled = false;
+    await handler({ query: {}, body: {} }, {}, () => { nextCalled = true; });
+    test('next is not called', !nextCalled);
+}
+
+report();
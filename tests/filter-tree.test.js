@@ -0,0 +1,119 @@
+/**
+ * Tests for nested AND/OR/NOT filter trees: sql.buildFilterTree for the MSSQL and
+ * MySQL dialects, BusinessBase.list() with a filter tree and the Elastic bool query.
+ */
+
+import Sql from '../lib/sql.js';
+import Mysql from '../lib/mysql.js';
+import BusinessBase from '../lib/business/business-base.mjs';
+import ElasticBusinessBase from '../lib/business/elastic-business-base.mjs';
+import { BusinessError } from '../lib/business/errors.mjs';
+import { test, testEqual, report, createMockRequest, createBusinessObject } from './helpers/mocks.mjs';
+
+const statusFilter = {
+    or: [
+        { fieldName: 'Status', value: 'Open' },
+        { and: [{ fieldName: 'Status', value: 'Closed' }, { fieldName: 'Amount', operator: '>', value: 100 }] }
+    ]
+};
+
+console.log('Testing nested filter trees...\n');
+
+console.log('Test 1: MSSQL groups are parenthesized and the same field gets separate parameters');
+{
+    const sql = new Sql();
+    const request = createMockRequest();
+    const statement = sql.buildFilterTree({ request, filter: statusFilter });
+    test('Statement', statement === '(Status = @_filter0 OR (Status = @_filter1 AND Amount > @_filter2))', statement);
+    testEqual('Parameters', Object.values(request.parameters).map(parameter => parameter.value), ['Open', 'Closed', 100]);
+}
+
+console.log('\nTest 2: MySQL uses its own parameter names');
+{
+    const sql = new Mysql();
+    const statement = sql.buildFilterTree({ request: createMockRequest(), filter: { ...statusFilter, not: { fieldName: 'ClientId', operator: 'IN', value: [1, 2] } } });
+    test('Statement', statement === '((Status = :_filter0 OR (Status = :_filter1 AND Amount > :_filter2)) AND NOT (ClientId IN (:_filter3_0, :_filter3_1)))', statement);
+}
+
+console.log('\nTest 3: IN lists inside groups do not use INNER JOIN');
+{
+    const sql = new Sql();
+    sql.allowTvp = false;
+    const statement = sql.buildFilterTree({ request: createMockRequest(), filter: { or: [{ fieldName: 'Id', operator: 'IN', value: [1, 2] }, { fieldName: 'Name', value: 'A' }] } });
+    test('Statement', statement === '(Id IN (@_filter0_0, @_filter0_1) OR Name = @_filter1)', statement);
+}
+
+console.log('\nTest 4: conditions without a value and empty groups are dropped');
+{
+    const sql = new Sql();
+    const statement = sql.buildFilterTree({ request: createMockRequest(), filter: { and: [{ fieldName: 'Name', value: undefined }, { or: [] }, { fieldName: 'Code', value: 'X' }] } });
+    test('Statement', statement === 'Code = @_filter1', statement);
+    test('Empty NOT group', sql.buildFilterTree({ request: createMockRequest(), filter: { not: { or: [] } } }) === '');
+}
+
+console.log('\nTest 5: list adds the compiled tree to the WHERE clause next to the system conditions');
+{
+    const { bo, sql } = createBusinessObject('Invoice', { tableName: 'Invoice', keyField: 'InvoiceId', standardTable: false, clientBased: true, user: { scopeId: 7 } }, { results: [] });
+    await bo.list({
+        limit: 0,
+        filter: JSON.stringify({ or: [{ field: 'Status', operator: '=', value: 'Open' }, { field: 'Status', operator: 'contains', value: 'Close' }], not: { field: 'CreatedByUser', operator: '=', value: 'system' } })
+    });
+    const [request] = sql.requests;
+    test('Tree is combined with ClientId', /WHERE Main\.ClientId = @ClientId AND \(\(Main\.Status = @_filter0 OR Main\.Status LIKE @_filter1\) AND NOT \(Created_\.CreatedByUser = @_filter2\)\)/.test(request.queries[0]), request.queries[0]);
+    test('Operators are applied to values', request.parameters._filter1.value === '%Close%');
+}
+
+console.log('\nTest 6: flat where arrays keep every condition on the same field');
+{
+    const { bo, sql } = createBusinessObject('Invoice', { tableName: 'Invoice', keyField: 'InvoiceId', standardTable: false }, { results: [] });
+    await bo.list({ limit: 0, filter: JSON.stringify([{ field: 'Amount', operator: '>=', value: 10 }, { field: 'Amount', operator: '<', value: 100 }]) });
+    const [request] = sql.requests;
+    test('Both conditions apply', /WHERE Main\.Amount >= @Amount_0 AND Main\.Amount < @Amount_1/.test(request.queries[0]), request.queries[0]);
+    testEqual('Parameters', [request.parameters.Amount_0.value, request.parameters.Amount_1.value], [10, 100]);
+}
+
+console.log('\nTest 7: invalid trees are rejected with a BusinessError');
+{
+    const bo = new BusinessBase();
+    const getSyncError = (filter) => {
+        try {
+            bo.toSqlFilter({ filter });
+        } catch (err) {
+            return err;
+        }
+    };
+    test('Invalid field names', getSyncError({ or: [{ field: 'Name; DROP TABLE x', operator: '=', value: 1 }] }) instanceof BusinessError);
+    test('Unknown operators', getSyncError({ and: [{ field: 'Name', operator: 'unknown', value: 1 }] }) instanceof BusinessError);
+    test('Groups that are not arrays', getSyncError({ or: { field: 'Name', operator: '=', value: 1 } }) instanceof BusinessError);
+    let deep = { field: 'Name', operator: '=', value: 1 };
+    for (let i = 0; i <= bo.maxFilterDepth; i++) {
+        deep = { not: deep };
+    }
+    test('Trees deeper than maxFilterDepth', /nested deeper/.test(getSyncError(deep)?.message));
+}
+
+console.log('\nTest 8: Elastic filter trees compile to nested bool queries');
+{
+    const bo = new ElasticBusinessBase();
+    const queryFilter = { must: [], must_not: [] };
+    bo.applyFilters({
+        or: [
+            { field: 'Status', operator: 'is', value: 'Open' },
+            { and: [{ field: 'Status', operator: 'is', value: 'Closed' }, { field: 'Amount', operator: '>', value: 100 }] }
+        ],
+        not: { field: 'Region', operator: '!=', value: 'EU' }
+    }, queryFilter);
+    testEqual('Bool query', queryFilter.must, [{
+        bool: {
+            should: [
+                { term: { Status: 'Open' } },
+                { bool: { must: [{ term: { Status: 'Closed' } }, { range: { Amount: { gt: 100 } } }] } }
+            ],
+            minimum_should_match: 1,
+            must_not: [{ bool: { must_not: [{ term: { Region: 'EU' } }] } }]
+        }
+    }]);
+    testEqual('Top-level must_not is untouched', queryFilter.must_not, []);
+}
+
+report();
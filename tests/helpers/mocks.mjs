@@ -0,0 +1,245 @@
+/**
+ * Shared mocks and result reporting for the plain-script tests.
+ *
+ * Usage:
+ *   import { test, testEqual, report } from './helpers/mocks.mjs';
+ *   test('Name is set', record.Name === 'Widget');
+ *   testEqual('Columns are returned', columns, ['Id', 'Name']);
+ *   report();   // prints the summary and exits with 1 when a test failed
+ */
+
+import { isDeepStrictEqual } from 'node:util';
+import { Writable } from 'node:stream';
+import Sql from '../../lib/sql.js';
+import BusinessBase from '../../lib/business/business-base.mjs';
+import BusinessBaseObjectsRouter from '../../lib/business/business-objects.mjs';
+
+let passed = 0;
+let failed = 0;
+
+function test(name, condition, extra = '') {
+    if (condition) {
+        console.log(`✓ ${name}`);
+        passed++;
+    } else {
+        console.log(`✗ ${name}${extra ? ': ' + extra : ''}`);
+        failed++;
+    }
+}
+
+function testEqual(name, actual, expected) {
+    test(name, isDeepStrictEqual(actual, expected), `expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+}
+
+/**
+ * Awaits the callback and returns the error it threw, undefined when it did not throw.
+ */
+async function getError(callback) {
+    try {
+        await callback();
+    } catch (err) {
+        return err;
+    }
+    return undefined;
+}
+
+function report() {
+    console.log(`\n${passed} passed, ${failed} failed`);
+    if (failed > 0) process.exit(1);
+}
+
+const silentLogger = { error() { }, warn() { }, info() { }, debug() { }, trace() { } };
+
+// Request object with the input() signature of mssql/mysql requests
+function createMockRequest() {
+    return {
+        parameters: {},
+        input: function (name, typeOrValue, value) {
+            if (arguments.length === 2) {
+                this.parameters[name] = { value: typeOrValue };
+            } else {
+                this.parameters[name] = { type: typeOrValue, value };
+            }
+        }
+    };
+}
+
+/**
+ * Fake Sql for business object tests. `transaction()` runs the callback on `sql.tx`, a scope inheriting from
+ * the instance, so overriding a method on `sql` also applies inside the transaction. insertUpdate options are
+ * recorded in `writes`, queries in `queries` and transaction boundaries in `events`; queries return the
+ * queued `results` in order.
+ */
+function createMockSql({ results = [], insertResult = { success: true, data: [{ Id: 9 }], rowsAffected: [1] } } = {}) {
+    const dialect = new Sql();
+    const sql = {
+        writes: [],
+        queries: [],
+        events: [],
+        results,
+        logger: silentLogger,
+        async transaction(callback) {
+            sql.events.push('begin');
+            try {
+                const result = await callback(sql.tx);
+                sql.events.push('commit');
+                return result;
+            } catch (err) {
+                sql.events.push('rollback');
+                throw err;
+            }
+        },
+        async insertUpdate(options) {
+            sql.writes.push(options);
+            return { ...insertResult };
+        },
+        async query(statement, options) {
+            sql.queries.push({ statement, ...options });
+            return sql.results.shift() || [];
+        },
+        createRequest() {
+            const request = createMockRequest();
+            request.query = async (statement) => {
+                sql.queries.push({ statement, parameters: request.parameters });
+                const recordset = sql.results.shift() || [];
+                return { recordset, recordsets: [recordset, [{ TotalCount: recordset.length }]], rowsAffected: [recordset.length] };
+            };
+            return request;
+        },
+        getRowsAffected: (result) => result.rowsAffected[0],
+        buildParameterName: (name) => `@${name}`,
+        addParameters: (options) => dialect.addParameters(options)
+    };
+    sql.tx = Object.assign(Object.create(sql), { inTransaction: true });
+    return sql;
+}
+
+/**
+ * Sql (or Mysql with `Dialect`) whose requests record their queries instead of running them. Each query returns
+ * the next entry of `results` as the first recordset followed by a TotalCount recordset; an entry `{ recordsets }`
+ * sets all recordsets and `results` can also be a function of the query. Requests are collected in `sql.requests`
+ * and queries in `sql.queries`.
+ */
+function createRecordingSql(results = [], { Dialect = Sql } = {}) {
+    const sql = new Dialect();
+    sql.logger = silentLogger;
+    sql.requests = [];
+    sql.queries = [];
+    sql.createRequest = () => {
+        const request = createMockRequest();
+        request.queries = [];
+        request.query = async (query) => {
+            request.queries.push(query);
+            sql.queries.push(query);
+            const next = (typeof results === 'function' ? results(query) : results.shift()) || [];
+            const recordsets = next.recordsets || [next, [{ TotalCount: next.length }]];
+            return { recordset: recordsets[0], recordsets, rowsAffected: [recordsets[0].length] };
+        };
+        sql.requests.push(request);
+        return request;
+    };
+    return sql;
+}
+
+/**
+ * Creates an instance of a business object class named `name` (the table name is derived from it) and makes `sql`
+ * the framework sql. `props` are assigned to the instance, functions among them override the class methods.
+ * Without `sql`, a createMockSql is used, or a createRecordingSql when `results` or `Dialect` are given.
+ * @returns {{bo: BusinessBase, sql: Object}}
+ */
+function createBusinessObject(name, props = {}, { results, Dialect, sql = results || Dialect ? createRecordingSql(results, { Dialect }) : createMockSql(), Base = BusinessBase } = {}) {
+    BusinessBase.businessObject = { sql };
+    const BusinessObject = { [name]: class extends Base { } }[name];
+    const bo = Object.assign(new BusinessObject(), { clientBased: false, user: { id: 1 }, ...props });
+    return { bo, sql };
+}
+
+// Express response recording the status, headers and the body sent through json/transform/send. It is also a
+// writable stream for streamed responses; `body` then returns the written bytes as a Buffer.
+function createResponse() {
+    const chunks = [];
+    let sentBody;
+    const res = new Writable({
+        write(chunk, encoding, callback) {
+            chunks.push(Buffer.from(chunk));
+            setImmediate(callback);
+        }
+    });
+    Object.defineProperty(res, 'body', { get: () => chunks.length ? Buffer.concat(chunks) : sentBody });
+    return Object.assign(res, {
+        statusCode: 200,
+        headers: {},
+        headersSent: false,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        set(name, value) {
+            this.headers[name] = value;
+            return this;
+        },
+        removeHeader(name) {
+            delete this.headers[name];
+        },
+        attachment() { },
+        json(body) {
+            sentBody = body;
+            this.headersSent = true;
+            return this;
+        },
+        transform(body) {
+            return this.json(body);
+        },
+        send(body) {
+            return this.json(body);
+        }
+    });
+}
+
+/**
+ * Creates a BusinessBaseObjectsRouter on a fake express router. `request('PUT /:businessObjectName/:id', { params })`
+ * runs the business object middleware and the handlers of the route like express and returns `{ req, response }`.
+ * `register(router)` replaces the creation of the BusinessBaseObjectsRouter, e.g. with framework.setBusinessBase.
+ */
+function createRouter(options, { register = (router) => new BusinessBaseObjectsRouter(router, {}, options) } = {}) {
+    const routes = {};
+    const middleware = [];
+    const add = (method) => (route, ...handlers) => {
+        [].concat(route).forEach(entry => { routes[`${method} ${entry}`] = handlers; });
+    };
+    const router = {
+        use(route, handler) {
+            if (typeof route === 'string') {
+                middleware.push(handler);
+            }
+        },
+        get: add('GET'),
+        post: add('POST'),
+        put: add('PUT'),
+        delete: add('DELETE')
+    };
+    register(router);
+
+    const request = async (key, { params = {}, body = {}, query = {}, user = { id: 5, tags: {} }, ...others } = {}) => {
+        const req = { params: { businessObjectName: 'invoice', ...params }, body, query, path: `/${key.split(' ')[1].split('/').pop()}`, user, ...others };
+        const response = createResponse();
+        const handlers = key.includes(':businessObjectName') ? [...middleware, ...routes[key]] : routes[key];
+        for (const handler of handlers) {
+            let proceed = false;
+            await new Promise((resolve, reject) => {
+                const result = handler(req, response, (err) => {
+                    proceed = true;
+                    return err ? reject(err) : resolve();
+                });
+                Promise.resolve(result).then(() => response.headersSent && resolve(), reject);
+            });
+            if (!proceed) {
+                break;
+            }
+        }
+        return { req, response };
+    };
+    return { routes, middleware, request };
+}
+
+export { test, testEqual, getError, report, silentLogger, createMockRequest, createMockSql, createRecordingSql, createBusinessObject, createResponse, createRouter };
@@ -0,0 +1,199 @@
+/**
+ * Tests for read replicas: round-robin over the available replicas, falling back to the primary when a replica
+ * cannot be reached, writes and transactions on the primary, and the reads of business objects, pivot and reports.
+ */
+
+import Sql from '../lib/sql.js';
+import Mysql from '../lib/mysql.js';
+import BusinessBase from '../lib/business/business-base.mjs';
+import SqlHelper from '../lib/business/sql-helper.mjs';
+import { reports } from '../lib/reports.mjs';
+import { test, testEqual, getError, report, silentLogger } from './helpers/mocks.mjs';
+
+// mssql-like pool whose requests record the queries run on it
+function createPool(name, log, { fail } = {}) {
+    return {
+        name,
+        request() {
+            return {
+                parameters: {},
+                input(paramName, type, value) {
+                    // like mssql, a type with arguments such as sql.Decimal(18, 4) is stored as the base type with length, precision and scale
+                    const { type: baseType = type, length, precision, scale } = typeof type === 'object' ? type : {};
+                    this.parameters[paramName] = { name: paramName, type: baseType, value, io: 1, length, precision, scale };
+                },
+                async query(query) {
+                    if (fail) {
+                        throw Object.assign(new Error(`${name} is down`), { code: 'ESOCKET' });
+                    }
+                    log.push({ pool: name, query, parameters: { ...this.parameters } });
+                    return { recordset: [], recordsets: [[], [{ TotalCount: 0 }]], rowsAffected: [1] };
+                },
+                async execute(procedure) {
+                    return this.query(procedure);
+                }
+            };
+        }
+    };
+}
+
+function createSql({ replicas = ['replica1', 'replica2'], down = [] } = {}) {
+    const log = [];
+    const sql = new Sql();
+    sql.logger = silentLogger;
+    sql.pool = createPool('primary', log);
+    sql.replicas = replicas.map(name => ({ name, pool: createPool(name, log, { fail: down.includes(name) }), retryAt: 0 }));
+    return { sql, log };
+}
+
+
+console.log('Testing read replicas...\n');
+
+console.log('Test 1: replica requests are spread round-robin, other requests use the primary');
+{
+    const { sql, log } = createSql();
+    for (let index = 0; index < 3; index++) {
+        await sql.createRequest(null, { replica: true }).query('SELECT 1');
+    }
+    await sql.createRequest().query('SELECT 2');
+    testEqual('Pools', log.map(entry => entry.pool), ['replica1', 'replica2', 'replica1', 'primary']);
+
+    const { sql: withoutReplicas, log: primaryLog } = createSql({ replicas: [] });
+    await withoutReplicas.createRequest(null, { replica: true }).query('SELECT 1');
+    test('Primary without replicas', primaryLog[0].pool === 'primary');
+}
+
+console.log('\nTest 2: a replica that cannot be reached is skipped and the query runs on the primary');
+{
+    const { sql, log } = createSql({ down: ['replica1'] });
+    const request = sql.createRequest(null, { replica: true });
+    request.input('Id', sql.dataTypes.integer, 5);
+    request.input('Amount', { type: 'Decimal', precision: 18, scale: 4 }, 1.5);
+    request.input('Code', { type: 'NVarChar', length: 10 }, 'A');
+    await request.query('SELECT * FROM Orders WHERE Id = @Id');
+    test('Runs on the primary', log[0].pool === 'primary');
+    test('Parameters are copied', log[0].parameters.Id.value === 5);
+    testEqual('Precision and scale are kept', [log[0].parameters.Amount.type, log[0].parameters.Amount.precision, log[0].parameters.Amount.scale], ['Decimal', 18, 4]);
+    test('Length is kept', log[0].parameters.Code.length === 10);
+    test('Replica is skipped', sql.replicas[0].retryAt > Date.now());
+
+    await sql.createRequest(null, { replica: true }).query('SELECT 1');
+    await sql.createRequest(null, { replica: true }).query('SELECT 1');
+    testEqual('Other replica is used', log.slice(1).map(entry => entry.pool), ['replica2', 'replica2']);
+
+    // retried once replicaRetrySeconds have passed
+    sql.replicas[0].retryAt = Date.now() - 1;
+    test('Replica is retried', sql.getReplica().name === 'replica1');
+}
+
+console.log('\nTest 3: query errors are not retried on the primary');
+{
+    const { sql } = createSql();
+    const request = sql.createRequest(null, { replica: true });
+    request.query = async () => { throw new Error('Invalid column name'); };
+    sql.addReplicaFallback({ request, replica: sql.replicas[0] });
+    test('Error is thrown', /Invalid column name/.test((await getError(() => request.query('SELECT Foo')))?.message));
+    test('Replica is not skipped', sql.replicas[0].retryAt === 0);
+}
+
+console.log('\nTest 4: writes and transactions use the primary, forReads() defaults to the replicas');
+{
+    const { sql, log } = createSql();
+    const reader = sql.forReads();
+    await reader.query('SELECT * FROM Sales');
+    await reader.insertUpdate({ tableName: 'Sales', json: { Amount: 1 } });
+    testEqual('Pools', log.map(entry => entry.pool), ['replica1', 'primary']);
+
+    const scope = reader.createTransactionScope(sql.pool);
+    await scope.createRequest(null, { replica: true }).query('SELECT 1');
+    test('Transactions use the primary', log[2].pool === 'primary');
+}
+
+console.log('\nTest 5: setConfig connects the replicas over the primary config and close() ends all pools');
+{
+    const mysql = new Mysql();
+    await mysql.setConfig({ logger: silentLogger, host: 'db-primary', user: 'app', readReplicas: [{ host: 'db-replica1' }, { name: 'east', host: 'db-replica2' }], replicaRetrySeconds: 5 });
+    testEqual('Replica names', mysql.replicas.map(replica => replica.name), ['db-replica1', 'east']);
+    test('Primary config is merged', mysql.replicas[1].pool.pool.config.connectionConfig.user === 'app');
+    test('replicaRetrySeconds', mysql.replicaRetrySeconds === 5);
+    await mysql.close();
+    test('Primary is closed', mysql.pool === null);
+    testEqual('Replicas are closed', mysql.replicas, []);
+
+    const sql = new Sql();
+    sql.logger = silentLogger;
+    sql.createPoolConnection = async (config) => {
+        if (config.server === 'down') {
+            throw new Error('Failed to connect');
+        }
+        return { server: config.server };
+    };
+    await sql.setConfig({ server: 'primary', readReplicas: [{ server: 'down' }, { server: 'replica' }] });
+    testEqual('Replicas that fail to connect are left out', sql.replicas.map(replica => replica.name), ['replica']);
+}
+
+console.log('\nTest 6: list and lookupList read from the replicas, load and reads after a write from the primary');
+{
+    const { sql, log } = createSql();
+    BusinessBase.businessObject = { sql };
+    class Order extends BusinessBase { }
+    const order = new Order();
+    Object.assign(order, { tableName: 'Orders', keyField: 'OrderId', displayField: 'Name', standardTable: false, clientBased: false, user: { id: 1 } });
+
+    await order.list({ limit: 10 });
+    await order.lookupList({});
+    await order.load({ id: 1 });
+    await order.load({ id: 1, replica: true });
+    await order.list({ limit: 10, replica: false });
+    testEqual('Reads', log.map(entry => entry.pool), ['replica1', 'replica2', 'primary', 'replica1', 'primary']);
+
+    log.length = 0;
+    await order.delete({ id: 1 });
+    await order.list({ limit: 10 });
+    await order.list({ limit: 10, replica: 'true' });
+    testEqual('Reads after a write', log.map(entry => entry.pool), ['primary', 'primary', 'replica2']);
+
+    order.readReplica = false;
+    order.hasWritten = false;
+    await order.lookupList({});
+    test('readReplica = false', log.at(-1).pool === 'primary');
+}
+
+console.log('\nTest 7: pivot reads from the replicas unless replica is false');
+{
+    const { sql, log } = createSql();
+    const helper = new SqlHelper({ DFramework: { sql } });
+    await helper.pivot({ groupBy: ['Region'], measures: {}, tableName: 'Sales', sql });
+    await helper.pivot({ groupBy: ['Region'], measures: {}, tableName: 'Sales', sql, replica: false });
+    testEqual('Pools', log.map(entry => entry.pool), ['replica1', 'primary']);
+}
+
+console.log('\nTest 8: reports read from the replicas of options.sql and keep their own sql');
+{
+    const instances = [];
+    class SalesReport {
+        constructor() {
+            instances.push(this);
+        }
+
+        async execute() {
+            return [];
+        }
+    }
+    const { sql } = createSql();
+    await reports.execute({ ReportType: SalesReport, options: { sql } });
+    test('forReads', instances[0].sql.readFromReplica === true && Object.getPrototypeOf(instances[0].sql) === sql);
+
+    const plain = { query: async () => [] };
+    await reports.execute({ ReportType: SalesReport, options: { sql: plain } });
+    test('sql without forReads', instances[1].sql === plain);
+
+    const own = createSql().sql;
+    class OwnSqlReport extends SalesReport {
+        sql = own;
+    }
+    await reports.execute({ ReportType: OwnSqlReport, options: { sql } });
+    test('Own sql is kept', instances[2].sql === own);
+}
+
+report();
@@ -0,0 +1,173 @@
+/**
+ * Tests for the sql.transaction() unit-of-work API: commit/rollback, nested
+ * savepoints, isolation levels and the transaction scoped surface.
+ */
+
+import Sql from '../lib/sql.js';
+import Mysql from '../lib/mysql.js';
+import enums from '../lib/enums.mjs';
+import { test, testEqual, getError, report, silentLogger } from './helpers/mocks.mjs';
+
+const { isolationLevels } = enums;
+
+// mysql2 pool connection recording the statements run on it
+function createMysql() {
+    const statements = [];
+    const connection = {
+        statements,
+        released: false,
+        query: async (query) => {
+            statements.push(query);
+            if (query.includes('FAIL')) {
+                throw new Error('query failed');
+            }
+            return [[{ Id: 1 }], []];
+        },
+        execute: async (query) => {
+            statements.push(query);
+            return [[], []];
+        },
+        beginTransaction: async () => { statements.push('BEGIN'); },
+        commit: async () => { statements.push('COMMIT'); },
+        rollback: async () => { statements.push('ROLLBACK'); },
+        release: () => { connection.released = true; }
+    };
+    const instance = new Mysql();
+    instance.queryLogThreshold = 1000;
+    instance.timeoutLogLevel = 'info';
+    instance.logger = silentLogger;
+    instance.pool = {
+        getConnection: async () => connection,
+        query: async () => { throw new Error('pool should not be used inside a transaction'); },
+        execute: async () => { throw new Error('pool should not be used inside a transaction'); }
+    };
+    return { instance, connection };
+}
+
+console.log('Testing sql.transaction...\n');
+
+console.log('Test 1: Mysql commits and releases the connection');
+{
+    const { instance, connection } = createMysql();
+    let inTransaction;
+    const result = await instance.transaction(async (tx) => {
+        inTransaction = tx.inTransaction;
+        await tx.query('UPDATE Orders SET Status = 1');
+        return 'done';
+    });
+    test('Scope is in a transaction', inTransaction === true);
+    test('Callback result is returned', result === 'done');
+    testEqual('Statements are committed', connection.statements, ['BEGIN', 'UPDATE Orders SET Status = 1', 'COMMIT']);
+    test('Connection is released', connection.released === true);
+    test('The original instance is not bound to the transaction', instance.inTransaction === undefined);
+}
+
+console.log('\nTest 2: Mysql rolls back and re-throws when the callback fails');
+{
+    const { instance, connection } = createMysql();
+    const err = await getError(() => instance.transaction(async (tx) => {
+        await tx.query('UPDATE FAIL');
+    }));
+    test('Error is re-thrown', err?.message === 'query failed');
+    test('Transaction is rolled back', connection.statements.at(-1) === 'ROLLBACK');
+    test('Connection is released', connection.released === true);
+}
+
+console.log('\nTest 3: insertUpdate and execute join the transaction');
+{
+    const { instance, connection } = createMysql();
+    const results = [];
+    await instance.transaction(async (tx) => {
+        results.push(await tx.insertUpdate({ tableName: 'Orders', json: { Name: 'A' } }));
+        results.push(await tx.execute({ query: 'SELECT 1 FROM Orders' }));
+    });
+    test('insertUpdate succeeds', results[0].success === true);
+    test('execute succeeds', results[1].success === true);
+    test('INSERT runs on the connection', connection.statements[1].startsWith('INSERT INTO Orders'), connection.statements[1]);
+    test('Transaction is committed', connection.statements.at(-1) === 'COMMIT');
+}
+
+console.log('\nTest 4: nested transactions use savepoints');
+{
+    const { instance, connection } = createMysql();
+    let nestedErr;
+    await instance.transaction(async (tx) => {
+        await tx.transaction(async (nested) => {
+            await nested.query('UPDATE A SET X = 1');
+        });
+        nestedErr = await getError(() => tx.transaction(async (nested) => {
+            await nested.query('UPDATE FAIL');
+        }));
+    });
+    test('Failed savepoint re-throws', nestedErr?.message === 'query failed');
+    testEqual('Savepoints are created, released and rolled back', connection.statements, [
+        'BEGIN',
+        'SAVEPOINT sp_1',
+        'UPDATE A SET X = 1',
+        'RELEASE SAVEPOINT sp_1',
+        'SAVEPOINT sp_2',
+        'UPDATE FAIL',
+        'ROLLBACK TO SAVEPOINT sp_2',
+        'COMMIT'
+    ]);
+}
+
+console.log('\nTest 5: isolation levels');
+{
+    const { instance, connection } = createMysql();
+    await instance.transaction(async () => { }, { isolationLevel: isolationLevels.SERIALIZABLE });
+    testEqual('Isolation level is set before beginning', connection.statements, ['SET TRANSACTION ISOLATION LEVEL SERIALIZABLE', 'BEGIN', 'COMMIT']);
+    const err = await getError(() => createMysql().instance.transaction(async () => { }, { isolationLevel: isolationLevels.SNAPSHOT }));
+    test('Unsupported isolation levels are rejected', /Invalid isolationLevel/.test(err?.message));
+}
+
+console.log('\nTest 6: slow queries inside the transaction are still logged');
+{
+    const { instance } = createMysql();
+    const logged = [];
+    instance.queryLogThreshold = -1;
+    const logger = { ...silentLogger, info: (payload) => logged.push(payload) };
+    await instance.transaction(async (tx) => {
+        await tx.createRequest().query('SELECT 1');
+    }, { logger });
+    test('One slow query is logged', logged.length === 1);
+    test('The query is logged', logged[0]?.query === 'SELECT 1');
+}
+
+console.log('\nTest 7: nested transactions use SAVE TRANSACTION on SQL Server');
+{
+    const statements = [];
+    const sql = new Sql();
+    sql.logger = silentLogger;
+    const scope = sql.createTransactionScope({
+        request: () => ({
+            parameters: {},
+            query: async (query) => {
+                statements.push(query);
+                if (query === 'FAIL') {
+                    throw new Error('failed');
+                }
+                return { recordset: [] };
+            },
+            execute: async () => ({})
+        })
+    });
+    const err = await getError(() => scope.transaction(async (nested) => {
+        await nested.createRequest().query('FAIL');
+    }));
+    test('Error is re-thrown', err?.message === 'failed');
+    testEqual('Savepoint is rolled back', statements, ['SAVE TRANSACTION sp_1', 'FAIL', 'ROLLBACK TRANSACTION sp_1']);
+    const isolationErr = await getError(() => scope.transaction(async () => { }, { isolationLevel: isolationLevels.SERIALIZABLE }));
+    test('Isolation level is only allowed on the outermost transaction', /outermost/.test(isolationErr?.message));
+}
+
+console.log('\nTest 8: isolation levels map to mssql values');
+{
+    const sql = new Sql();
+    test('READ_COMMITTED maps to 0x02', sql.getIsolationLevel(isolationLevels.READ_COMMITTED) === 0x02);
+    test('No isolation level is undefined', sql.getIsolationLevel() === undefined);
+    const err = await getError(() => sql.getIsolationLevel('CHAOS'));
+    test('Unknown isolation levels throw', /Invalid isolationLevel/.test(err?.message));
+}
+
+report();